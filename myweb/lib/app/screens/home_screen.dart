@@ -1,5 +1,4 @@
 import 'dart:ui';
-import 'dart:html' as html;
 import 'package:flutter/material.dart';
 import '../../services/auth_service.dart';
 import '../../services/firestore_service.dart';
@@ -514,16 +513,16 @@ class _HomeScreenState extends State<HomeScreen> with SingleTickerProviderStateM
                 subtitle: 'Preview your payment receipt in browser.',
                 icon: Icons.receipt_long_rounded,
                 open: true,
-                onTap: () {
+                onTap: () async {
                   final uid = AuthService.currentUser?.uid;
-                  if (uid != null) {
-                    final host = html.window.location.hostname ?? '';
-                    final backendBase = (host == 'localhost' || host == '127.0.0.1')
-                        ? 'http://localhost:3001/api'
-                        : 'https://ai-conference-payment-backend.onrender.com/api';
-                    html.window.open(
-                      '$backendBase/receipt/$uid',
-                      '_blank',
+                  if (uid == null) return;
+                  final result = await PaymentService.openReceipt(uid);
+                  if (result['success'] != true && mounted) {
+                    ScaffoldMessenger.of(context).showSnackBar(
+                      SnackBar(
+                        content: Text(result['error'] ?? 'Failed to load receipt.'),
+                        backgroundColor: Colors.red,
+                      ),
                     );
                   }
                 },
@@ -535,16 +534,16 @@ class _HomeScreenState extends State<HomeScreen> with SingleTickerProviderStateM
                 subtitle: 'Download receipt as PDF file.',
                 icon: Icons.download_rounded,
                 open: true,
-                onTap: () {
+                onTap: () async {
                   final uid = AuthService.currentUser?.uid;
-                  if (uid != null) {
-                    final host = html.window.location.hostname ?? '';
-                    final backendBase = (host == 'localhost' || host == '127.0.0.1')
-                        ? 'http://localhost:3001/api'
-                        : 'https://ai-conference-payment-backend.onrender.com/api';
-                    html.window.open(
-                      '$backendBase/receipt/download/$uid',
-                      '_blank',
+                  if (uid == null) return;
+                  final result = await PaymentService.openReceipt(uid, download: true);
+                  if (result['success'] != true && mounted) {
+                    ScaffoldMessenger.of(context).showSnackBar(
+                      SnackBar(
+                        content: Text(result['error'] ?? 'Failed to load receipt.'),
+                        backgroundColor: Colors.red,
+                      ),
                     );
                   }
                 },
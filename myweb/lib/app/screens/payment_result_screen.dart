@@ -245,7 +245,10 @@ class PaymentResultScreen extends StatelessWidget {
   String _getFailureMessage() {
     switch (reason) {
       case 'hash_mismatch':
+      case 'order_mismatch':
         return 'Payment verification failed. If money was deducted, it will be refunded within 5-7 business days.';
+      case 'under_review':
+        return 'Your payment was received and is being reviewed by the organizers. You will be contacted once it is confirmed.';
       case 'server_error':
         return 'A server error occurred. Please try again or contact support.';
       case 'payment_failed':
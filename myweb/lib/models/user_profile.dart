@@ -6,6 +6,8 @@ class UserProfile {
   final String phone;
   final String role; // 'student' | 'scholar'
   final String? institution;
+  final String? nationality;
+  final String? country; // decides the fee region (India: INR, else USD)
 
   UserProfile({
     required this.uid,
@@ -14,6 +16,8 @@ class UserProfile {
     required this.phone,
     required this.role,
     this.institution,
+    this.nationality,
+    this.country,
   });
 
   factory UserProfile.fromMap(String uid, Map<String, dynamic> map) {
@@ -24,6 +28,8 @@ class UserProfile {
       phone: map['phone'] as String? ?? '',
       role: map['role'] as String? ?? 'student',
       institution: map['institution'] as String?,
+      nationality: map['nationality'] as String?,
+      country: map['country'] as String?,
     );
   }
 
@@ -34,5 +40,7 @@ class UserProfile {
         'phone': phone,
         'role': role,
         'institution': institution,
+        'nationality': nationality,
+        'country': country,
       };
 }
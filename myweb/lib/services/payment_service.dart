@@ -1,6 +1,7 @@
 import 'dart:convert';
 import 'dart:html' as html;
 import 'package:http/http.dart' as http;
+import 'auth_service.dart';
 
 /// PaymentService handles all communication with the payment backend.
 /// It NEVER generates hashes or exposes secrets — all security-critical
@@ -21,18 +22,40 @@ class PaymentService {
   /// Exposed for debug logging only.
   static String get debugBaseUrl => _baseUrl;
 
+  /// Headers for authenticated backend calls.
+  /// The backend derives the caller's identity from this Firebase ID token.
+  static Future<Map<String, String>> _authHeaders() async {
+    final token = await AuthService.currentUser?.getIdToken();
+    return {
+      'Content-Type': 'application/json',
+      if (token != null) 'Authorization': 'Bearer $token',
+    };
+  }
+
   /// Initiate payment for a user.
-  /// Returns a map with { success, paymentUrl, accessKey, txnid, amount, role }
+  /// [paperId] selects the accepted paper to pay for (required by the
+  /// backend when the author has more than one).
+  /// [couponCode] is optional and validated by the backend.
+  /// Returns a map with { success, paymentUrl, accessKey, txnid, amount, currency, role }
   /// or { success: false, error: '...' }
-  static Future<Map<String, dynamic>> createPayment(String uid) async {
+  static Future<Map<String, dynamic>> createPayment(
+    String uid, {
+    String? paperId,
+    String? couponCode,
+  }) async {
     try {
       // Send the current frontend origin so the backend redirects correctly
       final frontendUrl = html.window.location.origin;
 
       final response = await http.post(
         Uri.parse('$_baseUrl/create-payment'),
-        headers: {'Content-Type': 'application/json'},
-        body: jsonEncode({'uid': uid, 'frontendUrl': frontendUrl}),
+        headers: await _authHeaders(),
+        body: jsonEncode({
+          'frontendUrl': frontendUrl,
+          if (paperId != null) 'paperId': paperId,
+          if (couponCode != null && couponCode.trim().isNotEmpty)
+            'couponCode': couponCode.trim(),
+        }),
       );
 
       final data = jsonDecode(response.body) as Map<String, dynamic>;
@@ -45,6 +68,7 @@ class PaymentService {
             'paymentRequired': false,
             'reason': data['reason'] ?? 'Fee Waiver Applied',
             'institution': data['institution'] ?? '',
+            'paperId': data['paperId'],
           };
         }
         return {
@@ -54,12 +78,15 @@ class PaymentService {
           'accessKey': data['accessKey'] as String,
           'txnid': data['txnid'] as String,
           'amount': data['amount'] as String,
+          'currency': data['currency'] as String? ?? 'INR',
           'role': data['role'] as String,
+          'paperId': data['paperId'],
         };
       } else {
         return {
           'success': false,
           'error': data['error'] ?? 'Failed to initiate payment.',
+          if (data['papers'] != null) 'papers': data['papers'],
         };
       }
     } catch (e) {
@@ -72,11 +99,17 @@ class PaymentService {
 
   /// Get the payment status for a user.
   /// Returns { success, hasApprovedPaper, paymentStatus, paymentAmount, paymentTxnId, paymentDate }
-  static Future<Map<String, dynamic>> getPaymentStatus(String uid) async {
+  /// for [paperId] (or the paper still to be paid for), plus `papers` with
+  /// the status of every accepted paper.
+  static Future<Map<String, dynamic>> getPaymentStatus(
+    String uid, {
+    String? paperId,
+  }) async {
     try {
+      final query = paperId != null ? '?paperId=${Uri.encodeComponent(paperId)}' : '';
       final response = await http.get(
-        Uri.parse('$_baseUrl/payment-status/$uid'),
-        headers: {'Content-Type': 'application/json'},
+        Uri.parse('$_baseUrl/payment-status/$uid$query'),
+        headers: await _authHeaders(),
       );
 
       final data = jsonDecode(response.body) as Map<String, dynamic>;
@@ -99,25 +132,35 @@ class PaymentService {
 
   /// Initiate attendee registration payment.
   /// Does NOT require user login — attendees can register publicly.
-  /// Returns a map with { success, paymentUrl, accessKey, txnid, amount }
+  /// A signed-in user's ID token is sent, so the price list (India: INR,
+  /// otherwise USD) follows their profile; otherwise [nationality] /
+  /// [country] pick it until the organizers confirm it.
+  /// Returns a map with { success, paymentUrl, accessKey, txnid, amount, currency }
   /// or { success: false, error: '...' }
   static Future<Map<String, dynamic>> createAttendeePayment({
     required String name,
     required String email,
     required String phone,
     String organization = '',
+    String? couponCode,
+    String? nationality,
+    String? country,
   }) async {
     try {
       final frontendUrl = html.window.location.origin;
 
       final response = await http.post(
         Uri.parse('$_baseUrl/create-attendee-payment'),
-        headers: {'Content-Type': 'application/json'},
+        headers: await _authHeaders(),
         body: jsonEncode({
           'name': name,
           'email': email,
           'phone': phone,
           'organization': organization,
+          if (couponCode != null && couponCode.trim().isNotEmpty)
+            'couponCode': couponCode.trim(),
+          if (nationality != null) 'nationality': nationality,
+          if (country != null) 'country': country,
           'frontendUrl': frontendUrl,
         }),
       );
@@ -125,12 +168,22 @@ class PaymentService {
       final data = jsonDecode(response.body) as Map<String, dynamic>;
 
       if (response.statusCode == 200 && data['success'] == true) {
+        // 100% coupon: registered without payment
+        if (data['paymentRequired'] == false) {
+          return {
+            'success': true,
+            'paymentRequired': false,
+            'reason': data['reason'] ?? 'Fee Waiver Applied',
+          };
+        }
         return {
           'success': true,
+          'paymentRequired': true,
           'paymentUrl': data['paymentUrl'] as String,
           'accessKey': data['accessKey'] as String,
           'txnid': data['txnid'] as String,
           'amount': data['amount'] as String,
+          'currency': data['currency'] as String? ?? 'INR',
         };
       } else {
         return {
@@ -145,4 +198,201 @@ class PaymentService {
       };
     }
   }
+
+  /// Initiate a group registration: [name], [email] and [phone] are the
+  /// payer's contact details; [attendees] is a list of
+  /// { 'name', 'email', 'phone' } maps (2–50 people), paid in one transaction.
+  /// The payer's profile (when signed in) or [nationality] / [country]
+  /// pick the group's price list.
+  /// Returns a map with { success, paymentUrl, accessKey, txnid, groupId, amount, currency }
+  /// or { success: false, error: '...', alreadyRegistered?: [...] }
+  static Future<Map<String, dynamic>> createAttendeeGroupPayment({
+    required String name,
+    required String email,
+    required String phone,
+    required List<Map<String, String>> attendees,
+    String organization = '',
+    String? couponCode,
+    String? nationality,
+    String? country,
+  }) async {
+    try {
+      final frontendUrl = html.window.location.origin;
+
+      final response = await http.post(
+        Uri.parse('$_baseUrl/create-attendee-group-payment'),
+        headers: await _authHeaders(),
+        body: jsonEncode({
+          'name': name,
+          'email': email,
+          'phone': phone,
+          'organization': organization,
+          'attendees': attendees,
+          if (couponCode != null && couponCode.trim().isNotEmpty)
+            'couponCode': couponCode.trim(),
+          if (nationality != null) 'nationality': nationality,
+          if (country != null) 'country': country,
+          'frontendUrl': frontendUrl,
+        }),
+      );
+
+      final data = jsonDecode(response.body) as Map<String, dynamic>;
+
+      if (response.statusCode == 200 && data['success'] == true) {
+        // 100% coupon: everyone registered without payment
+        if (data['paymentRequired'] == false) {
+          return {
+            'success': true,
+            'paymentRequired': false,
+            'reason': data['reason'] ?? 'Fee Waiver Applied',
+            'groupId': data['groupId'] as String,
+          };
+        }
+        return {
+          'success': true,
+          'paymentRequired': true,
+          'paymentUrl': data['paymentUrl'] as String,
+          'accessKey': data['accessKey'] as String,
+          'txnid': data['txnid'] as String,
+          'groupId': data['groupId'] as String,
+          'amount': data['amount'] as String,
+          'currency': data['currency'] as String? ?? 'INR',
+        };
+      } else {
+        return {
+          'success': false,
+          'error': data['error'] ?? 'Failed to initiate group payment.',
+          if (data['alreadyRegistered'] != null)
+            'alreadyRegistered': data['alreadyRegistered'],
+        };
+      }
+    } catch (e) {
+      return {
+        'success': false,
+        'error': 'Network error: $e',
+      };
+    }
+  }
+
+  /// Open the paper receipt PDF in a new tab, or download it with [download].
+  /// The PDF is fetched with the ID token in the Authorization header and
+  /// handed to the browser as a blob URL, so the token never appears in a URL.
+  /// Returns { success } or { success: false, error }
+  static Future<Map<String, dynamic>> openReceipt(
+    String uid, {
+    bool download = false,
+  }) async {
+    try {
+      final path = download ? 'receipt/download/$uid' : 'receipt/$uid';
+      final response = await http.get(
+        Uri.parse('$_baseUrl/$path'),
+        headers: await _authHeaders(),
+      );
+
+      if (response.statusCode != 200) {
+        final data = jsonDecode(response.body) as Map<String, dynamic>;
+        return {
+          'success': false,
+          'error': data['error'] ?? 'Failed to load receipt.',
+        };
+      }
+
+      final blob = html.Blob([response.bodyBytes], 'application/pdf');
+      final url = html.Url.createObjectUrlFromBlob(blob);
+      if (download) {
+        html.AnchorElement(href: url)
+          ..download = 'Receipt_$uid.pdf'
+          ..click();
+      } else {
+        html.window.open(url, '_blank');
+      }
+      Future.delayed(const Duration(minutes: 1), () => html.Url.revokeObjectUrl(url));
+      return {'success': true};
+    } catch (e) {
+      return {
+        'success': false,
+        'error': 'Network error: $e',
+      };
+    }
+  }
+
+  /// Issue (or fetch the already issued) GST tax invoice for a paid paper.
+  /// [gstin] and [billingAddress] are for institutions claiming input tax
+  /// credit; the invoice cannot be changed once issued.
+  /// Returns { success, created, invoice } or { success: false, error }
+  static Future<Map<String, dynamic>> requestInvoice(
+    String uid, {
+    String? paperId,
+    String? billingName,
+    String? gstin,
+    String? billingAddress,
+    String? stateCode,
+  }) async {
+    return _postInvoice(
+      '$_baseUrl/invoice/$uid',
+      await _authHeaders(),
+      {
+        if (paperId != null) 'paperId': paperId,
+        if (billingName != null) 'billingName': billingName,
+        if (gstin != null) 'gstin': gstin,
+        if (billingAddress != null) 'billingAddress': billingAddress,
+        if (stateCode != null) 'stateCode': stateCode,
+      },
+    );
+  }
+
+  /// Issue (or fetch) the GST tax invoice for an attendee payment.
+  /// [email] must be the email the attendee registered with.
+  /// Returns { success, created, invoice } or { success: false, error }
+  static Future<Map<String, dynamic>> requestAttendeeInvoice(
+    String txnid, {
+    required String email,
+    String? billingName,
+    String? gstin,
+    String? billingAddress,
+    String? stateCode,
+  }) async {
+    return _postInvoice(
+      '$_baseUrl/attendee-invoice/$txnid',
+      {'Content-Type': 'application/json'},
+      {
+        'email': email,
+        if (billingName != null) 'billingName': billingName,
+        if (gstin != null) 'gstin': gstin,
+        if (billingAddress != null) 'billingAddress': billingAddress,
+        if (stateCode != null) 'stateCode': stateCode,
+      },
+    );
+  }
+
+  static Future<Map<String, dynamic>> _postInvoice(
+    String url,
+    Map<String, String> headers,
+    Map<String, dynamic> body,
+  ) async {
+    try {
+      final response = await http.post(
+        Uri.parse(url),
+        headers: headers,
+        body: jsonEncode(body),
+      );
+
+      final data = jsonDecode(response.body) as Map<String, dynamic>;
+
+      if ((response.statusCode == 200 || response.statusCode == 201) &&
+          data['success'] == true) {
+        return data;
+      } else {
+        return {
+          'success': false,
+          'error': data['error'] ?? 'Failed to issue invoice.',
+        };
+      }
+    } catch (e) {
+      return {
+        'success': false,
+        'error': 'Network error: $e',
+      };
+    }
+  }
 }
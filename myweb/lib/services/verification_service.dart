@@ -3,6 +3,7 @@ import 'dart:typed_data';
 import 'dart:html' as html;
 import 'package:http/http.dart' as http;
 import 'package:http_parser/http_parser.dart';
+import 'auth_service.dart';
 
 /// VerificationService handles all communication with the backend
 /// for document verification (ID card + payment receipt uploads).
@@ -21,6 +22,16 @@ class VerificationService {
         : _prodBackendUrl;
   }
 
+  /// Headers for authenticated backend calls.
+  /// The backend derives the caller's identity from this Firebase ID token.
+  static Future<Map<String, String>> _authHeaders() async {
+    final token = await AuthService.currentUser?.getIdToken();
+    return {
+      'Content-Type': 'application/json',
+      if (token != null) 'Authorization': 'Bearer $token',
+    };
+  }
+
   /// Resolve MIME MediaType from filename extension.
   static MediaType _mediaTypeFromFileName(String fileName) {
     final ext = fileName.split('.').last.toLowerCase();
@@ -46,6 +57,7 @@ class VerificationService {
       final uri = Uri.parse('$_baseUrl/upload-id-card');
       final request = http.MultipartRequest('POST', uri);
 
+      request.headers.addAll(await _authHeaders());
       request.fields['userId'] = userId;
       request.files.add(
         http.MultipartFile.fromBytes(
@@ -87,6 +99,7 @@ class VerificationService {
       final uri = Uri.parse('$_baseUrl/upload-payment-receipt');
       final request = http.MultipartRequest('POST', uri);
 
+      request.headers.addAll(await _authHeaders());
       request.fields['userId'] = userId;
       request.files.add(
         http.MultipartFile.fromBytes(
@@ -117,6 +130,62 @@ class VerificationService {
     }
   }
 
+  /// Submit a bank transfer / demand draft payment for a paper.
+  /// [method] is 'bank_transfer' or 'demand_draft'; [transferDate] is YYYY-MM-DD.
+  /// Without [fileBytes], the payment receipt already uploaded is linked.
+  /// Returns { success, offlinePayment, amountMatchesFee } or { success: false, error }
+  static Future<Map<String, dynamic>> submitOfflinePayment({
+    String? paperId,
+    String method = 'bank_transfer',
+    required String utr,
+    required String bankName,
+    required String transferDate,
+    required String amount,
+    Uint8List? fileBytes,
+    String? fileName,
+  }) async {
+    try {
+      final uri = Uri.parse('$_baseUrl/offline-payments');
+      final request = http.MultipartRequest('POST', uri);
+
+      request.headers.addAll(await _authHeaders());
+      if (paperId != null) request.fields['paperId'] = paperId;
+      request.fields['method'] = method;
+      request.fields['utr'] = utr;
+      request.fields['bankName'] = bankName;
+      request.fields['transferDate'] = transferDate;
+      request.fields['amount'] = amount;
+      if (fileBytes != null && fileName != null) {
+        request.files.add(
+          http.MultipartFile.fromBytes(
+            'paymentReceipt',
+            fileBytes,
+            filename: fileName,
+            contentType: _mediaTypeFromFileName(fileName),
+          ),
+        );
+      }
+
+      final streamedResponse = await request.send();
+      final responseBody = await streamedResponse.stream.bytesToString();
+      final data = jsonDecode(responseBody) as Map<String, dynamic>;
+
+      if (streamedResponse.statusCode == 201 && data['success'] == true) {
+        return data;
+      } else {
+        return {
+          'success': false,
+          'error': data['error'] ?? 'Failed to submit offline payment.',
+        };
+      }
+    } catch (e) {
+      return {
+        'success': false,
+        'error': 'Network error: $e',
+      };
+    }
+  }
+
   /// Get verification status for a user.
   /// Returns { success, userId, idCardUrl, paymentReceiptImageUrl,
   ///           verificationStatus, verificationDate, verifiedBy }
@@ -125,7 +194,7 @@ class VerificationService {
     try {
       final response = await http.get(
         Uri.parse('$_baseUrl/verification-status/$userId'),
-        headers: {'Content-Type': 'application/json'},
+        headers: await _authHeaders(),
       );
 
       final data = jsonDecode(response.body) as Map<String, dynamic>;
@@ -151,8 +220,8 @@ class VerificationService {
       String adminId) async {
     try {
       final response = await http.get(
-        Uri.parse('$_baseUrl/admin/verification-list?adminId=$adminId'),
-        headers: {'Content-Type': 'application/json'},
+        Uri.parse('$_baseUrl/admin/verification-list'),
+        headers: await _authHeaders(),
       );
 
       final data = jsonDecode(response.body) as Map<String, dynamic>;
@@ -182,11 +251,10 @@ class VerificationService {
     try {
       final response = await http.post(
         Uri.parse('$_baseUrl/admin/verify-user'),
-        headers: {'Content-Type': 'application/json'},
+        headers: await _authHeaders(),
         body: jsonEncode({
           'userId': userId,
           'action': action,
-          'adminId': adminId,
         }),
       );
 
@@ -0,0 +1,103 @@
+/**
+ * Acceptance Letter Controller
+ * ----------------------------
+ * Letters of acceptance for full papers with status `accepted` or
+ * `accepted_with_revision`, rendered with the "acceptanceLetter" document
+ * template and signed by the certificate signatories
+ * (settings/certificates, see utils/certificates.js).
+ *
+ * Routes:
+ *   GET /api/paper/acceptance-letter/:paperId          → View letter PDF inline
+ *   GET /api/paper/acceptance-letter/download/:paperId → Download letter PDF
+ *
+ * Access is granted to the paper owner or staff with letters:issue (admins),
+ * checked by requirePaperOwnerOrPermission on the routes.
+ * The letter is dated the day it was first issued
+ * (submission.acceptanceLetterIssuedAt), so every copy carries the same date.
+ */
+
+const { getDb } = require("../utils/firebase");
+const {
+    ACCEPTED_PAPER_STATUSES,
+    getCertificateSettings,
+    decodeSignature,
+} = require("../utils/certificates");
+const { sendDocument } = require("../utils/documents");
+
+/**
+ * When the paper's letter was first issued; stored on the first issue.
+ */
+async function getLetterIssuedAt(paperRef) {
+    return getDb().runTransaction(async (t) => {
+        const doc = await t.get(paperRef);
+        const { acceptanceLetterIssuedAt } = doc.data();
+        if (acceptanceLetterIssuedAt) return acceptanceLetterIssuedAt;
+
+        const now = new Date().toISOString();
+        t.update(paperRef, { acceptanceLetterIssuedAt: now });
+        return now;
+    });
+}
+
+/**
+ * GET /api/paper/acceptance-letter/:paperId
+ * GET /api/paper/acceptance-letter/download/:paperId
+ * Serves the acceptance letter (inline or as an attachment).
+ */
+function serveAcceptanceLetter(disposition) {
+    return async (req, res) => {
+        try {
+            const { paperId } = req.params;
+            const db = getDb();
+            const paperDoc = await db.collection("submissions").doc(paperId).get();
+
+            if (!paperDoc.exists) {
+                return res.status(404).json({
+                    success: false,
+                    error: "Paper submission not found.",
+                });
+            }
+
+            const submission = { id: paperDoc.id, ...paperDoc.data() };
+
+            const status = String(submission.status || "").toLowerCase().trim();
+            if (!ACCEPTED_PAPER_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `An acceptance letter is only available for accepted papers. Current status is '${submission.status}'.`,
+                });
+            }
+
+            const userDoc = await db.collection("users").doc(submission.uid).get();
+            const { signatories } = await getCertificateSettings();
+
+            const issuedAt = await getLetterIssuedAt(paperDoc.ref);
+
+            sendDocument(res, "acceptanceLetter", {
+                submission,
+                status,
+                userData: userDoc.exists ? userDoc.data() : {},
+                signatories: signatories.map((s) => ({
+                    name: s.name,
+                    designation: s.designation,
+                    image: decodeSignature(s.signature),
+                })),
+                issuedAt,
+            }, disposition);
+        } catch (error) {
+            console.error("[ACCEPTANCE LETTER] Error:", error);
+            return res.status(500).json({
+                success: false,
+                error: "Failed to generate acceptance letter.",
+            });
+        }
+    };
+}
+
+const viewAcceptanceLetter = serveAcceptanceLetter("inline");
+const downloadAcceptanceLetter = serveAcceptanceLetter("attachment");
+
+module.exports = {
+    viewAcceptanceLetter,
+    downloadAcceptanceLetter,
+};
@@ -8,117 +8,108 @@
  * Attendee data is stored in the 'attendees' Firestore collection.
  *
  * SECURITY CONSTRAINTS:
- * - Amount is ALWAYS ₹100, hardcoded server-side.
+ * - Amount is ALWAYS resolved server-side from the fee schedule
+ *   (utils/fees.js); the rule is stored with the attendee record.
  * - Hash is generated server-side only; salt is never exposed.
+ * - Coupon codes are validated and reserved server-side before hashing;
+ *   a 100% coupon registers the attendee as "exempted" without payment.
  * - Duplicate registrations are prevented via email uniqueness check.
- * - Callback hash is verified before updating payment status.
+ * - Callback hash is verified before updating payment status; callbacks
+ *   with a missing or invalid hash are parked as "suspicious", never paid.
+ * - Callback amount/email/productinfo are cross-checked against the stored
+ *   attendee record; mismatches are flagged as tampering incidents.
  */
 
 const { getDb } = require("../utils/firebase");
+const { generateTxnId } = require("../utils/hashUtils");
+const { getPaymentProvider, supportsCurrency } = require("../utils/paymentProviders");
+const { recordAttempt, findAttemptRecord } = require("../utils/paymentAttempts");
+const { expireStaleRecords } = require("../utils/paymentExpiry");
 const {
-    generatePaymentHash,
-    generateReverseHash,
-    generateTxnId,
-} = require("../utils/hashUtils");
-const axios = require("axios");
-
-const EASEBUZZ_KEY = () => process.env.EASEBUZZ_MERCHANT_KEY;
-const EASEBUZZ_SALT = () => process.env.EASEBUZZ_MERCHANT_SALT;
-const EASEBUZZ_ENV = () => process.env.EASEBUZZ_ENV || "test";
-
-// Attendee registration fee — HARDCODED, never trust frontend
-const ATTENDEE_FEE = "100.00";
-
-/**
- * Get the Easebuzz API base URL based on environment.
- */
-function getEasebuzzBaseUrl() {
-    return EASEBUZZ_ENV() === "live"
-        ? "https://pay.easebuzz.in"
-        : "https://testpay.easebuzz.in";
-}
-
-/**
- * Generate attendee receipt number.
- * Format: EVT-ATT-2026-<random4digits>
- */
-function generateAttendeeReceiptNumber() {
-    const randomPart = Math.floor(1000 + Math.random() * 9000);
-    return `EVT-ATT-2026-${randomPart}`;
-}
+    FEE_CATEGORIES,
+    PARTICIPANT_TYPES,
+    resolveFee,
+} = require("../utils/fees");
+const {
+    CouponError,
+    reserveCoupon,
+    releaseCoupon,
+} = require("../utils/coupons");
+const {
+    REGISTERED_STATUSES,
+    validateAttendeeDetails,
+    findRegisteredAttendees,
+    resolveAttendeeRegion,
+} = require("../utils/attendees");
+const {
+    OUTCOMES,
+    checkPayloadHash,
+    getFailureReason,
+    settleAttendeeSuccess,
+    settleAttendeeFailure,
+} = require("../utils/paymentSettlement");
 
 /**
  * POST /create-attendee-payment
  *
- * Request body: { name, email, phone, organization, frontendUrl }
+ * Request body: { name, email, phone, organization, participantType?, nationality?, country?,
+ *                 couponCode?, frontendUrl }
+ * The price list (domestic INR / international USD) comes from the
+ * signed-in caller's profile, a region an admin confirmed for the email,
+ * else the nationality / country sent, for an admin to confirm
+ * (resolveAttendeeRegion in utils/attendees.js).
  *
  * Flow:
  * 1. Validate input fields
  * 2. Check for duplicate registration (by email)
- * 3. Set amount = 100 (hardcoded)
+ * 3. Resolve amount from the fee schedule and apply the coupon, if any
  * 4. Generate txnid and hash
  * 5. Call Easebuzz initiate API
  * 6. Store pending attendee record
  * 7. Return payment URL to frontend
  */
 async function createAttendeePayment(req, res) {
+    let coupon = null;
+
     try {
         const {
             name,
             email,
             phone,
             organization,
+            participantType: rawParticipantType,
+            nationality,
+            country,
+            couponCode,
             frontendUrl: clientFrontendUrl,
         } = req.body;
 
         // ─── Validate required fields ───
-        if (!name || !name.trim()) {
+        const { error: validationError, attendee } = validateAttendeeDetails({ name, email, phone });
+        if (validationError) {
             return res
                 .status(400)
-                .json({ success: false, error: "Full name is required." });
-        }
-        if (!email || !email.trim()) {
-            return res
-                .status(400)
-                .json({ success: false, error: "Email is required." });
-        }
-        if (!phone || !phone.trim()) {
-            return res
-                .status(400)
-                .json({ success: false, error: "Phone number is required." });
-        }
-
-        // Basic email format validation
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email.trim())) {
-            return res
-                .status(400)
-                .json({ success: false, error: "Invalid email format." });
+                .json({ success: false, error: validationError });
         }
 
-        // Basic phone validation (at least 10 digits)
-        const phoneDigits = phone.replace(/\D/g, "");
-        if (phoneDigits.length < 10) {
-            return res
-                .status(400)
-                .json({ success: false, error: "Invalid phone number." });
+        const participantType = String(rawParticipantType || "offline").toLowerCase().trim();
+        if (!PARTICIPANT_TYPES.includes(participantType)) {
+            return res.status(400).json({
+                success: false,
+                error: `participantType must be one of: ${PARTICIPANT_TYPES.join(", ")}.`,
+            });
         }
 
         const db = getDb();
 
         // ─── Check for duplicate registration (by email) ───
-        const existingSnap = await db
-            .collection("attendees")
-            .where("email", "==", email.trim().toLowerCase())
-            .where("paymentStatus", "==", "paid")
-            .limit(1)
-            .get();
+        const [existing] = await findRegisteredAttendees([attendee.email]);
 
-        if (!existingSnap.empty) {
+        if (existing) {
             return res.status(409).json({
                 success: false,
                 error: "This email is already registered as an attendee.",
-                existingTxnId: existingSnap.docs[0].data().txnid,
+                existingTxnId: existing.txnid,
             });
         }
 
@@ -129,103 +120,189 @@ async function createAttendeePayment(req, res) {
             "http://localhost:5000";
 
         // ─── Build payment payload ───
-        const amount = ATTENDEE_FEE; // NEVER trust frontend amount
+        const { origin, region, regionSource } = await resolveAttendeeRegion({
+            user: req.user,
+            email: attendee.email,
+            nationality,
+            country,
+        });
+        const fee = await resolveFee({
+            category: FEE_CATEGORIES.ATTENDEE,
+            region,
+            participantType,
+        });
         const txnid = generateTxnId();
-        const firstname = name.trim();
-        const cleanEmail = email.trim().toLowerCase();
-        const cleanPhone = phoneDigits.slice(-10); // Last 10 digits
+        const firstname = attendee.name;
+        const cleanEmail = attendee.email;
+        const cleanPhone = attendee.phone;
         const productinfo = "Attendee Registration Fee";
+        const attendeeRef = db.collection("attendees").doc();
 
-        const key = EASEBUZZ_KEY();
-        const salt = EASEBUZZ_SALT();
+        // ─── Apply coupon (validated + reserved server-side, before hashing) ───
+        if (couponCode) {
+            try {
+                coupon = await reserveCoupon({
+                    code: couponCode,
+                    category: FEE_CATEGORIES.ATTENDEE,
+                    amount: fee.amount,
+                    currency: fee.currency,
+                    collection: "attendees",
+                    recordId: attendeeRef.id,
+                    txnid,
+                    email: cleanEmail,
+                });
+            } catch (error) {
+                if (error instanceof CouponError) {
+                    return res.status(error.statusCode).json({ success: false, error: error.message });
+                }
+                throw error;
+            }
+        }
 
-        const hash = generatePaymentHash({
-            key,
-            txnid,
-            amount,
-            productinfo,
-            firstname,
-            email: cleanEmail,
-            salt,
-        });
+        const attendeeCoupon = coupon
+            ? {
+                code: coupon.code,
+                redemptionId: coupon.redemptionId,
+                originalAmount: coupon.originalAmount,
+                discountAmount: coupon.discountAmount,
+            }
+            : null;
+
+        // ─── 100% coupon: register without payment ───
+        if (coupon && coupon.isFullWaiver) {
+            const exemptionReason = `Coupon ${coupon.code}`;
+            await attendeeRef.set({
+                name: firstname,
+                email: cleanEmail,
+                phone: cleanPhone,
+                organization: (organization || "").trim(),
+                ...origin,
+                feeRegion: region,
+                regionSource,
+                amount: 0,
+                currency: fee.currency,
+                feeRule: fee.rule,
+                coupon: attendeeCoupon,
+                participantType,
+                productinfo,
+                txnid: null,
+                paymentStatus: "exempted",
+                exemptionReason,
+                paymentType: "attendee_registration",
+                paymentExemptedAt: new Date().toISOString(),
+                receiptNumber: null,
+            });
+
+            console.log(`[ATTENDEE] ${cleanEmail} registered with coupon ${coupon.code} (no payment)`);
+
+            return res.status(200).json({
+                success: true,
+                paymentRequired: false,
+                reason: exemptionReason,
+                coupon: attendeeCoupon,
+            });
+        }
+
+        const amount = coupon ? coupon.finalAmount.toFixed(2) : fee.amount; // NEVER trust frontend amount
 
-        // ─── Call Easebuzz initiate API ───
+        // ─── Start the checkout with the payment provider ───
         const backendBaseUrl =
             process.env.BACKEND_URL ||
             `${req.protocol}://${req.get("host")}`;
 
-        const initiatePayload = {
-            key,
+        const provider = getPaymentProvider();
+        if (!supportsCurrency(provider, fee.currency)) {
+            if (coupon) {
+                await releaseCoupon(coupon.redemptionId, "currency_unsupported");
+            }
+            return res.status(409).json({
+                success: false,
+                error: `Online payments in ${fee.currency} are not available. Please contact the organizers.`,
+            });
+        }
+
+        const initiation = await provider.initiate({
             txnid,
             amount,
+            currency: fee.currency,
             productinfo,
             firstname,
             email: cleanEmail,
             phone: cleanPhone,
             surl: `${backendBaseUrl}/api/attendee-payment-success`,
             furl: `${backendBaseUrl}/api/attendee-payment-failure`,
-            hash,
-        };
-
-        const easebuzzInitUrl = `${getEasebuzzBaseUrl()}/payment/initiateLink`;
-        const formData = new URLSearchParams(initiatePayload).toString();
-
-        const easebuzzResponse = await axios.post(easebuzzInitUrl, formData, {
-            headers: {
-                "Content-Type": "application/x-www-form-urlencoded",
-            },
         });
 
-        // Safely parse response
-        let responseData = easebuzzResponse.data;
-        if (typeof responseData === "string") {
-            try {
-                responseData = JSON.parse(responseData);
-            } catch (e) {
-                /* not JSON */
-            }
-        }
+        await recordAttempt({
+            txnid,
+            collection: "attendees",
+            recordId: attendeeRef.id,
+            provider: provider.name,
+            amount,
+            currency: fee.currency,
+            email: cleanEmail,
+            productinfo,
+            feeRule: fee.rule,
+            coupon: attendeeCoupon,
+            frontendUrl,
+        }, initiation);
 
-        if (responseData && responseData.status == 1) {
+        if (initiation.ok) {
             // ─── Store pending attendee record ───
-            await db.collection("attendees").add({
+            await attendeeRef.set({
                 name: firstname,
                 email: cleanEmail,
                 phone: cleanPhone,
                 organization: (organization || "").trim(),
+                ...origin,
+                feeRegion: region,
+                regionSource,
                 amount: parseFloat(amount),
+                currency: fee.currency,
+                feeRule: fee.rule,
+                coupon: attendeeCoupon,
+                participantType,
+                productinfo,
                 txnid,
                 paymentStatus: "pending",
                 paymentType: "attendee_registration",
+                paymentProvider: provider.name,
                 paymentInitiatedAt: new Date().toISOString(),
                 paymentFrontendUrl: frontendUrl,
                 receiptNumber: null,
             });
 
-            const accessKey = responseData.data;
-            const paymentUrl = `${getEasebuzzBaseUrl()}/pay/${accessKey}`;
-
             console.log(
                 `[ATTENDEE] Payment initiated for ${cleanEmail}, txnid=${txnid}`
             );
 
             return res.status(200).json({
                 success: true,
-                paymentUrl,
-                accessKey,
+                paymentUrl: initiation.paymentUrl,
+                accessKey: initiation.accessKey,
                 txnid,
                 amount,
+                currency: fee.currency,
+                tier: fee.tier,
+                feeRule: fee.rule,
+                coupon: attendeeCoupon,
             });
         } else {
-            console.error("[ATTENDEE] Easebuzz initiate failed:", responseData);
+            console.error(`[ATTENDEE] ${provider.name} initiate failed:`, initiation.raw);
+            if (coupon) {
+                await releaseCoupon(coupon.redemptionId, "initiation_failed");
+            }
             return res.status(500).json({
                 success: false,
                 error: "Failed to initiate payment with gateway.",
-                details: responseData?.message || "Unknown error",
+                details: initiation.error || "Unknown error",
             });
         }
     } catch (error) {
         console.error("[ATTENDEE] Create payment error:", error);
+        if (coupon && !coupon.isFullWaiver) {
+            await releaseCoupon(coupon.redemptionId, "initiation_failed").catch(() => {});
+        }
         return res.status(500).json({
             success: false,
             error: "Internal server error.",
@@ -239,6 +316,8 @@ async function createAttendeePayment(req, res) {
  *
  * Called by Easebuzz after successful attendee payment.
  * Verifies hash, updates Firestore attendees collection, redirects to Flutter.
+ * An invalid hash, or an amount/email/productinfo that differs from the
+ * stored record, parks the attendee as "suspicious" for admin review.
  */
 async function attendeePaymentSuccess(req, res) {
     // Determine the redirect frontend URL early so ALL code paths use it.
@@ -252,11 +331,9 @@ async function attendeePaymentSuccess(req, res) {
         const {
             txnid,
             amount,
-            productinfo,
             firstname,
             email,
             status,
-            hash: receivedHash,
         } = req.body;
 
         console.log("[ATTENDEE] Payment success callback:", {
@@ -269,74 +346,38 @@ async function attendeePaymentSuccess(req, res) {
 
         // ─── Look up the stored attendee record FIRST ───
         // We need the stored frontendUrl for all redirects, including failures.
-        const db = getDb();
-        const attendeesSnap = await db
-            .collection("attendees")
-            .where("txnid", "==", txnid)
-            .limit(1)
-            .get();
+        const attendeeDoc = await findAttemptRecord(txnid, "attendees", "txnid");
 
         let storedFrontendUrl = null;
 
-        if (!attendeesSnap.empty) {
-            const existingData = attendeesSnap.docs[0].data();
-            storedFrontendUrl = existingData.paymentFrontendUrl;
+        if (attendeeDoc) {
+            storedFrontendUrl = attendeeDoc.data().paymentFrontendUrl;
         }
 
         // Use stored URL (the actual origin of the user) for all redirects
         frontendUrl = storedFrontendUrl || frontendUrl;
 
-        // ─── Verify hash ───
-        const key = EASEBUZZ_KEY();
-        const salt = EASEBUZZ_SALT();
-
-        const expectedHash = generateReverseHash({
-            salt,
-            status,
-            email,
-            firstname,
-            productinfo,
-            amount,
-            txnid,
-            key,
-        });
-
-        if (receivedHash && receivedHash !== expectedHash) {
-            // Log the mismatch for debugging but DO NOT block payment.
-            // The callback came through Easebuzz's surl which is only called
-            // on genuine success. Hash mismatches in live mode are often
-            // caused by Easebuzz including extra fields (additionalCharges etc.)
-            // that aren't in our hash computation.
-            console.warn("[ATTENDEE] Hash mismatch (logging only, not blocking):", {
-                received: receivedHash,
-                expected: expectedHash,
-                txnid,
-                email,
-            });
-        }
-
-        // ─── Update Firestore attendees collection ───
-        if (!attendeesSnap.empty) {
-            const docRef = attendeesSnap.docs[0].ref;
-            const existingData = attendeesSnap.docs[0].data();
-
-            // Prevent duplicate updates
-            if (existingData.paymentStatus !== "paid") {
-                const receiptNumber = generateAttendeeReceiptNumber();
-                await docRef.update({
-                    paymentStatus: "paid",
-                    paymentAmount: parseFloat(amount),
-                    paymentDate: new Date().toISOString(),
-                    paymentGatewayStatus: status,
-                    receiptNumber,
-                });
-
-                console.log(
-                    `[ATTENDEE] Payment completed: ${email}, receipt=${receiptNumber}`
+        // ─── Verify hash + stored record, then mark paid (shared with the reconciler) ───
+        if (!attendeeDoc) {
+            if (!(await checkPayloadHash(null, req.body, "ATTENDEE"))) {
+                return res.redirect(
+                    `${frontendUrl}/#/payment-result?status=failed&txnid=${txnid}&reason=hash_mismatch&type=attendee`
                 );
             }
-        } else {
             console.warn(`[ATTENDEE] No attendee record found for txnid=${txnid}. Payment may have been initiated from a different environment.`);
+        } else {
+            const outcome = await settleAttendeeSuccess(attendeeDoc, req.body, "callback");
+            if (outcome === OUTCOMES.UNDER_REVIEW) {
+                return res.redirect(
+                    `${frontendUrl}/#/payment-result?status=failed&txnid=${txnid}&reason=under_review&type=attendee`
+                );
+            }
+            if (outcome === OUTCOMES.INVALID_HASH || outcome === OUTCOMES.ORDER_MISMATCH) {
+                const reason = outcome === OUTCOMES.INVALID_HASH ? "hash_mismatch" : "order_mismatch";
+                return res.redirect(
+                    `${frontendUrl}/#/payment-result?status=failed&txnid=${txnid}&reason=${reason}&type=attendee`
+                );
+            }
         }
 
         console.log(`[ATTENDEE] Redirecting to: ${frontendUrl}/#/payment-result?status=success&txnid=${txnid}&amount=${amount}&type=attendee`);
@@ -366,28 +407,14 @@ async function attendeePaymentFailure(req, res) {
 
         console.log("[ATTENDEE] Payment failure callback:", { txnid, status });
 
-        const db = getDb();
-        const attendeesSnap = await db
-            .collection("attendees")
-            .where("txnid", "==", txnid)
-            .limit(1)
-            .get();
+        const attendeeDoc = await findAttemptRecord(txnid, "attendees", "txnid");
 
         let storedFrontendUrl = null;
+        let outcome = null;
 
-        if (!attendeesSnap.empty) {
-            const docRef = attendeesSnap.docs[0].ref;
-            const existingData = attendeesSnap.docs[0].data();
-            storedFrontendUrl = existingData.paymentFrontendUrl;
-
-            // Only reset if not already paid (safety check)
-            if (existingData.paymentStatus !== "paid") {
-                await docRef.update({
-                    paymentStatus: "failed",
-                    paymentGatewayStatus: status || "failed",
-                    paymentFailedAt: new Date().toISOString(),
-                });
-            }
+        if (attendeeDoc) {
+            storedFrontendUrl = attendeeDoc.data().paymentFrontendUrl;
+            outcome = await settleAttendeeFailure(attendeeDoc, req.body, "callback");
         }
 
         const frontendUrl =
@@ -395,7 +422,7 @@ async function attendeePaymentFailure(req, res) {
             process.env.FRONTEND_URL ||
             "http://localhost:5000";
         return res.redirect(
-            `${frontendUrl}/#/payment-result?status=failed&txnid=${txnid}&reason=payment_failed&type=attendee`
+            `${frontendUrl}/#/payment-result?status=failed&txnid=${txnid}&reason=${getFailureReason(outcome)}&type=attendee`
         );
     } catch (error) {
         console.error("[ATTENDEE] Payment failure handler error:", error);
@@ -410,7 +437,9 @@ async function attendeePaymentFailure(req, res) {
 /**
  * GET /attendee-status/:email
  *
- * Returns the attendee registration status for a given email.
+ * Returns the attendee registration status for a given email. Pending
+ * checkouts older than the pending TTL are expired on read
+ * (utils/paymentExpiry.js).
  */
 async function getAttendeeStatus(req, res) {
     try {
@@ -423,10 +452,21 @@ async function getAttendeeStatus(req, res) {
         }
 
         const db = getDb();
+        const cleanEmail = email.toLowerCase().trim();
+
+        // Expire abandoned checkouts past the pending TTL; the rest are in flight
+        const pendingSnap = await db
+            .collection("attendees")
+            .where("email", "==", cleanEmail)
+            .where("paymentStatus", "==", "pending")
+            .get();
+        const pendingDocs = await expireStaleRecords(pendingSnap.docs, "attendees");
+        const inFlight = pendingDocs.find((doc) => doc.data().paymentStatus === "pending");
+
         const attendeesSnap = await db
             .collection("attendees")
-            .where("email", "==", email.toLowerCase().trim())
-            .where("paymentStatus", "==", "paid")
+            .where("email", "==", cleanEmail)
+            .where("paymentStatus", "in", REGISTERED_STATUSES)
             .limit(1)
             .get();
 
@@ -434,6 +474,8 @@ async function getAttendeeStatus(req, res) {
             return res.status(200).json({
                 success: true,
                 isRegistered: false,
+                paymentStatus: inFlight ? "pending" : null,
+                txnid: inFlight ? inFlight.data().txnid : null,
             });
         }
 
@@ -448,6 +490,9 @@ async function getAttendeeStatus(req, res) {
             receiptNumber: data.receiptNumber,
             paymentDate: data.paymentDate,
             amount: data.amount,
+            paymentStatus: data.paymentStatus,
+            feeRule: data.feeRule || null,
+            coupon: data.coupon || null,
         });
     } catch (error) {
         console.error("[ATTENDEE] Get status error:", error);
@@ -0,0 +1,545 @@
+/**
+ * Attendee Group Controller
+ * -------------------------
+ * Group registration: one payer (e.g. a college) registers several
+ * attendees and pays the total in a single Easebuzz transaction.
+ *
+ * Data model:
+ *   attendeeGroups/{groupId} — the payment record (contact, total amount,
+ *                              txnid, status, consolidated receipt number)
+ *   attendees/{id}           — one record per attendee with `groupId`, the
+ *                              group's txnid and their share of the amount;
+ *                              each gets its own receipt number once paid
+ *
+ * SECURITY CONSTRAINTS (same as single attendee registration):
+ * - Amount is resolved server-side: fee schedule × attendees, minus coupon.
+ * - Hash is generated server-side only; salt is never exposed.
+ * - Every email is checked against existing paid/exempted registrations.
+ * - Callbacks are settled through utils/paymentSettlement.js (hash and
+ *   order cross-check on the group record), which updates all members.
+ *
+ * Routes:
+ *   POST /create-attendee-group-payment      → Initiate a group payment
+ *   POST /attendee-group-payment-success     → Easebuzz success callback
+ *   POST /attendee-group-payment-failure     → Easebuzz failure callback
+ *   GET  /attendee-group-status/:groupId     → Group and member status
+ */
+
+const { getDb } = require("../utils/firebase");
+const { generateTxnId } = require("../utils/hashUtils");
+const { getPaymentProvider, supportsCurrency } = require("../utils/paymentProviders");
+const { recordAttempt, findAttemptRecord } = require("../utils/paymentAttempts");
+const {
+    FEE_CATEGORIES,
+    PARTICIPANT_TYPES,
+    resolveFee,
+} = require("../utils/fees");
+const {
+    CouponError,
+    reserveCoupon,
+    releaseCoupon,
+} = require("../utils/coupons");
+const {
+    validateAttendeeDetails,
+    findRegisteredAttendees,
+    resolveAttendeeRegion,
+    splitAmount,
+} = require("../utils/attendees");
+const {
+    OUTCOMES,
+    checkPayloadHash,
+    getFailureReason,
+    settleAttendeeGroupSuccess,
+    settleAttendeeGroupFailure,
+} = require("../utils/paymentSettlement");
+
+const MIN_GROUP_SIZE = 2;
+const MAX_GROUP_SIZE = 50;
+
+/**
+ * Write the group record and one attendee record per member in one batch.
+ * Returns the member attendee IDs.
+ */
+async function saveGroup(groupRef, group, members, memberFields) {
+    const db = getDb();
+    const batch = db.batch();
+    const shares = splitAmount(group.amount, members.length);
+
+    const attendeeIds = members.map((member, i) => {
+        const attendeeRef = db.collection("attendees").doc();
+        batch.set(attendeeRef, {
+            ...member,
+            organization: group.organization,
+            amount: shares[i],
+            currency: group.currency,
+            feeRule: group.feeRule,
+            coupon: null,
+            participantType: group.participantType,
+            productinfo: group.productinfo,
+            txnid: group.txnid,
+            groupId: groupRef.id,
+            paymentType: "attendee_registration",
+            receiptNumber: null,
+            ...memberFields,
+        });
+        return attendeeRef.id;
+    });
+
+    batch.set(groupRef, { ...group, attendeeIds });
+    await batch.commit();
+    return attendeeIds;
+}
+
+/**
+ * POST /create-attendee-group-payment
+ *
+ * Request body: {
+ *   name, email, phone,            ← payer / contact person
+ *   organization, participantType?, nationality?, country?, couponCode?, frontendUrl?,
+ *   attendees: [{ name, email, phone }, ...]
+ * }
+ * The contact's region picks the price list for the whole group, since it
+ * is paid in one transaction and one currency: the signed-in contact's
+ * profile, a region an admin confirmed for the contact's email, else the
+ * nationality / country sent, for an admin to confirm (utils/attendees.js).
+ *
+ * Flow:
+ * 1. Validate the contact and every attendee (no repeated emails)
+ * 2. Refuse emails that are already registered
+ * 3. Total = fee schedule amount × attendees, minus the coupon, if any
+ * 4. Call Easebuzz initiate API once for the total
+ * 5. Store the pending group and linked attendee records
+ */
+async function createAttendeeGroupPayment(req, res) {
+    let coupon = null;
+
+    try {
+        const {
+            name,
+            email,
+            phone,
+            organization,
+            participantType: rawParticipantType,
+            nationality,
+            country,
+            couponCode,
+            frontendUrl: clientFrontendUrl,
+            attendees: rawAttendees,
+        } = req.body;
+
+        // ─── Validate contact and attendees ───
+        const { error: contactError, attendee: contact } = validateAttendeeDetails({ name, email, phone });
+        if (contactError) {
+            return res.status(400).json({ success: false, error: `Contact: ${contactError}` });
+        }
+
+        if (!Array.isArray(rawAttendees)
+            || rawAttendees.length < MIN_GROUP_SIZE
+            || rawAttendees.length > MAX_GROUP_SIZE) {
+            return res.status(400).json({
+                success: false,
+                error: `attendees must list between ${MIN_GROUP_SIZE} and ${MAX_GROUP_SIZE} people.`,
+            });
+        }
+
+        const members = [];
+        for (const [index, raw] of rawAttendees.entries()) {
+            const { error, attendee } = validateAttendeeDetails(raw || {});
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Attendee ${index + 1}: ${error}`,
+                });
+            }
+            if (members.some((m) => m.email === attendee.email)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Attendee ${index + 1}: ${attendee.email} appears more than once.`,
+                });
+            }
+            members.push(attendee);
+        }
+
+        const participantType = String(rawParticipantType || "offline").toLowerCase().trim();
+        if (!PARTICIPANT_TYPES.includes(participantType)) {
+            return res.status(400).json({
+                success: false,
+                error: `participantType must be one of: ${PARTICIPANT_TYPES.join(", ")}.`,
+            });
+        }
+
+        // ─── Check for duplicate registrations (by email) ───
+        const existing = await findRegisteredAttendees(members.map((m) => m.email));
+        if (existing.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: "Some attendees are already registered.",
+                alreadyRegistered: existing.map((e) => e.email),
+            });
+        }
+
+        const db = getDb();
+        const frontendUrl =
+            clientFrontendUrl ||
+            process.env.FRONTEND_URL ||
+            "http://localhost:5000";
+
+        // ─── Build payment payload ───
+        const { origin, region, regionSource } = await resolveAttendeeRegion({
+            user: req.user,
+            email: contact.email,
+            nationality,
+            country,
+        });
+        const fee = await resolveFee({
+            category: FEE_CATEGORIES.ATTENDEE,
+            region,
+            participantType,
+        });
+        const totalBeforeDiscount = (parseFloat(fee.amount) * members.length).toFixed(2);
+        const txnid = generateTxnId();
+        const productinfo = "Group Attendee Registration Fee";
+        const groupRef = db.collection("attendeeGroups").doc();
+
+        // ─── Apply coupon to the total (validated + reserved before hashing) ───
+        if (couponCode) {
+            try {
+                coupon = await reserveCoupon({
+                    code: couponCode,
+                    category: FEE_CATEGORIES.ATTENDEE,
+                    amount: totalBeforeDiscount,
+                    currency: fee.currency,
+                    collection: "attendeeGroups",
+                    recordId: groupRef.id,
+                    txnid,
+                    email: contact.email,
+                });
+            } catch (error) {
+                if (error instanceof CouponError) {
+                    return res.status(error.statusCode).json({ success: false, error: error.message });
+                }
+                throw error;
+            }
+        }
+
+        const groupCoupon = coupon
+            ? {
+                code: coupon.code,
+                redemptionId: coupon.redemptionId,
+                originalAmount: coupon.originalAmount,
+                discountAmount: coupon.discountAmount,
+            }
+            : null;
+
+        const group = {
+            contactName: contact.name,
+            contactEmail: contact.email,
+            contactPhone: contact.phone,
+            organization: (organization || "").trim(),
+            ...origin,
+            feeRegion: region,
+            regionSource,
+            attendeeCount: members.length,
+            unitAmount: parseFloat(fee.amount),
+            currency: fee.currency,
+            feeRule: fee.rule,
+            coupon: groupCoupon,
+            participantType,
+            productinfo,
+            paymentType: "attendee_group_registration",
+            receiptNumber: null,
+            createdAt: new Date().toISOString(),
+        };
+
+        // ─── 100% coupon: register everyone without payment ───
+        if (coupon && coupon.isFullWaiver) {
+            const exemptionReason = `Coupon ${coupon.code}`;
+            const exempted = {
+                txnid: null,
+                paymentStatus: "exempted",
+                exemptionReason,
+                paymentExemptedAt: new Date().toISOString(),
+            };
+            const attendeeIds = await saveGroup(groupRef, { ...group, amount: 0, ...exempted }, members, exempted);
+
+            console.log(`[ATTENDEE GROUP] ${contact.email} registered ${members.length} attendees with coupon ${coupon.code} (no payment)`);
+
+            return res.status(200).json({
+                success: true,
+                paymentRequired: false,
+                reason: exemptionReason,
+                groupId: groupRef.id,
+                attendeeIds,
+                coupon: groupCoupon,
+            });
+        }
+
+        const amount = coupon ? coupon.finalAmount.toFixed(2) : totalBeforeDiscount; // NEVER trust frontend amount
+
+        // ─── Start the checkout with the payment provider ───
+        const backendBaseUrl =
+            process.env.BACKEND_URL ||
+            `${req.protocol}://${req.get("host")}`;
+
+        const provider = getPaymentProvider();
+        if (!supportsCurrency(provider, fee.currency)) {
+            if (coupon) {
+                await releaseCoupon(coupon.redemptionId, "currency_unsupported");
+            }
+            return res.status(409).json({
+                success: false,
+                error: `Online payments in ${fee.currency} are not available. Please contact the organizers.`,
+            });
+        }
+
+        const initiation = await provider.initiate({
+            txnid,
+            amount,
+            currency: fee.currency,
+            productinfo,
+            firstname: contact.name,
+            email: contact.email,
+            phone: contact.phone,
+            surl: `${backendBaseUrl}/api/attendee-group-payment-success`,
+            furl: `${backendBaseUrl}/api/attendee-group-payment-failure`,
+        });
+
+        await recordAttempt({
+            txnid,
+            collection: "attendeeGroups",
+            recordId: groupRef.id,
+            provider: provider.name,
+            amount,
+            currency: fee.currency,
+            email: contact.email,
+            productinfo,
+            feeRule: fee.rule,
+            coupon: groupCoupon,
+            frontendUrl,
+        }, initiation);
+
+        if (initiation.ok) {
+            // ─── Store pending group and attendee records ───
+            const pending = {
+                txnid,
+                paymentStatus: "pending",
+                paymentProvider: provider.name,
+                paymentInitiatedAt: new Date().toISOString(),
+                paymentFrontendUrl: frontendUrl,
+            };
+            const attendeeIds = await saveGroup(
+                groupRef,
+                { ...group, amount: parseFloat(amount), ...pending },
+                members,
+                pending
+            );
+
+            console.log(
+                `[ATTENDEE GROUP] Payment initiated for ${members.length} attendees by ${contact.email}, txnid=${txnid}`
+            );
+
+            return res.status(200).json({
+                success: true,
+                paymentUrl: initiation.paymentUrl,
+                accessKey: initiation.accessKey,
+                txnid,
+                groupId: groupRef.id,
+                attendeeIds,
+                attendeeCount: members.length,
+                unitAmount: fee.amount,
+                amount,
+                currency: fee.currency,
+                tier: fee.tier,
+                feeRule: fee.rule,
+                coupon: groupCoupon,
+            });
+        } else {
+            console.error(`[ATTENDEE GROUP] ${provider.name} initiate failed:`, initiation.raw);
+            if (coupon) {
+                await releaseCoupon(coupon.redemptionId, "initiation_failed");
+            }
+            return res.status(500).json({
+                success: false,
+                error: "Failed to initiate payment with gateway.",
+                details: initiation.error || "Unknown error",
+            });
+        }
+    } catch (error) {
+        console.error("[ATTENDEE GROUP] Create payment error:", error);
+        if (coupon && !coupon.isFullWaiver) {
+            await releaseCoupon(coupon.redemptionId, "initiation_failed").catch(() => {});
+        }
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+/**
+ * Find the group a txnid belongs to.
+ */
+function findGroupByTxnid(txnid) {
+    return findAttemptRecord(txnid, "attendeeGroups", "txnid");
+}
+
+/**
+ * POST /attendee-group-payment-success
+ *
+ * Called by Easebuzz after a successful group payment.
+ * Verifies hash and stored order, marks the group and every member paid,
+ * then redirects to Flutter.
+ */
+async function attendeeGroupPaymentSuccess(req, res) {
+    let frontendUrl = process.env.FRONTEND_URL || "http://localhost:5000";
+
+    try {
+        const { txnid, amount, status } = req.body;
+
+        console.log("[ATTENDEE GROUP] Payment success callback:", { txnid, amount, status });
+
+        const groupDoc = await findGroupByTxnid(txnid);
+        if (groupDoc) {
+            frontendUrl = groupDoc.data().paymentFrontendUrl || frontendUrl;
+        }
+
+        if (!groupDoc) {
+            if (!(await checkPayloadHash(null, req.body, "ATTENDEE GROUP"))) {
+                return res.redirect(
+                    `${frontendUrl}/#/payment-result?status=failed&txnid=${txnid}&reason=hash_mismatch&type=attendee_group`
+                );
+            }
+            console.warn(`[ATTENDEE GROUP] No group found for txnid=${txnid}.`);
+        } else {
+            const outcome = await settleAttendeeGroupSuccess(groupDoc, req.body, "callback");
+            if (outcome === OUTCOMES.UNDER_REVIEW) {
+                return res.redirect(
+                    `${frontendUrl}/#/payment-result?status=failed&txnid=${txnid}&reason=under_review&type=attendee_group`
+                );
+            }
+            if (outcome === OUTCOMES.INVALID_HASH || outcome === OUTCOMES.ORDER_MISMATCH) {
+                const reason = outcome === OUTCOMES.INVALID_HASH ? "hash_mismatch" : "order_mismatch";
+                return res.redirect(
+                    `${frontendUrl}/#/payment-result?status=failed&txnid=${txnid}&reason=${reason}&type=attendee_group`
+                );
+            }
+        }
+
+        const groupParam = groupDoc ? `&groupId=${groupDoc.id}` : "";
+        return res.redirect(
+            `${frontendUrl}/#/payment-result?status=success&txnid=${txnid}&amount=${amount}&type=attendee_group${groupParam}`
+        );
+    } catch (error) {
+        console.error("[ATTENDEE GROUP] Payment success handler error:", {
+            message: error.message,
+            stack: error.stack,
+        });
+        return res.redirect(
+            `${frontendUrl}/#/payment-result?status=failed&reason=server_error&type=attendee_group`
+        );
+    }
+}
+
+/**
+ * POST /attendee-group-payment-failure
+ *
+ * Called by Easebuzz after a failed/cancelled group payment.
+ * Marks the group and its members failed, redirects to Flutter.
+ */
+async function attendeeGroupPaymentFailure(req, res) {
+    try {
+        const { txnid, status } = req.body;
+
+        console.log("[ATTENDEE GROUP] Payment failure callback:", { txnid, status });
+
+        const groupDoc = await findGroupByTxnid(txnid);
+        let storedFrontendUrl = null;
+        let outcome = null;
+
+        if (groupDoc) {
+            storedFrontendUrl = groupDoc.data().paymentFrontendUrl;
+            outcome = await settleAttendeeGroupFailure(groupDoc, req.body, "callback");
+        }
+
+        const frontendUrl =
+            storedFrontendUrl ||
+            process.env.FRONTEND_URL ||
+            "http://localhost:5000";
+        return res.redirect(
+            `${frontendUrl}/#/payment-result?status=failed&txnid=${txnid}&reason=${getFailureReason(outcome)}&type=attendee_group`
+        );
+    } catch (error) {
+        console.error("[ATTENDEE GROUP] Payment failure handler error:", error);
+        const frontendUrl =
+            process.env.FRONTEND_URL || "http://localhost:5000";
+        return res.redirect(
+            `${frontendUrl}/#/payment-result?status=failed&reason=server_error&type=attendee_group`
+        );
+    }
+}
+
+/**
+ * GET /attendee-group-status/:groupId
+ *
+ * Returns the group payment status and each member's status. The route is
+ * public, so no names or emails are included.
+ */
+async function getAttendeeGroupStatus(req, res) {
+    try {
+        const { groupId } = req.params;
+        const db = getDb();
+
+        const groupDoc = await db.collection("attendeeGroups").doc(groupId).get();
+        if (!groupDoc.exists) {
+            return res.status(404).json({ success: false, error: "Group registration not found." });
+        }
+        const group = groupDoc.data();
+
+        const memberDocs = await Promise.all(
+            (group.attendeeIds || []).map((id) => db.collection("attendees").doc(id).get())
+        );
+        const members = memberDocs.filter((doc) => doc.exists);
+
+        const statusCounts = {};
+        members.forEach((doc) => {
+            const status = doc.data().paymentStatus;
+            statusCounts[status] = (statusCounts[status] || 0) + 1;
+        });
+
+        return res.status(200).json({
+            success: true,
+            groupId,
+            organization: group.organization,
+            paymentStatus: group.paymentStatus,
+            txnid: group.txnid,
+            receiptNumber: group.receiptNumber,
+            paymentDate: group.paymentDate || null,
+            attendeeCount: group.attendeeCount,
+            unitAmount: group.unitAmount,
+            amount: group.amount,
+            feeRule: group.feeRule || null,
+            coupon: group.coupon || null,
+            statusCounts,
+            attendees: members.map((doc) => ({
+                attendeeId: doc.id,
+                paymentStatus: doc.data().paymentStatus,
+                receiptNumber: doc.data().receiptNumber || null,
+            })),
+        });
+    } catch (error) {
+        console.error("[ATTENDEE GROUP] Get status error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            message: error.message,
+        });
+    }
+}
+
+module.exports = {
+    createAttendeeGroupPayment,
+    attendeeGroupPaymentSuccess,
+    attendeeGroupPaymentFailure,
+    getAttendeeGroupStatus,
+};
@@ -0,0 +1,152 @@
+/**
+ * Attendee Region Controller
+ * --------------------------
+ * Admin confirmation of the price list (domestic / international) of
+ * attendees who registered without signing in, since their nationality /
+ * country is only what they typed (see resolveAttendeeRegion in
+ * utils/attendees.js).
+ *
+ * Routes:
+ *   GET /admin/attendee-regions         → Registrations whose region is unconfirmed
+ *   PUT /admin/attendee-regions/:email  → Confirm or correct an email's region
+ *
+ * A confirmation is kept in `attendeeRegions/{email}` and prices that
+ * email's later registrations. Existing registrations are stamped with it;
+ * one charged on the other price list is flagged `regionMismatch`, for
+ * finance to collect the difference or refund it.
+ */
+
+const { getDb } = require("../utils/firebase");
+const { FEE_REGIONS } = require("../utils/fees");
+const { REGION_SOURCES } = require("../utils/attendees");
+
+// Individual attendees, and group contacts (group members share the group's region)
+const REGION_RECORDS = [
+    { collection: "attendees", emailField: "email", nameField: "name" },
+    { collection: "attendeeGroups", emailField: "contactEmail", nameField: "contactName" },
+];
+
+function summarise({ collection, emailField, nameField }, id, d) {
+    return {
+        collection,
+        id,
+        name: d[nameField] || "",
+        email: d[emailField] || "",
+        nationality: d.nationality || null,
+        country: d.country || null,
+        feeRegion: d.feeRegion || null,
+        currency: d.currency || null,
+        amount: d.amount ?? null,
+        paymentStatus: d.paymentStatus || null,
+        regionConfirmation: d.regionConfirmation || null,
+        regionMismatch: d.regionMismatch === true,
+    };
+}
+
+// ──────────────── GET /admin/attendee-regions ────────────────
+
+/**
+ * Registrations priced from a declared region. ?all=true includes the
+ * ones already confirmed.
+ */
+async function adminListAttendeeRegions(req, res) {
+    try {
+        const db = getDb();
+        const includeConfirmed = req.query.all === "true";
+        const registrations = [];
+
+        for (const record of REGION_RECORDS) {
+            const snap = await db
+                .collection(record.collection)
+                .where("regionSource", "==", REGION_SOURCES.DECLARED)
+                .get();
+
+            snap.docs
+                .filter((doc) => !doc.data().groupId)
+                .filter((doc) => includeConfirmed || !doc.data().regionConfirmation)
+                .forEach((doc) => registrations.push(summarise(record, doc.id, doc.data())));
+        }
+
+        return res.status(200).json({
+            success: true,
+            count: registrations.length,
+            registrations,
+        });
+    } catch (error) {
+        console.error("[ATTENDEE REGION] List error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── PUT /admin/attendee-regions/:email ────────────────
+
+/**
+ * Confirm the region of an email. Body: { region: "domestic"|"international", note? }
+ */
+async function adminConfirmAttendeeRegion(req, res) {
+    try {
+        const email = String(req.params.email || "").toLowerCase().trim();
+        const { region } = req.body;
+        const note = String(req.body.note || "").trim() || null;
+
+        if (!Object.values(FEE_REGIONS).includes(region)) {
+            return res.status(400).json({
+                success: false,
+                error: `region must be one of: ${Object.values(FEE_REGIONS).join(", ")}.`,
+            });
+        }
+
+        const db = getDb();
+        const confirmation = {
+            region,
+            confirmedBy: req.user.uid,
+            confirmedAt: new Date().toISOString(),
+        };
+        await db.collection("attendeeRegions").doc(email).set({ email, note, ...confirmation });
+
+        const registrations = [];
+        for (const record of REGION_RECORDS) {
+            const snap = await db
+                .collection(record.collection)
+                .where(record.emailField, "==", email)
+                .get();
+
+            for (const doc of snap.docs) {
+                const d = doc.data();
+                if (d.regionSource !== REGION_SOURCES.DECLARED || d.groupId) continue;
+
+                const update = {
+                    regionConfirmation: confirmation,
+                    regionMismatch: Boolean(d.feeRegion) && d.feeRegion !== region,
+                };
+                await doc.ref.update(update);
+                registrations.push(summarise(record, doc.id, { ...d, ...update }));
+            }
+        }
+
+        const mismatched = registrations.filter((r) => r.regionMismatch).length;
+        console.log(`[ATTENDEE REGION] ${req.user.uid} confirmed ${email} as ${region} (${registrations.length} registration(s), ${mismatched} on the other price list)`);
+
+        return res.status(200).json({
+            success: true,
+            confirmation: { email, note, ...confirmation },
+            registrations,
+        });
+    } catch (error) {
+        console.error("[ATTENDEE REGION] Confirm error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+module.exports = {
+    adminListAttendeeRegions,
+    adminConfirmAttendeeRegion,
+};
@@ -0,0 +1,103 @@
+/**
+ * Badge Controller
+ * ----------------
+ * Print-ready conference badges for paid authors and attendees
+ * (see utils/badges.js), rendered with the "badges" document template.
+ *
+ * Routes:
+ *   GET /admin/badges          → Badge PDF (all holders, a category or one person)
+ *   GET /admin/badges/holders  → Who gets a badge (JSON)
+ *
+ * Query: ?category=author|student|scholar|attendee, ?email= or ?badgeId= for
+ * one person, ?perSheet=1|4|6 (1 = one A6 badge per page; default 4 per A4).
+ *
+ * Each badge's QR code verifies the holder's receipt
+ * (/api/receipt/verify/:token); without RECEIPT_SIGNING_SECRET it holds the
+ * receipt number.
+ */
+
+const { BadgeError, getBadgeSheet, getBadgeHolders } = require("../utils/badges");
+const { getReceiptVerificationUrl } = require("../utils/receiptVerification");
+const { sendDocument } = require("../utils/documents");
+
+function sendBadgeError(res, error, logLabel) {
+    if (error instanceof BadgeError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+        });
+    }
+
+    console.error(`[BADGES] ${logLabel} error:`, error);
+    return res.status(500).json({
+        success: false,
+        error: "Internal server error.",
+        details: error.message,
+    });
+}
+
+function holderFilters(query) {
+    return {
+        category: query.category ? String(query.category).toLowerCase().trim() : undefined,
+        email: query.email,
+        badgeId: query.badgeId,
+    };
+}
+
+function badgeQrValue(req, holder) {
+    const { receipt } = holder;
+    if (!receipt) return holder.badgeId;
+
+    return getReceiptVerificationUrl(req, receipt.collection, receipt.recordId, receipt.receiptNumber)
+        || receipt.receiptNumber;
+}
+
+// ──────────────── GET /admin/badges ────────────────
+
+async function adminDownloadBadges(req, res) {
+    try {
+        const sheet = getBadgeSheet(req.query.perSheet);
+        const holders = await getBadgeHolders(holderFilters(req.query));
+
+        if (holders.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: "No paid author or attendee matches these filters.",
+            });
+        }
+
+        const badges = holders.map((holder) => ({
+            ...holder,
+            qr: badgeQrValue(req, holder),
+        }));
+
+        console.log(`[BADGES] ${req.user.uid} generated ${badges.length} badge(s), ${sheet.perSheet} per page`);
+        sendDocument(res, "badges", { badges, sheet }, "attachment");
+    } catch (error) {
+        return sendBadgeError(res, error, "Download");
+    }
+}
+
+// ──────────────── GET /admin/badges/holders ────────────────
+
+async function adminListBadgeHolders(req, res) {
+    try {
+        const holders = await getBadgeHolders(holderFilters(req.query));
+
+        return res.status(200).json({
+            success: true,
+            count: holders.length,
+            holders: holders.map(({ receipt, ...holder }) => ({
+                ...holder,
+                receiptNumber: receipt ? receipt.receiptNumber : null,
+            })),
+        });
+    } catch (error) {
+        return sendBadgeError(res, error, "List");
+    }
+}
+
+module.exports = {
+    adminDownloadBadges,
+    adminListBadgeHolders,
+};
@@ -0,0 +1,371 @@
+/**
+ * Certificate Controller
+ * ----------------------
+ * Certificates of participation (paid attendees) and presentation
+ * (accepted, paid full papers), rendered with the "certificate" document
+ * template. Certificates are issued on first download or in the admin bulk
+ * download (utils/certificates.js); listing them never issues any.
+ *
+ * Routes:
+ *   GET /api/certificates/verify/:certificateId  → Verify a certificate ID (public)
+ *   GET /api/certificates/:uid                   → The user's presentation certificates (JSON, read-only)
+ *   GET /api/certificates/download/:uid          → Presentation certificate PDF (?paperId=)
+ *   GET /api/attendee-certificate/download/:txnid → Participation certificate PDF (?email= for group members)
+ *   GET/PUT /api/admin/certificates/settings     → Wording, signatories, release
+ *   GET /api/admin/certificates/download         → ZIP of all certificates (?type=)
+ *
+ * Users and attendees can download their certificates once they are
+ * released in the settings; staff with certificates:issue can at any time.
+ */
+
+const { PassThrough } = require("stream");
+const archiver = require("archiver");
+const { getDb } = require("../utils/firebase");
+const {
+    CERTIFICATE_TYPES,
+    CertificateError,
+    getCertificateSettings,
+    validateCertificateSettings,
+    decodeSignature,
+    fillTemplate,
+    getPresentationRecipients,
+    getParticipationRecipients,
+    issueCertificates,
+    getIssuedCertificates,
+    getCertificateById,
+} = require("../utils/certificates");
+const { findPaidAttendee } = require("./attendeeReceiptController");
+const { getBranding, renderDocument, sendDocument } = require("../utils/documents");
+const { PERMISSIONS, hasPermission } = require("../middleware/permissions");
+
+function sendCertificateError(res, error, logLabel) {
+    if (error instanceof CertificateError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+        });
+    }
+
+    console.error(`[CERTIFICATES] ${logLabel} error:`, error);
+    return res.status(500).json({
+        success: false,
+        error: "Internal server error.",
+        details: error.message,
+    });
+}
+
+function getCertificateVerificationUrl(req, certificateId) {
+    const backendBaseUrl = process.env.BACKEND_URL
+        || `${req.protocol}://${req.get("host")}`;
+    return `${backendBaseUrl}/api/certificates/verify/${encodeURIComponent(certificateId)}`;
+}
+
+/**
+ * Template data for one certificate: the configured wording with its
+ * placeholders filled in, and the signatories' signature images.
+ */
+function certificateDocumentData(req, certificate, settings) {
+    const { eventName, eventDates, eventVenue } = getBranding();
+    const template = settings.templates[certificate.type];
+    const coAuthors = (certificate.coAuthors || []).join(", ");
+
+    const body = fillTemplate(template.body, {
+        name: certificate.recipientName,
+        institution: certificate.institution,
+        event: `${eventName}, held at ${eventVenue}${eventDates ? ` on ${eventDates}` : ""}`,
+        eventName,
+        eventDates: eventDates || "",
+        eventVenue,
+        paperTitle: certificate.paperTitle,
+        coAuthors,
+        referenceNumber: certificate.referenceNumber,
+    });
+
+    return {
+        certificate,
+        heading: template.heading,
+        body,
+        // Co-authors are listed under the body unless the wording names them
+        coAuthorsLine: coAuthors && !template.body.includes("{coAuthors}") ? `Co-authors: ${coAuthors}` : null,
+        signatories: settings.signatories.map((s) => ({
+            name: s.name,
+            designation: s.designation,
+            image: decodeSignature(s.signature),
+        })),
+        verificationUrl: getCertificateVerificationUrl(req, certificate.certificateId),
+    };
+}
+
+/**
+ * Users get their certificates once released; staff can always.
+ */
+async function ensureReleased(req, settings) {
+    if (settings.released) return;
+    if (req.user && await hasPermission(req.user, PERMISSIONS.CERTIFICATES_ISSUE)) return;
+    throw new CertificateError("Certificates have not been released yet.", 403);
+}
+
+/**
+ * JSON summary of an issued certificate, or of a recipient whose
+ * certificate is not issued yet (certificateId and issuedAt null).
+ */
+function summarise(certificate) {
+    return {
+        certificateId: certificate.certificateId || null,
+        type: certificate.type,
+        recipientName: certificate.recipientName,
+        institution: certificate.institution,
+        paperId: certificate.collection === "submissions" ? certificate.recordId : null,
+        paperTitle: certificate.paperTitle,
+        referenceNumber: certificate.referenceNumber,
+        issuedAt: certificate.issuedAt || null,
+    };
+}
+
+/**
+ * Add a rendered PDF to the ZIP and wait until archiver has written it,
+ * so one certificate at a time is held in memory.
+ */
+function appendEntry(archive, res, stream, name) {
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            archive.off("entry", onEntry);
+            archive.off("error", onError);
+            res.off("close", onClose);
+        };
+        const onEntry = () => { cleanup(); resolve(); };
+        const onError = (error) => { cleanup(); reject(error); };
+        const onClose = () => {
+            cleanup();
+            archive.abort();
+            reject(new Error("Client closed the connection."));
+        };
+
+        archive.on("entry", onEntry);
+        archive.on("error", onError);
+        res.on("close", onClose);
+        archive.append(stream, { name });
+    });
+}
+
+// ──────────────── GET /certificates/verify/:certificateId ────────────────
+
+async function verifyCertificate(req, res) {
+    try {
+        const certificate = await getCertificateById(req.params.certificateId);
+
+        if (!certificate) {
+            return res.status(200).json({
+                success: true,
+                valid: false,
+                reason: "No certificate with this ID was issued by us.",
+            });
+        }
+
+        const { certificateId, type, recipientName, institution, paperTitle, issuedAt } = certificate;
+        return res.status(200).json({
+            success: true,
+            valid: true,
+            certificate: {
+                certificateId,
+                type,
+                recipientName,
+                institution,
+                paperTitle,
+                event: getBranding().eventName,
+                issuedAt,
+            },
+        });
+    } catch (error) {
+        return sendCertificateError(res, error, "Verify");
+    }
+}
+
+// ──────────────── GET /certificates/:uid ────────────────
+
+async function listUserCertificates(req, res) {
+    try {
+        const settings = await getCertificateSettings();
+        await ensureReleased(req, settings);
+
+        // Read-only: certificates are issued when downloaded
+        const recipients = await getPresentationRecipients({ uid: req.params.uid });
+        const issued = await getIssuedCertificates(recipients);
+
+        return res.status(200).json({
+            success: true,
+            certificates: recipients.map((recipient, i) => summarise(issued[i] || recipient)),
+        });
+    } catch (error) {
+        return sendCertificateError(res, error, "List");
+    }
+}
+
+// ──────────────── GET /certificates/download/:uid ────────────────
+
+/**
+ * Presentation certificate for one of the user's papers.
+ * ?paperId= is required when the user presented more than one paper.
+ */
+async function downloadUserCertificate(req, res) {
+    try {
+        const settings = await getCertificateSettings();
+        await ensureReleased(req, settings);
+
+        const { paperId } = req.query;
+        let recipients = await getPresentationRecipients({ uid: req.params.uid });
+        if (paperId) recipients = recipients.filter((r) => r.recordId === paperId);
+
+        if (recipients.length === 0) {
+            throw new CertificateError(paperId
+                ? "No certificate is available for this paper."
+                : "No accepted and paid paper was found for this user.", 404);
+        }
+        if (recipients.length > 1) {
+            throw new CertificateError("Select a paper with ?paperId= (you have more than one certificate).");
+        }
+
+        const [certificate] = await issueCertificates(recipients, req.user.uid);
+        sendDocument(res, "certificate", certificateDocumentData(req, certificate, settings), "attachment");
+    } catch (error) {
+        return sendCertificateError(res, error, "Download");
+    }
+}
+
+// ──────────────── GET /attendee-certificate/download/:txnid ────────────────
+
+async function downloadAttendeeCertificate(req, res) {
+    try {
+        const settings = await getCertificateSettings();
+        await ensureReleased(req, settings);
+
+        const attendee = await findPaidAttendee(req.params.txnid, req.query.email);
+        if (!attendee) {
+            return res.status(403).json({
+                success: false,
+                error: "No paid attendee registration found for this transaction.",
+            });
+        }
+
+        const recipients = await getParticipationRecipients({ attendeeId: attendee.id });
+        const [certificate] = await issueCertificates(recipients, null);
+        sendDocument(res, "certificate", certificateDocumentData(req, certificate, settings), "attachment");
+    } catch (error) {
+        return sendCertificateError(res, error, "Attendee download");
+    }
+}
+
+// ──────────────── GET /admin/certificates/settings ────────────────
+
+async function adminGetCertificateSettings(req, res) {
+    try {
+        return res.status(200).json({
+            success: true,
+            settings: await getCertificateSettings(),
+            types: Object.values(CERTIFICATE_TYPES),
+        });
+    } catch (error) {
+        return sendCertificateError(res, error, "Settings read");
+    }
+}
+
+// ──────────────── PUT /admin/certificates/settings ────────────────
+
+/**
+ * Update the certificate settings. Body (all optional):
+ *   { released, templates: { participation|presentation: { heading, body } },
+ *     signatories: [{ name, designation, signature }] }
+ * Issued certificates keep their IDs; the new wording applies to every download.
+ */
+async function adminUpdateCertificateSettings(req, res) {
+    try {
+        const { errors, update } = validateCertificateSettings(req.body || {});
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join(" ") });
+        }
+
+        await getDb().collection("settings").doc("certificates").set({
+            ...update,
+            updatedBy: req.user.uid,
+            updatedAt: new Date().toISOString(),
+        }, { merge: true });
+
+        console.log(`[CERTIFICATES] ${req.user.uid} updated the certificate settings (${Object.keys(update).join(", ")})`);
+
+        return res.status(200).json({ success: true, settings: await getCertificateSettings() });
+    } catch (error) {
+        return sendCertificateError(res, error, "Settings update");
+    }
+}
+
+// ──────────────── GET /admin/certificates/download ────────────────
+
+/**
+ * ZIP of certificates, one PDF each, issuing any not yet issued.
+ * ?type=participation|presentation limits to one type.
+ */
+async function adminDownloadCertificates(req, res) {
+    try {
+        const type = req.query.type ? String(req.query.type).toLowerCase().trim() : null;
+        if (type && !Object.values(CERTIFICATE_TYPES).includes(type)) {
+            throw new CertificateError(`type must be one of: ${Object.values(CERTIFICATE_TYPES).join(", ")}.`);
+        }
+
+        const settings = await getCertificateSettings();
+        const recipients = [
+            ...(!type || type === CERTIFICATE_TYPES.PRESENTATION ? await getPresentationRecipients() : []),
+            ...(!type || type === CERTIFICATE_TYPES.PARTICIPATION ? await getParticipationRecipients() : []),
+        ];
+
+        if (recipients.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: "No one is eligible for a certificate yet.",
+            });
+        }
+
+        const certificates = await issueCertificates(recipients, req.user.uid);
+
+        res.setHeader("Content-Type", "application/zip");
+        res.setHeader(
+            "Content-Disposition",
+            `attachment; filename="Certificates${type ? `_${type}` : ""}.zip"`
+        );
+
+        const archive = archiver("zip");
+        archive.on("error", (error) => {
+            console.error("[CERTIFICATES] ZIP error:", error);
+            res.destroy(error);
+        });
+        archive.pipe(res);
+
+        for (const certificate of certificates) {
+            const entry = new PassThrough();
+            const { filename } = renderDocument(
+                "certificate",
+                certificateDocumentData(req, certificate, settings),
+                entry
+            );
+            await appendEntry(archive, res, entry, `${certificate.type}/${filename}`);
+        }
+
+        console.log(`[CERTIFICATES] ${req.user.uid} downloaded ${certificates.length} certificate(s)${type ? ` (${type})` : ""}`);
+        await archive.finalize();
+    } catch (error) {
+        if (res.headersSent) {
+            console.error("[CERTIFICATES] Bulk download error:", error);
+            return res.destroy(error);
+        }
+        return sendCertificateError(res, error, "Bulk download");
+    }
+}
+
+module.exports = {
+    verifyCertificate,
+    listUserCertificates,
+    downloadUserCertificate,
+    downloadAttendeeCertificate,
+    adminGetCertificateSettings,
+    adminUpdateCertificateSettings,
+    adminDownloadCertificates,
+};
@@ -0,0 +1,196 @@
+/**
+ * Coupon Controller
+ * -----------------
+ * Admin management of discount codes and their usage
+ * (see utils/coupons.js for how codes are applied).
+ *
+ * Routes:
+ *   GET    /admin/coupons                      → List coupons with usage counts
+ *   POST   /admin/coupons                      → Create a coupon
+ *   PUT    /admin/coupons/:code                → Update a coupon (code is fixed)
+ *   GET    /admin/coupons/:code/redemptions    → Redemptions of one coupon
+ */
+
+const { getDb } = require("../utils/firebase");
+const {
+    REDEMPTION_STATUSES,
+    normalizeCode,
+    validateCoupon,
+} = require("../utils/coupons");
+
+// ──────────────── GET /admin/coupons ────────────────
+
+/**
+ * List every coupon with its usage count.
+ */
+async function adminListCoupons(req, res) {
+    try {
+        const snap = await getDb().collection("coupons").get();
+
+        const coupons = snap.docs
+            .map((doc) => ({ ...doc.data(), redemptionCount: doc.data().redemptionCount || 0 }))
+            .sort((a, b) => String(a.code).localeCompare(String(b.code)));
+
+        return res.status(200).json({
+            success: true,
+            count: coupons.length,
+            coupons,
+        });
+    } catch (error) {
+        console.error("[COUPON] List error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── POST /admin/coupons ────────────────
+
+/**
+ * Create a coupon.
+ * Body: { code, description?, discountType: "percent"|"flat", discountValue,
+ *         currency? (flat only, "INR" by default),
+ *         appliesTo?: "paper"|"attendee"|"any", maxRedemptions?, maxPerUser?,
+ *         validFrom?, expiresAt?, active? }
+ */
+async function adminCreateCoupon(req, res) {
+    try {
+        const { errors, coupon } = validateCoupon(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join(" ") });
+        }
+
+        const couponRef = getDb().collection("coupons").doc(coupon.code);
+        const existing = await couponRef.get();
+        if (existing.exists) {
+            return res.status(409).json({
+                success: false,
+                error: `Coupon ${coupon.code} already exists.`,
+            });
+        }
+
+        const now = new Date().toISOString();
+        const record = {
+            ...coupon,
+            redemptionCount: 0,
+            createdBy: req.user.uid,
+            createdAt: now,
+            updatedBy: req.user.uid,
+            updatedAt: now,
+        };
+        await couponRef.set(record);
+
+        console.log(`[COUPON] ${req.user.uid} created ${coupon.code}`);
+
+        return res.status(201).json({ success: true, coupon: record });
+    } catch (error) {
+        console.error("[COUPON] Create error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── PUT /admin/coupons/:code ────────────────
+
+/**
+ * Update a coupon (e.g. deactivate it or change its limits).
+ * Body: any fields accepted by create except code; others are kept.
+ */
+async function adminUpdateCoupon(req, res) {
+    try {
+        const code = normalizeCode(req.params.code);
+        const couponRef = getDb().collection("coupons").doc(code);
+        const doc = await couponRef.get();
+
+        if (!doc.exists) {
+            return res.status(404).json({ success: false, error: "Coupon not found." });
+        }
+
+        const { errors, coupon } = validateCoupon({ ...doc.data(), ...req.body, code });
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join(" ") });
+        }
+
+        const update = {
+            ...coupon,
+            updatedBy: req.user.uid,
+            updatedAt: new Date().toISOString(),
+        };
+        await couponRef.update(update);
+
+        console.log(`[COUPON] ${req.user.uid} updated ${code}`);
+
+        return res.status(200).json({
+            success: true,
+            coupon: { ...doc.data(), ...update },
+        });
+    } catch (error) {
+        console.error("[COUPON] Update error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── GET /admin/coupons/:code/redemptions ────────────────
+
+/**
+ * Usage of one coupon, newest first, with totals per status.
+ * Query: ?status=reserved|redeemed|released (optional)
+ */
+async function adminListCouponRedemptions(req, res) {
+    try {
+        const code = normalizeCode(req.params.code);
+        const { status } = req.query;
+
+        const snap = await getDb()
+            .collection("couponRedemptions")
+            .where("code", "==", code)
+            .get();
+
+        const all = snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+        const summary = Object.values(REDEMPTION_STATUSES).reduce((acc, s) => {
+            acc[s] = all.filter((r) => r.status === s).length;
+            return acc;
+        }, {});
+        summary.totalDiscountRedeemed = Math.round(
+            all
+                .filter((r) => r.status === REDEMPTION_STATUSES.REDEEMED)
+                .reduce((acc, r) => acc + (r.discountAmount || 0), 0) * 100
+        ) / 100;
+
+        const redemptions = all
+            .filter((r) => !status || r.status === status)
+            .sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+
+        return res.status(200).json({
+            success: true,
+            code,
+            summary,
+            count: redemptions.length,
+            redemptions,
+        });
+    } catch (error) {
+        console.error("[COUPON] Redemption list error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+module.exports = {
+    adminListCoupons,
+    adminCreateCoupon,
+    adminUpdateCoupon,
+    adminListCouponRedemptions,
+};
@@ -0,0 +1,357 @@
+/**
+ * Exemption Controller
+ * --------------------
+ * Admin management of paper fee exemptions (see utils/exemptions.js):
+ * institution rules with aliases, and manual per-user waivers.
+ *
+ * Routes:
+ *   GET    /admin/exemptions/rules           → List institution rules (+ built-in defaults)
+ *   POST   /admin/exemptions/rules           → Create an institution rule
+ *   PUT    /admin/exemptions/rules/:ruleId   → Update an institution rule
+ *   DELETE /admin/exemptions/rules/:ruleId   → Delete an institution rule
+ *   POST   /admin/exemptions/check           → Test an institution name against the rules
+ *   GET    /admin/fee-waivers                → List manual waivers
+ *   POST   /admin/fee-waivers                → Grant a waiver to a user
+ *   DELETE /admin/fee-waivers/:uid           → Revoke a user's waiver
+ */
+
+const { getDb } = require("../utils/firebase");
+const {
+    DEFAULT_EXEMPTION_RULES,
+    normalizeInstitution,
+    matchInstitution,
+    loadExemptionRules,
+    validateExemptionRule,
+} = require("../utils/exemptions");
+
+// ──────────────── GET /admin/exemptions/rules ────────────────
+
+/**
+ * List institution rules. The defaults apply only while none are configured.
+ */
+async function adminListExemptionRules(req, res) {
+    try {
+        const snap = await getDb().collection("exemptionRules").get();
+
+        const rules = snap.docs
+            .map((doc) => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+
+        return res.status(200).json({
+            success: true,
+            count: rules.length,
+            rules,
+            defaults: DEFAULT_EXEMPTION_RULES,
+        });
+    } catch (error) {
+        console.error("[EXEMPTION] Rule list error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── POST /admin/exemptions/rules ────────────────
+
+/**
+ * Create an institution rule.
+ * Body: { name, aliases: string[], reason?, active? }
+ */
+async function adminCreateExemptionRule(req, res) {
+    try {
+        const { errors, rule } = validateExemptionRule(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join(" ") });
+        }
+
+        const now = new Date().toISOString();
+        const record = {
+            ...rule,
+            createdBy: req.user.uid,
+            createdAt: now,
+            updatedBy: req.user.uid,
+            updatedAt: now,
+        };
+        const ref = await getDb().collection("exemptionRules").add(record);
+
+        console.log(`[EXEMPTION] ${req.user.uid} created rule ${ref.id} (${rule.name})`);
+
+        return res.status(201).json({
+            success: true,
+            rule: { id: ref.id, ...record },
+        });
+    } catch (error) {
+        console.error("[EXEMPTION] Rule create error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── PUT /admin/exemptions/rules/:ruleId ────────────────
+
+/**
+ * Update an institution rule. Body: any fields accepted by create; others are kept.
+ */
+async function adminUpdateExemptionRule(req, res) {
+    try {
+        const docRef = getDb().collection("exemptionRules").doc(req.params.ruleId);
+        const doc = await docRef.get();
+
+        if (!doc.exists) {
+            return res.status(404).json({ success: false, error: "Exemption rule not found." });
+        }
+
+        const { errors, rule } = validateExemptionRule({ ...doc.data(), ...req.body });
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join(" ") });
+        }
+
+        const update = {
+            ...rule,
+            updatedBy: req.user.uid,
+            updatedAt: new Date().toISOString(),
+        };
+        await docRef.update(update);
+
+        console.log(`[EXEMPTION] ${req.user.uid} updated rule ${doc.id}`);
+
+        return res.status(200).json({
+            success: true,
+            rule: { id: doc.id, ...doc.data(), ...update },
+        });
+    } catch (error) {
+        console.error("[EXEMPTION] Rule update error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── DELETE /admin/exemptions/rules/:ruleId ────────────────
+
+/**
+ * Delete an institution rule. Papers already exempted keep their status.
+ */
+async function adminDeleteExemptionRule(req, res) {
+    try {
+        const docRef = getDb().collection("exemptionRules").doc(req.params.ruleId);
+        const doc = await docRef.get();
+
+        if (!doc.exists) {
+            return res.status(404).json({ success: false, error: "Exemption rule not found." });
+        }
+
+        await docRef.delete();
+
+        console.log(`[EXEMPTION] ${req.user.uid} deleted rule ${doc.id}`);
+
+        return res.status(200).json({ success: true, id: doc.id });
+    } catch (error) {
+        console.error("[EXEMPTION] Rule delete error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── POST /admin/exemptions/check ────────────────
+
+/**
+ * Show how an institution name would be matched, for tuning aliases.
+ * Body: { institution }
+ */
+async function adminCheckExemption(req, res) {
+    try {
+        const institution = String(req.body.institution || "");
+        if (!institution.trim()) {
+            return res.status(400).json({ success: false, error: "institution is required." });
+        }
+
+        const match = matchInstitution(institution, await loadExemptionRules());
+
+        return res.status(200).json({
+            success: true,
+            institution,
+            normalized: normalizeInstitution(institution),
+            exempt: Boolean(match),
+            match: match
+                ? {
+                    ruleId: match.rule.id || null,
+                    name: match.rule.name,
+                    reason: match.rule.reason,
+                    alias: match.alias,
+                    method: match.method,
+                    score: Math.round(match.score * 100) / 100,
+                }
+                : null,
+        });
+    } catch (error) {
+        console.error("[EXEMPTION] Check error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── GET /admin/fee-waivers ────────────────
+
+/**
+ * List manual waivers, newest first.
+ * Query: ?active=true|false (optional)
+ */
+async function adminListFeeWaivers(req, res) {
+    try {
+        const { active } = req.query;
+        const snap = await getDb().collection("feeWaivers").get();
+
+        const waivers = snap.docs
+            .map((doc) => ({ uid: doc.id, ...doc.data() }))
+            .filter((w) => active === undefined || String(w.active !== false) === active)
+            .sort((a, b) => String(b.approvedAt || "").localeCompare(String(a.approvedAt || "")));
+
+        return res.status(200).json({
+            success: true,
+            count: waivers.length,
+            waivers,
+        });
+    } catch (error) {
+        console.error("[EXEMPTION] Waiver list error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── POST /admin/fee-waivers ────────────────
+
+/**
+ * Waive the paper fee for one user. The approver is the calling admin.
+ * Body: { uid, reason }
+ */
+async function adminGrantFeeWaiver(req, res) {
+    try {
+        const { uid } = req.body;
+        const reason = String(req.body.reason || "").trim();
+
+        if (!uid || !reason) {
+            return res.status(400).json({
+                success: false,
+                error: "uid and reason are required.",
+            });
+        }
+
+        const db = getDb();
+        const userDoc = await db.collection("users").doc(uid).get();
+        if (!userDoc.exists) {
+            return res.status(404).json({ success: false, error: "User not found." });
+        }
+
+        const userData = userDoc.data();
+        const waiver = {
+            uid,
+            name: userData.name || "",
+            email: userData.email || "",
+            reason,
+            approvedBy: req.user.uid,
+            approvedAt: new Date().toISOString(),
+            active: true,
+            revokedBy: null,
+            revokedAt: null,
+        };
+        await db.collection("feeWaivers").doc(uid).set(waiver);
+
+        console.log(`[EXEMPTION] ${req.user.uid} granted a fee waiver to ${uid}: ${reason}`);
+
+        return res.status(201).json({ success: true, waiver });
+    } catch (error) {
+        console.error("[EXEMPTION] Waiver grant error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── DELETE /admin/fee-waivers/:uid ────────────────
+
+/**
+ * Revoke a user's waiver. Unpaid papers exempted by it become payable again;
+ * paid ones and other exemptions are left alone.
+ */
+async function adminRevokeFeeWaiver(req, res) {
+    try {
+        const { uid } = req.params;
+        const db = getDb();
+        const waiverRef = db.collection("feeWaivers").doc(uid);
+        const doc = await waiverRef.get();
+
+        if (!doc.exists || doc.data().active === false) {
+            return res.status(404).json({ success: false, error: "No active waiver for this user." });
+        }
+
+        const now = new Date().toISOString();
+        await waiverRef.update({
+            active: false,
+            revokedBy: req.user.uid,
+            revokedAt: now,
+        });
+
+        const submissionsSnap = await db
+            .collection("submissions")
+            .where("uid", "==", uid)
+            .get();
+
+        const reopened = submissionsSnap.docs.filter((d) =>
+            d.data().paymentStatus === "exempted" && d.data().exemptionSource === "waiver"
+        );
+        for (const submission of reopened) {
+            await submission.ref.update({
+                paymentStatus: "unpaid",
+                exemptionReason: null,
+                exemptionSource: null,
+                exemptionApprovedBy: null,
+                paymentExemptedAt: null,
+            });
+        }
+
+        console.log(`[EXEMPTION] ${req.user.uid} revoked the fee waiver of ${uid} (${reopened.length} paper(s) reopened)`);
+
+        return res.status(200).json({
+            success: true,
+            uid,
+            reopenedSubmissions: reopened.map((d) => d.id),
+        });
+    } catch (error) {
+        console.error("[EXEMPTION] Waiver revoke error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+module.exports = {
+    adminListExemptionRules,
+    adminCreateExemptionRule,
+    adminUpdateExemptionRule,
+    adminDeleteExemptionRule,
+    adminCheckExemption,
+    adminListFeeWaivers,
+    adminGrantFeeWaiver,
+    adminRevokeFeeWaiver,
+};
@@ -0,0 +1,242 @@
+/**
+ * Fee Schedule Controller
+ * -----------------------
+ * Admin CRUD for the fee rules that createPayment and
+ * createAttendeePayment resolve amounts from (see utils/fees.js).
+ *
+ * Payments keep a snapshot of the rule they were charged under, so
+ * editing or deleting a rule never changes an existing receipt.
+ *
+ * Routes:
+ *   GET    /admin/fee-schedule           → List fee rules (+ built-in defaults)
+ *   POST   /admin/fee-schedule           → Create a fee rule
+ *   PUT    /admin/fee-schedule/:ruleId   → Update a fee rule
+ *   DELETE /admin/fee-schedule/:ruleId   → Delete a fee rule
+ *   GET    /admin/fee-policy             → Paper fee policy (per paper / per author)
+ *   PUT    /admin/fee-policy             → Change the paper fee policy
+ */
+
+const { getDb } = require("../utils/firebase");
+const {
+    FEE_SCHEDULE_COLLECTION,
+    FEE_REGIONS,
+    DEFAULT_FEE_RULES,
+    PAPER_FEE_POLICIES,
+    validateFeeRule,
+    getPaperFeePolicy,
+} = require("../utils/fees");
+
+// ──────────────── GET /admin/fee-schedule ────────────────
+
+/**
+ * List fee rules. Query: ?category=paper|attendee  ?region=domestic|international  (both optional)
+ */
+async function adminListFeeRules(req, res) {
+    try {
+        const { category, region } = req.query;
+        const inFilter = (r) =>
+            (!category || r.category === category) &&
+            (!region || (r.region || FEE_REGIONS.DOMESTIC) === region);
+
+        const snap = await getDb().collection(FEE_SCHEDULE_COLLECTION).get();
+
+        const rules = snap.docs
+            .map((doc) => ({ id: doc.id, ...doc.data() }))
+            .filter(inFilter)
+            .sort((a, b) =>
+                String(a.category).localeCompare(String(b.category)) ||
+                String(a.name).localeCompare(String(b.name))
+            );
+
+        return res.status(200).json({
+            success: true,
+            count: rules.length,
+            rules,
+            defaults: DEFAULT_FEE_RULES.filter(inFilter),
+        });
+    } catch (error) {
+        console.error("[FEE SCHEDULE] List error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── POST /admin/fee-schedule ────────────────
+
+/**
+ * Create a fee rule.
+ * Body: { name, category, region?, role?, participantType?, amount, currency?,
+ *         validFrom?, validUntil?, active?, priority? }
+ */
+async function adminCreateFeeRule(req, res) {
+    try {
+        const { errors, rule } = validateFeeRule(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join(" ") });
+        }
+
+        const now = new Date().toISOString();
+        const record = {
+            ...rule,
+            createdBy: req.user.uid,
+            createdAt: now,
+            updatedBy: req.user.uid,
+            updatedAt: now,
+        };
+        const ref = await getDb().collection(FEE_SCHEDULE_COLLECTION).add(record);
+
+        console.log(`[FEE SCHEDULE] ${req.user.uid} created rule ${ref.id} (${rule.category}/${rule.region}: ${rule.amount} ${rule.currency})`);
+
+        return res.status(201).json({
+            success: true,
+            rule: { id: ref.id, ...record },
+        });
+    } catch (error) {
+        console.error("[FEE SCHEDULE] Create error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── PUT /admin/fee-schedule/:ruleId ────────────────
+
+/**
+ * Update a fee rule. Body: any fields accepted by create; others are kept.
+ */
+async function adminUpdateFeeRule(req, res) {
+    try {
+        const docRef = getDb().collection(FEE_SCHEDULE_COLLECTION).doc(req.params.ruleId);
+        const doc = await docRef.get();
+
+        if (!doc.exists) {
+            return res.status(404).json({ success: false, error: "Fee rule not found." });
+        }
+
+        const { errors, rule } = validateFeeRule({ ...doc.data(), ...req.body });
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join(" ") });
+        }
+
+        const update = {
+            ...rule,
+            updatedBy: req.user.uid,
+            updatedAt: new Date().toISOString(),
+        };
+        await docRef.update(update);
+
+        console.log(`[FEE SCHEDULE] ${req.user.uid} updated rule ${doc.id}`);
+
+        return res.status(200).json({
+            success: true,
+            rule: { id: doc.id, ...doc.data(), ...update },
+        });
+    } catch (error) {
+        console.error("[FEE SCHEDULE] Update error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── DELETE /admin/fee-schedule/:ruleId ────────────────
+
+/**
+ * Delete a fee rule. Payments already charged under it keep their snapshot.
+ */
+async function adminDeleteFeeRule(req, res) {
+    try {
+        const docRef = getDb().collection(FEE_SCHEDULE_COLLECTION).doc(req.params.ruleId);
+        const doc = await docRef.get();
+
+        if (!doc.exists) {
+            return res.status(404).json({ success: false, error: "Fee rule not found." });
+        }
+
+        await docRef.delete();
+
+        console.log(`[FEE SCHEDULE] ${req.user.uid} deleted rule ${doc.id}`);
+
+        return res.status(200).json({ success: true, id: doc.id });
+    } catch (error) {
+        console.error("[FEE SCHEDULE] Delete error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── GET /admin/fee-policy ────────────────
+
+/**
+ * Current paper fee policy ("per_paper" or "per_author").
+ */
+async function adminGetFeePolicy(req, res) {
+    try {
+        return res.status(200).json({
+            success: true,
+            paperFeePolicy: await getPaperFeePolicy(),
+            policies: Object.values(PAPER_FEE_POLICIES),
+        });
+    } catch (error) {
+        console.error("[FEE SCHEDULE] Policy read error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── PUT /admin/fee-policy ────────────────
+
+/**
+ * Set the paper fee policy. Body: { paperFeePolicy: "per_paper"|"per_author" }
+ * Payments already made are not changed.
+ */
+async function adminUpdateFeePolicy(req, res) {
+    try {
+        const { paperFeePolicy } = req.body;
+        if (!Object.values(PAPER_FEE_POLICIES).includes(paperFeePolicy)) {
+            return res.status(400).json({
+                success: false,
+                error: `paperFeePolicy must be one of: ${Object.values(PAPER_FEE_POLICIES).join(", ")}.`,
+            });
+        }
+
+        await getDb().collection("settings").doc("fees").set({
+            paperFeePolicy,
+            updatedBy: req.user.uid,
+            updatedAt: new Date().toISOString(),
+        }, { merge: true });
+
+        console.log(`[FEE SCHEDULE] ${req.user.uid} set the paper fee policy to ${paperFeePolicy}`);
+
+        return res.status(200).json({ success: true, paperFeePolicy });
+    } catch (error) {
+        console.error("[FEE SCHEDULE] Policy update error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+module.exports = {
+    adminListFeeRules,
+    adminCreateFeeRule,
+    adminUpdateFeeRule,
+    adminDeleteFeeRule,
+    adminGetFeePolicy,
+    adminUpdateFeePolicy,
+};
@@ -0,0 +1,314 @@
+/**
+ * Invoice Controller
+ * ------------------
+ * GST tax invoices for paid paper fees, attendee fees and group
+ * registrations (see utils/invoices.js). A payer first requests the invoice
+ * with their billing details (POST); the issued invoice is then served as
+ * a PDF and never changes.
+ *
+ * Routes:
+ *   POST /api/invoice/:uid                          → Issue invoice for a paid paper (?paperId / body.paperId)
+ *   GET  /api/invoice/:uid                          → View invoice PDF (inline)
+ *   GET  /api/invoice/download/:uid                 → Download invoice PDF
+ *   POST /api/attendee-invoice/:txnid               → Issue invoice for an attendee payment
+ *   GET  /api/attendee-invoice/:txnid               → View attendee invoice PDF
+ *   GET  /api/attendee-invoice/download/:txnid      → Download attendee invoice PDF
+ *   POST /api/attendee-group-invoice/:groupId       → Issue invoice for a group registration
+ *   GET  /api/attendee-group-invoice/:groupId       → View group invoice PDF
+ *   GET  /api/attendee-group-invoice/download/:groupId → Download group invoice PDF
+ *   GET  /api/admin/invoices/:collection/:recordId         → Invoice and voided invoices of a payment
+ *   POST /api/admin/invoices/:collection/:recordId/void    → Void the invoice (finance)
+ *   POST /api/admin/invoices/:collection/:recordId/reissue → Replace it under a new number (finance)
+ *
+ * Billing details (POST body): { billingName?, gstin?, billingAddress?, stateCode? }.
+ * Attendee and group payers prove the payment is theirs with the email it
+ * was registered with (body.email, or ?email= on the GETs; the group's
+ * contact email for groups), both to issue and to view the invoice.
+ * Group members are invoiced through their group. The PDF is the "invoice"
+ * template (utils/documents).
+ */
+
+const { getDb } = require("../utils/firebase");
+const {
+    InvoiceError,
+    getInvoiceForRecord,
+    issueInvoice,
+    voidInvoice,
+    reissueInvoice,
+    getVoidedInvoices,
+} = require("../utils/invoices");
+const { findPaidSubmission } = require("./receiptController");
+const { findPaidAttendee, findPaidGroup } = require("./attendeeReceiptController");
+const { getBranding, sendDocument } = require("../utils/documents");
+
+// ─────────── Sales ───────────
+// Each resolver returns the sale to invoice, or throws an InvoiceError.
+// payerEmail is the email an attendee or group payer must give to issue it.
+
+async function paperSale(uid, paperId) {
+    const result = await findPaidSubmission(uid, paperId);
+    if (!result) {
+        throw new InvoiceError("No paid submission found. Invoices are only available after successful payment.", 403);
+    }
+
+    const { submission, userData } = result;
+    return {
+        collection: "submissions",
+        recordId: submission.id,
+        txnid: submission.paymentTxnId,
+        uid,
+        amount: submission.paymentAmount,
+        currency: submission.paymentCurrency,
+        paymentDate: submission.paymentDate,
+        description: `Registration fee, ${getBranding().eventName} - paper "${submission.title || submission.id}"`,
+        buyerDefaults: { name: userData.name, email: userData.email },
+    };
+}
+
+async function attendeeSale(txnid, email) {
+    const attendeeData = await findPaidAttendee(txnid, email);
+    if (!attendeeData) {
+        throw new InvoiceError("No paid attendee registration found for this transaction.", 403);
+    }
+    if (attendeeData.groupId) {
+        throw new InvoiceError(
+            `This registration was paid by a group. Its invoice is /api/attendee-group-invoice/${attendeeData.groupId}.`,
+            409
+        );
+    }
+
+    return {
+        collection: "attendees",
+        recordId: attendeeData.id,
+        txnid: attendeeData.txnid,
+        amount: attendeeData.amount,
+        currency: attendeeData.currency,
+        paymentDate: attendeeData.paymentDate,
+        description: `Attendee registration fee, ${getBranding().eventName}`,
+        buyerDefaults: { name: attendeeData.name, email: attendeeData.email },
+        payerEmail: attendeeData.email,
+    };
+}
+
+async function groupSale(groupId) {
+    const result = await findPaidGroup(groupId);
+    if (!result) {
+        throw new InvoiceError("No paid group registration found.", 403);
+    }
+
+    const { group } = result;
+    return {
+        collection: "attendeeGroups",
+        recordId: group.id,
+        txnid: group.txnid,
+        amount: group.paymentAmount ?? group.amount,
+        currency: group.currency,
+        paymentDate: group.paymentDate,
+        description: `Attendee registration fee, ${getBranding().eventName} (${group.attendeeCount} attendees)`,
+        buyerDefaults: { name: group.organization || group.contactName, email: group.contactEmail },
+        payerEmail: group.contactEmail,
+    };
+}
+
+const INVOICED_COLLECTIONS = ["submissions", "attendees", "attendeeGroups"];
+
+function checkInvoicedCollection(collection) {
+    if (!INVOICED_COLLECTIONS.includes(collection)) {
+        throw new InvoiceError(`collection must be one of: ${INVOICED_COLLECTIONS.join(", ")}.`);
+    }
+}
+
+/**
+ * The sale of a payment record, for finance.
+ */
+async function recordSale(collection, recordId) {
+    checkInvoicedCollection(collection);
+    if (collection === "attendeeGroups") return groupSale(recordId);
+
+    const doc = await getDb().collection(collection).doc(recordId).get();
+    if (!doc.exists) {
+        throw new InvoiceError("Payment record not found.", 404);
+    }
+    return collection === "submissions"
+        ? paperSale(doc.data().uid, recordId)
+        : attendeeSale(doc.data().txnid, doc.data().email);
+}
+
+const resolvePaperSale = (req) => paperSale(
+    req.params.uid || req.user.uid,
+    req.query.paperId || (req.body && req.body.paperId)
+);
+const resolveAttendeeSale = (req) => attendeeSale(
+    req.params.txnid,
+    req.query.email || (req.body && req.body.email)
+);
+const resolveGroupSale = (req) => groupSale(req.params.groupId);
+
+/**
+ * Attendee and group payers must give the email the payment was registered
+ * with, to issue or to view an invoice; paper routes are authenticated instead.
+ */
+function checkPayerEmail(req, sale) {
+    if (!sale.payerEmail) return;
+
+    const email = String((req.body && req.body.email) || req.query.email || "").toLowerCase().trim();
+    if (!email) {
+        throw new InvoiceError("email is required: the email the registration was made with.");
+    }
+    if (email !== String(sale.payerEmail).toLowerCase().trim()) {
+        throw new InvoiceError("The email does not match this registration.", 403);
+    }
+}
+
+function sendInvoiceError(res, error) {
+    if (error instanceof InvoiceError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+        });
+    }
+
+    console.error("[INVOICE] error:", error);
+    return res.status(500).json({
+        success: false,
+        error: "Failed to generate invoice.",
+    });
+}
+
+// ─────────── Route Handlers ───────────
+
+/**
+ * POST /api/invoice/:uid, /api/attendee-invoice/:txnid, /api/attendee-group-invoice/:groupId
+ * Issue the invoice (201), or return the one already issued (200).
+ */
+function issueHandler(resolveSale) {
+    return async (req, res) => {
+        try {
+            const sale = await resolveSale(req);
+            checkPayerEmail(req, sale);
+            const { invoice, created } = await issueInvoice(
+                sale,
+                req.body || {},
+                req.user ? req.user.uid : null
+            );
+
+            if (created) {
+                console.log(`[INVOICE] Issued ${invoice.invoiceNumber} for ${sale.collection}/${sale.recordId}`);
+            }
+
+            return res.status(created ? 201 : 200).json({
+                success: true,
+                created,
+                invoice,
+            });
+        } catch (error) {
+            return sendInvoiceError(res, error);
+        }
+    };
+}
+
+/**
+ * GET /api/invoice[/download]/:uid, /api/attendee-invoice[/download]/:txnid,
+ *     /api/attendee-group-invoice[/download]/:groupId
+ * Serve the issued invoice PDF (inline or as an attachment).
+ */
+function serveHandler(resolveSale, disposition) {
+    return async (req, res) => {
+        try {
+            const sale = await resolveSale(req);
+            checkPayerEmail(req, sale);
+            const invoice = await getInvoiceForRecord(sale.collection, sale.recordId);
+
+            if (!invoice) {
+                return res.status(404).json({
+                    success: false,
+                    error: "No invoice has been issued for this payment yet. Request one first.",
+                });
+            }
+
+            sendDocument(res, "invoice", { invoice }, disposition);
+        } catch (error) {
+            return sendInvoiceError(res, error);
+        }
+    };
+}
+
+// ─────────── Finance ───────────
+
+/**
+ * GET /api/admin/invoices/:collection/:recordId
+ * The current invoice of a payment (or null) and the ones voided before it.
+ */
+async function adminGetInvoice(req, res) {
+    try {
+        const { collection, recordId } = req.params;
+        checkInvoicedCollection(collection);
+
+        return res.status(200).json({
+            success: true,
+            invoice: await getInvoiceForRecord(collection, recordId),
+            voided: await getVoidedInvoices(collection, recordId),
+        });
+    } catch (error) {
+        return sendInvoiceError(res, error);
+    }
+}
+
+/**
+ * POST /api/admin/invoices/:collection/:recordId/void  { reason }
+ * Void the invoice; the payer can then issue a new one.
+ */
+async function adminVoidInvoice(req, res) {
+    try {
+        const { collection, recordId } = req.params;
+        checkInvoicedCollection(collection);
+
+        const voided = await voidInvoice(collection, recordId, req.body && req.body.reason, req.user.uid);
+        console.log(`[INVOICE] ${req.user.uid} voided ${voided.invoiceNumber} (${collection}/${recordId})`);
+
+        return res.status(200).json({
+            success: true,
+            voided,
+        });
+    } catch (error) {
+        return sendInvoiceError(res, error);
+    }
+}
+
+/**
+ * POST /api/admin/invoices/:collection/:recordId/reissue  { reason, billingName?, gstin?, billingAddress?, stateCode? }
+ * Void the invoice and issue a new one in its place.
+ */
+async function adminReissueInvoice(req, res) {
+    try {
+        const { collection, recordId } = req.params;
+        const sale = await recordSale(collection, recordId);
+        const body = req.body || {};
+        const { invoice, voided } = await reissueInvoice(sale, body, body.reason, req.user.uid);
+
+        console.log(`[INVOICE] ${req.user.uid} reissued ${voided.invoiceNumber} as ${invoice.invoiceNumber} (${collection}/${recordId})`);
+
+        return res.status(201).json({
+            success: true,
+            invoice,
+            voided,
+        });
+    } catch (error) {
+        return sendInvoiceError(res, error);
+    }
+}
+
+module.exports = {
+    issuePaperInvoice: issueHandler(resolvePaperSale),
+    viewPaperInvoice: serveHandler(resolvePaperSale, "inline"),
+    downloadPaperInvoice: serveHandler(resolvePaperSale, "attachment"),
+    issueAttendeeInvoice: issueHandler(resolveAttendeeSale),
+    viewAttendeeInvoice: serveHandler(resolveAttendeeSale, "inline"),
+    downloadAttendeeInvoice: serveHandler(resolveAttendeeSale, "attachment"),
+    issueGroupInvoice: issueHandler(resolveGroupSale),
+    viewGroupInvoice: serveHandler(resolveGroupSale, "inline"),
+    downloadGroupInvoice: serveHandler(resolveGroupSale, "attachment"),
+    adminGetInvoice,
+    adminVoidInvoice,
+    adminReissueInvoice,
+};
@@ -0,0 +1,135 @@
+/**
+ * Mock Gateway Controller
+ * -----------------------
+ * The checkout page of the built-in mock payment provider
+ * (utils/paymentProviders/mock.js). Only mounted when
+ * PAYMENT_PROVIDER=mock.
+ *
+ * The tester picks an outcome; the page then posts a signed,
+ * Easebuzz-shaped callback to the order's surl/furl from the browser,
+ * so the regular callback handlers run unchanged.
+ *
+ * Routes:
+ *   GET  /mock-gateway/pay/:accessKey   → Checkout page
+ *   POST /mock-gateway/pay/:accessKey   → Complete checkout { outcome }
+ */
+
+const mockProvider = require("../utils/paymentProviders/mock");
+const { formatAmount } = require("../utils/currency");
+
+const OUTCOME_LABELS = {
+    success: "Pay successfully",
+    failure: "Fail the payment",
+    usercancelled: "Cancel",
+};
+
+function escapeHtml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+function renderPage(title, body) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: sans-serif; max-width: 480px; margin: 40px auto; padding: 0 16px; color: #222; }
+  .banner { background: #fff3cd; border: 1px solid #e0c36c; padding: 8px 12px; border-radius: 4px; }
+  table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+  td { padding: 6px 0; border-bottom: 1px solid #eee; }
+  td:first-child { color: #666; width: 40%; }
+  button { display: block; width: 100%; margin: 8px 0; padding: 10px; font-size: 15px; cursor: pointer; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * GET /mock-gateway/pay/:accessKey
+ */
+function showCheckout(req, res) {
+    const order = mockProvider.getCheckout(req.params.accessKey);
+    if (!order) {
+        return res.status(404).send(renderPage(
+            "Checkout not found",
+            "<h2>Checkout not found</h2><p>This checkout has expired or was already completed.</p>"
+        ));
+    }
+
+    const rows = [
+        ["Transaction ID", order.txnid],
+        ["Product", order.productinfo],
+        ["Name", order.firstname],
+        ["Email", order.email],
+        ["Amount", formatAmount(order.amount, order.currency)],
+    ]
+        .map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`)
+        .join("\n");
+
+    const buttons = mockProvider.CHECKOUT_OUTCOMES
+        .map((outcome) => `<button type="submit" name="outcome" value="${outcome}">${OUTCOME_LABELS[outcome]}</button>`)
+        .join("\n");
+
+    return res.status(200).send(renderPage("Mock Payment Gateway", `
+<h2>Mock Payment Gateway</h2>
+<p class="banner">Test checkout — no money is charged.</p>
+<table>
+${rows}
+</table>
+<form method="POST" action="/api/mock-gateway/pay/${encodeURIComponent(req.params.accessKey)}">
+${buttons}
+</form>`));
+}
+
+/**
+ * POST /mock-gateway/pay/:accessKey
+ * Body: { outcome: "success" | "failure" | "usercancelled" }
+ *
+ * Responds with a self-submitting form that posts the signed callback.
+ */
+function completeCheckout(req, res) {
+    const outcome = String(req.body.outcome || "").toLowerCase();
+    if (!mockProvider.CHECKOUT_OUTCOMES.includes(outcome)) {
+        return res.status(400).send(renderPage(
+            "Invalid outcome",
+            `<h2>Invalid outcome</h2><p>Choose one of: ${mockProvider.CHECKOUT_OUTCOMES.join(", ")}.</p>`
+        ));
+    }
+
+    const callback = mockProvider.completeCheckout(req.params.accessKey, outcome);
+    if (!callback) {
+        return res.status(404).send(renderPage(
+            "Checkout not found",
+            "<h2>Checkout not found</h2><p>This checkout has expired or was already completed.</p>"
+        ));
+    }
+
+    console.log(`[MOCK GATEWAY] ${callback.fields.txnid} → ${outcome}`);
+
+    const inputs = Object.entries(callback.fields)
+        .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+        .join("\n");
+
+    return res.status(200).send(renderPage("Returning to merchant", `
+<p>Returning to the merchant…</p>
+<form method="POST" action="${escapeHtml(callback.url)}">
+${inputs}
+<noscript><button type="submit">Continue</button></noscript>
+</form>
+<script>document.forms[0].submit();</script>`));
+}
+
+module.exports = {
+    showCheckout,
+    completeCheckout,
+};
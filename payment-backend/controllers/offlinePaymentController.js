@@ -0,0 +1,443 @@
+/**
+ * Offline Payment Controller
+ * --------------------------
+ * Bank transfer / demand draft payments for paper submissions
+ * (see utils/offlinePayments.js).
+ *
+ * SECURITY CONSTRAINTS:
+ * - Authors only submit details; nothing is marked paid until a finance
+ *   admin (payments:manage) confirms the entry.
+ * - A UTR / DD number can only be used by one entry that is not rejected.
+ * - Papers that are settled, covered, or have an online payment in
+ *   progress cannot take an offline entry.
+ *
+ * Routes:
+ *   POST /offline-payments                         → Submit transfer details (+ receipt image)
+ *   GET  /offline-payments                         → Caller's offline entries
+ *   GET  /admin/offline-payments                   → List entries (?status=)
+ *   POST /admin/offline-payments/:entryId/confirm  → Confirm: paper becomes paid
+ *   POST /admin/offline-payments/:entryId/reject   → Reject with a reason
+ */
+
+const { getDb } = require("../utils/firebase");
+const {
+    FEE_CATEGORIES,
+    resolveFee,
+    getFeeRegion,
+    getPaperFeePolicy,
+} = require("../utils/fees");
+const { formatAmount } = require("../utils/currency");
+const { NUMBER_SERIES, reserveNumbers } = require("../utils/counters");
+const {
+    SETTLED_PAYMENT_STATUSES,
+    getPayablePapers,
+    selectPaper,
+    findCoveringPaper,
+    describePaper,
+} = require("../utils/paperPayments");
+const {
+    OFFLINE_PAYMENT_STATUSES,
+    toAmount,
+    validateOfflinePayment,
+    findEntryByUtr,
+    summariseEntry,
+} = require("../utils/offlinePayments");
+const { uploadToCloudinary } = require("./verificationController");
+
+// ──────────────── POST /offline-payments ────────────────
+
+/**
+ * Submit a bank transfer / DD for one of the caller's papers.
+ * Body (multipart/form-data or JSON):
+ *   { paperId?, method?, utr, bankName, transferDate, amount }
+ *   + paymentReceipt (file, optional) — without it, the receipt image the
+ *     user already uploaded (users.paymentReceiptImageUrl) is linked.
+ */
+async function submitOfflinePayment(req, res) {
+    try {
+        const { uid } = req.user;
+        const { errors, details } = validateOfflinePayment(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: errors.join(" ") });
+        }
+
+        const db = getDb();
+        const userDoc = await db.collection("users").doc(uid).get();
+        if (!userDoc.exists) {
+            return res.status(404).json({ success: false, error: "User not found." });
+        }
+        const userData = userDoc.data();
+
+        // 1. The paper being paid for
+        const { papers } = await getPayablePapers(uid);
+        if (papers.length === 0) {
+            return res.status(403).json({
+                success: false,
+                error: "Full paper must be approved before payment.",
+            });
+        }
+
+        const { paper: paperDoc, ambiguous } = selectPaper(papers, req.body.paperId);
+        if (!paperDoc) {
+            return res.status(404).json({
+                success: false,
+                error: "Paper not found or not eligible for payment.",
+            });
+        }
+        if (ambiguous) {
+            return res.status(400).json({
+                success: false,
+                error: "You have more than one accepted paper. Choose one with paperId.",
+                papers: papers.map(describePaper),
+            });
+        }
+
+        // 2. Nothing else may be settling this paper
+        const paperData = paperDoc.data();
+        if (SETTLED_PAYMENT_STATUSES.includes(paperData.paymentStatus)) {
+            return res.status(409).json({
+                success: false,
+                error: "Payment already completed.",
+                paperId: paperDoc.id,
+            });
+        }
+        if (["pending", "suspicious"].includes(paperData.paymentStatus)) {
+            return res.status(409).json({
+                success: false,
+                error: "An online payment for this paper is in progress.",
+                paperId: paperDoc.id,
+            });
+        }
+        if (paperData.offlinePayment && paperData.offlinePayment.status === OFFLINE_PAYMENT_STATUSES.SUBMITTED) {
+            return res.status(409).json({
+                success: false,
+                error: "An offline payment for this paper is already awaiting confirmation.",
+                paperId: paperDoc.id,
+            });
+        }
+
+        const coveringDoc = findCoveringPaper(papers, paperDoc.id, await getPaperFeePolicy());
+        if (coveringDoc) {
+            return res.status(409).json({
+                success: false,
+                error: "This paper is covered by the payment for your other paper.",
+                paperId: coveringDoc.id,
+            });
+        }
+
+        if (await findEntryByUtr(details.utr)) {
+            return res.status(409).json({
+                success: false,
+                error: "This UTR / DD number has already been submitted.",
+            });
+        }
+
+        // 3. Receipt image: uploaded with this request, or the one on file
+        let receiptImageUrl = userData.paymentReceiptImageUrl || null;
+        if (req.file) {
+            console.log(`[OFFLINE PAYMENT] Uploading payment receipt for user ${uid}...`);
+            receiptImageUrl = await uploadToCloudinary(
+                req.file.buffer,
+                "conference/payment-receipts",
+                `${uid}_${Date.now()}`
+            );
+            await db.collection("users").doc(uid).set(
+                { paymentReceiptImageUrl: receiptImageUrl, lastDocumentUploadAt: new Date().toISOString() },
+                { merge: true }
+            );
+        }
+        if (!receiptImageUrl) {
+            return res.status(400).json({
+                success: false,
+                error: "Upload an image of the bank receipt (paymentReceipt).",
+            });
+        }
+
+        // 4. Fee the transfer is expected to cover, for the admin's check
+        const fee = await resolveFee({
+            category: FEE_CATEGORIES.PAPER,
+            region: getFeeRegion(userData),
+            role: userData.role || "scholar",
+            participantType: userData.participantType || "offline",
+        });
+
+        const entryRef = db.collection("offlinePayments").doc();
+        const entry = {
+            uid,
+            paperId: paperDoc.id,
+            ...details,
+            currency: fee.currency,
+            expectedAmount: toAmount(fee.amount),
+            feeRule: fee.rule,
+            receiptImageUrl,
+            status: OFFLINE_PAYMENT_STATUSES.SUBMITTED,
+            submittedAt: new Date().toISOString(),
+            confirmedAmount: null,
+            reviewedBy: null,
+            reviewedAt: null,
+            note: null,
+            rejectionReason: null,
+        };
+        await entryRef.set(entry);
+        await paperDoc.ref.update({ offlinePayment: summariseEntry(entryRef.id, entry) });
+
+        console.log(`[OFFLINE PAYMENT] ${uid} submitted ${details.method} ${details.utr} for paper ${paperDoc.id}`);
+
+        return res.status(201).json({
+            success: true,
+            offlinePayment: { id: entryRef.id, ...entry },
+            amountMatchesFee: entry.amount === entry.expectedAmount,
+        });
+    } catch (error) {
+        console.error("[OFFLINE PAYMENT] Submit error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── GET /offline-payments ────────────────
+
+/**
+ * The caller's offline payment entries, newest first.
+ */
+async function getMyOfflinePayments(req, res) {
+    try {
+        const snap = await getDb()
+            .collection("offlinePayments")
+            .where("uid", "==", req.user.uid)
+            .get();
+
+        const offlinePayments = snap.docs
+            .map((doc) => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => String(b.submittedAt).localeCompare(String(a.submittedAt)));
+
+        return res.status(200).json({
+            success: true,
+            count: offlinePayments.length,
+            offlinePayments,
+        });
+    } catch (error) {
+        console.error("[OFFLINE PAYMENT] List error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── GET /admin/offline-payments ────────────────
+
+/**
+ * List offline payment entries, oldest first (the review queue order).
+ * Query: ?status=submitted|confirmed|rejected
+ */
+async function adminListOfflinePayments(req, res) {
+    try {
+        const { status } = req.query;
+        if (status && !Object.values(OFFLINE_PAYMENT_STATUSES).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of: ${Object.values(OFFLINE_PAYMENT_STATUSES).join(", ")}.`,
+            });
+        }
+
+        let query = getDb().collection("offlinePayments");
+        if (status) {
+            query = query.where("status", "==", status);
+        }
+        const snap = await query.get();
+
+        const offlinePayments = snap.docs
+            .map((doc) => ({
+                id: doc.id,
+                ...doc.data(),
+                amountMatchesFee: doc.data().amount === doc.data().expectedAmount,
+            }))
+            .sort((a, b) => String(a.submittedAt).localeCompare(String(b.submittedAt)));
+
+        return res.status(200).json({
+            success: true,
+            count: offlinePayments.length,
+            offlinePayments,
+        });
+    } catch (error) {
+        console.error("[OFFLINE PAYMENT] Admin list error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+/**
+ * Load an entry that is still awaiting review, or send the error response.
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>}
+ */
+async function loadSubmittedEntry(req, res) {
+    const doc = await getDb().collection("offlinePayments").doc(req.params.entryId).get();
+    if (!doc.exists) {
+        res.status(404).json({ success: false, error: "Offline payment not found." });
+        return null;
+    }
+    if (doc.data().status !== OFFLINE_PAYMENT_STATUSES.SUBMITTED) {
+        res.status(409).json({
+            success: false,
+            error: `Offline payment is already ${doc.data().status}.`,
+        });
+        return null;
+    }
+    return doc;
+}
+
+// ──────────────── POST /admin/offline-payments/:entryId/confirm ────────────────
+
+const ALREADY_SETTLED_ERROR = "This paper's fee is already settled; reject the offline entry instead.";
+
+/**
+ * Confirm the money arrived: the paper becomes "paid" (method "offline").
+ * Body: { amount?, note? } — amount received, defaults to the amount submitted.
+ */
+async function adminConfirmOfflinePayment(req, res) {
+    try {
+        const entryDoc = await loadSubmittedEntry(req, res);
+        if (!entryDoc) return;
+        const entry = entryDoc.data();
+
+        const amount = req.body.amount === undefined || req.body.amount === null || req.body.amount === ""
+            ? entry.amount
+            : toAmount(req.body.amount);
+        if (!(amount > 0)) {
+            return res.status(400).json({ success: false, error: "amount must be greater than zero." });
+        }
+
+        const paperRef = getDb().collection("submissions").doc(entry.paperId);
+        const paperDoc = await paperRef.get();
+        if (!paperDoc.exists) {
+            return res.status(404).json({ success: false, error: "Paper not found." });
+        }
+        if (SETTLED_PAYMENT_STATUSES.includes(paperDoc.data().paymentStatus)) {
+            return res.status(409).json({ success: false, error: ALREADY_SETTLED_ERROR });
+        }
+
+        const now = new Date().toISOString();
+        const review = {
+            status: OFFLINE_PAYMENT_STATUSES.CONFIRMED,
+            confirmedAmount: amount,
+            reviewedBy: req.user.uid,
+            reviewedAt: now,
+            note: req.body.note ? String(req.body.note).trim() : null,
+        };
+
+        // Re-check both documents in the write: a second confirm, a reject or
+        // a gateway payment may have landed since the checks above
+        const { conflict, receiptNumber } = await getDb().runTransaction(async (t) => {
+            const [currentEntry, currentPaper] = await Promise.all([t.get(entryDoc.ref), t.get(paperRef)]);
+            if (currentEntry.data().status !== OFFLINE_PAYMENT_STATUSES.SUBMITTED) {
+                return { conflict: `Offline payment is already ${currentEntry.data().status}.` };
+            }
+            if (!currentPaper.exists || SETTLED_PAYMENT_STATUSES.includes(currentPaper.data().paymentStatus)) {
+                return { conflict: ALREADY_SETTLED_ERROR };
+            }
+
+            let number = currentPaper.data().receiptNumber;
+            if (!number) {
+                [{ number }] = await reserveNumbers(t, NUMBER_SERIES.PAPER_RECEIPT, 1);
+            }
+
+            t.update(paperRef, {
+                paymentStatus: "paid",
+                paymentMethod: "offline",
+                paymentTxnId: `OFF_${entryDoc.id}`,
+                paymentAmount: amount,
+                paymentCurrency: entry.currency,
+                paymentFeeRule: entry.feeRule,
+                paymentDate: now,
+                paymentSettledVia: "offline",
+                offlinePayment: summariseEntry(entryDoc.id, { ...entry, ...review }),
+                receiptNumber: number,
+            });
+            t.update(entryDoc.ref, review);
+            return { receiptNumber: number };
+        });
+        if (conflict) {
+            return res.status(409).json({ success: false, error: conflict });
+        }
+
+        console.log(`[OFFLINE PAYMENT] ${req.user.uid} confirmed ${entry.utr} (${formatAmount(amount, entry.currency)}) for paper ${entry.paperId}, receipt=${receiptNumber}`);
+
+        return res.status(200).json({
+            success: true,
+            offlinePayment: { id: entryDoc.id, ...entry, ...review },
+            paperId: entry.paperId,
+            paymentStatus: "paid",
+            receiptNumber,
+        });
+    } catch (error) {
+        console.error("[OFFLINE PAYMENT] Confirm error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── POST /admin/offline-payments/:entryId/reject ────────────────
+
+/**
+ * Reject an entry (e.g. money never arrived). The author can submit again.
+ * Body: { reason }
+ */
+async function adminRejectOfflinePayment(req, res) {
+    try {
+        const reason = String(req.body.reason || "").trim();
+        if (!reason) {
+            return res.status(400).json({ success: false, error: "reason is required." });
+        }
+
+        const entryDoc = await loadSubmittedEntry(req, res);
+        if (!entryDoc) return;
+        const entry = entryDoc.data();
+
+        const review = {
+            status: OFFLINE_PAYMENT_STATUSES.REJECTED,
+            reviewedBy: req.user.uid,
+            reviewedAt: new Date().toISOString(),
+            rejectionReason: reason,
+        };
+        await entryDoc.ref.update(review);
+
+        const paperRef = getDb().collection("submissions").doc(entry.paperId);
+        const paperDoc = await paperRef.get();
+        if (paperDoc.exists) {
+            await paperRef.update({ offlinePayment: summariseEntry(entryDoc.id, { ...entry, ...review }) });
+        }
+
+        console.log(`[OFFLINE PAYMENT] ${req.user.uid} rejected ${entry.utr} for paper ${entry.paperId}: ${reason}`);
+
+        return res.status(200).json({
+            success: true,
+            offlinePayment: { id: entryDoc.id, ...entry, ...review },
+        });
+    } catch (error) {
+        console.error("[OFFLINE PAYMENT] Reject error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+module.exports = {
+    submitOfflinePayment,
+    getMyOfflinePayments,
+    adminListOfflinePayments,
+    adminConfirmOfflinePayment,
+    adminRejectOfflinePayment,
+};
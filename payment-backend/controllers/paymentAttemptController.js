@@ -0,0 +1,116 @@
+/**
+ * Payment Attempt Controller
+ * --------------------------
+ * Admin view of the checkout attempts kept in `paymentAttempts`
+ * (utils/paymentAttempts.js): every txnid started for a record, with its
+ * status, gateway response and event timeline.
+ *
+ * Routes:
+ *   GET /admin/payments/attempts          → List attempts (?collection=&recordId=, ?uid=, ?status=)
+ *   GET /admin/payments/attempts/:txnid   → One attempt with its timeline
+ */
+
+const { getDb } = require("../utils/firebase");
+const { ATTEMPT_STATUSES, getAttempt, getAttemptsForRecord } = require("../utils/paymentAttempts");
+
+const RECORD_COLLECTIONS = ["submissions", "attendees", "attendeeGroups"];
+
+// ──────────────── GET /admin/payments/attempts ────────────────
+
+/**
+ * List payment attempts, newest first.
+ * Query: ?collection=&recordId=  → the timeline of one record (oldest first)
+ *        ?uid=  ?status=          → filters (both optional)
+ */
+async function adminListPaymentAttempts(req, res) {
+    try {
+        const { collection, recordId, uid, status } = req.query;
+
+        if (collection && !RECORD_COLLECTIONS.includes(collection)) {
+            return res.status(400).json({
+                success: false,
+                error: `collection must be one of: ${RECORD_COLLECTIONS.join(", ")}.`,
+            });
+        }
+
+        if (status && !Object.values(ATTEMPT_STATUSES).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `status must be one of: ${Object.values(ATTEMPT_STATUSES).join(", ")}.`,
+            });
+        }
+
+        if (recordId) {
+            if (!collection) {
+                return res.status(400).json({
+                    success: false,
+                    error: "collection is required with recordId.",
+                });
+            }
+
+            const attempts = await getAttemptsForRecord(collection, recordId);
+            return res.status(200).json({
+                success: true,
+                collection,
+                recordId,
+                count: attempts.length,
+                attempts,
+            });
+        }
+
+        // Single-field query on uid when given; filter the rest in code
+        let query = getDb().collection("paymentAttempts");
+        if (uid) query = query.where("uid", "==", uid);
+        const snap = await query.get();
+
+        const attempts = snap.docs
+            .map((doc) => doc.data())
+            .filter((a) => (!collection || a.collection === collection) && (!status || a.status === status))
+            .sort((a, b) => String(b.initiatedAt || "").localeCompare(String(a.initiatedAt || "")));
+
+        return res.status(200).json({
+            success: true,
+            count: attempts.length,
+            attempts,
+        });
+    } catch (error) {
+        console.error("[PAYMENT ATTEMPTS] List error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── GET /admin/payments/attempts/:txnid ────────────────
+
+async function adminGetPaymentAttempt(req, res) {
+    try {
+        const attempt = await getAttempt(req.params.txnid);
+
+        if (!attempt) {
+            return res.status(404).json({
+                success: false,
+                error: "Payment attempt not found.",
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            attempt,
+        });
+    } catch (error) {
+        console.error("[PAYMENT ATTEMPTS] Fetch error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+module.exports = {
+    adminListPaymentAttempts,
+    adminGetPaymentAttempt,
+};
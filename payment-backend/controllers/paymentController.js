@@ -4,87 +4,116 @@
  * Handles payment creation, success callback, and failure callback.
  * 
  * SECURITY CONSTRAINTS:
- * - Amount is ALWAYS determined server-side from user role in DB.
+ * - Amount is ALWAYS determined server-side from the fee schedule
+ *   (utils/fees.js) for the user's role in DB; the rule is stored with
+ *   the payment.
  * - Hash is generated server-side only; salt is never exposed.
+ * - Coupon codes are validated and reserved server-side before hashing;
+ *   a 100% coupon exempts the paper like an institutional waiver.
  * - Duplicate payments are prevented via idempotency checks.
- * - Callback hash is verified before updating payment status.
+ * - Payments are made per paper (paperId); under the per-author fee
+ *   policy one paper's payment covers the author's other papers.
+ * - Callback hash is verified before updating payment status; callbacks
+ *   with a missing or invalid hash are parked as "suspicious", never paid.
+ * - Callback amount/email/productinfo are cross-checked against the order
+ *   stored at initiation; mismatches are flagged as tampering incidents.
  */
 
 const { getDb } = require("../utils/firebase");
+const { generateTxnId } = require("../utils/hashUtils");
+const { getPaymentProvider, supportsCurrency } = require("../utils/paymentProviders");
+const { recordAttempt, findAttemptRecord } = require("../utils/paymentAttempts");
+const { expireStaleRecords } = require("../utils/paymentExpiry");
 const {
-    generatePaymentHash,
-    generateReverseHash,
-    generateTxnId,
-} = require("../utils/hashUtils");
-const axios = require("axios");
-
-const EASEBUZZ_KEY = () => process.env.EASEBUZZ_MERCHANT_KEY;
-const EASEBUZZ_SALT = () => process.env.EASEBUZZ_MERCHANT_SALT;
-const EASEBUZZ_ENV = () => process.env.EASEBUZZ_ENV || "test";
-
-/**
- * Get the Easebuzz API base URL based on environment.
- */
-function getEasebuzzBaseUrl() {
-    return EASEBUZZ_ENV() === "live"
-        ? "https://pay.easebuzz.in"
-        : "https://testpay.easebuzz.in";
-}
+    FEE_CATEGORIES,
+    resolveFee,
+    getFeeRegion,
+    getPaperFeePolicy,
+} = require("../utils/fees");
+const {
+    CouponError,
+    reserveCoupon,
+    releaseCoupon,
+} = require("../utils/coupons");
+const { getExemptionForUser } = require("../utils/exemptions");
+const {
+    SETTLED_PAYMENT_STATUSES,
+    getPayablePapers,
+    selectPaper,
+    findCoveringPaper,
+    describePaper,
+} = require("../utils/paperPayments");
+const {
+    OUTCOMES,
+    checkPayloadHash,
+    getFailureReason,
+    settleSubmissionSuccess,
+    settleSubmissionFailure,
+} = require("../utils/paymentSettlement");
 
 /**
- * Determine fee based on role.
- * Student → ₹250, Scholar → ₹500
- * CRITICAL: Never trust frontend amount. Always derive from DB role.
+ * Pricing shown by getPaymentStatus.
+ * Pending / paid / suspicious payments keep the price locked at initiation;
+ * otherwise today's tier and the next price change are quoted.
  */
-function getAmountForRole(role) {
-    const normalizedRole = (role || "").toLowerCase().trim();
-    if (normalizedRole === "student") return "250.00";
-    if (normalizedRole === "scholar") return "500.00";
-    // Default to higher amount for safety
-    return "500.00";
-}
+async function getPaperPricing(submissionData, userData) {
+    const isLocked = ["pending", "paid", "suspicious"].includes(submissionData.paymentStatus)
+        && submissionData.paymentAmount !== undefined && submissionData.paymentAmount !== null;
+
+    if (isLocked) {
+        const feeRule = submissionData.paymentFeeRule || null;
+        return {
+            locked: true,
+            tier: feeRule ? feeRule.tier || "regular" : "regular",
+            amount: Number(submissionData.paymentAmount).toFixed(2),
+            currency: submissionData.paymentCurrency || "INR",
+            lockedAt: submissionData.paymentInitiatedAt || null,
+            feeRule,
+            nextChange: null,
+        };
+    }
 
-/**
- * AFFILIATION-BASED EXEMPTION
- * ---------------------------
- * Check if a user's institution/affiliation qualifies for fee waiver.
- * Uses case-insensitive, whitespace-trimmed comparison.
- *
- * Exempt affiliations:
- *   - "UC College"
- *   - "Union Christian College"
- *
- * @param {string} institution - The user's institution field from Firestore
- * @returns {boolean} true if the user is exempt from payment
- */
-function isExemptAffiliation(institution) {
-    if (!institution || typeof institution !== "string") return false;
-    const normalized = institution.toLowerCase().trim();
-    const exemptAffiliations = ["uc college", "union christian college"];
-    return exemptAffiliations.includes(normalized);
+    const fee = await resolveFee({
+        category: FEE_CATEGORIES.PAPER,
+        region: getFeeRegion(userData),
+        role: userData.role || "scholar",
+        participantType: userData.participantType || "offline",
+    });
+    return {
+        locked: false,
+        tier: fee.tier,
+        amount: fee.amount,
+        currency: fee.currency,
+        lockedAt: null,
+        feeRule: fee.rule,
+        nextChange: fee.nextChange,
+    };
 }
 
 /**
  * POST /create-payment
  * 
- * Request body: { uid: string }
+ * Requires auth (uid is taken from req.user, never from the body).
+ * Request body: { paperId?: string, frontendUrl?: string, couponCode?: string }
+ * paperId is required when the author has several accepted papers to pay for.
  * 
  * Flow:
  * 1. Fetch user from Firestore
- * 2. Verify full paper is approved
- * 3. Verify payment not already completed
- * 4. Determine amount from role
+ * 2. Verify the chosen full paper is approved
+ * 3. Verify payment not already completed (or covered by another paper
+ *    under the per-author fee policy) and apply exemptions
+ * 4. Resolve amount from the fee schedule (role, participant type)
+ *    and apply the coupon, if any
  * 5. Generate hash
  * 6. Call Easebuzz initiate API
  * 7. Return access key to frontend
  */
 async function createPayment(req, res) {
-    try {
-        const { uid, frontendUrl: clientFrontendUrl } = req.body;
+    let coupon = null;
 
-        if (!uid) {
-            return res.status(400).json({ success: false, error: "User ID is required." });
-        }
+    try {
+        const { uid } = req.user;
+        const { frontendUrl: clientFrontendUrl, couponCode, paperId } = req.body;
 
         // Use client-provided URL if available, otherwise fall back to env
         const frontendUrl = clientFrontendUrl || process.env.FRONTEND_URL || "http://localhost:5000";
@@ -98,14 +127,12 @@ async function createPayment(req, res) {
         }
         const userData = userDoc.data();
 
-        // 2. Check if user has an approved full paper
-        // Simplified query to avoid the need for composite indices
-        const submissionsSnap = await db
-            .collection("submissions")
-            .where("uid", "==", uid)
-            .get();
+        // 2. Find the author's approved full papers and the one being paid for
+        //    (abandoned checkouts past the pending TTL are expired first)
+        const { submissionCount, papers: payablePapers } = await getPayablePapers(uid);
+        const papers = await expireStaleRecords(payablePapers, "submissions");
 
-        if (submissionsSnap.empty) {
+        if (submissionCount === 0) {
             console.log(`[PAYMENT] No submissions found for user ${uid}`);
             return res.status(403).json({
                 success: false,
@@ -113,152 +140,285 @@ async function createPayment(req, res) {
             });
         }
 
-        // Filter for specific type and status in code
-        // Include pending_review since papers in revision workflow should still be eligible
-        const approvedDocs = submissionsSnap.docs.filter((doc) => {
-            const d = doc.data();
-            const type = String(d.submissionType || "").toLowerCase().trim();
-            const status = String(d.status || "").toLowerCase().trim();
-
-            return type === "fullpaper" && (status === "accepted" || status === "accepted_with_revision" || status === "pending_review");
-        });
-
-        if (approvedDocs.length === 0) {
-            console.log(`[PAYMENT] User ${uid} has ${submissionsSnap.size} submissions but none are approved full papers.`);
+        if (papers.length === 0) {
+            console.log(`[PAYMENT] User ${uid} has ${submissionCount} submissions but none are approved full papers.`);
             return res.status(403).json({
                 success: false,
                 error: "Full paper must be approved before payment.",
             });
         }
 
+        const { paper: fullPaperDoc, ambiguous } = selectPaper(papers, paperId);
+        if (!fullPaperDoc) {
+            return res.status(404).json({
+                success: false,
+                error: "Paper not found or not eligible for payment.",
+            });
+        }
+        if (ambiguous) {
+            return res.status(400).json({
+                success: false,
+                error: "You have more than one accepted paper. Choose one with paperId.",
+                papers: papers.map(describePaper),
+            });
+        }
+
         // 3. Check if payment is already completed (idempotency)
-        const fullPaperDoc = approvedDocs[0];
         const fullPaperData = fullPaperDoc.data();
         if (fullPaperData.paymentStatus === "paid") {
             return res.status(409).json({
                 success: false,
                 error: "Payment already completed.",
+                paperId: fullPaperDoc.id,
                 paymentTxnId: fullPaperData.paymentTxnId,
             });
         }
 
-        // 3b. AFFILIATION EXEMPTION CHECK
-        // Before generating hash or calling Easebuzz, check if user
-        // is from an exempt institution.
-        const userInstitution = userData.institution || "";
-        if (isExemptAffiliation(userInstitution)) {
-            console.log(`[PAYMENT] User ${uid} is from exempt institution: "${userInstitution}". Skipping payment.`);
+        // A payment for this paper is parked for review; a new attempt would
+        // overwrite its status before an admin resolves it
+        if (fullPaperData.paymentStatus === "suspicious") {
+            return res.status(409).json({
+                success: false,
+                error: "A payment for this paper is under review. Please contact the organizers.",
+                paperId: fullPaperDoc.id,
+                paymentTxnId: fullPaperData.paymentTxnId,
+            });
+        }
 
-            // Mark submission as exempted (only if not already)
-            if (fullPaperData.paymentStatus !== "exempted") {
-                await fullPaperDoc.ref.update({
-                    paymentStatus: "exempted",
-                    exemptionReason: "Institutional Fee Waiver",
-                    paymentExemptedAt: new Date().toISOString(),
+        // A bank transfer for this paper is waiting for finance to confirm it
+        if (fullPaperData.offlinePayment && fullPaperData.offlinePayment.status === "submitted") {
+            return res.status(409).json({
+                success: false,
+                error: "An offline payment for this paper is awaiting confirmation.",
+                paperId: fullPaperDoc.id,
+            });
+        }
+
+        // Already waived (e.g. a 100% coupon): nothing to pay
+        if (fullPaperData.paymentStatus === "exempted") {
+            return res.status(200).json({
+                success: true,
+                paymentRequired: false,
+                paperId: fullPaperDoc.id,
+                reason: fullPaperData.exemptionReason || "Fee Waiver",
+            });
+        }
+
+        // 3a. Per-author fee policy: one paid paper covers the others
+        const policy = await getPaperFeePolicy();
+        const coveringDoc = findCoveringPaper(papers, fullPaperDoc.id, policy);
+        if (coveringDoc) {
+            const coveringStatus = coveringDoc.data().paymentStatus;
+            if (SETTLED_PAYMENT_STATUSES.includes(coveringStatus)) {
+                return res.status(200).json({
+                    success: true,
+                    paymentRequired: false,
+                    paperId: fullPaperDoc.id,
+                    reason: "Covered by the fee for your other paper",
+                    coveredBy: coveringDoc.id,
                 });
             }
+            return res.status(409).json({
+                success: false,
+                error: "A payment for your other paper is already in progress.",
+                paperId: coveringDoc.id,
+            });
+        }
+
+        // 3b. EXEMPTION CHECK
+        // Before generating hash or calling Easebuzz, check for a manual
+        // waiver or an exempt institution (utils/exemptions.js).
+        const exemption = await getExemptionForUser(uid, userData);
+        if (exemption.exempt) {
+            console.log(`[PAYMENT] User ${uid} is exempt (${exemption.source}: ${exemption.reason}). Skipping payment.`);
+
+            await fullPaperDoc.ref.update({
+                paymentStatus: "exempted",
+                exemptionReason: exemption.reason,
+                exemptionSource: exemption.source,
+                exemptionRuleId: exemption.ruleId,
+                exemptionApprovedBy: exemption.approvedBy,
+                paymentExemptedAt: new Date().toISOString(),
+            });
 
             return res.status(200).json({
                 success: true,
                 paymentRequired: false,
-                reason: "Institutional Fee Waiver",
-                institution: userInstitution,
+                paperId: fullPaperDoc.id,
+                reason: exemption.reason,
+                institution: exemption.institution,
             });
         }
 
-        // 4. Determine amount from role (NEVER trust frontend)
+        // 4. Resolve amount from the fee schedule (NEVER trust frontend);
+        //    the author's nationality / country picks the price list
         const role = userData.role || "scholar";
-        const amount = getAmountForRole(role);
-
+        const participantType = userData.participantType || "offline";
+        const fee = await resolveFee({
+            category: FEE_CATEGORIES.PAPER,
+            region: getFeeRegion(userData),
+            role,
+            participantType,
+        });
         // 5. Generate transaction ID
         const txnid = generateTxnId();
 
+        // 4b. Apply coupon (validated + reserved server-side, before hashing).
+        // A previous attempt's reservation is given back first.
+        if (fullPaperData.paymentCoupon) {
+            await releaseCoupon(fullPaperData.paymentCoupon.redemptionId, "superseded");
+        }
+
+        if (couponCode) {
+            try {
+                coupon = await reserveCoupon({
+                    code: couponCode,
+                    category: FEE_CATEGORIES.PAPER,
+                    amount: fee.amount,
+                    currency: fee.currency,
+                    collection: "submissions",
+                    recordId: fullPaperDoc.id,
+                    txnid,
+                    uid,
+                    email: userData.email || null,
+                });
+            } catch (error) {
+                if (error instanceof CouponError) {
+                    return res.status(error.statusCode).json({ success: false, error: error.message });
+                }
+                throw error;
+            }
+        }
+
+        const paymentCoupon = coupon
+            ? {
+                code: coupon.code,
+                redemptionId: coupon.redemptionId,
+                originalAmount: coupon.originalAmount,
+                discountAmount: coupon.discountAmount,
+            }
+            : null;
+
+        // 100% coupon: treat like an exemption, no gateway involved
+        if (coupon && coupon.isFullWaiver) {
+            const exemptionReason = `Coupon ${coupon.code}`;
+            await fullPaperDoc.ref.update({
+                paymentStatus: "exempted",
+                exemptionReason,
+                paymentExemptedAt: new Date().toISOString(),
+                paymentCoupon,
+                paymentFeeRule: fee.rule,
+            });
+
+            console.log(`[PAYMENT] User ${uid} exempted by coupon ${coupon.code}`);
+
+            return res.status(200).json({
+                success: true,
+                paymentRequired: false,
+                paperId: fullPaperDoc.id,
+                reason: exemptionReason,
+                coupon: paymentCoupon,
+            });
+        }
+
+        const amount = coupon ? coupon.finalAmount.toFixed(2) : fee.amount;
+
         // 6. Build payment payload
         const firstname = userData.name || "User";
         const email = userData.email || "";
         const phone = userData.phone || "9999999999";
         const productinfo = `Conference Fee - ${role === "student" ? "Student" : "Scholar"}`;
 
-        const key = EASEBUZZ_KEY();
-        const salt = EASEBUZZ_SALT();
-
-        const hash = generatePaymentHash({
-            key,
-            txnid,
-            amount,
-            productinfo,
-            firstname,
-            email,
-            salt,
-        });
-
-        // 7. Prepare Easebuzz initiate API call
+        // 7. Start the checkout with the payment provider
         // Use BACKEND_URL env var for reliable callback URLs in production;
         // fall back to auto-detection from request headers.
         const backendBaseUrl = process.env.BACKEND_URL
             || `${req.protocol}://${req.get("host")}`;
 
-        const initiatePayload = {
-            key,
+        const provider = getPaymentProvider();
+        if (!supportsCurrency(provider, fee.currency)) {
+            if (coupon) {
+                await releaseCoupon(coupon.redemptionId, "currency_unsupported");
+            }
+            return res.status(409).json({
+                success: false,
+                error: `Online payments in ${fee.currency} are not available. Please contact the organizers.`,
+            });
+        }
+
+        const initiation = await provider.initiate({
             txnid,
             amount,
+            currency: fee.currency,
             productinfo,
             firstname,
             email,
             phone,
             surl: `${backendBaseUrl}/api/payment-success`,
             furl: `${backendBaseUrl}/api/payment-failure`,
-            hash,
-        };
-
-        // Call Easebuzz initiate transaction API
-        const easebuzzInitUrl = `${getEasebuzzBaseUrl()}/payment/initiateLink`;
-
-        const formData = new URLSearchParams(initiatePayload).toString();
-
-        const easebuzzResponse = await axios.post(easebuzzInitUrl, formData, {
-            headers: {
-                "Content-Type": "application/x-www-form-urlencoded",
-            },
         });
 
-        // Safely parse response (may be string or object depending on Easebuzz Content-Type)
-        let responseData = easebuzzResponse.data;
-        if (typeof responseData === 'string') {
-            try { responseData = JSON.parse(responseData); } catch (e) { /* not JSON */ }
-        }
+        // Every attempt is kept, so a late callback for an earlier txnid still resolves
+        await recordAttempt({
+            txnid,
+            collection: "submissions",
+            recordId: fullPaperDoc.id,
+            uid,
+            provider: provider.name,
+            amount,
+            currency: fee.currency,
+            email,
+            productinfo,
+            feeRule: fee.rule,
+            coupon: paymentCoupon,
+            frontendUrl,
+        }, initiation);
 
-        if (responseData && responseData.status == 1) {
+        if (initiation.ok) {
             // Store pending transaction in the submission doc for verification later
             await fullPaperDoc.ref.update({
                 paymentStatus: "pending",
                 paymentTxnId: txnid,
                 paymentAmount: parseFloat(amount),
+                paymentCurrency: fee.currency,
+                paymentFeeRule: fee.rule,
+                paymentCoupon,
+                paymentEmail: email,
+                paymentProductInfo: productinfo,
+                paymentProvider: provider.name,
                 paymentInitiatedAt: new Date().toISOString(),
                 paymentFrontendUrl: frontendUrl,
             });
 
-            const accessKey = responseData.data;
-            const paymentUrl = `${getEasebuzzBaseUrl()}/pay/${accessKey}`;
-
             return res.status(200).json({
                 success: true,
-                paymentUrl,
-                accessKey,
+                paymentUrl: initiation.paymentUrl,
+                accessKey: initiation.accessKey,
                 txnid,
+                paperId: fullPaperDoc.id,
                 amount,
+                currency: fee.currency,
                 role,
+                tier: fee.tier,
+                feeRule: fee.rule,
+                coupon: paymentCoupon,
             });
         } else {
-            console.error("Easebuzz initiate failed:", responseData);
+            console.error(`${provider.name} initiate failed:`, initiation.raw);
+            if (coupon) {
+                await releaseCoupon(coupon.redemptionId, "initiation_failed");
+            }
             return res.status(500).json({
                 success: false,
                 error: "Failed to initiate payment with gateway.",
-                details: responseData?.message || "Unknown error",
+                details: initiation.error || "Unknown error",
             });
         }
     } catch (error) {
         console.error("Create payment error:", error);
+        if (coupon && !coupon.isFullWaiver) {
+            await releaseCoupon(coupon.redemptionId, "initiation_failed").catch(() => {});
+        }
         return res.status(500).json({
             success: false,
             error: "Internal server error.",
@@ -272,6 +432,8 @@ async function createPayment(req, res) {
  * 
  * Called by Easebuzz after successful payment.
  * Verifies hash, updates Firestore, redirects to Flutter.
+ * An invalid hash, or an amount/email/productinfo that differs from the
+ * stored order, parks the submission as "suspicious" for admin review.
  */
 async function paymentSuccess(req, res) {
     // Determine the redirect frontend URL early so ALL code paths use it.
@@ -284,73 +446,43 @@ async function paymentSuccess(req, res) {
         const {
             txnid,
             amount,
-            productinfo,
-            firstname,
             email,
             status,
-            hash: receivedHash,
         } = req.body;
 
         console.log("Payment success callback received:", { txnid, amount, status, email });
 
-        // ─── Look up the submission FIRST to get stored frontendUrl ───
-        const db = getDb();
-        const submissionsSnap = await db
-            .collection("submissions")
-            .where("paymentTxnId", "==", txnid)
-            .limit(1)
-            .get();
-
-        if (!submissionsSnap.empty) {
-            const storedFrontendUrl = submissionsSnap.docs[0].data().paymentFrontendUrl;
+        // ─── Look up the submission FIRST (through the attempt) to get stored frontendUrl ───
+        const submissionDoc = await findAttemptRecord(txnid, "submissions", "paymentTxnId");
+
+        if (submissionDoc) {
+            const storedFrontendUrl = submissionDoc.data().paymentFrontendUrl;
             if (storedFrontendUrl) {
                 frontendUrl = storedFrontendUrl;
             }
         }
 
-        const key = EASEBUZZ_KEY();
-        const salt = EASEBUZZ_SALT();
-
-        // Verify hash
-        const expectedHash = generateReverseHash({
-            salt,
-            status,
-            email,
-            firstname,
-            productinfo,
-            amount,
-            txnid,
-            key,
-        });
-
-        if (receivedHash && receivedHash !== expectedHash) {
-            // Log the mismatch but DO NOT block payment.
-            // The callback came through surl which Easebuzz only calls on success.
-            // Hash mismatches in live mode can be caused by additional fields
-            // (additionalCharges, net_amount_debit, etc.) not in our computation.
-            console.warn("[PAYMENT] Hash mismatch (logging only, not blocking):", {
-                received: receivedHash,
-                expected: expectedHash,
-                txnid,
-            });
-        }
-
-        // Update Firestore
-        if (!submissionsSnap.empty) {
-            const docRef = submissionsSnap.docs[0].ref;
-            const existingData = submissionsSnap.docs[0].data();
-
-            // Prevent duplicate updates
-            if (existingData.paymentStatus !== "paid") {
-                await docRef.update({
-                    paymentStatus: "paid",
-                    paymentAmount: parseFloat(amount),
-                    paymentDate: new Date().toISOString(),
-                    paymentGatewayStatus: status,
-                });
+        // Verify hash + stored order, then mark paid (shared with the reconciler)
+        if (!submissionDoc) {
+            if (!(await checkPayloadHash(null, req.body, "PAYMENT"))) {
+                return res.redirect(
+                    `${frontendUrl}/#/payment-result?status=failed&txnid=${txnid}&reason=hash_mismatch`
+                );
             }
-        } else {
             console.warn(`[PAYMENT] No submission found for txnid=${txnid}`);
+        } else {
+            const outcome = await settleSubmissionSuccess(submissionDoc, req.body, "callback");
+            if (outcome === OUTCOMES.UNDER_REVIEW) {
+                return res.redirect(
+                    `${frontendUrl}/#/payment-result?status=failed&txnid=${txnid}&reason=under_review`
+                );
+            }
+            if (outcome === OUTCOMES.INVALID_HASH || outcome === OUTCOMES.ORDER_MISMATCH) {
+                const reason = outcome === OUTCOMES.INVALID_HASH ? "hash_mismatch" : "order_mismatch";
+                return res.redirect(
+                    `${frontendUrl}/#/payment-result?status=failed&txnid=${txnid}&reason=${reason}`
+                );
+            }
         }
 
         console.log(`[PAYMENT] Redirecting to: ${frontendUrl}/#/payment-result?status=success&txnid=${txnid}&amount=${amount}`);
@@ -380,35 +512,21 @@ async function paymentFailure(req, res) {
 
         console.log("Payment failure callback received:", { txnid, status });
 
-        // Reset payment status in Firestore
-        const db = getDb();
-        const submissionsSnap = await db
-            .collection("submissions")
-            .where("paymentTxnId", "==", txnid)
-            .limit(1)
-            .get();
-
-        if (!submissionsSnap.empty) {
-            const docRef = submissionsSnap.docs[0].ref;
-            const existingData = submissionsSnap.docs[0].data();
-
-            // Only reset if not already paid (safety check)
-            if (existingData.paymentStatus !== "paid") {
-                await docRef.update({
-                    paymentStatus: "failed",
-                    paymentGatewayStatus: status || "failed",
-                    paymentFailedAt: new Date().toISOString(),
-                });
-            }
+        // Verify hash, then reset payment status (unless a newer attempt is in progress)
+        const submissionDoc = await findAttemptRecord(txnid, "submissions", "paymentTxnId");
+
+        let outcome = null;
+        if (submissionDoc) {
+            outcome = await settleSubmissionFailure(submissionDoc, req.body, "callback");
         }
 
         // Use the frontend URL stored during payment creation
-        const storedFrontendUrl = !submissionsSnap.empty
-            ? submissionsSnap.docs[0].data().paymentFrontendUrl
+        const storedFrontendUrl = submissionDoc
+            ? submissionDoc.data().paymentFrontendUrl
             : null;
         const frontendUrl = storedFrontendUrl || process.env.FRONTEND_URL || "http://localhost:5000";
         return res.redirect(
-            `${frontendUrl}/#/payment-result?status=failed&txnid=${txnid}&reason=payment_failed`
+            `${frontendUrl}/#/payment-result?status=failed&txnid=${txnid}&reason=${getFailureReason(outcome)}`
         );
     } catch (error) {
         console.error("Payment failure handler error:", error);
@@ -420,75 +538,112 @@ async function paymentFailure(req, res) {
 }
 
 /**
- * GET /payment-status/:uid
+ * GET /payment-status[/:uid][?paperId=]
  * 
- * Returns the payment status for a user's approved full paper.
+ * Returns the payment status of every approved full paper of a user
+ * (`papers`), plus the fields of one paper at the top level: ?paperId,
+ * or else the paper still to be paid for.
+ * Defaults to the caller; another :uid requires payments:read.
+ *
+ * `pricing` shows the tier that applies (early_bird / regular / late)
+ * and the next scheduled price change. Once a payment is initiated its
+ * price is locked to the stored amount and rule. Under the per-author
+ * fee policy, papers covered by another paper's payment are reported as
+ * "covered". A payment pending past the pending TTL is reported (and
+ * stored) as "expired", unlocking the price for a fresh payment.
  */
 async function getPaymentStatus(req, res) {
     try {
-        const { uid } = req.params;
-
-        if (!uid) {
-            return res.status(400).json({ success: false, error: "User ID is required." });
-        }
+        const uid = req.params.uid || req.user.uid;
+        const { paperId } = req.query;
 
         const db = getDb();
 
-        // Find the user's approved full paper
-        // Simplified query to avoid the need for composite indices
-        const submissionsSnap = await db
-            .collection("submissions")
-            .where("uid", "==", uid)
-            .get();
+        // Find the user's approved full papers, expiring abandoned checkouts
+        const { papers: payablePapers } = await getPayablePapers(uid);
+        const papers = await expireStaleRecords(payablePapers, "submissions");
 
-        // Include pending_review since papers in revision workflow should still be eligible
-        const approvedDocs = submissionsSnap.docs.filter((doc) => {
-            const d = doc.data();
-            const type = String(d.submissionType || "").toLowerCase().trim();
-            const status = String(d.status || "").toLowerCase().trim();
-
-            return type === "fullpaper" && (status === "accepted" || status === "accepted_with_revision" || status === "pending_review");
-        });
-
-        if (approvedDocs.length === 0) {
+        if (papers.length === 0) {
             return res.status(200).json({
                 success: true,
                 hasApprovedPaper: false,
                 paymentStatus: null,
+                papers: [],
             });
         }
 
-        const data = approvedDocs[0].data();
+        const { paper: selectedDoc } = selectPaper(papers, paperId);
+        if (!selectedDoc) {
+            return res.status(404).json({
+                success: false,
+                error: "Paper not found or not eligible for payment.",
+            });
+        }
 
         // Fetch user profile to check institution for exemption
         const userDoc = await db.collection("users").doc(uid).get();
         const userData = userDoc.exists ? userDoc.data() : {};
 
-        // Check if user is from an exempt institution
-        const userInstitution = userData.institution || "";
-        const isExempt = isExemptAffiliation(userInstitution);
+        // Check for a manual waiver or an exempt institution
+        const exemption = await getExemptionForUser(uid, userData);
+        const isExempt = exemption.exempt;
+        const policy = await getPaperFeePolicy();
 
-        // If exempt but paymentStatus hasn't been set yet, auto-set it
-        if (isExempt && data.paymentStatus !== "exempted" && data.paymentStatus !== "paid") {
-            const docRef = approvedDocs[0].ref;
-            await docRef.update({
-                paymentStatus: "exempted",
-                exemptionReason: "Institutional Fee Waiver",
-                paymentExemptedAt: new Date().toISOString(),
+        const paperStatuses = [];
+        for (const doc of papers) {
+            const data = doc.data();
+
+            // If exempt but paymentStatus hasn't been set yet, auto-set it
+            if (isExempt && data.paymentStatus !== "exempted" && data.paymentStatus !== "paid") {
+                await doc.ref.update({
+                    paymentStatus: "exempted",
+                    exemptionReason: exemption.reason,
+                    exemptionSource: exemption.source,
+                    exemptionRuleId: exemption.ruleId,
+                    exemptionApprovedBy: exemption.approvedBy,
+                    paymentExemptedAt: new Date().toISOString(),
+                });
+            }
+
+            const isExempted = (isExempt && data.paymentStatus !== "paid") || data.paymentStatus === "exempted";
+            const coveringDoc = isExempted || data.paymentStatus === "paid"
+                ? null
+                : findCoveringPaper(papers, doc.id, policy);
+            const isCovered = Boolean(coveringDoc)
+                && SETTLED_PAYMENT_STATUSES.includes(coveringDoc.data().paymentStatus);
+
+            const pricing = isExempted || isCovered
+                ? null
+                : await getPaperPricing(data, userData);
+
+            paperStatuses.push({
+                ...describePaper(doc),
+                paymentStatus: isExempted ? "exempted" : isCovered ? "covered" : (data.paymentStatus || "unpaid"),
+                coveredBy: isCovered ? coveringDoc.id : null,
+                pricing,
+                paymentAmount: data.paymentAmount || null,
+                paymentTxnId: data.paymentTxnId || null,
+                paymentDate: data.paymentDate || null,
+                paymentFeeRule: data.paymentFeeRule || null,
+                paymentCoupon: data.paymentCoupon || null,
+                paymentMethod: data.paymentMethod || null,
+                offlinePayment: data.offlinePayment || null,
+                // Exemption-specific fields
+                paymentExempted: isExempted,
+                exemptionReason: isExempt && isExempted ? exemption.reason : (data.exemptionReason || null),
+                exemptionSource: isExempt && isExempted ? exemption.source : (data.exemptionSource || null),
+                exemptInstitution: isExempt && isExempted ? exemption.institution : null,
             });
         }
 
+        const selected = paperStatuses.find((p) => p.paperId === selectedDoc.id);
+
         return res.status(200).json({
             success: true,
             hasApprovedPaper: true,
-            paymentStatus: isExempt ? "exempted" : (data.paymentStatus || "unpaid"),
-            paymentAmount: data.paymentAmount || null,
-            paymentTxnId: data.paymentTxnId || null,
-            paymentDate: data.paymentDate || null,
-            // Exemption-specific fields
-            paymentExempted: isExempt,
-            exemptionReason: isExempt ? "Institutional Fee Waiver" : null,
-            exemptInstitution: isExempt ? userInstitution : null,
+            feePolicy: policy,
+            ...selected,
+            papers: paperStatuses,
         });
     } catch (error) {
         console.error("Get payment status error:", error);
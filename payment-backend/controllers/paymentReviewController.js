@@ -0,0 +1,276 @@
+/**
+ * Payment Review Controller
+ * -------------------------
+ * Admin workflow for payment records parked as "suspicious" by the
+ * Easebuzz callbacks (invalid callback hash, a callback whose amount,
+ * email or productinfo differs from the stored order, a success that
+ * arrived after the payment expired, or one whose coupon was used up by
+ * others after its reservation was released).
+ *
+ * Routes:
+ *   GET    /admin/payments/suspicious   → List suspicious paper, attendee and group payments
+ *   GET    /admin/payments/incidents    → List logged payment incidents (tampering, invalid hash)
+ *   POST   /admin/payments/review       → Approve (mark paid) or reject a suspicious payment
+ */
+
+const { getDb } = require("../utils/firebase");
+const { updateGroupMembers } = require("../utils/paymentSettlement");
+const { NUMBER_SERIES, assignNumbers } = require("../utils/counters");
+const { markCouponRedeemed, releaseCoupon } = require("../utils/coupons");
+const { ATTEMPT_STATUSES, recordAttemptEvent } = require("../utils/paymentAttempts");
+
+// Collections that hold payment records, and how to summarise each one.
+const PAYMENT_COLLECTIONS = {
+    submissions: (id, d) => ({
+        collection: "submissions",
+        id,
+        type: "paper",
+        uid: d.uid || null,
+        title: d.title || "",
+        referenceNumber: d.referenceNumber || "",
+        txnid: d.paymentTxnId || null,
+        amount: d.paymentAmount || null,
+        paymentStatus: d.paymentStatus,
+        paymentSuspicion: d.paymentSuspicion || null,
+    }),
+    attendees: (id, d) => ({
+        collection: "attendees",
+        id,
+        type: "attendee",
+        name: d.name || "",
+        email: d.email || "",
+        txnid: d.txnid || null,
+        amount: d.amount || null,
+        paymentStatus: d.paymentStatus,
+        paymentSuspicion: d.paymentSuspicion || null,
+    }),
+    attendeeGroups: (id, d) => ({
+        collection: "attendeeGroups",
+        id,
+        type: "attendee_group",
+        name: d.contactName || "",
+        email: d.contactEmail || "",
+        attendeeCount: d.attendeeCount || 0,
+        txnid: d.txnid || null,
+        amount: d.amount || null,
+        paymentStatus: d.paymentStatus,
+        paymentSuspicion: d.paymentSuspicion || null,
+    }),
+};
+
+// ──────────────── GET /admin/payments/suspicious ────────────────
+
+/**
+ * List every payment record currently in the "suspicious" state,
+ * newest detection first.
+ */
+async function adminListSuspiciousPayments(req, res) {
+    try {
+        const db = getDb();
+
+        const results = [];
+        for (const [collection, summarise] of Object.entries(PAYMENT_COLLECTIONS)) {
+            const snap = await db
+                .collection(collection)
+                .where("paymentStatus", "==", "suspicious")
+                .get();
+            snap.forEach((doc) => results.push(summarise(doc.id, doc.data())));
+        }
+
+        results.sort((a, b) =>
+            String(b.paymentSuspicion?.detectedAt || "").localeCompare(
+                String(a.paymentSuspicion?.detectedAt || "")
+            )
+        );
+
+        return res.status(200).json({
+            success: true,
+            count: results.length,
+            payments: results,
+        });
+    } catch (error) {
+        console.error("[PAYMENT REVIEW] List error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── GET /admin/payments/incidents ────────────────
+
+/**
+ * List logged payment incidents, newest first.
+ * Query: ?status=open|resolved  ?type=tampering|invalid_hash  (both optional)
+ */
+async function adminListPaymentIncidents(req, res) {
+    try {
+        const { status, type } = req.query;
+        const db = getDb();
+
+        // Filter in code to avoid composite indexes (matches other controllers)
+        const snap = await db.collection("paymentIncidents").get();
+
+        const incidents = snap.docs
+            .map((doc) => ({ id: doc.id, ...doc.data() }))
+            .filter((i) => (!status || i.status === status) && (!type || i.type === type))
+            .sort((a, b) => String(b.detectedAt || "").localeCompare(String(a.detectedAt || "")));
+
+        return res.status(200).json({
+            success: true,
+            count: incidents.length,
+            incidents,
+        });
+    } catch (error) {
+        console.error("[PAYMENT REVIEW] Incident list error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+// ──────────────── POST /admin/payments/review ────────────────
+
+/**
+ * Resolve a suspicious payment.
+ * Body: { collection: "submissions"|"attendees"|"attendeeGroups", id, action: "approve"|"reject", note? }
+ *
+ * approve → paymentStatus "paid" using the amount stored at initiation
+ *           (the untrusted callback amount is never applied).
+ * reject  → paymentStatus "failed".
+ * For a group, the result is copied to every member attendee.
+ */
+async function adminReviewPayment(req, res) {
+    try {
+        const { collection, id, action, note } = req.body;
+
+        if (!PAYMENT_COLLECTIONS[collection] || !id) {
+            return res.status(400).json({
+                success: false,
+                error: "collection ('submissions', 'attendees' or 'attendeeGroups') and id are required.",
+            });
+        }
+
+        if (!["approve", "reject"].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                error: "action must be 'approve' or 'reject'.",
+            });
+        }
+
+        const db = getDb();
+        const docRef = db.collection(collection).doc(id);
+        const doc = await docRef.get();
+
+        if (!doc.exists) {
+            return res.status(404).json({
+                success: false,
+                error: "Payment record not found.",
+            });
+        }
+
+        const data = doc.data();
+        if (data.paymentStatus !== "suspicious") {
+            return res.status(409).json({
+                success: false,
+                error: `Payment is not awaiting review (current status '${data.paymentStatus}').`,
+            });
+        }
+
+        const now = new Date().toISOString();
+        const resolution = {
+            action,
+            note: (note || "").trim(),
+            reviewedBy: req.user.uid,
+            reviewedAt: now,
+        };
+
+        const update = {
+            "paymentSuspicion.resolution": resolution,
+        };
+
+        if (action === "approve") {
+            update.paymentStatus = "paid";
+            update.paymentDate = now;
+            if (collection === "submissions") {
+                update.paymentAmount = data.paymentAmount;
+            } else {
+                update.paymentAmount = data.amount;
+            }
+        } else {
+            update.paymentStatus = "failed";
+            update.paymentFailedAt = now;
+        }
+
+        if (action === "approve") {
+            const series = collection === "submissions"
+                ? NUMBER_SERIES.PAPER_RECEIPT
+                : NUMBER_SERIES.ATTENDEE_RECEIPT;
+            await assignNumbers(series, [{ ref: docRef, update }]);
+        } else {
+            await docRef.update(update);
+        }
+
+        if (collection === "attendeeGroups") {
+            const { paymentStatus, paymentDate, paymentFailedAt } = update;
+            await updateGroupMembers(data, action === "approve"
+                ? { paymentStatus, paymentDate }
+                : { paymentStatus, paymentFailedAt });
+        }
+
+        // Settle the coupon reserved at initiation, if any. Approving is the
+        // admin's decision to accept it even if the coupon is used up since.
+        const coupon = collection === "submissions" ? data.paymentCoupon : data.coupon;
+        if (coupon) {
+            if (action === "approve") {
+                await markCouponRedeemed(coupon.redemptionId, req.user.uid);
+            } else {
+                await releaseCoupon(coupon.redemptionId, "payment_rejected");
+            }
+        }
+
+        await recordAttemptEvent(collection === "submissions" ? data.paymentTxnId : data.txnid, {
+            type: `review_${action}`,
+            status: action === "approve" ? ATTEMPT_STATUSES.PAID : ATTEMPT_STATUSES.FAILED,
+            source: "review",
+            detail: { reviewedBy: req.user.uid, note: resolution.note },
+        });
+
+        // Close the incident that parked this payment
+        const incidentId = data.paymentSuspicion && data.paymentSuspicion.incidentId;
+        if (incidentId) {
+            await db.collection("paymentIncidents").doc(incidentId).update({
+                status: "resolved",
+                resolution,
+            });
+        }
+
+        console.log(
+            `[PAYMENT REVIEW] ${req.user.uid} ${action}d ${collection}/${id}`
+        );
+
+        return res.status(200).json({
+            success: true,
+            collection,
+            id,
+            paymentStatus: update.paymentStatus,
+            resolution,
+        });
+    } catch (error) {
+        console.error("[PAYMENT REVIEW] Review error:", error);
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+            details: error.message,
+        });
+    }
+}
+
+module.exports = {
+    adminListSuspiciousPayments,
+    adminListPaymentIncidents,
+    adminReviewPayment,
+};
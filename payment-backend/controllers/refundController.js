@@ -0,0 +1,139 @@
+/**
+ * Refund Controller
+ * -----------------
+ * Admin endpoints for full or partial refunds of paid paper fees,
+ * attendee fees and group registrations through the Easebuzz Refund API
+ * (see utils/refunds.js). Group members are refunded through their group.
+ *
+ * Routes:
+ *   POST   /admin/payments/refunds                 → Start a refund
+ *   GET    /admin/payments/refunds                 → List refunds
+ *   POST   /admin/payments/refunds/:refundId/sync  → Refresh a pending refund from Easebuzz
+ */
+
+const { getDb } = require("../utils/firebase");
+const {
+    REFUND_STATUSES,
+    REFUNDABLE_COLLECTIONS,
+    RefundError,
+    startRefund,
+    syncRefund,
+} = require("../utils/refunds");
+
+function sendRefundError(res, error, logLabel) {
+    if (error instanceof RefundError) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+        });
+    }
+
+    console.error(`[REFUND] ${logLabel} error:`, error);
+    return res.status(500).json({
+        success: false,
+        error: "Internal server error.",
+        details: error.message,
+    });
+}
+
+// ──────────────── POST /admin/payments/refunds ────────────────
+
+/**
+ * Start a refund.
+ * Body: { collection: "submissions"|"attendees"|"attendeeGroups", id, reason, amount? }
+ * amount defaults to the full remaining refundable balance.
+ */
+async function adminCreateRefund(req, res) {
+    try {
+        const { collection, id, amount } = req.body;
+        const reason = String(req.body.reason || "").trim();
+
+        if (!REFUNDABLE_COLLECTIONS[collection] || !id) {
+            return res.status(400).json({
+                success: false,
+                error: `collection (${Object.keys(REFUNDABLE_COLLECTIONS).join(", ")}) and id are required.`,
+            });
+        }
+
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                error: "A refund reason is required.",
+            });
+        }
+
+        if (amount !== undefined && amount !== null && amount !== "" && !Number.isFinite(parseFloat(amount))) {
+            return res.status(400).json({
+                success: false,
+                error: "amount must be a number.",
+            });
+        }
+
+        const refund = await startRefund({
+            collection,
+            recordId: id,
+            amount,
+            reason,
+            requestedBy: req.user.uid,
+        });
+
+        return res.status(refund.status === REFUND_STATUSES.FAILED ? 502 : 201).json({
+            success: refund.status !== REFUND_STATUSES.FAILED,
+            refund,
+        });
+    } catch (error) {
+        return sendRefundError(res, error, "Create");
+    }
+}
+
+// ──────────────── GET /admin/payments/refunds ────────────────
+
+/**
+ * List refunds, newest first.
+ * Query: ?status=refund_pending|refunded|refund_failed  ?collection=submissions|attendees|attendeeGroups
+ */
+async function adminListRefunds(req, res) {
+    try {
+        const { status, collection } = req.query;
+
+        // Filter in code to avoid composite indexes (matches other controllers)
+        const snap = await getDb().collection("refunds").get();
+
+        const refunds = snap.docs
+            .map((doc) => ({ id: doc.id, ...doc.data() }))
+            .filter((r) => (!status || r.status === status) && (!collection || r.collection === collection))
+            .sort((a, b) => String(b.requestedAt || "").localeCompare(String(a.requestedAt || "")));
+
+        return res.status(200).json({
+            success: true,
+            count: refunds.length,
+            refunds,
+        });
+    } catch (error) {
+        return sendRefundError(res, error, "List");
+    }
+}
+
+// ──────────────── POST /admin/payments/refunds/:refundId/sync ────────────────
+
+/**
+ * Refresh a pending refund's status from Easebuzz.
+ */
+async function adminSyncRefund(req, res) {
+    try {
+        const refund = await syncRefund(req.params.refundId);
+
+        return res.status(200).json({
+            success: true,
+            refund,
+        });
+    } catch (error) {
+        return sendRefundError(res, error, "Sync");
+    }
+}
+
+module.exports = {
+    adminCreateRefund,
+    adminListRefunds,
+    adminSyncRefund,
+};
@@ -102,11 +102,10 @@ function uploadToCloudinary(buffer, folder, publicId) {
  *   - paperId (string) — Firestore document ID of the submission
  *
  * Body (multipart/form-data):
- *   - userId (string)       — Firebase user UID
  *   - revisedPaper (file)   — PDF file (max 10MB)
  *
  * Logic:
- *   1. Validate authenticated user
+ *   1. Take user identity from the verified ID token (req.user)
  *   2. Ensure paper belongs to user
  *   3. Ensure current status == accepted_with_revision
  *   4. Upload to Cloudinary
@@ -118,7 +117,7 @@ function uploadToCloudinary(buffer, folder, publicId) {
 async function handleResubmitPaper(req, res) {
     try {
         const { paperId } = req.params;
-        const { userId } = req.body;
+        const userId = req.user.uid;
 
         // ─── Validate inputs ───
         if (!paperId || !paperId.trim()) {
@@ -128,13 +127,6 @@ async function handleResubmitPaper(req, res) {
             });
         }
 
-        if (!userId || !userId.trim()) {
-            return res.status(400).json({
-                success: false,
-                error: "userId is required.",
-            });
-        }
-
         if (!req.file) {
             return res.status(400).json({
                 success: false,
@@ -270,14 +262,12 @@ async function handleResubmitPaper(req, res) {
  * URL Params:
  *   - paperId (string) — Firestore document ID
  *
- * Query Params:
- *   - userId (string) — Firebase user UID (for ownership check)
- *   - adminId (string) — Optional admin UID (bypasses ownership)
+ * Only the paper owner or staff with papers:read get here
+ * (requirePaperOwnerOrPermission on the route).
  */
 async function getPaperVersions(req, res) {
     try {
         const { paperId } = req.params;
-        const { userId, adminId } = req.query;
 
         if (!paperId) {
             return res.status(400).json({
@@ -286,13 +276,6 @@ async function getPaperVersions(req, res) {
             });
         }
 
-        if (!userId && !adminId) {
-            return res.status(400).json({
-                success: false,
-                error: "userId or adminId query parameter is required.",
-            });
-        }
-
         const db = getDb();
         const paperDoc = await db.collection("submissions").doc(paperId).get();
 
@@ -305,41 +288,6 @@ async function getPaperVersions(req, res) {
 
         const paperData = paperDoc.data();
 
-        // Check access: either the paper owner or an admin
-        if (adminId) {
-            // Verify admin privileges
-            let isAdmin = false;
-            try {
-                const userRecord = await admin.auth().getUser(adminId);
-                if (
-                    userRecord.customClaims &&
-                    userRecord.customClaims.role === "admin"
-                ) {
-                    isAdmin = true;
-                }
-            } catch (_) { }
-
-            if (!isAdmin) {
-                const adminDoc = await db
-                    .collection("admins")
-                    .doc(adminId)
-                    .get();
-                if (adminDoc.exists) isAdmin = true;
-            }
-
-            if (!isAdmin) {
-                return res.status(403).json({
-                    success: false,
-                    error: "Unauthorized. Admin privileges required.",
-                });
-            }
-        } else if (paperData.uid !== userId) {
-            return res.status(403).json({
-                success: false,
-                error: "You can only view versions of your own papers.",
-            });
-        }
-
         // Build version list including current version
         const versions = paperData.versions || [];
         const currentVersionEntry = {
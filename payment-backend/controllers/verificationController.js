@@ -10,13 +10,13 @@
  * Routes:
  *   POST   /upload-id-card              → Upload ID card image
  *   POST   /upload-payment-receipt      → Upload payment receipt image
- *   GET    /verification-status/:userId → Get verification status
+ *   GET    /verification-status         → Get verification status
  *   POST   /admin/verify-user           → Admin approve/reject
  *   GET    /admin/verification-list     → Admin list all pending verifications
  */
 
 const { getDb } = require("../utils/firebase");
-const admin = require("firebase-admin");
+const { createExemptionChecker } = require("../utils/exemptions");
 const cloudinary = require("cloudinary").v2;
 const multer = require("multer");
 
@@ -110,60 +110,16 @@ async function getUserData(userId) {
     return userDoc.data();
 }
 
-/**
- * Check if userId matches an admin.
- * This project uses Firebase Auth custom claims (role === 'admin').
- * We check that first via Admin SDK, then fall back to Firestore.
- */
-async function isAdminUser(adminId) {
-    console.log(`[VERIFICATION] Checking admin status for UID: ${adminId}`);
-
-    try {
-        // Primary: Check Firebase Auth custom claims
-        const userRecord = await admin.auth().getUser(adminId);
-        console.log(`[VERIFICATION] Custom claims for ${adminId}:`, JSON.stringify(userRecord.customClaims));
-        if (userRecord.customClaims && userRecord.customClaims.role === "admin") {
-            console.log(`[VERIFICATION] ✅ Admin confirmed via custom claims`);
-            return true;
-        }
-    } catch (err) {
-        console.warn("[VERIFICATION] Could not check custom claims for", adminId, err.message);
-    }
-
-    // Fallback: Check Firestore admins collection
-    const db = getDb();
-    const adminDoc = await db.collection("admins").doc(adminId).get();
-    console.log(`[VERIFICATION] admins/${adminId} exists:`, adminDoc.exists);
-    if (adminDoc.exists) return true;
-
-    // Fallback: Check users collection for admin role
-    const userDoc = await db.collection("users").doc(adminId).get();
-    console.log(`[VERIFICATION] users/${adminId} exists:`, userDoc.exists, "role:", userDoc.exists ? userDoc.data().role : "N/A");
-    if (userDoc.exists && userDoc.data().role === "admin") return true;
-
-    console.log(`[VERIFICATION] ❌ Admin check FAILED for ${adminId}`);
-    return false;
-}
-
 // ──────────────── POST /upload-id-card ────────────────
 
 /**
- * Upload ID card image.
+ * Upload ID card image for the authenticated user (req.user).
  * Body: multipart/form-data with fields:
- *   - userId (string)  — Firebase user UID
  *   - idCard (file)    — Image file (JPG/PNG/JPEG, max 5MB)
  */
 async function handleUploadIdCard(req, res) {
     try {
-        const { userId } = req.body;
-
-        // Validate userId
-        if (!userId || !userId.trim()) {
-            return res.status(400).json({
-                success: false,
-                error: "userId is required.",
-            });
-        }
+        const userId = req.user.uid;
 
         // Validate file was provided
         if (!req.file) {
@@ -238,22 +194,13 @@ async function handleUploadIdCard(req, res) {
 // ──────────────── POST /upload-payment-receipt ────────────────
 
 /**
- * Upload payment receipt image.
+ * Upload payment receipt image for the authenticated user (req.user).
  * Body: multipart/form-data with fields:
- *   - userId (string)        — Firebase user UID
  *   - paymentReceipt (file)  — Image file (JPG/PNG/JPEG, max 5MB)
  */
 async function handleUploadPaymentReceipt(req, res) {
     try {
-        const { userId } = req.body;
-
-        // Validate userId
-        if (!userId || !userId.trim()) {
-            return res.status(400).json({
-                success: false,
-                error: "userId is required.",
-            });
-        }
+        const userId = req.user.uid;
 
         // Validate file was provided
         if (!req.file) {
@@ -324,21 +271,15 @@ async function handleUploadPaymentReceipt(req, res) {
     }
 }
 
-// ──────────────── GET /verification-status/:userId ────────────────
+// ──────────────── GET /verification-status ────────────────
 
 /**
- * Get verification status for a user.
+ * Get verification status for the authenticated user, or for :userId
+ * when the caller has verification:read.
  */
 async function getVerificationStatus(req, res) {
     try {
-        const { userId } = req.params;
-
-        if (!userId) {
-            return res.status(400).json({
-                success: false,
-                error: "userId is required.",
-            });
-        }
+        const userId = req.params.userId || req.user.uid;
 
         const userData = await getUserData(userId);
         if (!userData) {
@@ -371,17 +312,19 @@ async function getVerificationStatus(req, res) {
 
 /**
  * Admin approves or rejects a user's verification documents.
- * Body: { userId, action: "approved"|"rejected", adminId }
+ * Body: { userId, action: "approved"|"rejected" }
+ * The acting admin is the authenticated caller (req.user).
  */
 async function adminVerifyUser(req, res) {
     try {
-        const { userId, action, adminId } = req.body;
+        const { userId, action } = req.body;
+        const adminId = req.user.uid;
 
         // Validate required fields
-        if (!userId || !action || !adminId) {
+        if (!userId || !action) {
             return res.status(400).json({
                 success: false,
-                error: "userId, action, and adminId are required.",
+                error: "userId and action are required.",
             });
         }
 
@@ -393,15 +336,6 @@ async function adminVerifyUser(req, res) {
             });
         }
 
-        // Verify admin privileges
-        const adminIsValid = await isAdminUser(adminId);
-        if (!adminIsValid) {
-            return res.status(403).json({
-                success: false,
-                error: "Unauthorized. Admin privileges required.",
-            });
-        }
-
         // Verify target user exists
         const userData = await getUserData(userId);
         if (!userData) {
@@ -452,24 +386,6 @@ async function adminVerifyUser(req, res) {
  */
 async function adminGetVerificationList(req, res) {
     try {
-        const { adminId } = req.query;
-
-        // Verify admin
-        if (!adminId) {
-            return res.status(400).json({
-                success: false,
-                error: "adminId query parameter is required.",
-            });
-        }
-
-        const adminIsValid = await isAdminUser(adminId);
-        if (!adminIsValid) {
-            return res.status(403).json({
-                success: false,
-                error: "Unauthorized. Admin privileges required.",
-            });
-        }
-
         const db = getDb();
 
         // Get all users who have a verificationStatus field
@@ -478,13 +394,14 @@ async function adminGetVerificationList(req, res) {
             .where("verificationStatus", "in", ["pending", "approved", "rejected"])
             .get();
 
+        // Same waiver / institution rules as the payment endpoints
+        const checkExemption = await createExemptionChecker();
+
         const users = [];
         usersSnap.forEach((doc) => {
             const data = doc.data();
             const institution = data.institution || "";
-            // Check exemption status from institution
-            const normalizedInst = institution.toLowerCase().trim();
-            const isExempt = ["uc college", "union christian college"].includes(normalizedInst);
+            const exemption = checkExemption(doc.id, data);
 
             users.push({
                 userId: doc.id,
@@ -499,8 +416,9 @@ async function adminGetVerificationList(req, res) {
                 verificationDate: data.verificationDate || null,
                 verifiedBy: data.verifiedBy || null,
                 lastDocumentUploadAt: data.lastDocumentUploadAt || null,
-                paymentExempted: isExempt,
-                exemptionReason: isExempt ? "Institutional Fee Waiver" : null,
+                paymentExempted: exemption.exempt,
+                exemptionReason: exemption.reason,
+                exemptionSource: exemption.source,
             });
         });
 
@@ -566,5 +484,6 @@ module.exports = {
     getVerificationStatus,
     adminVerifyUser,
     adminGetVerificationList,
+    uploadToCloudinary,
     wrapMulterHandler,
 };
@@ -0,0 +1,151 @@
+/**
+ * Easebuzz Webhook Controller
+ * ---------------------------
+ * Server-to-server transaction notifications from Easebuzz.
+ *
+ * Unlike /payment-success and /attendee-payment-success this endpoint is
+ * never visited by a browser: it answers with JSON, not a redirect, so a
+ * payment is recorded even when the user never comes back to the site.
+ *
+ * SECURITY / IDEMPOTENCY:
+ * - The payload hash is verified exactly like the callbacks
+ *   (utils/paymentSettlement.js); invalid payloads are parked as suspicious.
+ * - Re-delivered notifications are safe: paid records are never updated
+ *   again and never downgraded.
+ *
+ * Routes:
+ *   POST /easebuzz-webhook   → Easebuzz transaction notification
+ */
+
+const { getDb } = require("../utils/firebase");
+const {
+    OUTCOMES,
+    FAILED_GATEWAY_STATUSES,
+    checkPayloadHash,
+    settleSubmissionSuccess,
+    settleSubmissionFailure,
+    settleAttendeeSuccess,
+    settleAttendeeFailure,
+    settleAttendeeGroupSuccess,
+    settleAttendeeGroupFailure,
+} = require("../utils/paymentSettlement");
+const { getAttempt } = require("../utils/paymentAttempts");
+
+// Record types a txnid can belong to. Group members share the group's
+// txnid, so groups are matched before attendees.
+const RECORD_TYPES = [
+    {
+        collection: "submissions",
+        txnField: "paymentTxnId",
+        settleSuccess: settleSubmissionSuccess,
+        settleFailure: settleSubmissionFailure,
+    },
+    {
+        collection: "attendeeGroups",
+        txnField: "txnid",
+        settleSuccess: settleAttendeeGroupSuccess,
+        settleFailure: settleAttendeeGroupFailure,
+    },
+    {
+        collection: "attendees",
+        txnField: "txnid",
+        settleSuccess: settleAttendeeSuccess,
+        settleFailure: settleAttendeeFailure,
+    },
+];
+
+/**
+ * Find the payment record a txnid belongs to (paper submission, attendee
+ * group or attendee): through its payment attempt, or by the record's
+ * txnid for payments started before attempts were kept.
+ * Returns { doc, settleSuccess, settleFailure } or null.
+ */
+async function findPaymentRecord(txnid) {
+    const db = getDb();
+
+    const attempt = await getAttempt(txnid);
+    const attemptType = attempt && RECORD_TYPES.find((t) => t.collection === attempt.collection);
+    if (attemptType) {
+        const doc = await db.collection(attempt.collection).doc(attempt.recordId).get();
+        if (doc.exists) {
+            return { doc, settleSuccess: attemptType.settleSuccess, settleFailure: attemptType.settleFailure };
+        }
+    }
+
+    for (const type of RECORD_TYPES) {
+        const snap = await db
+            .collection(type.collection)
+            .where(type.txnField, "==", txnid)
+            .limit(1)
+            .get();
+        if (!snap.empty) {
+            return { doc: snap.docs[0], settleSuccess: type.settleSuccess, settleFailure: type.settleFailure };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * POST /easebuzz-webhook
+ *
+ * Responds:
+ *   200 { success: true, outcome }  → processed (or nothing to do)
+ *   400 { success: false }          → missing txnid / invalid hash (not retried usefully)
+ *   500 { success: false }          → transient error, Easebuzz may retry
+ */
+async function easebuzzWebhook(req, res) {
+    try {
+        const payload = req.body || {};
+        const { txnid, status } = payload;
+
+        console.log("[WEBHOOK] Easebuzz notification received:", { txnid, status });
+
+        if (!txnid) {
+            return res.status(400).json({ success: false, error: "txnid is required." });
+        }
+
+        const record = await findPaymentRecord(txnid);
+
+        if (!record) {
+            // Still reject forged payloads, but acknowledge genuine unknown txnids
+            // so Easebuzz stops retrying (e.g. initiated from another environment).
+            if (!(await checkPayloadHash(null, payload, "WEBHOOK"))) {
+                return res.status(400).json({ success: false, error: "Invalid hash." });
+            }
+            console.warn(`[WEBHOOK] No payment record found for txnid=${txnid}`);
+            return res.status(200).json({ success: true, outcome: "ignored_unknown_txnid" });
+        }
+
+        const gatewayStatus = String(status || "").toLowerCase();
+        let outcome;
+
+        if (gatewayStatus === "success") {
+            outcome = await record.settleSuccess(record.doc, payload, "webhook");
+        } else if (FAILED_GATEWAY_STATUSES.includes(gatewayStatus)) {
+            outcome = await record.settleFailure(record.doc, payload, "webhook");
+        } else {
+            outcome = "ignored_status";
+        }
+
+        if (outcome === OUTCOMES.INVALID_HASH) {
+            return res.status(400).json({ success: false, error: "Invalid hash." });
+        }
+
+        console.log(`[WEBHOOK] ${record.doc.ref.path} txnid=${txnid} → ${outcome}`);
+        return res.status(200).json({ success: true, txnid, outcome });
+    } catch (error) {
+        console.error("[WEBHOOK] Handler error:", {
+            message: error.message,
+            stack: error.stack,
+        });
+        return res.status(500).json({
+            success: false,
+            error: "Internal server error.",
+        });
+    }
+}
+
+module.exports = {
+    easebuzzWebhook,
+};
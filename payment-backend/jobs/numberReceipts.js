@@ -0,0 +1,66 @@
+/**
+ * Receipt Numbering
+ * -----------------
+ * Receipt numbers are assigned in the write that marks a payment paid
+ * (utils/paymentSettlement.js, payment review, offline confirmation), so
+ * receipts, badges and status endpoints only read them. This job numbers
+ * the paid records from before that, oldest payment first.
+ *
+ * Run:
+ *   - CLI:      node number-receipts.js [--dry-run]
+ *   - Startup:  once from server.js (records already numbered are skipped)
+ */
+
+const { getDb } = require("../utils/firebase");
+const { NUMBER_SERIES, assignNumbers } = require("../utils/counters");
+
+const NUMBER_CHUNK = 200; // records numbered per transaction
+
+// Attendees and groups share the attendee receipt series
+const RECEIPT_SERIES = [
+    { series: NUMBER_SERIES.PAPER_RECEIPT, collections: ["submissions"] },
+    { series: NUMBER_SERIES.ATTENDEE_RECEIPT, collections: ["attendees", "attendeeGroups"] },
+];
+
+/**
+ * Number every paid record that has no receipt number yet.
+ * @param {{ dryRun?: boolean }} options
+ * @returns {Promise<{ results: Array<{ collection, id, receiptNumber }> }>}
+ */
+async function numberPaidReceipts({ dryRun = false } = {}) {
+    const db = getDb();
+    const results = [];
+
+    for (const { series, collections } of RECEIPT_SERIES) {
+        const unnumbered = [];
+        for (const collection of collections) {
+            const snap = await db.collection(collection).where("paymentStatus", "==", "paid").get();
+            snap.docs
+                .filter((doc) => !doc.data().receiptNumber)
+                .forEach((doc) => unnumbered.push({ collection, doc }));
+        }
+        unnumbered.sort((a, b) =>
+            String(a.doc.data().paymentDate || "").localeCompare(String(b.doc.data().paymentDate || ""))
+        );
+
+        for (let i = 0; i < unnumbered.length; i += NUMBER_CHUNK) {
+            const chunk = unnumbered.slice(i, i + NUMBER_CHUNK);
+            const numbers = dryRun
+                ? chunk.map(() => null)
+                : await assignNumbers(series, chunk.map(({ doc }) => ({ ref: doc.ref })));
+
+            chunk.forEach(({ collection, doc }, j) => {
+                results.push({ collection, id: doc.id, receiptNumber: numbers[j] });
+            });
+        }
+    }
+
+    if (results.length > 0) {
+        console.log(`[RECEIPTS] ${dryRun ? "Would number" : "Numbered"} ${results.length} paid record(s) without a receipt number`);
+    }
+    return { results };
+}
+
+module.exports = {
+    numberPaidReceipts,
+};
@@ -0,0 +1,176 @@
+/**
+ * Pending Payment Reconciler
+ * --------------------------
+ * Finds submissions, attendees and attendee groups stuck in paymentStatus
+ * "pending" (e.g. the user closed the browser before the surl/furl
+ * redirect) and asks the payment provider the record was started with
+ * (the Easebuzz Transaction API by default) for the real outcome.
+ *
+ * Results are applied through utils/paymentSettlement.js, exactly like
+ * paymentSuccess / attendeePaymentSuccess and their failure callbacks.
+ * Records the provider reports neither paid nor failed are expired once
+ * they pass the pending TTL (utils/paymentExpiry.js).
+ *
+ * Run:
+ *   - CLI:       node reconcile-payments.js [--dry-run] [--stale-minutes=N]
+ *   - Schedule:  RECONCILE_INTERVAL_MINUTES=N (started from server.js)
+ */
+
+const { getDb } = require("../utils/firebase");
+const { getProviderForRecord } = require("../utils/paymentProviders");
+const {
+    FAILED_GATEWAY_STATUSES,
+    settleSubmissionSuccess,
+    settleSubmissionFailure,
+    settleAttendeeSuccess,
+    settleAttendeeFailure,
+    settleAttendeeGroupSuccess,
+    settleAttendeeGroupFailure,
+    expirePendingPayment,
+} = require("../utils/paymentSettlement");
+const { isPendingExpired } = require("../utils/paymentExpiry");
+
+const DEFAULT_STALE_MINUTES = 30;
+
+// Where each collection keeps its txnid / initiation time, and how to settle it.
+const TARGETS = [
+    {
+        collection: "submissions",
+        txnField: "paymentTxnId",
+        settleSuccess: settleSubmissionSuccess,
+        settleFailure: settleSubmissionFailure,
+    },
+    {
+        collection: "attendees",
+        txnField: "txnid",
+        settleSuccess: settleAttendeeSuccess,
+        settleFailure: settleAttendeeFailure,
+        // Group members are settled through their group
+        skip: (data) => Boolean(data.groupId),
+    },
+    {
+        collection: "attendeeGroups",
+        txnField: "txnid",
+        settleSuccess: settleAttendeeGroupSuccess,
+        settleFailure: settleAttendeeGroupFailure,
+    },
+];
+
+function getStaleMinutes() {
+    const fromEnv = parseInt(process.env.RECONCILE_STALE_MINUTES, 10);
+    return Number.isFinite(fromEnv) && fromEnv >= 0 ? fromEnv : DEFAULT_STALE_MINUTES;
+}
+
+/**
+ * Expire a record without a provider result once it passes the pending TTL.
+ */
+async function expireIfPastTtl(doc, target, dryRun, action) {
+    if (!isPendingExpired(doc.data())) return action;
+    if (dryRun) return "would_expire";
+    return expirePendingPayment(doc, target.collection, "reconciler");
+}
+
+/**
+ * Reconcile one pending record against its payment provider.
+ * Returns the action taken (for the run summary).
+ */
+async function reconcileRecord(doc, target, dryRun) {
+    const txnid = doc.data()[target.txnField];
+    if (!txnid) return expireIfPastTtl(doc, target, dryRun, "skipped_no_txnid");
+
+    const { found, transaction } = await getProviderForRecord(doc.data()).fetchStatus(txnid);
+    if (!found) return expireIfPastTtl(doc, target, dryRun, "not_found");
+
+    const gatewayStatus = String(transaction.status || "").toLowerCase();
+
+    if (gatewayStatus === "success") {
+        if (dryRun) return "would_settle_success";
+        return target.settleSuccess(doc, transaction, "reconciler");
+    }
+
+    if (FAILED_GATEWAY_STATUSES.includes(gatewayStatus)) {
+        if (dryRun) return "would_settle_failure";
+        return target.settleFailure(doc, transaction, "reconciler");
+    }
+
+    // initiated / pending on the gateway side — check again next run
+    return expireIfPastTtl(doc, target, dryRun, "still_pending");
+}
+
+/**
+ * Reconcile every stale pending payment.
+ *
+ * @param {{ staleAfterMinutes?: number, dryRun?: boolean }} [options]
+ * @returns {Promise<{ checked: number, results: object[], counts: object }>}
+ */
+async function reconcilePendingPayments(options = {}) {
+    const staleAfterMinutes = options.staleAfterMinutes ?? getStaleMinutes();
+    const dryRun = Boolean(options.dryRun);
+    const cutoff = new Date(Date.now() - staleAfterMinutes * 60 * 1000).toISOString();
+
+    const db = getDb();
+    const results = [];
+
+    for (const target of TARGETS) {
+        // Single-field query; filter by age in code to avoid composite indexes
+        const snap = await db
+            .collection(target.collection)
+            .where("paymentStatus", "==", "pending")
+            .get();
+
+        const staleDocs = snap.docs.filter((doc) => {
+            if (target.skip && target.skip(doc.data())) return false;
+            const initiatedAt = doc.data().paymentInitiatedAt;
+            return !initiatedAt || initiatedAt <= cutoff;
+        });
+
+        for (const doc of staleDocs) {
+            const txnid = doc.data()[target.txnField] || null;
+            try {
+                const action = await reconcileRecord(doc, target, dryRun);
+                results.push({ collection: target.collection, id: doc.id, txnid, action });
+            } catch (error) {
+                console.error(`[RECONCILE] ${target.collection}/${doc.id} (${txnid}) failed:`, error.message);
+                results.push({ collection: target.collection, id: doc.id, txnid, action: "error", error: error.message });
+            }
+        }
+    }
+
+    const counts = results.reduce((acc, r) => {
+        acc[r.action] = (acc[r.action] || 0) + 1;
+        return acc;
+    }, {});
+
+    console.log(`[RECONCILE] Checked ${results.length} stale pending payment(s)${dryRun ? " (dry run)" : ""}:`, counts);
+
+    return { checked: results.length, results, counts };
+}
+
+/**
+ * Run the reconciler every `intervalMinutes`. Overlapping runs are skipped.
+ * Returns the timer so callers can clear it.
+ */
+function startReconcileSchedule(intervalMinutes) {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await reconcilePendingPayments();
+        } catch (error) {
+            console.error("[RECONCILE] Scheduled run failed:", error.message);
+        } finally {
+            running = false;
+        }
+    }, intervalMinutes * 60 * 1000);
+
+    // Never keep the process alive just for the schedule
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    reconcilePendingPayments,
+    startReconcileSchedule,
+};
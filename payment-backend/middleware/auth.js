@@ -0,0 +1,74 @@
+/**
+ * Authentication Middleware
+ * -------------------------
+ * Verifies the caller's Firebase ID token and attaches the decoded
+ * identity to `req.user`.
+ *
+ * SECURITY CONSTRAINTS:
+ * - Identity is ALWAYS taken from the verified token, never from
+ *   uid/userId/adminId fields in the body or query.
+ * - Tokens are read from the `Authorization: Bearer <idToken>` header
+ *   only, never from the query string, where they would end up in
+ *   browser history, proxy and server logs.
+ */
+
+const admin = require("firebase-admin");
+
+/**
+ * Extract the raw ID token from the request.
+ * Returns null if no token was supplied.
+ */
+function extractToken(req) {
+    const header = req.headers.authorization || "";
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Require a valid Firebase ID token.
+ *
+ * On success sets:
+ *   req.user = { uid, email, claims }
+ * where `claims` is the full decoded token (including custom claims).
+ */
+async function requireAuth(req, res, next) {
+    const idToken = extractToken(req);
+
+    if (!idToken) {
+        return res.status(401).json({
+            success: false,
+            error: "Authentication required. Missing ID token.",
+        });
+    }
+
+    try {
+        const decoded = await admin.auth().verifyIdToken(idToken);
+        req.user = {
+            uid: decoded.uid,
+            email: decoded.email || null,
+            claims: decoded,
+        };
+        return next();
+    } catch (error) {
+        console.warn("[AUTH] ID token verification failed:", error.code || error.message);
+        return res.status(401).json({
+            success: false,
+            error: "Invalid or expired ID token.",
+        });
+    }
+}
+
+/**
+ * Verify the ID token when one is sent, for routes that also serve
+ * anonymous callers (attendee registration). Without a token req.user is
+ * left unset; an invalid token is still refused.
+ */
+function optionalAuth(req, res, next) {
+    if (!extractToken(req)) return next();
+    return requireAuth(req, res, next);
+}
+
+module.exports = {
+    requireAuth,
+    optionalAuth,
+};
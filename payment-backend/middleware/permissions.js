@@ -0,0 +1,208 @@
+/**
+ * Role-Based Access Control
+ * -------------------------
+ * Single source of truth for staff roles, their permissions, and the
+ * route guards that enforce them.
+ *
+ * Roles are resolved for the authenticated caller (req.user) from:
+ *   1. Firebase Auth custom claims (`role` string or `roles` array)
+ *   2. Firestore `admins/{uid}` (grants admin, or the doc's `roles` array)
+ *
+ * `users/{uid}` is writable by its owner, so its `role` field (the fee
+ * role) is never trusted for staff access.
+ *
+ * Must run after requireAuth (middleware/auth.js).
+ */
+
+const { getDb } = require("../utils/firebase");
+
+// ──────────────── Roles & Permissions ────────────────
+
+const ROLES = {
+    ADMIN: "admin",
+    FINANCE: "finance",
+    REVIEWER: "reviewer",
+    TRACK_CHAIR: "track_chair",
+    VERIFIER: "verifier",
+};
+
+const PERMISSIONS = {
+    PAYMENTS_READ: "payments:read",
+    PAYMENTS_MANAGE: "payments:manage",
+    RECEIPTS_READ: "receipts:read",
+    VERIFICATION_READ: "verification:read",
+    VERIFICATION_DECIDE: "verification:decide",
+    PAPERS_READ: "papers:read",
+    PAPERS_REVIEW: "papers:review",
+    BADGES_PRINT: "badges:print",
+    CERTIFICATES_ISSUE: "certificates:issue",
+    LETTERS_ISSUE: "letters:issue",
+};
+
+const ROLE_PERMISSIONS = {
+    [ROLES.ADMIN]: Object.values(PERMISSIONS),
+    [ROLES.FINANCE]: [
+        PERMISSIONS.PAYMENTS_READ,
+        PERMISSIONS.PAYMENTS_MANAGE,
+        PERMISSIONS.RECEIPTS_READ,
+        PERMISSIONS.VERIFICATION_READ,
+    ],
+    [ROLES.REVIEWER]: [
+        PERMISSIONS.PAPERS_READ,
+        PERMISSIONS.PAPERS_REVIEW,
+    ],
+    [ROLES.TRACK_CHAIR]: [
+        PERMISSIONS.PAPERS_READ,
+        PERMISSIONS.PAPERS_REVIEW,
+        PERMISSIONS.PAYMENTS_READ,
+    ],
+    [ROLES.VERIFIER]: [
+        PERMISSIONS.VERIFICATION_READ,
+        PERMISSIONS.VERIFICATION_DECIDE,
+    ],
+};
+
+const STAFF_ROLES = Object.values(ROLES);
+
+function isStaffRole(role) {
+    return STAFF_ROLES.includes(String(role || "").toLowerCase().trim());
+}
+
+// ──────────────── Resolution ────────────────
+
+/**
+ * Resolve the staff roles held by an authenticated user.
+ * Result is cached on the user object for the rest of the request.
+ *
+ * @param {{ uid: string, claims?: object, roles?: string[] }} user - req.user
+ * @returns {Promise<string[]>}
+ */
+async function resolveRoles(user) {
+    if (Array.isArray(user.roles)) return user.roles;
+
+    const roles = new Set();
+    const claims = user.claims || {};
+
+    // 1. Custom claims
+    if (isStaffRole(claims.role)) roles.add(claims.role.toLowerCase().trim());
+    if (Array.isArray(claims.roles)) {
+        claims.roles.filter(isStaffRole).forEach((r) => roles.add(r.toLowerCase().trim()));
+    }
+
+    const db = getDb();
+
+    // 2. admins/{uid}
+    const adminDoc = await db.collection("admins").doc(user.uid).get();
+    if (adminDoc.exists) {
+        const docRoles = adminDoc.data().roles;
+        if (Array.isArray(docRoles) && docRoles.length > 0) {
+            docRoles.filter(isStaffRole).forEach((r) => roles.add(r.toLowerCase().trim()));
+        } else {
+            roles.add(ROLES.ADMIN);
+        }
+    }
+
+    user.roles = [...roles];
+    return user.roles;
+}
+
+/**
+ * Check whether an authenticated user holds every listed permission.
+ *
+ * @param {object} user - req.user
+ * @param {...string} permissions - Values from PERMISSIONS
+ * @returns {Promise<boolean>}
+ */
+async function hasPermission(user, ...permissions) {
+    const roles = await resolveRoles(user);
+    const granted = new Set(roles.flatMap((r) => ROLE_PERMISSIONS[r] || []));
+    return permissions.every((p) => granted.has(p));
+}
+
+// ──────────────── Route Guards ────────────────
+
+/**
+ * Route guard: caller must hold every listed permission.
+ *
+ * Usage: router.get("/admin/x", requireAuth, requirePermission(PERMISSIONS.PAYMENTS_READ), handler)
+ */
+function requirePermission(...permissions) {
+    return async (req, res, next) => {
+        try {
+            if (await hasPermission(req.user, ...permissions)) {
+                return next();
+            }
+            console.warn(`[RBAC] ${req.user.uid} denied ${req.method} ${req.path} (needs ${permissions.join(", ")})`);
+            return res.status(403).json({
+                success: false,
+                error: "Unauthorized. Insufficient privileges.",
+            });
+        } catch (error) {
+            return next(error);
+        }
+    };
+}
+
+/**
+ * Route guard: the URL param must name the caller, unless the caller
+ * holds every listed permission (staff looking up another user's record).
+ */
+function requireSelfOrPermission(paramName, ...permissions) {
+    return async (req, res, next) => {
+        try {
+            const value = req.params[paramName];
+            if (!value || value === req.user.uid) {
+                return next();
+            }
+            if (await hasPermission(req.user, ...permissions)) {
+                return next();
+            }
+            return res.status(403).json({
+                success: false,
+                error: "You can only access your own records.",
+            });
+        } catch (error) {
+            return next(error);
+        }
+    };
+}
+
+/**
+ * Route guard for paper routes: the paper named by the URL param must
+ * belong to the caller, unless the caller holds every listed permission.
+ * A paper that does not exist is passed on for the handler to answer 404.
+ */
+function requirePaperOwnerOrPermission(paramName, ...permissions) {
+    return async (req, res, next) => {
+        try {
+            const paperId = req.params[paramName];
+            const paperDoc = paperId
+                ? await getDb().collection("submissions").doc(paperId).get()
+                : null;
+            if (!paperDoc || !paperDoc.exists || paperDoc.data().uid === req.user.uid) {
+                return next();
+            }
+            if (await hasPermission(req.user, ...permissions)) {
+                return next();
+            }
+            return res.status(403).json({
+                success: false,
+                error: "You can only access your own papers.",
+            });
+        } catch (error) {
+            return next(error);
+        }
+    };
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    isStaffRole,
+    resolveRoles,
+    hasPermission,
+    requirePermission,
+    requireSelfOrPermission,
+    requirePaperOwnerOrPermission,
+};
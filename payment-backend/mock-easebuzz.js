@@ -0,0 +1,141 @@
+/**
+ * Local mock of the Easebuzz Transaction and Refund APIs (for offline testing).
+ * Usage: node mock-easebuzz.js [port]   (default 4010)
+ *
+ * Then run the reconciler against it:
+ *   EASEBUZZ_DASHBOARD_URL=http://localhost:4010 node reconcile-payments.js
+ *
+ * Endpoints:
+ *   POST /transaction/v2.1/retrieve  → Easebuzz-shaped lookup by txnid
+ *   POST /mock/transactions          → Register/overwrite a transaction
+ *        { txnid, status, amount, email, firstname, productinfo }
+ *   GET  /mock/transactions          → List registered transactions
+ *   POST /transaction/v2/refund      → Easebuzz-shaped refund request (queued as "accepted")
+ *   POST /refund/v1/retrieve         → Refunds for an easebuzz_id
+ *   POST /mock/refunds/:refundId     → Set a refund's refund_status
+ *        { refund_status }            (e.g. "refunded", "failed")
+ *
+ * Responses are signed with EASEBUZZ_MERCHANT_KEY / EASEBUZZ_MERCHANT_SALT,
+ * so they pass the same hash checks as real gateway responses.
+ */
+require("dotenv").config();
+const express = require("express");
+const {
+    generateReverseHash,
+    generateRetrieveHash,
+    generateRefundHash,
+    generateRefundStatusHash,
+} = require("./utils/hashUtils");
+
+const PORT = parseInt(process.argv[2], 10) || 4010;
+const key = process.env.EASEBUZZ_MERCHANT_KEY;
+const salt = process.env.EASEBUZZ_MERCHANT_SALT;
+
+const transactions = {};
+const refunds = {};
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+app.use(express.json());
+
+app.post("/mock/transactions", (req, res) => {
+    const { txnid, status, amount, email, firstname, productinfo } = req.body;
+    if (!txnid || !status) {
+        return res.status(400).json({ success: false, error: "txnid and status are required." });
+    }
+
+    const txn = {
+        txnid,
+        status,
+        amount: amount || "0.00",
+        email: email || "",
+        firstname: firstname || "",
+        productinfo: productinfo || "",
+        easepayid: `MOCK${Date.now()}`,
+        addedon: new Date().toISOString(),
+        mode: "MOCK",
+        key,
+    };
+    txn.hash = generateReverseHash({ salt, ...txn });
+    transactions[txnid] = txn;
+
+    console.log(`[MOCK EASEBUZZ] Registered ${txnid} → ${status}`);
+    return res.json({ success: true, transaction: txn });
+});
+
+app.get("/mock/transactions", (req, res) => {
+    res.json({ success: true, transactions: Object.values(transactions) });
+});
+
+app.post("/transaction/v2.1/retrieve", (req, res) => {
+    const { txnid, key: reqKey, hash } = req.body;
+
+    if (reqKey !== key || hash !== generateRetrieveHash({ key, txnid, salt })) {
+        return res.json({ status: false, msg: "Invalid hash" });
+    }
+
+    const txn = transactions[txnid];
+    if (!txn) {
+        return res.json({ status: false, msg: "Transaction not found" });
+    }
+
+    return res.json({ status: true, msg: [txn] });
+});
+
+app.post("/transaction/v2/refund", (req, res) => {
+    const { merchant_refund_id, easebuzz_id, refund_amount, hash } = req.body;
+
+    if (req.body.key !== key || hash !== generateRefundHash({
+        key,
+        merchantRefundId: merchant_refund_id,
+        easebuzzId: easebuzz_id,
+        refundAmount: refund_amount,
+        salt,
+    })) {
+        return res.json({ status: false, reason: "Invalid hash" });
+    }
+
+    const txn = Object.values(transactions).find((t) => t.easepayid === easebuzz_id);
+    if (!txn || txn.status !== "success") {
+        return res.json({ status: false, reason: "Transaction not eligible for refund" });
+    }
+
+    const refund = {
+        refund_id: `MOCKRFD${Date.now()}`,
+        merchant_refund_id,
+        easebuzz_id,
+        refund_amount,
+        refund_status: "accepted",
+    };
+    refunds[refund.refund_id] = refund;
+
+    console.log(`[MOCK EASEBUZZ] Refund ${refund.refund_id} for ${easebuzz_id} → Rs. ${refund_amount}`);
+    return res.json({ status: true, ...refund });
+});
+
+app.post("/refund/v1/retrieve", (req, res) => {
+    const { easebuzz_id, hash } = req.body;
+
+    if (req.body.key !== key || hash !== generateRefundStatusHash({ key, easebuzzId: easebuzz_id, salt })) {
+        return res.json({ success: false, message: "Invalid hash" });
+    }
+
+    return res.json({
+        success: true,
+        easebuzz_id,
+        refunds: Object.values(refunds).filter((r) => r.easebuzz_id === easebuzz_id),
+    });
+});
+
+app.post("/mock/refunds/:refundId", (req, res) => {
+    const refund = refunds[req.params.refundId];
+    if (!refund || !req.body.refund_status) {
+        return res.status(400).json({ success: false, error: "Unknown refund or missing refund_status." });
+    }
+    refund.refund_status = req.body.refund_status;
+    return res.json({ success: true, refund });
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Mock Easebuzz Transaction API on http://localhost:${PORT}`);
+});
@@ -0,0 +1,24 @@
+/**
+ * Give paid records from before receipt numbers were assigned at payment
+ * their receipt number.
+ * Usage: node number-receipts.js [--dry-run]
+ */
+require("dotenv").config();
+const { initializeFirebase } = require("./utils/firebase");
+const { numberPaidReceipts } = require("./jobs/numberReceipts");
+
+const dryRun = process.argv.slice(2).includes("--dry-run");
+
+(async () => {
+    try {
+        initializeFirebase();
+        const { results } = await numberPaidReceipts({ dryRun });
+        results.forEach((r) => {
+            console.log(`  ${r.collection}/${r.id}  → ${r.receiptNumber || "(dry run)"}`);
+        });
+        process.exit(0);
+    } catch (err) {
+        console.error("Error:", err.message);
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,33 @@
+/**
+ * Reconcile stale pending Easebuzz payments from the command line.
+ * Usage: node reconcile-payments.js [--dry-run] [--stale-minutes=N]
+ *
+ * Point EASEBUZZ_DASHBOARD_URL at mock-easebuzz.js to run it offline.
+ */
+require("dotenv").config();
+const { initializeFirebase } = require("./utils/firebase");
+const { reconcilePendingPayments } = require("./jobs/reconcilePendingPayments");
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const staleArg = args.find((a) => a.startsWith("--stale-minutes="));
+const staleAfterMinutes = staleArg ? parseInt(staleArg.split("=")[1], 10) : undefined;
+
+if (staleArg && !Number.isFinite(staleAfterMinutes)) {
+    console.error("Usage: node reconcile-payments.js [--dry-run] [--stale-minutes=N]");
+    process.exit(1);
+}
+
+(async () => {
+    try {
+        initializeFirebase();
+        const { results } = await reconcilePendingPayments({ staleAfterMinutes, dryRun });
+        results.forEach((r) => {
+            console.log(`  ${r.collection}/${r.id}  txnid=${r.txnid}  → ${r.action}${r.error ? ` (${r.error})` : ""}`);
+        });
+        process.exit(0);
+    } catch (err) {
+        console.error("Error:", err.message);
+        process.exit(1);
+    }
+})();
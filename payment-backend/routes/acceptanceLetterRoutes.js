@@ -0,0 +1,31 @@
+/**
+ * Acceptance Letter Routes
+ * ------------------------
+ * Letters of acceptance for accepted full papers.
+ *
+ * GET /paper/acceptance-letter/download/:paperId → Download letter PDF
+ * GET /paper/acceptance-letter/:paperId          → View letter PDF (inline)
+ *
+ * All routes require a Firebase ID token; the caller must own the paper
+ * unless they have the letters:issue permission.
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+    viewAcceptanceLetter,
+    downloadAcceptanceLetter,
+} = require("../controllers/acceptanceLetterController");
+const { requireAuth } = require("../middleware/auth");
+const { PERMISSIONS, requirePaperOwnerOrPermission } = require("../middleware/permissions");
+
+const requireLetterAccess = requirePaperOwnerOrPermission("paperId", PERMISSIONS.LETTERS_ISSUE);
+
+// Download letter as attachment (must be before /:paperId to avoid route conflict)
+router.get("/paper/acceptance-letter/download/:paperId", requireAuth, requireLetterAccess, downloadAcceptanceLetter);
+
+// View letter inline (browser preview)
+router.get("/paper/acceptance-letter/:paperId", requireAuth, requireLetterAccess, viewAcceptanceLetter);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+/**
+ * Attendee Group Routes
+ * ---------------------
+ * Group registration: several attendees paid for in one transaction.
+ *
+ * POST /api/create-attendee-group-payment    → Initiate group payment
+ * POST /api/attendee-group-payment-success   → Easebuzz success callback
+ * POST /api/attendee-group-payment-failure   → Easebuzz failure callback
+ * GET  /api/attendee-group-status/:groupId   → Group and member status
+ */
+
+const express = require("express");
+const router = express.Router();
+const attendeeGroupController = require("../controllers/attendeeGroupController");
+const { optionalAuth } = require("../middleware/auth");
+
+// Initiate group payment (Frontend → Backend → Easebuzz)
+// An ID token is optional; when sent, the price list follows the caller's profile
+router.post("/create-attendee-group-payment", optionalAuth, attendeeGroupController.createAttendeeGroupPayment);
+
+// Easebuzz success callback (Easebuzz → Backend → Redirect to Flutter)
+router.post("/attendee-group-payment-success", attendeeGroupController.attendeeGroupPaymentSuccess);
+
+// Easebuzz failure callback (Easebuzz → Backend → Redirect to Flutter)
+router.post("/attendee-group-payment-failure", attendeeGroupController.attendeeGroupPaymentFailure);
+
+// Get group registration status
+router.get("/attendee-group-status/:groupId", attendeeGroupController.getAttendeeGroupStatus);
+
+module.exports = router;
@@ -6,6 +6,10 @@
  *
  * GET /api/attendee-receipt/download/:txnid  → Download receipt PDF
  * GET /api/attendee-receipt/:txnid           → View receipt PDF (inline)
+ * GET /api/attendee-group-receipt/download/:groupId → Download consolidated group receipt
+ * GET /api/attendee-group-receipt/:groupId          → View consolidated group receipt
+ *
+ * Group members add ?email= to the attendee-receipt routes.
  */
 
 const express = require("express");
@@ -13,6 +17,8 @@ const router = express.Router();
 const {
     viewAttendeeReceipt,
     downloadAttendeeReceipt,
+    viewAttendeeGroupReceipt,
+    downloadAttendeeGroupReceipt,
 } = require("../controllers/attendeeReceiptController");
 
 // Download attendee receipt as attachment (must be before /:txnid to avoid route conflict)
@@ -21,4 +27,8 @@ router.get("/attendee-receipt/download/:txnid", downloadAttendeeReceipt);
 // View attendee receipt inline (browser preview)
 router.get("/attendee-receipt/:txnid", viewAttendeeReceipt);
 
+// Consolidated receipt for a group registration
+router.get("/attendee-group-receipt/download/:groupId", downloadAttendeeGroupReceipt);
+router.get("/attendee-group-receipt/:groupId", viewAttendeeGroupReceipt);
+
 module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * Attendee Region Routes
+ * ----------------------
+ * Admin confirmation of the price list of attendees who registered
+ * without signing in.
+ *
+ * GET /admin/attendee-regions         → Registrations with an unconfirmed region (?all=true for all)
+ * PUT /admin/attendee-regions/:email  → Confirm or correct an email's region
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+    adminListAttendeeRegions,
+    adminConfirmAttendeeRegion,
+} = require("../controllers/attendeeRegionController");
+const { requireAuth } = require("../middleware/auth");
+const { PERMISSIONS, requirePermission } = require("../middleware/permissions");
+
+router.get(
+    "/admin/attendee-regions",
+    requireAuth,
+    requirePermission(PERMISSIONS.PAYMENTS_READ),
+    adminListAttendeeRegions
+);
+
+router.put(
+    "/admin/attendee-regions/:email",
+    requireAuth,
+    requirePermission(PERMISSIONS.PAYMENTS_MANAGE),
+    adminConfirmAttendeeRegion
+);
+
+module.exports = router;
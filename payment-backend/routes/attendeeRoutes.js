@@ -13,9 +13,11 @@
 const express = require("express");
 const router = express.Router();
 const attendeeController = require("../controllers/attendeeController");
+const { optionalAuth } = require("../middleware/auth");
 
 // Initiate attendee payment (Frontend → Backend → Easebuzz)
-router.post("/create-attendee-payment", attendeeController.createAttendeePayment);
+// An ID token is optional; when sent, the price list follows the caller's profile
+router.post("/create-attendee-payment", optionalAuth, attendeeController.createAttendeePayment);
 
 // Easebuzz success callback (Easebuzz → Backend → Redirect to Flutter)
 router.post("/attendee-payment-success", attendeeController.attendeePaymentSuccess);
@@ -0,0 +1,36 @@
+/**
+ * Badge Routes
+ * ------------
+ * Admin routes for printing conference badges.
+ *
+ * GET /admin/badges          → Badge PDF (?category, ?email / ?badgeId, ?perSheet)
+ * GET /admin/badges/holders  → List badge holders
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+    adminDownloadBadges,
+    adminListBadgeHolders,
+} = require("../controllers/badgeController");
+const { requireAuth } = require("../middleware/auth");
+const { PERMISSIONS, requirePermission } = require("../middleware/permissions");
+
+// List badge holders
+router.get(
+    "/admin/badges/holders",
+    requireAuth,
+    requirePermission(PERMISSIONS.BADGES_PRINT),
+    adminListBadgeHolders
+);
+
+// Badge PDF: everyone, one category or one person
+router.get(
+    "/admin/badges",
+    requireAuth,
+    requirePermission(PERMISSIONS.BADGES_PRINT),
+    adminDownloadBadges
+);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+/**
+ * Certificate Routes
+ * ------------------
+ * Certificates of participation and presentation.
+ *
+ * GET /certificates/verify/:certificateId   → Verify a certificate ID (public)
+ * GET /certificates/download/:uid           → Presentation certificate PDF (?paperId=)
+ * GET /certificates/:uid                    → List the user's certificates
+ * GET /attendee-certificate/download/:txnid → Participation certificate PDF (?email=)
+ * GET/PUT /admin/certificates/settings      → Certificate wording, signatories, release
+ * GET /admin/certificates/download          → ZIP of all certificates (?type=)
+ *
+ * :uid must match the caller unless the caller has certificates:issue.
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+    verifyCertificate,
+    listUserCertificates,
+    downloadUserCertificate,
+    downloadAttendeeCertificate,
+    adminGetCertificateSettings,
+    adminUpdateCertificateSettings,
+    adminDownloadCertificates,
+} = require("../controllers/certificateController");
+const { requireAuth } = require("../middleware/auth");
+const {
+    PERMISSIONS,
+    requirePermission,
+    requireSelfOrPermission,
+} = require("../middleware/permissions");
+
+const canReadCertificate = requireSelfOrPermission("uid", PERMISSIONS.CERTIFICATES_ISSUE);
+
+// Public verification (QR code on every certificate); must be before /:uid
+router.get("/certificates/verify/:certificateId", verifyCertificate);
+
+router.get("/certificates/download/:uid", requireAuth, canReadCertificate, downloadUserCertificate);
+router.get("/certificates/:uid", requireAuth, canReadCertificate, listUserCertificates);
+
+// Attendees are looked up by txnid, like their receipts
+router.get("/attendee-certificate/download/:txnid", downloadAttendeeCertificate);
+
+router.get(
+    "/admin/certificates/settings",
+    requireAuth,
+    requirePermission(PERMISSIONS.CERTIFICATES_ISSUE),
+    adminGetCertificateSettings
+);
+
+router.put(
+    "/admin/certificates/settings",
+    requireAuth,
+    requirePermission(PERMISSIONS.CERTIFICATES_ISSUE),
+    adminUpdateCertificateSettings
+);
+
+router.get(
+    "/admin/certificates/download",
+    requireAuth,
+    requirePermission(PERMISSIONS.CERTIFICATES_ISSUE),
+    adminDownloadCertificates
+);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+/**
+ * Coupon Routes
+ * -------------
+ * Admin routes for discount codes. Codes themselves are applied through
+ * the couponCode field of /create-payment and /create-attendee-payment.
+ *
+ * GET    /admin/coupons                     → List coupons with usage counts
+ * POST   /admin/coupons                     → Create a coupon
+ * PUT    /admin/coupons/:code               → Update a coupon
+ * GET    /admin/coupons/:code/redemptions   → Usage of one coupon
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+    adminListCoupons,
+    adminCreateCoupon,
+    adminUpdateCoupon,
+    adminListCouponRedemptions,
+} = require("../controllers/couponController");
+const { requireAuth } = require("../middleware/auth");
+const { PERMISSIONS, requirePermission } = require("../middleware/permissions");
+
+const canReadCoupons = requirePermission(PERMISSIONS.PAYMENTS_READ);
+const canManageCoupons = requirePermission(PERMISSIONS.PAYMENTS_MANAGE);
+
+// List coupons / usage
+router.get("/admin/coupons", requireAuth, canReadCoupons, adminListCoupons);
+router.get("/admin/coupons/:code/redemptions", requireAuth, canReadCoupons, adminListCouponRedemptions);
+
+// Create / update coupons
+router.post("/admin/coupons", requireAuth, canManageCoupons, adminCreateCoupon);
+router.put("/admin/coupons/:code", requireAuth, canManageCoupons, adminUpdateCoupon);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+/**
+ * Exemption Routes
+ * ----------------
+ * Admin routes for paper fee exemptions: institution rules and
+ * manual per-user waivers.
+ *
+ * GET    /admin/exemptions/rules           → List institution rules
+ * POST   /admin/exemptions/rules           → Create an institution rule
+ * PUT    /admin/exemptions/rules/:ruleId   → Update an institution rule
+ * DELETE /admin/exemptions/rules/:ruleId   → Delete an institution rule
+ * POST   /admin/exemptions/check           → Test an institution name
+ * GET    /admin/fee-waivers                → List manual waivers
+ * POST   /admin/fee-waivers                → Grant a waiver
+ * DELETE /admin/fee-waivers/:uid           → Revoke a waiver
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+    adminListExemptionRules,
+    adminCreateExemptionRule,
+    adminUpdateExemptionRule,
+    adminDeleteExemptionRule,
+    adminCheckExemption,
+    adminListFeeWaivers,
+    adminGrantFeeWaiver,
+    adminRevokeFeeWaiver,
+} = require("../controllers/exemptionController");
+const { requireAuth } = require("../middleware/auth");
+const { PERMISSIONS, requirePermission } = require("../middleware/permissions");
+
+const canReadExemptions = requirePermission(PERMISSIONS.PAYMENTS_READ);
+const canManageExemptions = requirePermission(PERMISSIONS.PAYMENTS_MANAGE);
+
+// Institution rules
+router.get("/admin/exemptions/rules", requireAuth, canReadExemptions, adminListExemptionRules);
+router.post("/admin/exemptions/rules", requireAuth, canManageExemptions, adminCreateExemptionRule);
+router.put("/admin/exemptions/rules/:ruleId", requireAuth, canManageExemptions, adminUpdateExemptionRule);
+router.delete("/admin/exemptions/rules/:ruleId", requireAuth, canManageExemptions, adminDeleteExemptionRule);
+router.post("/admin/exemptions/check", requireAuth, canReadExemptions, adminCheckExemption);
+
+// Manual waivers
+router.get("/admin/fee-waivers", requireAuth, canReadExemptions, adminListFeeWaivers);
+router.post("/admin/fee-waivers", requireAuth, canManageExemptions, adminGrantFeeWaiver);
+router.delete("/admin/fee-waivers/:uid", requireAuth, canManageExemptions, adminRevokeFeeWaiver);
+
+module.exports = router;
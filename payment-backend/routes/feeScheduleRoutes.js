@@ -0,0 +1,52 @@
+/**
+ * Fee Schedule Routes
+ * -------------------
+ * Admin CRUD for the Firestore fee schedule.
+ *
+ * GET    /admin/fee-schedule           → List fee rules
+ * POST   /admin/fee-schedule           → Create a fee rule
+ * PUT    /admin/fee-schedule/:ruleId   → Update a fee rule
+ * DELETE /admin/fee-schedule/:ruleId   → Delete a fee rule
+ * GET    /admin/fee-policy             → Paper fee policy
+ * PUT    /admin/fee-policy             → Change the paper fee policy
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+    adminListFeeRules,
+    adminCreateFeeRule,
+    adminUpdateFeeRule,
+    adminDeleteFeeRule,
+    adminGetFeePolicy,
+    adminUpdateFeePolicy,
+} = require("../controllers/feeScheduleController");
+const { requireAuth } = require("../middleware/auth");
+const { PERMISSIONS, requirePermission } = require("../middleware/permissions");
+
+const canManageFees = requirePermission(PERMISSIONS.PAYMENTS_MANAGE);
+
+// List fee rules
+router.get(
+    "/admin/fee-schedule",
+    requireAuth,
+    requirePermission(PERMISSIONS.PAYMENTS_READ),
+    adminListFeeRules
+);
+
+// Create / update / delete fee rules
+router.post("/admin/fee-schedule", requireAuth, canManageFees, adminCreateFeeRule);
+router.put("/admin/fee-schedule/:ruleId", requireAuth, canManageFees, adminUpdateFeeRule);
+router.delete("/admin/fee-schedule/:ruleId", requireAuth, canManageFees, adminDeleteFeeRule);
+
+// Paper fee policy
+router.get(
+    "/admin/fee-policy",
+    requireAuth,
+    requirePermission(PERMISSIONS.PAYMENTS_READ),
+    adminGetFeePolicy
+);
+router.put("/admin/fee-policy", requireAuth, canManageFees, adminUpdateFeePolicy);
+
+module.exports = router;
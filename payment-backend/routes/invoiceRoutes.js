@@ -0,0 +1,88 @@
+/**
+ * Invoice Routes
+ * --------------
+ * GST tax invoices for paid paper fees, attendee fees and group registrations.
+ *
+ * POST /api/invoice/:uid                               → Issue paper invoice (billing details in body)
+ * GET  /api/invoice/download/:uid                      → Download paper invoice PDF
+ * GET  /api/invoice/:uid                               → View paper invoice PDF (inline)
+ * POST /api/attendee-invoice/:txnid                    → Issue attendee invoice
+ * GET  /api/attendee-invoice/download/:txnid           → Download attendee invoice PDF
+ * GET  /api/attendee-invoice/:txnid                    → View attendee invoice PDF
+ * POST /api/attendee-group-invoice/:groupId            → Issue group invoice
+ * GET  /api/attendee-group-invoice/download/:groupId   → Download group invoice PDF
+ * GET  /api/attendee-group-invoice/:groupId            → View group invoice PDF
+ * GET  /api/admin/invoices/:collection/:recordId        → Invoice and voided invoices (payments:read)
+ * POST /api/admin/invoices/:collection/:recordId/void   → Void the invoice (payments:manage)
+ * POST /api/admin/invoices/:collection/:recordId/reissue → Reissue under a new number (payments:manage)
+ *
+ * ?paperId= selects one of several paid papers. Paper routes require a
+ * Firebase ID token; :uid must match the caller unless the caller has the
+ * receipts:read permission. Attendee routes use the txnid like attendee
+ * receipts (?email= for a specific attendee); issuing requires the
+ * registered email (the contact email for groups).
+ */
+
+const express = require("express");
+const router = express.Router();
+const {
+    issuePaperInvoice,
+    viewPaperInvoice,
+    downloadPaperInvoice,
+    issueAttendeeInvoice,
+    viewAttendeeInvoice,
+    downloadAttendeeInvoice,
+    issueGroupInvoice,
+    viewGroupInvoice,
+    downloadGroupInvoice,
+    adminGetInvoice,
+    adminVoidInvoice,
+    adminReissueInvoice,
+} = require("../controllers/invoiceController");
+const { requireAuth } = require("../middleware/auth");
+const { PERMISSIONS, requirePermission, requireSelfOrPermission } = require("../middleware/permissions");
+
+const canReadReceipt = requireSelfOrPermission("uid", PERMISSIONS.RECEIPTS_READ);
+
+// ──────────────── Paper Invoices ────────────────
+
+router.post("/invoice/:uid", requireAuth, canReadReceipt, issuePaperInvoice);
+
+// Download (must be before /:uid to avoid route conflict)
+router.get("/invoice/download/:uid", requireAuth, canReadReceipt, downloadPaperInvoice);
+router.get("/invoice/:uid", requireAuth, canReadReceipt, viewPaperInvoice);
+
+// ──────────────── Attendee Invoices ────────────────
+
+router.post("/attendee-invoice/:txnid", issueAttendeeInvoice);
+router.get("/attendee-invoice/download/:txnid", downloadAttendeeInvoice);
+router.get("/attendee-invoice/:txnid", viewAttendeeInvoice);
+
+router.post("/attendee-group-invoice/:groupId", issueGroupInvoice);
+router.get("/attendee-group-invoice/download/:groupId", downloadGroupInvoice);
+router.get("/attendee-group-invoice/:groupId", viewGroupInvoice);
+
+// ──────────────── Finance ────────────────
+
+router.get(
+    "/admin/invoices/:collection/:recordId",
+    requireAuth,
+    requirePermission(PERMISSIONS.PAYMENTS_READ),
+    adminGetInvoice
+);
+
+router.post(
+    "/admin/invoices/:collection/:recordId/void",
+    requireAuth,
+    requirePermission(PERMISSIONS.PAYMENTS_MANAGE),
+    adminVoidInvoice
+);
+
+router.post(
+    "/admin/invoices/:collection/:recordId/reissue",
+    requireAuth,
+    requirePermission(PERMISSIONS.PAYMENTS_MANAGE),
+    adminReissueInvoice
+);
+
+module.exports = router;
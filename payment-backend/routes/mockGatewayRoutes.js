@@ -0,0 +1,21 @@
+/**
+ * Mock Gateway Routes
+ * -------------------
+ * Checkout page of the built-in mock payment provider, for running the
+ * payment flow offline. Mounted by server.js only when PAYMENT_PROVIDER=mock.
+ *
+ * GET  /api/mock-gateway/pay/:accessKey   → Checkout page (HTML)
+ * POST /api/mock-gateway/pay/:accessKey   → Complete checkout, post the signed callback
+ */
+
+const express = require("express");
+const router = express.Router();
+const mockGatewayController = require("../controllers/mockGatewayController");
+
+// Browser → Backend (opened from the paymentUrl returned at initiation)
+router.get("/mock-gateway/pay/:accessKey", mockGatewayController.showCheckout);
+
+// Checkout form → Backend → auto-submitted callback to surl/furl
+router.post("/mock-gateway/pay/:accessKey", mockGatewayController.completeCheckout);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * Offline Payment Routes
+ * ----------------------
+ * Bank transfer / demand draft payments for paper submissions.
+ *
+ * POST /offline-payments                         → Submit transfer details (+ receipt image)
+ * GET  /offline-payments                         → Caller's offline entries
+ * GET  /admin/offline-payments                   → List entries (?status=)
+ * POST /admin/offline-payments/:entryId/confirm  → Confirm: paper becomes paid
+ * POST /admin/offline-payments/:entryId/reject   → Reject with a reason
+ *
+ * All routes require a Firebase ID token; admin routes are guarded by
+ * payments:* permissions (middleware/permissions.js).
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+    submitOfflinePayment,
+    getMyOfflinePayments,
+    adminListOfflinePayments,
+    adminConfirmOfflinePayment,
+    adminRejectOfflinePayment,
+} = require("../controllers/offlinePaymentController");
+const {
+    uploadPaymentReceipt,
+    wrapMulterHandler,
+} = require("../controllers/verificationController");
+const { requireAuth } = require("../middleware/auth");
+const { PERMISSIONS, requirePermission } = require("../middleware/permissions");
+
+const canReadPayments = requirePermission(PERMISSIONS.PAYMENTS_READ);
+const canManagePayments = requirePermission(PERMISSIONS.PAYMENTS_MANAGE);
+
+// ──────────────── User Routes ────────────────
+
+// Submit transfer details (multipart/form-data with paymentReceipt, or JSON)
+router.post(
+    "/offline-payments",
+    requireAuth,
+    wrapMulterHandler(uploadPaymentReceipt, submitOfflinePayment)
+);
+
+router.get("/offline-payments", requireAuth, getMyOfflinePayments);
+
+// ──────────────── Admin Routes ────────────────
+
+router.get("/admin/offline-payments", requireAuth, canReadPayments, adminListOfflinePayments);
+router.post("/admin/offline-payments/:entryId/confirm", requireAuth, canManagePayments, adminConfirmOfflinePayment);
+router.post("/admin/offline-payments/:entryId/reject", requireAuth, canManagePayments, adminRejectOfflinePayment);
+
+module.exports = router;
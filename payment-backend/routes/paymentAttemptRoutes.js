@@ -0,0 +1,34 @@
+/**
+ * Payment Attempt Routes
+ * ----------------------
+ * Admin routes for the checkout attempt history.
+ *
+ * GET /admin/payments/attempts          → List attempts (?collection=&recordId=, ?uid=, ?status=)
+ * GET /admin/payments/attempts/:txnid   → One attempt with its timeline
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+    adminListPaymentAttempts,
+    adminGetPaymentAttempt,
+} = require("../controllers/paymentAttemptController");
+const { requireAuth } = require("../middleware/auth");
+const { PERMISSIONS, requirePermission } = require("../middleware/permissions");
+
+router.get(
+    "/admin/payments/attempts",
+    requireAuth,
+    requirePermission(PERMISSIONS.PAYMENTS_READ),
+    adminListPaymentAttempts
+);
+
+router.get(
+    "/admin/payments/attempts/:txnid",
+    requireAuth,
+    requirePermission(PERMISSIONS.PAYMENTS_READ),
+    adminGetPaymentAttempt
+);
+
+module.exports = router;
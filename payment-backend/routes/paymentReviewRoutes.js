@@ -0,0 +1,46 @@
+/**
+ * Payment Review Routes
+ * ---------------------
+ * Admin routes for payments parked as "suspicious" by the callbacks.
+ *
+ * GET    /admin/payments/suspicious   → List suspicious payments
+ * GET    /admin/payments/incidents    → List tampering / invalid-hash incidents
+ * POST   /admin/payments/review       → Approve or reject one
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+    adminListSuspiciousPayments,
+    adminListPaymentIncidents,
+    adminReviewPayment,
+} = require("../controllers/paymentReviewController");
+const { requireAuth } = require("../middleware/auth");
+const { PERMISSIONS, requirePermission } = require("../middleware/permissions");
+
+// List suspicious paper + attendee payments
+router.get(
+    "/admin/payments/suspicious",
+    requireAuth,
+    requirePermission(PERMISSIONS.PAYMENTS_READ),
+    adminListSuspiciousPayments
+);
+
+// List payment incidents (tampering, invalid hash)
+router.get(
+    "/admin/payments/incidents",
+    requireAuth,
+    requirePermission(PERMISSIONS.PAYMENTS_READ),
+    adminListPaymentIncidents
+);
+
+// Approve or reject a suspicious payment
+router.post(
+    "/admin/payments/review",
+    requireAuth,
+    requirePermission(PERMISSIONS.PAYMENTS_MANAGE),
+    adminReviewPayment
+);
+
+module.exports = router;
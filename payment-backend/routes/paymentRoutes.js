@@ -3,14 +3,19 @@
  * --------------
  * Isolated routes for Easebuzz payment integration.
  * These routes are completely independent of existing backend routes.
+ *
+ * create-payment and payment-status require a Firebase ID token;
+ * the Easebuzz callbacks are unauthenticated (verified by hash).
  */
 
 const express = require("express");
 const router = express.Router();
 const paymentController = require("../controllers/paymentController");
+const { requireAuth } = require("../middleware/auth");
+const { PERMISSIONS, requireSelfOrPermission } = require("../middleware/permissions");
 
 // Initiate a payment (Flutter → Backend → Easebuzz)
-router.post("/create-payment", paymentController.createPayment);
+router.post("/create-payment", requireAuth, paymentController.createPayment);
 
 // Easebuzz success callback (Easebuzz → Backend → Redirect to Flutter)
 router.post("/payment-success", paymentController.paymentSuccess);
@@ -18,7 +23,8 @@ router.post("/payment-success", paymentController.paymentSuccess);
 // Easebuzz failure callback (Easebuzz → Backend → Redirect to Flutter)
 router.post("/payment-failure", paymentController.paymentFailure);
 
-// Get payment status for a user
-router.get("/payment-status/:uid", paymentController.getPaymentStatus);
+// Get payment status for the authenticated user (or any user, for payments staff)
+router.get("/payment-status", requireAuth, paymentController.getPaymentStatus);
+router.get("/payment-status/:uid", requireAuth, requireSelfOrPermission("uid", PERMISSIONS.PAYMENTS_READ), paymentController.getPaymentStatus);
 
 module.exports = router;
@@ -6,6 +6,12 @@
  * GET /api/receipt/status/:uid    → Check if receipt is available
  * GET /api/receipt/download/:uid  → Download receipt PDF
  * GET /api/receipt/:uid           → View receipt PDF (inline)
+ * GET /api/receipt/verify/:token  → Verify a receipt's QR code (public)
+ *
+ * ?paperId= selects one of several paid papers (default: the first).
+ *
+ * All routes except verify require a Firebase ID token; :uid must match
+ * the caller unless the caller has the receipts:read permission.
  */
 
 const express = require("express");
@@ -14,15 +20,23 @@ const {
     viewReceipt,
     downloadReceipt,
     getReceiptStatus,
+    verifyReceipt,
 } = require("../controllers/receiptController");
+const { requireAuth } = require("../middleware/auth");
+const { PERMISSIONS, requireSelfOrPermission } = require("../middleware/permissions");
+
+const canReadReceipt = requireSelfOrPermission("uid", PERMISSIONS.RECEIPTS_READ);
+
+// Public receipt verification (QR code on paper, attendee and group receipts)
+router.get("/receipt/verify/:token", verifyReceipt);
 
 // Receipt status check (must be before /:uid to avoid route conflict)
-router.get("/receipt/status/:uid", getReceiptStatus);
+router.get("/receipt/status/:uid", requireAuth, canReadReceipt, getReceiptStatus);
 
 // Download receipt as attachment
-router.get("/receipt/download/:uid", downloadReceipt);
+router.get("/receipt/download/:uid", requireAuth, canReadReceipt, downloadReceipt);
 
 // View receipt inline (browser preview)
-router.get("/receipt/:uid", viewReceipt);
+router.get("/receipt/:uid", requireAuth, canReadReceipt, viewReceipt);
 
 module.exports = router;
@@ -0,0 +1,46 @@
+/**
+ * Refund Routes
+ * -------------
+ * Admin routes for Easebuzz refunds of paper and attendee fees.
+ *
+ * POST   /admin/payments/refunds                 → Start a full or partial refund
+ * GET    /admin/payments/refunds                 → List refunds
+ * POST   /admin/payments/refunds/:refundId/sync  → Refresh a pending refund
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+    adminCreateRefund,
+    adminListRefunds,
+    adminSyncRefund,
+} = require("../controllers/refundController");
+const { requireAuth } = require("../middleware/auth");
+const { PERMISSIONS, requirePermission } = require("../middleware/permissions");
+
+// Start a refund
+router.post(
+    "/admin/payments/refunds",
+    requireAuth,
+    requirePermission(PERMISSIONS.PAYMENTS_MANAGE),
+    adminCreateRefund
+);
+
+// List refunds
+router.get(
+    "/admin/payments/refunds",
+    requireAuth,
+    requirePermission(PERMISSIONS.PAYMENTS_READ),
+    adminListRefunds
+);
+
+// Refresh a pending refund from Easebuzz
+router.post(
+    "/admin/payments/refunds/:refundId/sync",
+    requireAuth,
+    requirePermission(PERMISSIONS.PAYMENTS_MANAGE),
+    adminSyncRefund
+);
+
+module.exports = router;
@@ -4,7 +4,9 @@
  * Routes for full paper revision resubmission workflow.
  *
  * POST   /paper/resubmit/:paperId   → Resubmit revised paper (multipart)
- * GET    /paper/versions/:paperId   → Get all versions of a paper
+ * GET    /paper/versions/:paperId   → Get all versions of a paper (owner or papers:read)
+ *
+ * All routes require a Firebase ID token (Authorization: Bearer <idToken>).
  */
 
 const express = require("express");
@@ -16,16 +18,24 @@ const {
     getPaperVersions,
     wrapMulterHandler,
 } = require("../controllers/revisionController");
+const { requireAuth } = require("../middleware/auth");
+const { PERMISSIONS, requirePaperOwnerOrPermission } = require("../middleware/permissions");
 
 // ──────────────── User Routes ────────────────
 
 // Resubmit revised paper (multipart/form-data with PDF)
 router.post(
     "/paper/resubmit/:paperId",
+    requireAuth,
     wrapMulterHandler(uploadRevisedPaper, handleResubmitPaper)
 );
 
 // Get all versions of a paper
-router.get("/paper/versions/:paperId", getPaperVersions);
+router.get(
+    "/paper/versions/:paperId",
+    requireAuth,
+    requirePaperOwnerOrPermission("paperId", PERMISSIONS.PAPERS_READ),
+    getPaperVersions
+);
 
 module.exports = router;
@@ -5,9 +5,12 @@
  *
  * POST   /upload-id-card              → Upload ID card image
  * POST   /upload-payment-receipt      → Upload payment receipt image
- * GET    /verification-status/:userId → Get verification status
+ * GET    /verification-status         → Get verification status
  * POST   /admin/verify-user           → Admin approve/reject
  * GET    /admin/verification-list     → Admin list pending verifications
+ *
+ * All routes require a Firebase ID token (Authorization: Bearer <idToken>).
+ * Admin routes are guarded by verification:* permissions (middleware/permissions.js).
  */
 
 const express = require("express");
@@ -23,30 +26,54 @@ const {
     adminGetVerificationList,
     wrapMulterHandler,
 } = require("../controllers/verificationController");
+const { requireAuth } = require("../middleware/auth");
+const {
+    PERMISSIONS,
+    requirePermission,
+    requireSelfOrPermission,
+} = require("../middleware/permissions");
 
 // ──────────────── User Routes ────────────────
 
 // Upload ID card image (multipart/form-data)
 router.post(
     "/upload-id-card",
+    requireAuth,
     wrapMulterHandler(uploadIdCard, handleUploadIdCard)
 );
 
 // Upload payment receipt image (multipart/form-data)
 router.post(
     "/upload-payment-receipt",
+    requireAuth,
     wrapMulterHandler(uploadPaymentReceipt, handleUploadPaymentReceipt)
 );
 
-// Get verification status for a user
-router.get("/verification-status/:userId", getVerificationStatus);
+// Get verification status for the authenticated user
+router.get("/verification-status", requireAuth, getVerificationStatus);
+router.get(
+    "/verification-status/:userId",
+    requireAuth,
+    requireSelfOrPermission("userId", PERMISSIONS.VERIFICATION_READ),
+    getVerificationStatus
+);
 
 // ──────────────── Admin Routes ────────────────
 
 // Admin: approve or reject a user's verification
-router.post("/admin/verify-user", adminVerifyUser);
+router.post(
+    "/admin/verify-user",
+    requireAuth,
+    requirePermission(PERMISSIONS.VERIFICATION_DECIDE),
+    adminVerifyUser
+);
 
 // Admin: list all users with verification documents
-router.get("/admin/verification-list", adminGetVerificationList);
+router.get(
+    "/admin/verification-list",
+    requireAuth,
+    requirePermission(PERMISSIONS.VERIFICATION_READ),
+    adminGetVerificationList
+);
 
 module.exports = router;
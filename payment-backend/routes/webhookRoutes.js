@@ -0,0 +1,17 @@
+/**
+ * Webhook Routes
+ * --------------
+ * Server-to-server notifications from Easebuzz. Unauthenticated
+ * (verified by hash) and exempt from CORS, like the surl/furl callbacks.
+ *
+ * POST /api/easebuzz-webhook   → Transaction notification (JSON response)
+ */
+
+const express = require("express");
+const router = express.Router();
+const { easebuzzWebhook } = require("../controllers/webhookController");
+
+// Easebuzz → Backend (no browser involved)
+router.post("/easebuzz-webhook", easebuzzWebhook);
+
+module.exports = router;
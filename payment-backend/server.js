@@ -7,13 +7,52 @@
  * It only handles payment-related endpoints.
  * 
  * Endpoints:
- *   POST /api/create-payment     → Initiate payment
+ *   POST /api/create-payment     → Initiate payment (for one paperId)
  *   POST /api/payment-success    → Easebuzz success callback
  *   POST /api/payment-failure    → Easebuzz failure callback
- *   GET  /api/payment-status/:uid → Check payment status
- *   GET  /api/receipt/:uid        → View receipt PDF
- *   GET  /api/receipt/download/:uid → Download receipt PDF
- *   GET  /api/receipt/status/:uid  → Check receipt availability
+ *   POST /api/easebuzz-webhook   → Easebuzz server-to-server notification
+ *   GET  /api/payment-status      → Check payment status (auth)
+ *   GET  /api/receipt/:uid        → View receipt PDF (auth)
+ *   GET  /api/receipt/download/:uid → Download receipt PDF (auth)
+ *   GET  /api/receipt/status/:uid  → Check receipt availability (auth)
+ *   GET  /api/receipt/verify/:token → Verify a receipt QR code (public)
+ *   POST /api/invoice/:uid         → Issue GST tax invoice for a paid paper (auth)
+ *   GET  /api/invoice[/download]/:uid → View / download the paper invoice PDF (auth)
+ *   POST/GET /api/attendee-invoice[/download]/:txnid → Attendee invoice
+ *   POST/GET /api/attendee-group-invoice[/download]/:groupId → Group registration invoice
+ *   GET/POST /api/admin/invoices/:collection/:recordId[/void|/reissue] → Void or reissue an invoice (finance)
+ *   GET  /api/admin/payments/suspicious → List suspicious payments (admin)
+ *   GET  /api/admin/payments/incidents  → List payment tampering incidents (admin)
+ *   POST /api/admin/payments/review     → Approve/reject suspicious payment (admin)
+ *   GET  /api/admin/payments/attempts   → Checkout attempt history (admin)
+ *   GET  /api/admin/payments/attempts/:txnid → One attempt with its timeline (admin)
+ *   POST /api/admin/payments/refunds    → Start a full/partial refund (admin)
+ *   GET  /api/admin/payments/refunds    → List refunds (admin)
+ *   POST /api/admin/payments/refunds/:refundId/sync → Refresh refund status (admin)
+ *   GET/POST /api/admin/fee-schedule          → List / create fee rules (admin)
+ *   PUT/DELETE /api/admin/fee-schedule/:ruleId → Update / delete a fee rule (admin)
+ *   GET/PUT /api/admin/fee-policy             → Paper fee policy: per paper / per author (admin)
+ *   GET/POST /api/admin/coupons               → List / create coupons (admin)
+ *   PUT  /api/admin/coupons/:code             → Update a coupon (admin)
+ *   GET  /api/admin/coupons/:code/redemptions → Coupon usage (admin)
+ *   GET/POST /api/admin/exemptions/rules          → List / create exemption rules (admin)
+ *   PUT/DELETE /api/admin/exemptions/rules/:ruleId → Update / delete an exemption rule (admin)
+ *   POST /api/admin/exemptions/check          → Test an institution name (admin)
+ *   GET/POST /api/admin/fee-waivers           → List / grant manual fee waivers (admin)
+ *   DELETE /api/admin/fee-waivers/:uid        → Revoke a fee waiver (admin)
+ *   POST/GET /api/offline-payments            → Submit / list own bank transfer entries (auth)
+ *   GET  /api/admin/offline-payments          → List offline payment entries (admin)
+ *   POST /api/admin/offline-payments/:entryId/confirm|reject → Review an offline payment (admin)
+ *   GET  /api/admin/attendee-regions          → Attendees with an unconfirmed price-list region (admin)
+ *   PUT  /api/admin/attendee-regions/:email   → Confirm an attendee's region (admin)
+ *   GET  /api/admin/badges[/holders]          → Badge PDF / badge holders (admin)
+ *   GET  /api/certificates[/download]/:uid    → List / download presentation certificates (auth)
+ *   GET  /api/attendee-certificate/download/:txnid → Participation certificate
+ *   GET  /api/certificates/verify/:certificateId → Verify a certificate (public)
+ *   GET/PUT /api/admin/certificates/settings  → Certificate wording and signatories (admin)
+ *   GET  /api/admin/certificates/download     → ZIP of all certificates (admin)
+ *   GET  /api/paper/acceptance-letter[/download]/:paperId → Acceptance letter PDF (auth)
+ *   GET/POST /api/mock-gateway/pay/:accessKey → Mock checkout page (PAYMENT_PROVIDER=mock only)
  */
 
 require("dotenv").config();
@@ -23,14 +62,35 @@ const cors = require("cors");
 const { initializeFirebase } = require("./utils/firebase");
 const paymentRoutes = require("./routes/paymentRoutes");
 const receiptRoutes = require("./routes/receiptRoutes");
+const invoiceRoutes = require("./routes/invoiceRoutes");
 const attendeeRoutes = require("./routes/attendeeRoutes");
 const attendeeReceiptRoutes = require("./routes/attendeeReceiptRoutes");
+const attendeeGroupRoutes = require("./routes/attendeeGroupRoutes");
 const verificationRoutes = require("./routes/verificationRoutes");
 const revisionRoutes = require("./routes/revisionRoutes");
+const paymentReviewRoutes = require("./routes/paymentReviewRoutes");
+const paymentAttemptRoutes = require("./routes/paymentAttemptRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
+const refundRoutes = require("./routes/refundRoutes");
+const feeScheduleRoutes = require("./routes/feeScheduleRoutes");
+const couponRoutes = require("./routes/couponRoutes");
+const exemptionRoutes = require("./routes/exemptionRoutes");
+const offlinePaymentRoutes = require("./routes/offlinePaymentRoutes");
+const attendeeRegionRoutes = require("./routes/attendeeRegionRoutes");
+const badgeRoutes = require("./routes/badgeRoutes");
+const certificateRoutes = require("./routes/certificateRoutes");
+const acceptanceLetterRoutes = require("./routes/acceptanceLetterRoutes");
+const mockGatewayRoutes = require("./routes/mockGatewayRoutes");
+const { getPaymentProvider } = require("./utils/paymentProviders");
+const { startReconcileSchedule } = require("./jobs/reconcilePendingPayments");
+const { numberPaidReceipts } = require("./jobs/numberReceipts");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Fail fast on an unknown PAYMENT_PROVIDER (or the mock provider in live mode)
+const paymentProvider = getPaymentProvider();
+
 // Trust proxy headers (required for Render/Heroku/etc.)
 // Without this, req.protocol is always 'http' behind a reverse proxy,
 // which breaks Easebuzz surl/furl callback URLs in production.
@@ -56,6 +116,9 @@ const easebuzzCallbackPaths = [
     "/api/payment-failure",
     "/api/attendee-payment-success",
     "/api/attendee-payment-failure",
+    "/api/attendee-group-payment-success",
+    "/api/attendee-group-payment-failure",
+    "/api/easebuzz-webhook",
 ];
 
 // Configure the CORS middleware instance
@@ -110,10 +173,29 @@ console.log("✅ Firebase Admin SDK initialized");
 
 app.use("/api", paymentRoutes);
 app.use("/api", receiptRoutes);
+app.use("/api", invoiceRoutes);
 app.use("/api", attendeeRoutes);
 app.use("/api", attendeeReceiptRoutes);
+app.use("/api", attendeeGroupRoutes);
 app.use("/api", verificationRoutes);
 app.use("/api", revisionRoutes);
+app.use("/api", paymentReviewRoutes);
+app.use("/api", paymentAttemptRoutes);
+app.use("/api", webhookRoutes);
+app.use("/api", refundRoutes);
+app.use("/api", feeScheduleRoutes);
+app.use("/api", couponRoutes);
+app.use("/api", exemptionRoutes);
+app.use("/api", offlinePaymentRoutes);
+app.use("/api", attendeeRegionRoutes);
+app.use("/api", badgeRoutes);
+app.use("/api", certificateRoutes);
+app.use("/api", acceptanceLetterRoutes);
+
+// Offline checkout page, only when the mock provider takes payments
+if (paymentProvider.name === "mock") {
+    app.use("/api", mockGatewayRoutes);
+}
 
 // Health check
 app.get("/api/health", (req, res) => {
@@ -121,6 +203,7 @@ app.get("/api/health", (req, res) => {
         status: "ok",
         service: "easebuzz-payment-backend",
         env: process.env.EASEBUZZ_ENV || "test",
+        paymentProvider: paymentProvider.name,
         timestamp: new Date().toISOString(),
     });
 });
@@ -147,7 +230,20 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
     console.log(`\n🚀 Payment Backend running on port ${PORT}`);
     console.log(`   Environment: ${process.env.EASEBUZZ_ENV || "test"}`);
+    console.log(`   Payment provider: ${paymentProvider.name}`);
     console.log(`   Health: http://localhost:${PORT}/api/health`);
     console.log(`   Backend URL: ${process.env.BACKEND_URL || "(auto-detected from request)"}`);
     console.log(`   Frontend URL: ${process.env.FRONTEND_URL || "http://localhost:5000"}\n`);
+
+    // Paid records from before receipt numbers were assigned at payment
+    numberPaidReceipts().catch((error) => {
+        console.error("[RECEIPTS] Numbering failed:", error.message);
+    });
+
+    // Optional background reconciliation of stale pending payments
+    const reconcileInterval = parseInt(process.env.RECONCILE_INTERVAL_MINUTES, 10);
+    if (reconcileInterval > 0) {
+        startReconcileSchedule(reconcileInterval);
+        console.log(`   Reconciler: every ${reconcileInterval} min\n`);
+    }
 });
@@ -1,11 +1,13 @@
 /**
- * One-time script to set admin custom claim for a user.
- * Usage: node set-admin.js <uid>
+ * One-time script to set a staff role custom claim for a user.
+ * Usage: node set-admin.js <uid> [role]
+ * Role defaults to "admin"; see ROLES in middleware/permissions.js.
  */
 require("dotenv").config();
 const admin = require("firebase-admin");
 const path = require("path");
 const fs = require("fs");
+const { isStaffRole } = require("./middleware/permissions");
 
 // Initialize Firebase Admin
 const rawPath = process.env.FIREBASE_SERVICE_ACCOUNT_PATH || path.join(__dirname, "serviceAccountKey.json");
@@ -17,8 +19,13 @@ admin.initializeApp({
 });
 
 const uid = process.argv[2];
+const role = (process.argv[3] || "admin").toLowerCase().trim();
 if (!uid) {
-    console.error("Usage: node set-admin.js <uid>");
+    console.error("Usage: node set-admin.js <uid> [role]");
+    process.exit(1);
+}
+if (!isStaffRole(role)) {
+    console.error(`Unknown role "${role}".`);
     process.exit(1);
 }
 
@@ -29,9 +36,9 @@ if (!uid) {
         console.log("Current user:", user.email);
         console.log("Current claims:", JSON.stringify(user.customClaims));
 
-        // Set admin claim
-        await admin.auth().setCustomUserClaims(uid, { role: "admin" });
-        console.log(`✅ Admin claim set for ${uid}`);
+        // Set role claim
+        await admin.auth().setCustomUserClaims(uid, { role });
+        console.log(`✅ ${role} claim set for ${uid}`);
 
         // Verify
         const updated = await admin.auth().getUser(uid);
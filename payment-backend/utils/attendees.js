@@ -0,0 +1,131 @@
+/**
+ * Attendee Helpers
+ * ----------------
+ * Validation, duplicate checks and price-list region shared by single
+ * attendee registration and group registration
+ * (controllers/attendeeController.js, controllers/attendeeGroupController.js).
+ *
+ * The region (domestic / international price list) comes from, in order:
+ *   1. the signed-in caller's profile (users/{uid} nationality / country)
+ *   2. a region an admin confirmed for the email (attendeeRegions/{email})
+ *   3. the nationality / country in the request, recorded as
+ *      regionSource "declared" until an admin confirms it
+ *      (controllers/attendeeRegionController.js)
+ */
+
+const { getDb } = require("./firebase");
+const { getFeeRegion } = require("./fees");
+
+const REGION_SOURCES = {
+    PROFILE: "profile",
+    CONFIRMED: "confirmed",
+    DECLARED: "declared",
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Registrations that count as done (a new one for the same email is refused)
+const REGISTERED_STATUSES = ["paid", "exempted"];
+
+/**
+ * Validate and clean one attendee's name / email / phone.
+ * @returns {{ error: string|null, attendee: { name: string, email: string, phone: string } }}
+ */
+function validateAttendeeDetails({ name, email, phone }) {
+    const fail = (error) => ({ error, attendee: null });
+
+    if (!name || !String(name).trim()) return fail("Full name is required.");
+    if (!email || !String(email).trim()) return fail("Email is required.");
+    if (!phone || !String(phone).trim()) return fail("Phone number is required.");
+
+    // Basic email format validation
+    if (!EMAIL_PATTERN.test(String(email).trim())) return fail("Invalid email format.");
+
+    // Basic phone validation (at least 10 digits)
+    const phoneDigits = String(phone).replace(/\D/g, "");
+    if (phoneDigits.length < 10) return fail("Invalid phone number.");
+
+    return {
+        error: null,
+        attendee: {
+            name: String(name).trim(),
+            email: String(email).trim().toLowerCase(),
+            phone: phoneDigits.slice(-10), // Last 10 digits
+        },
+    };
+}
+
+/**
+ * Registrations that already exist for any of these emails.
+ * @returns {Promise<Array<{ email: string, txnid: string|null }>>}
+ */
+async function findRegisteredAttendees(emails) {
+    const db = getDb();
+    const found = [];
+
+    for (const email of emails) {
+        const snap = await db
+            .collection("attendees")
+            .where("email", "==", email)
+            .where("paymentStatus", "in", REGISTERED_STATUSES)
+            .limit(1)
+            .get();
+
+        if (!snap.empty) {
+            found.push({ email, txnid: snap.docs[0].data().txnid || null });
+        }
+    }
+    return found;
+}
+
+/**
+ * The price-list region of an attendee (or group contact) and where it
+ * came from; see the order above.
+ * @param {{ user?: object, email: string, nationality?: string, country?: string }} params
+ *   user is req.user (set when the caller sent an ID token)
+ * @returns {Promise<{ origin: { nationality, country }, region: string, regionSource: string }>}
+ */
+async function resolveAttendeeRegion({ user, email, nationality, country }) {
+    const db = getDb();
+
+    if (user) {
+        const userDoc = await db.collection("users").doc(user.uid).get();
+        const profile = userDoc.exists ? userDoc.data() : {};
+        const origin = { nationality: profile.nationality || null, country: profile.country || null };
+        return { origin, region: getFeeRegion(origin), regionSource: REGION_SOURCES.PROFILE };
+    }
+
+    const origin = {
+        nationality: String(nationality || "").trim() || null,
+        country: String(country || "").trim() || null,
+    };
+
+    const confirmed = await db.collection("attendeeRegions").doc(email).get();
+    if (confirmed.exists) {
+        return { origin, region: confirmed.data().region, regionSource: REGION_SOURCES.CONFIRMED };
+    }
+
+    return { origin, region: getFeeRegion(origin), regionSource: REGION_SOURCES.DECLARED };
+}
+
+/**
+ * Split a total into `count` shares in paise; the last share absorbs the
+ * rounding so the shares always add up to the total.
+ * @returns {number[]}
+ */
+function splitAmount(total, count) {
+    const totalPaise = Math.round(parseFloat(total) * 100);
+    const sharePaise = Math.floor(totalPaise / count);
+    return Array.from({ length: count }, (_, i) =>
+        (i === count - 1 ? totalPaise - sharePaise * (count - 1) : sharePaise) / 100
+    );
+}
+
+module.exports = {
+    REGISTERED_STATUSES,
+    REGION_SOURCES,
+    validateAttendeeDetails,
+    findRegisteredAttendees,
+    resolveAttendeeRegion,
+    splitAmount,
+};
@@ -0,0 +1,159 @@
+/**
+ * Conference Badges
+ * -----------------
+ * Who gets a badge, and what it says. Badge holders are the owners of
+ * paid full paper submissions (one badge per author, however many papers
+ * they paid for) and paid attendees, including group members. Someone who
+ * is both gets the author badge.
+ *
+ * Each holder: { badgeId, name, institution, email, category, receipt }
+ *   badgeId   user_<uid> or attendee_<attendeeId>
+ *   category  author | student | scholar (paper owners, by their role) | attendee
+ *   receipt   { collection, recordId, receiptNumber } of the payment, for
+ *             the QR code (utils/receiptVerification.js)
+ *
+ * Receipt numbers are only read here: they are assigned when a payment
+ * is marked paid (older payments by jobs/numberReceipts.js). A holder
+ * whose receipt has no number yet has receipt null.
+ */
+
+const { getDb } = require("./firebase");
+
+const BADGE_CATEGORIES = {
+    AUTHOR: "author",
+    STUDENT: "student",
+    SCHOLAR: "scholar",
+    ATTENDEE: "attendee",
+};
+
+// Badges per page: one per A6 page, or an A4 sheet of 2 columns.
+const BADGE_SHEETS = {
+    1: { size: "A6", columns: 1, rows: 1 },
+    4: { size: "A4", columns: 2, rows: 2 },
+    6: { size: "A4", columns: 2, rows: 3 },
+};
+
+class BadgeError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = "BadgeError";
+        this.statusCode = statusCode;
+    }
+}
+
+function authorCategory(role) {
+    const r = String(role || "").toLowerCase().trim();
+    if (r === BADGE_CATEGORIES.STUDENT) return BADGE_CATEGORIES.STUDENT;
+    if (r === BADGE_CATEGORIES.SCHOLAR) return BADGE_CATEGORIES.SCHOLAR;
+    return BADGE_CATEGORIES.AUTHOR;
+}
+
+function normaliseEmail(email) {
+    return String(email || "").toLowerCase().trim();
+}
+
+/**
+ * Validate ?perSheet= (default 4).
+ */
+function getBadgeSheet(perSheet) {
+    const key = perSheet === undefined || perSheet === "" ? 4 : Number(perSheet);
+    const sheet = BADGE_SHEETS[key];
+    if (!sheet) {
+        throw new BadgeError(`perSheet must be one of: ${Object.keys(BADGE_SHEETS).join(", ")}.`);
+    }
+    return { perSheet: key, ...sheet };
+}
+
+/**
+ * Owners of paid full papers. Each author's badge points at their
+ * earliest paid paper that has a receipt number, else their earliest.
+ */
+async function getAuthorHolders(db) {
+    const snap = await db
+        .collection("submissions")
+        .where("paymentStatus", "==", "paid")
+        .get();
+
+    const firstPaper = new Map();
+    snap.docs
+        .filter((doc) => doc.data().uid)
+        .sort((a, b) => String(a.data().paymentDate || "").localeCompare(String(b.data().paymentDate || "")))
+        .forEach((doc) => {
+            const current = firstPaper.get(doc.data().uid);
+            if (!current || (!current.data().receiptNumber && doc.data().receiptNumber)) {
+                firstPaper.set(doc.data().uid, doc);
+            }
+        });
+
+    const holders = await Promise.all([...firstPaper.entries()].map(async ([uid, paper]) => {
+        const userDoc = await db.collection("users").doc(uid).get();
+        if (!userDoc.exists) return null;
+        const user = userDoc.data();
+
+        return {
+            badgeId: `user_${uid}`,
+            name: user.name || "",
+            institution: user.institution || "",
+            email: normaliseEmail(user.email),
+            category: authorCategory(user.role),
+            receipt: paper.data().receiptNumber
+                ? { collection: "submissions", recordId: paper.id, receiptNumber: paper.data().receiptNumber }
+                : null,
+        };
+    }));
+
+    return holders.filter(Boolean);
+}
+
+async function getAttendeeHolders(db) {
+    const snap = await db
+        .collection("attendees")
+        .where("paymentStatus", "==", "paid")
+        .get();
+
+    return snap.docs.map((doc) => {
+        const d = doc.data();
+        return {
+            badgeId: `attendee_${doc.id}`,
+            name: d.name || "",
+            institution: d.organization || "",
+            email: normaliseEmail(d.email),
+            category: BADGE_CATEGORIES.ATTENDEE,
+            receipt: d.receiptNumber
+                ? { collection: "attendees", recordId: doc.id, receiptNumber: d.receiptNumber }
+                : null,
+        };
+    });
+}
+
+/**
+ * Badge holders, sorted by name.
+ * @param {{ category?: string, email?: string, badgeId?: string }} filters
+ *   category limits to one category; email or badgeId picks one person.
+ */
+async function getBadgeHolders({ category, email, badgeId } = {}) {
+    if (category && !Object.values(BADGE_CATEGORIES).includes(category)) {
+        throw new BadgeError(`category must be one of: ${Object.values(BADGE_CATEGORIES).join(", ")}.`);
+    }
+
+    const db = getDb();
+
+    // Authors are always read: attendees who are also authors are left out
+    const authors = await getAuthorHolders(db);
+    const authorEmails = new Set(authors.map((h) => h.email).filter(Boolean));
+    const attendees = (await getAttendeeHolders(db)).filter((h) => !authorEmails.has(h.email));
+
+    let holders = [...authors, ...attendees];
+    if (category) holders = holders.filter((h) => h.category === category);
+    if (email) holders = holders.filter((h) => h.email === normaliseEmail(email));
+    if (badgeId) holders = holders.filter((h) => h.badgeId === badgeId);
+
+    return holders.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+    BADGE_CATEGORIES,
+    BadgeError,
+    getBadgeSheet,
+    getBadgeHolders,
+};
@@ -0,0 +1,344 @@
+/**
+ * Certificates
+ * ------------
+ * Certificates of participation (paid attendees) and of presentation
+ * (accepted full papers whose fee is settled, covered papers included),
+ * issued once and kept in the `certificates` collection (document id
+ * `<type>_<collection>_<recordId>`):
+ *
+ *   { certificateId, sequence, type, collection, recordId, uid,
+ *     recipientName, institution, paperTitle, coAuthors, referenceNumber,
+ *     issuedAt, issuedBy }
+ *
+ * The certificate ID is the next number of the certificate series
+ * (utils/counters.js) with a random suffix, so one ID does not reveal the
+ * others: UCCICON26-CERT-00001-7F3A9C. Anyone can check an ID at
+ * /api/certificates/verify/:certificateId (the QR code on the certificate).
+ * An issued certificate keeps the name and title it was issued with.
+ *
+ * Wording and signatories are configured in `settings/certificates`:
+ *   { released, templates: { participation|presentation: { heading, body } },
+ *     signatories: [{ name, designation, signature: "data:image/png;base64,..." }] }
+ * Body placeholders: {name}, {institution}, {event}, {eventName},
+ * {eventDates}, {eventVenue}, {paperTitle}, {coAuthors}, {referenceNumber}.
+ * Users download their own certificates once `released` is true.
+ */
+
+const crypto = require("crypto");
+const { getDb } = require("./firebase");
+const { NUMBER_SERIES, reserveNumbers } = require("./counters");
+const { PAPER_FEE_POLICIES, getPaperFeePolicy } = require("./fees");
+const { SETTLED_PAYMENT_STATUSES } = require("./paperPayments");
+
+const CERTIFICATE_TYPES = {
+    PARTICIPATION: "participation",
+    PRESENTATION: "presentation",
+};
+
+const DEFAULT_TEMPLATES = {
+    [CERTIFICATE_TYPES.PARTICIPATION]: {
+        heading: "Certificate of Participation",
+        body: "has participated in {event}.",
+    },
+    [CERTIFICATE_TYPES.PRESENTATION]: {
+        heading: "Certificate of Presentation",
+        body: "has presented the paper \"{paperTitle}\" at {event}.",
+    },
+};
+
+const ACCEPTED_PAPER_STATUSES = ["accepted", "accepted_with_revision"];
+
+const MAX_SIGNATORIES = 3;
+const MAX_SIGNATURE_BYTES = 200 * 1024;
+const SIGNATURE_PATTERN = /^data:image\/(png|jpeg);base64,([A-Za-z0-9+/=]+)$/;
+const MAX_HEADING_LENGTH = 80;
+const MAX_BODY_LENGTH = 600;
+
+const ISSUE_CHUNK = 200; // certificates issued per transaction
+
+class CertificateError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = "CertificateError";
+        this.statusCode = statusCode;
+    }
+}
+
+// ─────────── Settings ───────────
+
+/**
+ * Certificate settings, with the default wording for anything not configured.
+ */
+async function getCertificateSettings() {
+    const doc = await getDb().collection("settings").doc("certificates").get();
+    const data = doc.exists ? doc.data() : {};
+    const templates = data.templates || {};
+
+    return {
+        released: data.released === true,
+        templates: Object.fromEntries(Object.values(CERTIFICATE_TYPES).map((type) => [
+            type,
+            { ...DEFAULT_TEMPLATES[type], ...(templates[type] || {}) },
+        ])),
+        signatories: data.signatories || [],
+    };
+}
+
+/**
+ * Validate a settings update (PUT body); fields left out are not changed.
+ * @returns {{ errors: string[], update: object }}
+ */
+function validateCertificateSettings(body) {
+    const errors = [];
+    const update = {};
+
+    if (body.released !== undefined) {
+        if (typeof body.released !== "boolean") errors.push("released must be true or false.");
+        update.released = body.released === true;
+    }
+
+    if (body.templates !== undefined) {
+        update.templates = {};
+        for (const [type, template] of Object.entries(body.templates || {})) {
+            if (!Object.values(CERTIFICATE_TYPES).includes(type)) {
+                errors.push(`templates.${type}: type must be one of: ${Object.values(CERTIFICATE_TYPES).join(", ")}.`);
+                continue;
+            }
+            const heading = String((template && template.heading) || "").trim();
+            const text = String((template && template.body) || "").trim();
+            if (!heading || heading.length > MAX_HEADING_LENGTH) {
+                errors.push(`templates.${type}.heading is required (at most ${MAX_HEADING_LENGTH} characters).`);
+            }
+            if (!text || text.length > MAX_BODY_LENGTH) {
+                errors.push(`templates.${type}.body is required (at most ${MAX_BODY_LENGTH} characters).`);
+            }
+            update.templates[type] = { heading, body: text };
+        }
+    }
+
+    if (body.signatories !== undefined) {
+        if (!Array.isArray(body.signatories) || body.signatories.length > MAX_SIGNATORIES) {
+            errors.push(`signatories must be a list of at most ${MAX_SIGNATORIES}.`);
+        } else {
+            update.signatories = body.signatories.map((s, i) => {
+                const name = String((s && s.name) || "").trim();
+                const designation = String((s && s.designation) || "").trim();
+                const signature = s && s.signature ? String(s.signature) : null;
+                if (!name) errors.push(`signatories[${i}].name is required.`);
+                if (signature) {
+                    const match = signature.match(SIGNATURE_PATTERN);
+                    if (!match) {
+                        errors.push(`signatories[${i}].signature must be a PNG or JPEG data URL.`);
+                    } else if (Buffer.byteLength(match[2], "base64") > MAX_SIGNATURE_BYTES) {
+                        errors.push(`signatories[${i}].signature must be at most ${MAX_SIGNATURE_BYTES / 1024} KB.`);
+                    }
+                }
+                return { name, designation, signature };
+            });
+        }
+    }
+
+    return { errors, update };
+}
+
+/**
+ * Signature image of a signatory as a Buffer (null without one).
+ */
+function decodeSignature(signature) {
+    const match = signature ? String(signature).match(SIGNATURE_PATTERN) : null;
+    return match ? Buffer.from(match[2], "base64") : null;
+}
+
+/**
+ * Replace {placeholders} in a template body; unknown ones are left as typed.
+ */
+function fillTemplate(text, values) {
+    return String(text).replace(/\{(\w+)\}/g, (placeholder, key) =>
+        values[key] === undefined || values[key] === null ? placeholder : String(values[key])
+    );
+}
+
+// ─────────── Recipients ───────────
+
+function presenterOf(paper, user) {
+    const authors = Array.isArray(paper.authors) ? paper.authors : [];
+    const main = authors.find((a) => a && a.isMainAuthor) || authors[0] || null;
+
+    return {
+        recipientName: (main && main.name) || paper.author || (user && user.name) || "",
+        institution: (main && main.affiliation) || (user && user.institution) || "",
+        coAuthors: authors.filter((a) => a && a !== main && a.name).map((a) => a.name),
+    };
+}
+
+/**
+ * Accepted full papers whose fee is settled (paid, exempted, or covered by
+ * another of the author's papers under the per-author fee policy).
+ * @param {{ uid?: string }} filters
+ */
+async function getPresentationRecipients({ uid } = {}) {
+    const db = getDb();
+    let query = db.collection("submissions");
+    query = uid
+        ? query.where("uid", "==", uid)
+        : query.where("status", "in", ACCEPTED_PAPER_STATUSES);
+    const snap = await query.get();
+
+    const papers = snap.docs.filter((doc) => {
+        const d = doc.data();
+        return String(d.submissionType || "").toLowerCase().trim() === "fullpaper"
+            && ACCEPTED_PAPER_STATUSES.includes(String(d.status || "").toLowerCase().trim());
+    });
+
+    const perAuthor = (await getPaperFeePolicy()) === PAPER_FEE_POLICIES.PER_AUTHOR;
+    const settledAuthors = new Set(papers
+        .filter((doc) => SETTLED_PAYMENT_STATUSES.includes(doc.data().paymentStatus))
+        .map((doc) => doc.data().uid));
+
+    const presented = papers.filter((doc) =>
+        SETTLED_PAYMENT_STATUSES.includes(doc.data().paymentStatus)
+        || (perAuthor && settledAuthors.has(doc.data().uid))
+    );
+
+    const users = new Map();
+    for (const authorUid of new Set(presented.map((doc) => doc.data().uid))) {
+        const userDoc = await db.collection("users").doc(authorUid).get();
+        users.set(authorUid, userDoc.exists ? userDoc.data() : null);
+    }
+
+    return presented.map((doc) => {
+        const d = doc.data();
+        return {
+            type: CERTIFICATE_TYPES.PRESENTATION,
+            collection: "submissions",
+            recordId: doc.id,
+            uid: d.uid,
+            ...presenterOf(d, users.get(d.uid)),
+            paperTitle: d.title || "",
+            referenceNumber: d.referenceNumber || null,
+        };
+    });
+}
+
+/**
+ * Paid attendees, including group members.
+ * @param {{ attendeeId?: string }} filters
+ */
+async function getParticipationRecipients({ attendeeId } = {}) {
+    const db = getDb();
+    let docs;
+    if (attendeeId) {
+        const doc = await db.collection("attendees").doc(attendeeId).get();
+        docs = doc.exists ? [doc] : [];
+    } else {
+        docs = (await db.collection("attendees").where("paymentStatus", "==", "paid").get()).docs;
+    }
+
+    return docs
+        .filter((doc) => doc.data().paymentStatus === "paid")
+        .map((doc) => {
+            const d = doc.data();
+            return {
+                type: CERTIFICATE_TYPES.PARTICIPATION,
+                collection: "attendees",
+                recordId: doc.id,
+                uid: null,
+                recipientName: d.name || "",
+                institution: d.organization || "",
+                coAuthors: [],
+                paperTitle: null,
+                referenceNumber: null,
+            };
+        });
+}
+
+// ─────────── Issuing ───────────
+
+function certificateDocId({ type, collection, recordId }) {
+    return `${type}_${collection}_${recordId}`;
+}
+
+/**
+ * Issue certificates to recipients (see get*Recipients). Recipients who
+ * already have one keep it.
+ * @returns {Promise<object[]>} the certificate of each recipient, in order
+ */
+async function issueCertificates(recipients, issuedBy) {
+    const db = getDb();
+    const certificates = [];
+
+    for (let i = 0; i < recipients.length; i += ISSUE_CHUNK) {
+        const chunk = recipients.slice(i, i + ISSUE_CHUNK);
+        const issued = await db.runTransaction(async (t) => {
+            const refs = chunk.map((r) => db.collection("certificates").doc(certificateDocId(r)));
+            const docs = await Promise.all(refs.map((ref) => t.get(ref)));
+            const now = new Date().toISOString();
+            const reserved = await reserveNumbers(
+                t,
+                NUMBER_SERIES.CERTIFICATE,
+                docs.filter((doc) => !doc.exists).length,
+                now
+            );
+
+            let next = 0;
+            return docs.map((doc, j) => {
+                if (doc.exists) return doc.data();
+
+                const { number, sequence } = reserved[next++];
+                const suffix = crypto.randomBytes(3).toString("hex").toUpperCase();
+                const certificate = {
+                    ...chunk[j],
+                    certificateId: `${number}-${suffix}`,
+                    sequence,
+                    issuedAt: now,
+                    issuedBy: issuedBy || null,
+                };
+                t.set(refs[j], certificate);
+                return certificate;
+            });
+        });
+        certificates.push(...issued);
+    }
+
+    return certificates;
+}
+
+/**
+ * The certificates already issued to recipients; issues none.
+ * @returns {Promise<Array<object|null>>} each recipient's certificate (or null), in order
+ */
+async function getIssuedCertificates(recipients) {
+    const db = getDb();
+    const docs = await Promise.all(
+        recipients.map((r) => db.collection("certificates").doc(certificateDocId(r)).get())
+    );
+    return docs.map((doc) => (doc.exists ? doc.data() : null));
+}
+
+/**
+ * An issued certificate by its ID, or null.
+ */
+async function getCertificateById(certificateId) {
+    const snap = await getDb()
+        .collection("certificates")
+        .where("certificateId", "==", String(certificateId || "").trim().toUpperCase())
+        .limit(1)
+        .get();
+
+    return snap.empty ? null : snap.docs[0].data();
+}
+
+module.exports = {
+    CERTIFICATE_TYPES,
+    ACCEPTED_PAPER_STATUSES,
+    CertificateError,
+    getCertificateSettings,
+    validateCertificateSettings,
+    decodeSignature,
+    fillTemplate,
+    getPresentationRecipients,
+    getParticipationRecipients,
+    issueCertificates,
+    getIssuedCertificates,
+    getCertificateById,
+};
@@ -0,0 +1,177 @@
+/**
+ * Number Series
+ * -------------
+ * Sequential document numbers (paper receipts, attendee receipts, tax
+ * invoices, certificates) from transactional counters in the
+ * `numberSeries` collection. It is server-only: `counters` is writable by
+ * signed-in clients (the app's `counters/submission_ref`), so no series
+ * is kept there.
+ *
+ * A number is reserved in the same transaction that writes it onto its
+ * record, so a failed write never uses one up: each series has no gaps
+ * and no duplicates.
+ *
+ * Formats are configurable (PAPER_RECEIPT_FORMAT, ATTENDEE_RECEIPT_FORMAT,
+ * INVOICE_NUMBER_FORMAT, CERTIFICATE_NUMBER_FORMAT) with the placeholders:
+ *   {seq} / {seq:N}  the sequence number, zero-padded to N digits
+ *   {year}           calendar year (IST)
+ *   {fy}             Indian financial year, e.g. 2026-27
+ * A series whose format has {fy} or {year} restarts at 1 in each period.
+ * The default invoice format keeps the GST_INVOICE_PREFIX of earlier
+ * releases. A new counter continues from the highest of the counters
+ * earlier releases kept (`counters/<id>`, and `invoiceCounters/<fy>` for
+ * invoices), so no number is reused.
+ */
+
+const { getDb } = require("./firebase");
+
+const NUMBER_SERIES = {
+    PAPER_RECEIPT: "paper",
+    ATTENDEE_RECEIPT: "attendee",
+    INVOICE: "invoice",
+    CERTIFICATE: "certificate",
+};
+
+const SERIES_FORMATS = {
+    [NUMBER_SERIES.PAPER_RECEIPT]: { env: "PAPER_RECEIPT_FORMAT", default: () => "EVT-2026-{seq:5}" },
+    [NUMBER_SERIES.ATTENDEE_RECEIPT]: { env: "ATTENDEE_RECEIPT_FORMAT", default: () => "EVT-ATT-2026-{seq:5}" },
+    [NUMBER_SERIES.INVOICE]: {
+        env: "INVOICE_NUMBER_FORMAT",
+        default: () => `${process.env.GST_INVOICE_PREFIX || "UCC"}/{fy}/{seq:4}`,
+    },
+    [NUMBER_SERIES.CERTIFICATE]: { env: "CERTIFICATE_NUMBER_FORMAT", default: () => "UCCICON26-CERT-{seq:5}" },
+};
+
+const SERIES_COLLECTION = "numberSeries";
+
+/**
+ * Counters kept by earlier releases that a new counter continues from.
+ */
+function getLegacyCounterRefs(series, counterId) {
+    const db = getDb();
+    const refs = [db.collection("counters").doc(counterId)];
+    const match = series === NUMBER_SERIES.INVOICE && counterId.match(/^invoice_(\d{4}-\d{2})$/);
+    if (match) refs.push(db.collection("invoiceCounters").doc(match[1]));
+    return refs;
+}
+
+const SEQ_PLACEHOLDER = /\{seq(?::(\d+))?\}/g;
+
+function toIst(at) {
+    return new Date(new Date(at).getTime() + 5.5 * 60 * 60 * 1000);
+}
+
+/**
+ * Indian financial year of a date, e.g. "2026-27" for 2026-04-01 to 2027-03-31 (IST).
+ */
+function getFinancialYear(at = new Date()) {
+    const ist = toIst(at);
+    const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${year}-${String((year + 1) % 100).padStart(2, "0")}`;
+}
+
+/**
+ * The format of a series. A configured format without {seq} would repeat
+ * numbers, so it is ignored.
+ */
+function getSeriesFormat(series) {
+    const config = SERIES_FORMATS[series];
+    if (!config) throw new Error(`Unknown number series '${series}'.`);
+
+    const configured = process.env[config.env];
+    if (configured && configured.includes("{seq")) return configured;
+    if (configured) {
+        console.warn(`[COUNTERS] ${config.env} has no {seq} placeholder; using ${config.default()}`);
+    }
+    return config.default();
+}
+
+/**
+ * The counter a number is drawn from: one per series, or per period when
+ * the format has {fy} / {year}.
+ */
+function getCounterId(series, format, at) {
+    if (format.includes("{fy}")) return `${series}_${getFinancialYear(at)}`;
+    if (format.includes("{year}")) return `${series}_${toIst(at).getUTCFullYear()}`;
+    return series;
+}
+
+function formatNumber(format, sequence, at) {
+    return format
+        .replace(SEQ_PLACEHOLDER, (_, width) => String(sequence).padStart(parseInt(width || "1", 10), "0"))
+        .replace(/\{fy\}/g, getFinancialYear(at))
+        .replace(/\{year\}/g, String(toIst(at).getUTCFullYear()));
+}
+
+/**
+ * Reserve the next `count` numbers of a series inside a transaction.
+ * Firestore needs every read before the first write, so do the caller's
+ * reads first; the counter is written here.
+ *
+ * @param {FirebaseFirestore.Transaction} t
+ * @param {string} series - one of NUMBER_SERIES
+ * @param {number} count
+ * @param {Date|string} at - date the numbers are issued (for {fy} / {year})
+ * @returns {Promise<Array<{ number: string, sequence: number }>>}
+ */
+async function reserveNumbers(t, series, count = 1, at = new Date()) {
+    if (count < 1) return [];
+
+    const format = getSeriesFormat(series);
+    const counterId = getCounterId(series, format, at);
+    const counterRef = getDb().collection(SERIES_COLLECTION).doc(counterId);
+
+    const counterDoc = await t.get(counterRef);
+    let last = counterDoc.exists ? counterDoc.data().lastNumber || 0 : 0;
+
+    if (!counterDoc.exists) {
+        const legacyDocs = await Promise.all(getLegacyCounterRefs(series, counterId).map((ref) => t.get(ref)));
+        last = Math.max(0, ...legacyDocs.map((doc) => (doc.exists && doc.data().lastNumber) || 0));
+    }
+
+    t.set(counterRef, {
+        series,
+        lastNumber: last + count,
+        updatedAt: new Date().toISOString(),
+    }, { merge: true });
+
+    return Array.from({ length: count }, (_, i) => ({
+        number: formatNumber(format, last + i + 1, at),
+        sequence: last + i + 1,
+    }));
+}
+
+/**
+ * Write `update` to each record together with its number in `field`.
+ * Records that already have a number keep it; the others are numbered
+ * in the order given, in one transaction.
+ *
+ * @param {string} series - one of NUMBER_SERIES
+ * @param {Array<{ ref: FirebaseFirestore.DocumentReference, update?: object }>} entries
+ * @param {string} field - record field holding the number
+ * @returns {Promise<string[]>} the number of each record, in order
+ */
+async function assignNumbers(series, entries, field = "receiptNumber") {
+    const db = getDb();
+
+    return db.runTransaction(async (t) => {
+        const docs = await Promise.all(entries.map((entry) => t.get(entry.ref)));
+        const missing = docs.filter((doc) => !doc.exists || !doc.data()[field]).length;
+        const reserved = await reserveNumbers(t, series, missing);
+
+        let next = 0;
+        return docs.map((doc, i) => {
+            const existing = doc.exists ? doc.data()[field] : null;
+            const number = existing || reserved[next++].number;
+            t.update(entries[i].ref, { ...(entries[i].update || {}), [field]: number });
+            return number;
+        });
+    });
+}
+
+module.exports = {
+    NUMBER_SERIES,
+    getFinancialYear,
+    reserveNumbers,
+    assignNumbers,
+};
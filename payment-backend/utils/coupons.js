@@ -0,0 +1,390 @@
+/**
+ * Coupons
+ * -------
+ * Discount codes for paper and attendee fees.
+ *
+ * `coupons/{CODE}`:
+ *   { code, description, discountType, discountValue, currency, appliesTo,
+ *     maxRedemptions, maxPerUser, validFrom, expiresAt, active,
+ *     redemptionCount, createdBy, createdAt, updatedBy, updatedAt }
+ *
+ * - discountType:  "percent" (0–100) | "flat" (amount off, in `currency`)
+ * - currency:      flat coupons only ("INR" by default); they apply only to
+ *                  fees charged in that currency
+ * - appliesTo:     "paper" | "attendee" | "any"
+ * - maxRedemptions / maxPerUser: null for unlimited
+ *
+ * `couponRedemptions/{id}`:
+ *   { code, category, collection, recordId, txnid, uid, email, currency,
+ *     originalAmount, discountAmount, finalAmount, status, createdAt,
+ *     redeemedAt, releasedAt, releaseReason, overLimitApprovedBy }
+ *
+ * A redemption is "reserved" when the payment is initiated (the discount
+ * is applied before hashing), "redeemed" once the payment settles and
+ * "released" if it fails, so failed payments do not use up the limit.
+ * redemptionCount counts reserved + redeemed. A released redemption whose
+ * payment succeeds after all is only redeemed again if the limits still
+ * allow it; otherwise the payment goes to review, where an admin may
+ * approve it over the limit.
+ *
+ * A 100% coupon needs no payment; the caller treats it like an exemption.
+ */
+
+const { getDb } = require("./firebase");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("./currency");
+
+const DISCOUNT_TYPES = ["percent", "flat"];
+const COUPON_SCOPES = ["paper", "attendee", "any"];
+
+const REDEMPTION_STATUSES = {
+    RESERVED: "reserved",
+    REDEEMED: "redeemed",
+    RELEASED: "released",
+};
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+/**
+ * Error with an HTTP status, thrown when a code cannot be applied.
+ */
+class CouponError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = "CouponError";
+        this.statusCode = statusCode;
+    }
+}
+
+function normalizeCode(code) {
+    return String(code || "").toUpperCase().trim();
+}
+
+function toAmount(value) {
+    return Math.round(parseFloat(value) * 100) / 100;
+}
+
+/**
+ * Apply a coupon's discount to an amount.
+ * @returns {{ originalAmount: number, discountAmount: number, finalAmount: number }}
+ */
+function calculateDiscount(coupon, amount) {
+    const originalAmount = toAmount(amount);
+    const raw = coupon.discountType === "percent"
+        ? (originalAmount * coupon.discountValue) / 100
+        : coupon.discountValue;
+    const discountAmount = Math.min(originalAmount, toAmount(raw));
+
+    return {
+        originalAmount,
+        discountAmount,
+        finalAmount: toAmount(originalAmount - discountAmount),
+    };
+}
+
+/**
+ * Why a coupon cannot be used for this category and currency right now, or null.
+ */
+function getCouponProblem(coupon, category, currency, at) {
+    if (coupon.active === false) return "This coupon is no longer active.";
+    if (coupon.validFrom && coupon.validFrom > at) return "This coupon is not valid yet.";
+    if (coupon.expiresAt && coupon.expiresAt <= at) return "This coupon has expired.";
+    if (coupon.appliesTo !== "any" && coupon.appliesTo !== category) {
+        return `This coupon cannot be used for ${category === "paper" ? "paper" : "attendee"} fees.`;
+    }
+    if (coupon.discountType === "flat" && (coupon.currency || DEFAULT_CURRENCY) !== currency) {
+        return `This coupon cannot be used for ${currency} fees.`;
+    }
+    return null;
+}
+
+function sameUserAs({ uid, email }) {
+    return (r) => Boolean((uid && r.uid === uid) || (email && r.email === email));
+}
+
+/**
+ * Why one more use would exceed the coupon's limits, or null.
+ * @param {number} activeTotal   - reserved + redeemed uses of the coupon
+ * @param {number} activeForUser - reserved + redeemed uses by the same user
+ */
+function getLimitProblem(coupon, activeTotal, activeForUser) {
+    if (coupon.maxRedemptions !== null && coupon.maxRedemptions !== undefined && activeTotal >= coupon.maxRedemptions) {
+        return "This coupon has reached its usage limit.";
+    }
+    if (coupon.maxPerUser !== null && coupon.maxPerUser !== undefined && activeForUser >= coupon.maxPerUser) {
+        return "You have already used this coupon.";
+    }
+    return null;
+}
+
+/**
+ * Validate a code and reserve one redemption for a payment.
+ *
+ * Earlier reservations of the same code by the same user (abandoned
+ * attempts) are released first, so retrying a payment does not hit the
+ * per-user limit.
+ *
+ * @param {object} params
+ * @param {string} params.code
+ * @param {string} params.category - "paper" | "attendee"
+ * @param {string} params.amount   - fee before discount
+ * @param {string} [params.currency] - currency of the fee ("INR" by default)
+ * @param {string} params.collection - "submissions" | "attendees" | "attendeeGroups"
+ * @param {string} params.recordId
+ * @param {string|null} params.txnid
+ * @param {string|null} params.uid
+ * @param {string|null} params.email
+ * @returns {Promise<{ redemptionId: string, code: string, originalAmount: number,
+ *   discountAmount: number, finalAmount: number, isFullWaiver: boolean }>}
+ */
+async function reserveCoupon({
+    code,
+    category,
+    amount,
+    currency = DEFAULT_CURRENCY,
+    collection,
+    recordId,
+    txnid,
+    uid = null,
+    email = null,
+}) {
+    const db = getDb();
+    const normalized = normalizeCode(code);
+    if (!CODE_PATTERN.test(normalized)) {
+        throw new CouponError("Invalid coupon code.", 404);
+    }
+
+    const couponRef = db.collection("coupons").doc(normalized);
+    const redemptionRef = db.collection("couponRedemptions").doc();
+
+    return db.runTransaction(async (t) => {
+        const couponDoc = await t.get(couponRef);
+        if (!couponDoc.exists) {
+            throw new CouponError("Invalid coupon code.", 404);
+        }
+        const coupon = couponDoc.data();
+        const now = new Date().toISOString();
+
+        const problem = getCouponProblem(coupon, category, currency, now);
+        if (problem) {
+            throw new CouponError(problem, 409);
+        }
+
+        // Single-field query; filter in code to avoid composite indexes
+        const redemptionsSnap = await t.get(
+            db.collection("couponRedemptions").where("code", "==", normalized)
+        );
+        const isSameUser = sameUserAs({ uid, email });
+
+        const superseded = redemptionsSnap.docs.filter((doc) => {
+            const r = doc.data();
+            return r.status === REDEMPTION_STATUSES.RESERVED && isSameUser(r);
+        });
+        const active = redemptionsSnap.docs
+            .map((doc) => doc.data())
+            .filter((r) => r.status !== REDEMPTION_STATUSES.RELEASED);
+
+        const activeTotal = active.length - superseded.length;
+        const activeForUser = active.filter(isSameUser).length - superseded.length;
+
+        const limitProblem = getLimitProblem(coupon, activeTotal, activeForUser);
+        if (limitProblem) {
+            throw new CouponError(limitProblem, 409);
+        }
+
+        const discount = calculateDiscount(coupon, amount);
+        const isFullWaiver = discount.finalAmount === 0;
+
+        superseded.forEach((doc) => {
+            t.update(doc.ref, {
+                status: REDEMPTION_STATUSES.RELEASED,
+                releasedAt: now,
+                releaseReason: "superseded",
+            });
+        });
+
+        t.set(redemptionRef, {
+            code: normalized,
+            category,
+            collection,
+            recordId,
+            txnid: isFullWaiver ? null : txnid || null,
+            uid,
+            email,
+            currency,
+            ...discount,
+            status: isFullWaiver ? REDEMPTION_STATUSES.REDEEMED : REDEMPTION_STATUSES.RESERVED,
+            createdAt: now,
+            redeemedAt: isFullWaiver ? now : null,
+            releasedAt: null,
+            releaseReason: null,
+        });
+
+        t.update(couponRef, {
+            redemptionCount: activeTotal + 1,
+            updatedAt: now,
+        });
+
+        return {
+            redemptionId: redemptionRef.id,
+            code: normalized,
+            ...discount,
+            isFullWaiver,
+        };
+    });
+}
+
+/**
+ * Move a redemption to a new status and keep the coupon's count in step.
+ *
+ * Counting a released redemption again re-checks the limits in the same
+ * transaction; if they are used up nothing changes and false is returned,
+ * unless `overLimitApprovedBy` (an admin uid) accepts going over them.
+ * @returns {Promise<boolean>} whether the redemption has the new status
+ */
+async function setRedemptionStatus(redemptionId, status, extra = {}, overLimitApprovedBy = null) {
+    if (!redemptionId) return true;
+    const db = getDb();
+    const redemptionRef = db.collection("couponRedemptions").doc(redemptionId);
+
+    return db.runTransaction(async (t) => {
+        const doc = await t.get(redemptionRef);
+        if (!doc.exists || doc.data().status === status) return true;
+
+        const redemption = doc.data();
+        const wasCounted = redemption.status !== REDEMPTION_STATUSES.RELEASED;
+        const isCounted = status !== REDEMPTION_STATUSES.RELEASED;
+        const couponRef = db.collection("coupons").doc(redemption.code);
+        const couponDoc = await t.get(couponRef);
+        const update = { status, ...extra };
+
+        if (couponDoc.exists && isCounted && !wasCounted) {
+            const active = (await t.get(
+                db.collection("couponRedemptions").where("code", "==", redemption.code)
+            )).docs
+                .map((d) => d.data())
+                .filter((r) => r.status !== REDEMPTION_STATUSES.RELEASED);
+
+            const limitProblem = getLimitProblem(
+                couponDoc.data(),
+                active.length,
+                active.filter(sameUserAs(redemption)).length
+            );
+            if (limitProblem && !overLimitApprovedBy) return false;
+            if (limitProblem) update.overLimitApprovedBy = overLimitApprovedBy;
+        }
+
+        t.update(redemptionRef, update);
+
+        if (couponDoc.exists && wasCounted !== isCounted) {
+            const count = (couponDoc.data().redemptionCount || 0) + (isCounted ? 1 : -1);
+            t.update(couponRef, { redemptionCount: Math.max(0, count) });
+        }
+        return true;
+    });
+}
+
+/**
+ * The payment settled: the coupon use is final.
+ * @param {string} redemptionId
+ * @param {string|null} [overLimitApprovedBy] - admin uid accepting a use over the limits
+ * @returns {Promise<boolean>} false if a released redemption no longer fits the limits
+ */
+async function markCouponRedeemed(redemptionId, overLimitApprovedBy = null) {
+    return setRedemptionStatus(redemptionId, REDEMPTION_STATUSES.REDEEMED, {
+        redeemedAt: new Date().toISOString(),
+    }, overLimitApprovedBy);
+}
+
+/**
+ * The payment failed or was abandoned: give the use back.
+ */
+async function releaseCoupon(redemptionId, reason) {
+    await setRedemptionStatus(redemptionId, REDEMPTION_STATUSES.RELEASED, {
+        releasedAt: new Date().toISOString(),
+        releaseReason: reason,
+    });
+}
+
+/**
+ * Validate an admin coupon payload (for updates, the existing coupon
+ * merged with the changes).
+ *
+ * @returns {{ errors: string[], coupon: object }} the cleaned fields
+ */
+function validateCoupon(body) {
+    const errors = [];
+    const coupon = {};
+
+    coupon.code = normalizeCode(body.code);
+    if (!CODE_PATTERN.test(coupon.code)) {
+        errors.push("code must be 3–32 letters, digits, '-' or '_'.");
+    }
+
+    coupon.description = String(body.description || "").trim();
+
+    coupon.discountType = body.discountType;
+    if (!DISCOUNT_TYPES.includes(coupon.discountType)) {
+        errors.push(`discountType must be one of: ${DISCOUNT_TYPES.join(", ")}.`);
+    }
+
+    coupon.discountValue = toAmount(body.discountValue);
+    if (!Number.isFinite(coupon.discountValue) || coupon.discountValue <= 0) {
+        errors.push("discountValue must be a positive number.");
+    } else if (coupon.discountType === "percent" && coupon.discountValue > 100) {
+        errors.push("A percent discount cannot exceed 100.");
+    }
+
+    coupon.currency = coupon.discountType === "flat"
+        ? String(body.currency || DEFAULT_CURRENCY).toUpperCase().trim()
+        : null;
+    if (coupon.currency && !SUPPORTED_CURRENCIES.includes(coupon.currency)) {
+        errors.push(`currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}.`);
+    }
+
+    coupon.appliesTo = body.appliesTo || "any";
+    if (!COUPON_SCOPES.includes(coupon.appliesTo)) {
+        errors.push(`appliesTo must be one of: ${COUPON_SCOPES.join(", ")}.`);
+    }
+
+    for (const field of ["maxRedemptions", "maxPerUser"]) {
+        const value = body[field];
+        if (value === undefined || value === null || value === "") {
+            coupon[field] = null;
+        } else {
+            coupon[field] = parseInt(value, 10);
+            if (!Number.isFinite(coupon[field]) || coupon[field] < 1) {
+                errors.push(`${field} must be a positive integer (or empty for unlimited).`);
+            }
+        }
+    }
+
+    for (const field of ["validFrom", "expiresAt"]) {
+        const value = body[field];
+        if (value === undefined || value === null || value === "") {
+            coupon[field] = null;
+        } else if (Number.isNaN(Date.parse(value))) {
+            errors.push(`${field} must be an ISO date.`);
+        } else {
+            coupon[field] = new Date(value).toISOString();
+        }
+    }
+
+    if (coupon.validFrom && coupon.expiresAt && coupon.validFrom >= coupon.expiresAt) {
+        errors.push("validFrom must be before expiresAt.");
+    }
+
+    coupon.active = body.active === undefined ? true : Boolean(body.active);
+
+    return { errors, coupon };
+}
+
+module.exports = {
+    REDEMPTION_STATUSES,
+    CouponError,
+    normalizeCode,
+    calculateDiscount,
+    reserveCoupon,
+    markCouponRedeemed,
+    releaseCoupon,
+    validateCoupon,
+};
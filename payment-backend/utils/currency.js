@@ -0,0 +1,32 @@
+/**
+ * Currencies
+ * ----------
+ * Currencies fees can be charged in, and how amounts are printed on
+ * receipts and pages. The PDF fonts have no rupee glyph, so INR is
+ * printed as "Rs.".
+ */
+
+const SUPPORTED_CURRENCIES = ["INR", "USD"];
+const DEFAULT_CURRENCY = "INR";
+
+const CURRENCY_SYMBOLS = {
+    INR: "Rs. ",
+    USD: "$",
+};
+
+/**
+ * An amount with its currency symbol, e.g. "Rs. 250.00" or "$50.00".
+ * Records without a currency were charged in INR.
+ */
+function formatAmount(amount, currency) {
+    const code = String(currency || DEFAULT_CURRENCY).toUpperCase();
+    const value = Number(amount);
+    const text = Number.isFinite(value) ? value.toFixed(2) : String(amount);
+    return CURRENCY_SYMBOLS[code] ? `${CURRENCY_SYMBOLS[code]}${text}` : `${code} ${text}`;
+}
+
+module.exports = {
+    SUPPORTED_CURRENCIES,
+    DEFAULT_CURRENCY,
+    formatAmount,
+};
@@ -0,0 +1,64 @@
+/**
+ * Document Branding
+ * -----------------
+ * Event name, dates, venue, contact, logo, colours and fonts shared by
+ * every generated PDF. DOCUMENT_EVENT_NAME, DOCUMENT_EVENT_DATES,
+ * DOCUMENT_EVENT_VENUE, DOCUMENT_SUPPORT_EMAIL and DOCUMENT_LOGO_PATH
+ * override the defaults; a missing logo file is skipped.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// 128px copy of myweb/assets/images/uccicon26.png (the original adds ~500 KB to every PDF)
+const DEFAULT_LOGO_PATH = path.join(__dirname, "..", "..", "assets", "uccicon26.png");
+
+const COLORS = {
+    text: "#1a1a2e",
+    muted: "#555555",
+    accent: "#16a34a",
+    headerFill: "#e8e8e8",
+    rowFill: "#f0f0f0",
+    border: "#cccccc",
+};
+
+const FONTS = {
+    regular: "Helvetica",
+    bold: "Helvetica-Bold",
+    italic: "Helvetica-Oblique",
+};
+
+let cachedLogo;
+
+function loadLogo() {
+    if (cachedLogo !== undefined) return cachedLogo;
+
+    const logoPath = process.env.DOCUMENT_LOGO_PATH || DEFAULT_LOGO_PATH;
+    try {
+        cachedLogo = fs.readFileSync(logoPath);
+    } catch {
+        console.warn(`[DOCUMENTS] Logo not found at ${logoPath}; documents are rendered without it`);
+        cachedLogo = null;
+    }
+    return cachedLogo;
+}
+
+/**
+ * @returns {{ eventName: string, eventDates: string|null, eventVenue: string,
+ *             supportEmail: string, logo: Buffer|null, colors: object, fonts: object }}
+ */
+function getBranding() {
+    return {
+        eventName: process.env.DOCUMENT_EVENT_NAME || "UCC ICON 2026",
+        eventDates: process.env.DOCUMENT_EVENT_DATES || null,
+        eventVenue: process.env.DOCUMENT_EVENT_VENUE || "Union Christian College, Aluva",
+        supportEmail: process.env.DOCUMENT_SUPPORT_EMAIL || "tcs2026@uccollege.edu.in",
+        logo: loadLogo(),
+        colors: COLORS,
+        fonts: FONTS,
+    };
+}
+
+module.exports = {
+    getBranding,
+};
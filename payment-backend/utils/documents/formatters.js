@@ -0,0 +1,52 @@
+/**
+ * Document Formatters
+ * -------------------
+ * Values as printed on documents (dates in IST).
+ */
+
+/**
+ * "05 Mar 2026, 02:30 pm"
+ */
+function formatDateTime(isoString) {
+    if (!isoString) return "N/A";
+    try {
+        const d = new Date(isoString);
+        const day = d.toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata", day: "2-digit" });
+        const month = d.toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata", month: "short" });
+        const year = d.toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata", year: "numeric" });
+        const time = d.toLocaleTimeString("en-IN", { timeZone: "Asia/Kolkata", hour: "2-digit", minute: "2-digit", hour12: true });
+        return `${day} ${month} ${year}, ${time}`;
+    } catch {
+        return isoString;
+    }
+}
+
+/**
+ * "05 Mar 2026"
+ */
+function formatDate(isoString) {
+    if (!isoString) return "N/A";
+    try {
+        return new Date(isoString).toLocaleDateString("en-IN", {
+            timeZone: "Asia/Kolkata",
+            day: "2-digit",
+            month: "short",
+            year: "numeric",
+        });
+    } catch {
+        return isoString;
+    }
+}
+
+/**
+ * A document number as a safe file name part ("UCC/2026-27/0001" → "UCC_2026-27_0001").
+ */
+function toFileNamePart(value) {
+    return String(value || "").replace(/[^A-Za-z0-9-]/g, "_");
+}
+
+module.exports = {
+    formatDateTime,
+    formatDate,
+    toFileNamePart,
+};
@@ -0,0 +1,65 @@
+/**
+ * Documents
+ * ---------
+ * Every PDF the backend serves is a template (utils/documents/templates)
+ * rendered by one engine (renderer.js) with shared branding (branding.js).
+ *
+ * A template is a function (data, branding) → layout; a new document type
+ * only needs a template registered in TEMPLATES. Controllers serve it with:
+ *
+ *   sendDocument(res, "paperReceipt", data, "inline" | "attachment")
+ */
+
+const { getBranding } = require("./branding");
+const { renderLayout } = require("./renderer");
+
+const TEMPLATES = {
+    paperReceipt: require("./templates/paperReceipt"),
+    attendeeReceipt: require("./templates/attendeeReceipt"),
+    groupReceipt: require("./templates/groupReceipt"),
+    invoice: require("./templates/invoice"),
+    badges: require("./templates/badges"),
+    certificate: require("./templates/certificate"),
+    acceptanceLetter: require("./templates/acceptanceLetter"),
+};
+
+function buildLayout(templateName, data) {
+    const template = TEMPLATES[templateName];
+    if (!template) {
+        throw new Error(`Unknown document template '${templateName}'.`);
+    }
+    const branding = getBranding();
+    return { layout: template(data, branding), branding };
+}
+
+/**
+ * Render a template into a writable stream.
+ * @returns {{ filename: string }}
+ */
+function renderDocument(templateName, data, stream) {
+    const { layout, branding } = buildLayout(templateName, data);
+    renderLayout(layout, branding, stream);
+    return { filename: layout.filename };
+}
+
+/**
+ * Render a template as the HTTP response (inline preview or attachment).
+ */
+function sendDocument(res, templateName, data, disposition = "inline") {
+    const { layout, branding } = buildLayout(templateName, data);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+        "Content-Disposition",
+        `${disposition}; filename="${layout.filename}"`
+    );
+
+    renderLayout(layout, branding, res);
+}
+
+module.exports = {
+    TEMPLATES,
+    getBranding,
+    renderDocument,
+    sendDocument,
+};
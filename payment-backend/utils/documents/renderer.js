@@ -0,0 +1,530 @@
+/**
+ * Document Renderer
+ * -----------------
+ * Draws a declarative layout with pdfkit:
+ *
+ *   {
+ *     filename, info: { Title, Subject },
+ *     page?: { size, layout, margin },        // default A4 portrait, margin 60
+ *     blocks: [ { type, gap?, ...options } ],   // falsy entries are skipped
+ *     footer?: { note }                        // note + "For queries, contact: ..."
+ *   }
+ *
+ * Block types (see BLOCK_RENDERERS):
+ *   header     { title, subtitle?, badge?: "success", logo?: false, qr?: { value, caption? } }
+ *   keyValue   { rows: [{ label, value, highlight? }], header?: [label, value],
+ *                inset?, labelWidth?, rowHeight?, bordered? }
+ *   table      { columns: [{ title, width?, align? }], rows: [[...cells]], wrap?, rowHeight? }
+ *   info       { columns: [{ heading?, title?, lines: [], align? }] }
+ *   totals     { rows: [{ label, value, highlight? }], width? }
+ *   note       { label, text }
+ *   paragraph  { text, size?, align?, font?: "regular"|"bold"|"italic", color?: "text"|"muted" }
+ *   qr         { value, size?, caption?, position?: "bottom-left" }  (a QR code, e.g. a
+ *              verification URL: centred in the flow, or in the bottom-left page corner)
+ *   cards      { columns, rows, cards: [{ title, subtitle?, qr?, band?: { text, color } }], cutLines? }
+ *              (a grid of cards on whole pages, e.g. badges; each card shows the logo
+ *              and event name)
+ *   border     { }  (double frame around the page; draws nothing in the flow)
+ *   logo       { size? }  (centred logo)
+ *   signatures { signatories: [{ name, designation?, image?: Buffer }], inset?, anchor?: "bottom" }
+ *              (side by side, in the flow or just above the bottom margin; inset keeps
+ *              them clear of the page corners)
+ *
+ * Blocks flow down the page; tables continue on a new page (repeating
+ * their header) when they run out of room.
+ */
+
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+
+const DEFAULT_MARGIN = 60;
+const DEFAULT_GAP = 25;
+
+function ensureSpace(ctx, height) {
+    if (ctx.y + height <= ctx.bottom) return false;
+    ctx.doc.addPage();
+    ctx.y = ctx.doc.page.margins.top;
+    return true;
+}
+
+/**
+ * Draw a QR code as a size × size square (with its quiet zone) at x, y.
+ */
+function drawQr(ctx, value, x, y, size) {
+    const { doc, branding: { colors } } = ctx;
+    const { modules } = QRCode.create(value, { errorCorrectionLevel: "M" });
+    const quiet = 2; // modules of white border
+    const cell = size / (modules.size + quiet * 2);
+
+    doc.rect(x, y, size, size).fill("#ffffff");
+    for (let row = 0; row < modules.size; row++) {
+        for (let col = 0; col < modules.size; col++) {
+            if (modules.get(row, col)) {
+                doc.rect(x + (col + quiet) * cell, y + (row + quiet) * cell, cell, cell);
+            }
+        }
+    }
+    doc.fill(colors.text);
+}
+
+// ─────────── Blocks ───────────
+
+function renderHeader(ctx, block) {
+    const { doc, branding: { colors, fonts, logo } } = ctx;
+
+    if (logo && block.logo !== false) {
+        doc.image(ctx.logoImage(), ctx.left, ctx.y - 30, { fit: [48, 48] });
+    }
+
+    if (block.qr) {
+        // Top-right corner, opposite the logo
+        const size = 64;
+        const x = ctx.left + ctx.width - size;
+        drawQr(ctx, block.qr.value, x, ctx.y - 30, size);
+        if (block.qr.caption) {
+            doc.fontSize(7)
+                .fillColor(colors.muted)
+                .font(fonts.regular)
+                .text(block.qr.caption, x - 18, ctx.y + size - 28, { width: size + 36, align: "center" });
+        }
+    }
+
+    if (block.badge === "success") {
+        // Green circle with a white checkmark
+        const centerX = doc.page.width / 2;
+        const centerY = ctx.y + 20;
+        doc.circle(centerX, centerY, 30).fill(colors.accent);
+        doc.strokeColor("#ffffff").lineWidth(4).lineCap("round").lineJoin("round");
+        doc.moveTo(centerX - 14, centerY)
+            .lineTo(centerX - 4, centerY + 12)
+            .lineTo(centerX + 16, centerY - 10)
+            .stroke();
+        ctx.y = centerY + 55;
+    }
+
+    doc.fontSize(block.badge ? 24 : 22)
+        .fillColor(colors.text)
+        .font(fonts.bold)
+        .text(block.title, ctx.left, ctx.y, { width: ctx.width, align: "center" });
+    ctx.y = doc.y + 8;
+
+    if (block.subtitle) {
+        doc.fontSize(12)
+            .fillColor(colors.muted)
+            .font(fonts.regular)
+            .text(block.subtitle, ctx.left, ctx.y, { width: ctx.width, align: "center" });
+        ctx.y = doc.y;
+    }
+}
+
+function renderKeyValue(ctx, block) {
+    const { doc, branding: { colors, fonts } } = ctx;
+    const inset = block.inset ?? 30;
+    const x = ctx.left + inset;
+    const width = ctx.width - inset * 2;
+    const labelWidth = block.labelWidth || 160;
+    const minHeight = block.rowHeight || 36;
+    const bordered = block.bordered !== false;
+    const pad = Math.round((minHeight - 12) / 2);
+
+    const drawRow = (label, value, { fill, bold, highlight }) => {
+        doc.fontSize(10).font(bold || highlight ? fonts.bold : fonts.regular);
+        const height = Math.max(
+            minHeight,
+            doc.heightOfString(String(value), { width: width - labelWidth - 12 }) + pad * 2
+        );
+        ensureSpace(ctx, height);
+
+        if (fill) doc.rect(x, ctx.y, width, height).fill(fill);
+
+        doc.fontSize(10)
+            .fillColor(colors.text)
+            .font(fonts.bold)
+            .text(label, x + 12, ctx.y + pad, { width: labelWidth - 24 });
+        doc.fontSize(10)
+            .fillColor(highlight ? colors.accent : colors.text)
+            .font(bold || highlight ? fonts.bold : fonts.regular)
+            .text(String(value), x + labelWidth, ctx.y + pad, { width: width - labelWidth - 12 });
+
+        if (bordered) {
+            doc.rect(x, ctx.y, width, height).lineWidth(0.3).strokeColor(colors.border).stroke();
+            doc.moveTo(x + labelWidth, ctx.y)
+                .lineTo(x + labelWidth, ctx.y + height)
+                .lineWidth(0.3)
+                .strokeColor(colors.border)
+                .stroke();
+        }
+        ctx.y += height;
+    };
+
+    if (block.header) {
+        drawRow(block.header[0], block.header[1], { fill: colors.headerFill, bold: true });
+    }
+    block.rows.forEach((row, index) => {
+        drawRow(row.label, row.value ?? "N/A", {
+            fill: index % 2 === 1 ? colors.rowFill : null,
+            highlight: row.highlight,
+        });
+    });
+}
+
+function renderTable(ctx, block) {
+    const { doc, branding: { colors, fonts } } = ctx;
+    const rowHeight = block.rowHeight || 26;
+    const fixed = block.columns.reduce((acc, col) => acc + (col.width || 0), 0);
+    const flexible = block.columns.filter((col) => !col.width).length;
+    const widths = block.columns.map((col) => col.width || (ctx.width - fixed) / Math.max(flexible, 1));
+
+    const drawCells = (cells, { bold, fill, size }) => {
+        doc.fontSize(size).font(bold ? fonts.bold : fonts.regular);
+        const height = block.wrap
+            ? Math.max(rowHeight, ...cells.map((cell, i) => doc.heightOfString(String(cell), { width: widths[i] - 12 }) + 16))
+            : rowHeight;
+
+        if (fill) doc.rect(ctx.left, ctx.y, ctx.width, height).fill(fill);
+
+        let x = ctx.left;
+        cells.forEach((cell, i) => {
+            doc.fontSize(size)
+                .fillColor(colors.text)
+                .font(bold ? fonts.bold : fonts.regular)
+                .text(String(cell), x + 6, ctx.y + 8, {
+                    width: widths[i] - 12,
+                    align: block.columns[i].align || "left",
+                    ...(block.wrap ? {} : { ellipsis: true, lineBreak: false }),
+                });
+            x += widths[i];
+        });
+        return height;
+    };
+
+    const drawHeader = () => {
+        ctx.y += drawCells(block.columns.map((col) => col.title), { bold: true, fill: colors.headerFill, size: 10 });
+    };
+
+    drawHeader();
+    block.rows.forEach((cells, index) => {
+        if (ensureSpace(ctx, rowHeight)) drawHeader();
+        ctx.y += drawCells(cells, { fill: index % 2 === 1 ? colors.rowFill : null, size: block.wrap ? 10 : 9 });
+    });
+
+    if (block.wrap) {
+        doc.moveTo(ctx.left, ctx.y)
+            .lineTo(ctx.left + ctx.width, ctx.y)
+            .lineWidth(0.5)
+            .strokeColor(colors.border)
+            .stroke();
+    }
+}
+
+function renderInfo(ctx, block) {
+    const { doc, branding: { colors, fonts } } = ctx;
+    const gutter = 20;
+    const columnWidth = (ctx.width - gutter * (block.columns.length - 1)) / block.columns.length;
+    const top = ctx.y;
+    let bottom = top;
+
+    block.columns.forEach((column, i) => {
+        const x = ctx.left + i * (columnWidth + gutter);
+        const align = column.align || "left";
+        let y = top;
+
+        if (column.heading) {
+            doc.fontSize(10).fillColor(colors.muted).font(fonts.bold)
+                .text(column.heading, x, y, { width: columnWidth, align });
+            y = doc.y + 4;
+        }
+        if (column.title) {
+            doc.fontSize(11).fillColor(colors.text).font(fonts.bold)
+                .text(column.title, x, y, { width: columnWidth, align });
+            y = doc.y + 2;
+        }
+        const lines = (column.lines || []).filter(Boolean);
+        if (lines.length > 0) {
+            doc.fontSize(9).fillColor(column.title ? colors.muted : colors.text).font(fonts.regular)
+                .text(lines.join("\n"), x, y, { width: columnWidth, align });
+            y = doc.y;
+        }
+        bottom = Math.max(bottom, y);
+    });
+
+    ctx.y = bottom;
+}
+
+function renderTotals(ctx, block) {
+    const { doc, branding: { colors, fonts } } = ctx;
+    const width = block.width || 260;
+    const x = ctx.left + ctx.width - width;
+    const rowHeight = 24;
+
+    ensureSpace(ctx, rowHeight * block.rows.length);
+    block.rows.forEach((row) => {
+        if (row.highlight) doc.rect(x, ctx.y, width, rowHeight + 4).fill(colors.rowFill);
+        doc.fontSize(10)
+            .fillColor(colors.text)
+            .font(row.highlight ? fonts.bold : fonts.regular)
+            .text(row.label, x + 10, ctx.y + 8, { width: width - 130 });
+        doc.text(row.value, x + width - 120, ctx.y + 8, { width: 110, align: "right" });
+        ctx.y += row.highlight ? rowHeight + 4 : rowHeight;
+    });
+}
+
+function renderNote(ctx, block) {
+    const { doc, branding: { colors, fonts } } = ctx;
+    ensureSpace(ctx, 20);
+    doc.fontSize(11)
+        .fillColor(colors.text)
+        .font(fonts.bold)
+        .text(`${block.label || "Note"}: `, ctx.left, ctx.y, { width: ctx.width, continued: true });
+    doc.fillColor(colors.muted)
+        .font(fonts.regular)
+        .text(block.text, { continued: false });
+    ctx.y = doc.y;
+}
+
+function renderParagraph(ctx, block) {
+    const { doc, branding: { colors, fonts } } = ctx;
+    const size = block.size || 11;
+    ensureSpace(ctx, size * 3);
+    doc.fontSize(size)
+        .font(fonts[block.font || "regular"])
+        .fillColor(colors[block.color || "text"])
+        .text(block.text, ctx.left, ctx.y, { width: ctx.width, align: block.align || "left", lineGap: 2 });
+    ctx.y = doc.y;
+}
+
+function renderQr(ctx, block) {
+    const { doc, branding: { colors, fonts } } = ctx;
+    const size = block.size || 90;
+
+    if (block.position === "bottom-left") {
+        const y = doc.page.height - doc.page.margins.bottom - size - (block.caption ? 12 : 0);
+        drawQr(ctx, block.value, ctx.left, y, size);
+        if (block.caption) {
+            doc.fontSize(7)
+                .fillColor(colors.muted)
+                .font(fonts.regular)
+                .text(block.caption, ctx.left, y + size + 3, { lineBreak: false });
+        }
+        return;
+    }
+
+    ensureSpace(ctx, size + (block.caption ? 20 : 0));
+
+    drawQr(ctx, block.value, ctx.left + (ctx.width - size) / 2, ctx.y, size);
+    ctx.y += size;
+
+    if (block.caption) {
+        doc.fontSize(8)
+            .fillColor(colors.muted)
+            .font(fonts.regular)
+            .text(block.caption, ctx.left, ctx.y + 4, { width: ctx.width, align: "center" });
+        ctx.y = doc.y;
+    }
+}
+
+function drawCard(ctx, card, x, y, width, height, cutLines) {
+    const { doc, branding: { colors, fonts, logo, eventName } } = ctx;
+    const scale = Math.min(1, width / 280, height / 400);
+    const pad = 16 * scale;
+    const innerWidth = width - pad * 2;
+    const bandHeight = card.band ? 34 * scale : 0;
+    let cy = y + pad;
+
+    if (cutLines) {
+        doc.rect(x, y, width, height).dash(3, { space: 3 }).lineWidth(0.5).strokeColor(colors.border).stroke();
+        doc.undash();
+    }
+
+    if (logo) {
+        const logoSize = 44 * scale;
+        doc.image(ctx.logoImage(), x + (width - logoSize) / 2, cy, { fit: [logoSize, logoSize] });
+        cy += logoSize + 6 * scale;
+    }
+
+    doc.fontSize(10 * scale).fillColor(colors.muted).font(fonts.bold)
+        .text(eventName, x + pad, cy, { width: innerWidth, align: "center" });
+    cy = doc.y + 14 * scale;
+
+    // Largest title size that fits in two lines
+    let titleSize = 24 * scale;
+    doc.font(fonts.bold);
+    while (titleSize > 12 * scale && doc.fontSize(titleSize).heightOfString(card.title, { width: innerWidth }) > titleSize * 2.5) {
+        titleSize -= 1;
+    }
+    doc.fillColor(colors.text)
+        .text(card.title, x + pad, cy, { width: innerWidth, align: "center", height: titleSize * 2.5, ellipsis: true });
+    cy = doc.y + 4 * scale;
+
+    if (card.subtitle) {
+        doc.fontSize(11 * scale).fillColor(colors.muted).font(fonts.regular)
+            .text(card.subtitle, x + pad, cy, { width: innerWidth, align: "center", height: 11 * scale * 2.5, ellipsis: true });
+        cy = doc.y;
+    }
+
+    const bandTop = y + height - bandHeight;
+    if (card.qr) {
+        const size = Math.min(110 * scale, bandTop - pad - (cy + 8 * scale));
+        if (size >= 40) drawQr(ctx, card.qr, x + (width - size) / 2, bandTop - pad - size, size);
+    }
+
+    if (card.band) {
+        doc.rect(x, bandTop, width, bandHeight).fill(card.band.color || colors.accent);
+        doc.fontSize(14 * scale).fillColor("#ffffff").font(fonts.bold)
+            .text(card.band.text, x, bandTop + (bandHeight - 14 * scale) / 2, { width, align: "center", lineBreak: false });
+    }
+}
+
+function renderCards(ctx, block) {
+    const { doc } = ctx;
+    const perPage = block.columns * block.rows;
+    const width = ctx.width / block.columns;
+    const height = (doc.page.height - doc.page.margins.top - doc.page.margins.bottom) / block.rows;
+
+    if (ctx.y > doc.page.margins.top) doc.addPage();
+
+    block.cards.forEach((card, index) => {
+        const slot = index % perPage;
+        if (index > 0 && slot === 0) doc.addPage();
+        const x = ctx.left + (slot % block.columns) * width;
+        const y = doc.page.margins.top + Math.floor(slot / block.columns) * height;
+        drawCard(ctx, card, x, y, width, height, block.cutLines !== false);
+    });
+
+    ctx.y = doc.page.height - doc.page.margins.bottom;
+}
+
+function renderBorder(ctx) {
+    const { doc, branding: { colors } } = ctx;
+    const outer = 18;
+    const inner = 24;
+
+    doc.lineWidth(3).strokeColor(colors.accent)
+        .rect(outer, outer, doc.page.width - outer * 2, doc.page.height - outer * 2).stroke();
+    doc.lineWidth(0.75).strokeColor(colors.border)
+        .rect(inner, inner, doc.page.width - inner * 2, doc.page.height - inner * 2).stroke();
+}
+
+function renderLogo(ctx, block) {
+    const { doc, branding: { logo } } = ctx;
+    if (!logo) return;
+
+    const size = block.size || 64;
+    ensureSpace(ctx, size);
+    doc.image(ctx.logoImage(), ctx.left + (ctx.width - size) / 2, ctx.y, { fit: [size, size], align: "center" });
+    ctx.y += size;
+}
+
+function renderSignatures(ctx, block) {
+    const { doc, branding: { colors, fonts } } = ctx;
+    const signatories = block.signatories || [];
+    if (signatories.length === 0) return;
+
+    const imageHeight = 40;
+    const height = imageHeight + 44;
+    const inset = block.inset || 0;
+    const slot = (ctx.width - inset * 2) / signatories.length;
+    const width = Math.min(slot - 20, 200);
+    ensureSpace(ctx, height);
+    const y = block.anchor === "bottom"
+        ? Math.max(ctx.y, doc.page.height - doc.page.margins.bottom - height)
+        : ctx.y;
+
+    signatories.forEach((signatory, i) => {
+        const x = ctx.left + inset + slot * i + (slot - width) / 2;
+        if (signatory.image) {
+            doc.image(signatory.image, x, y, { fit: [width, imageHeight], align: "center", valign: "bottom" });
+        }
+        doc.lineWidth(0.75).strokeColor(colors.text)
+            .moveTo(x, y + imageHeight + 4).lineTo(x + width, y + imageHeight + 4).stroke();
+        doc.fontSize(10).fillColor(colors.text).font(fonts.bold)
+            .text(signatory.name, x, y + imageHeight + 8, { width, align: "center", lineBreak: false, ellipsis: true });
+        if (signatory.designation) {
+            doc.fontSize(9).fillColor(colors.muted).font(fonts.regular)
+                .text(signatory.designation, x, y + imageHeight + 22, { width, align: "center", height: 22, ellipsis: true });
+        }
+    });
+
+    ctx.y = y + height;
+}
+
+const BLOCK_RENDERERS = {
+    header: renderHeader,
+    keyValue: renderKeyValue,
+    table: renderTable,
+    info: renderInfo,
+    totals: renderTotals,
+    note: renderNote,
+    paragraph: renderParagraph,
+    qr: renderQr,
+    cards: renderCards,
+    border: renderBorder,
+    logo: renderLogo,
+    signatures: renderSignatures,
+};
+
+function renderFooter(ctx, footer) {
+    const { doc, branding: { colors, fonts, supportEmail } } = ctx;
+    ensureSpace(ctx, 60);
+    ctx.y += 35;
+
+    if (footer.note) {
+        doc.fontSize(9)
+            .fillColor(colors.muted)
+            .font(fonts.italic)
+            .text(footer.note, ctx.left, ctx.y, { width: ctx.width, align: "center" });
+        ctx.y = doc.y + 6;
+    }
+
+    doc.fontSize(8)
+        .fillColor(colors.muted)
+        .font(fonts.regular)
+        .text(`For queries, contact: ${supportEmail}`, ctx.left, ctx.y, { width: ctx.width, align: "center" });
+}
+
+// ─────────── Entry point ───────────
+
+/**
+ * Render a layout into a writable stream (an Express response, a file, a ZIP entry).
+ * @returns {PDFKit.PDFDocument} the document (already ended)
+ */
+function renderLayout(layout, branding, stream) {
+    const page = layout.page || {};
+    const doc = new PDFDocument({
+        size: page.size || "A4",
+        layout: page.layout || "portrait",
+        margin: page.margin ?? DEFAULT_MARGIN,
+        info: { Author: branding.eventName, ...(layout.info || {}) },
+    });
+    doc.pipe(stream);
+
+    const margin = doc.page.margins.left;
+    const ctx = {
+        doc,
+        branding,
+        left: margin,
+        width: doc.page.width - margin * 2,
+        y: doc.page.margins.top,
+        bottom: doc.page.height - doc.page.margins.bottom - 20,
+    };
+    // Embed the logo once per document, however often it is drawn
+    let logoImage;
+    ctx.logoImage = () => (logoImage = logoImage || doc.openImage(branding.logo));
+
+    layout.blocks.filter(Boolean).forEach((block, index) => {
+        const render = BLOCK_RENDERERS[block.type];
+        if (!render) throw new Error(`Unknown document block '${block.type}'.`);
+        if (index > 0) ctx.y += block.gap ?? DEFAULT_GAP;
+        render(ctx, block);
+    });
+
+    if (layout.footer) renderFooter(ctx, layout.footer);
+
+    doc.end();
+    return doc;
+}
+
+module.exports = {
+    BLOCK_RENDERERS,
+    renderLayout,
+};
@@ -0,0 +1,79 @@
+/**
+ * Letter of acceptance for an accepted full paper, for the authors'
+ * funding and leave applications, signed by the certificate signatories.
+ * data: { submission, status, userData, signatories: [{ name, designation, image? }], issuedAt }
+ *   status is the submission's status, lowercased and trimmed.
+ */
+
+const { formatDate, toFileNamePart } = require("../formatters");
+
+function formatAuthors(submission, userData) {
+    const authors = (Array.isArray(submission.authors) ? submission.authors : []).filter((a) => a && a.name);
+    if (authors.length === 0) return submission.author || userData.name || "N/A";
+
+    return authors
+        .map((a) => (a.affiliation ? `${a.name} (${a.affiliation})` : a.name))
+        .join("\n");
+}
+
+function addressee(submission, userData) {
+    const authors = (Array.isArray(submission.authors) ? submission.authors : []).filter((a) => a && a.name);
+    const main = authors.find((a) => a.isMainAuthor) || authors[0];
+    return (main && main.name) || submission.author || userData.name || "Author";
+}
+
+function formatPresentationMode(mode) {
+    return mode === "online" ? "Online (virtual presentation)" : "Offline (in-person presentation)";
+}
+
+module.exports = function acceptanceLetter({ submission, status, userData, signatories, issuedAt }, branding) {
+    const reference = submission.referenceNumber || submission.id;
+    const withRevision = status === "accepted_with_revision";
+    const dates = branding.eventDates || "to be announced";
+
+    const decision = withRevision
+        ? "has been accepted, subject to the revisions requested by the reviewers, for presentation at"
+        : "has been accepted for presentation at";
+
+    return {
+        filename: `Acceptance_Letter_${toFileNamePart(reference)}.pdf`,
+        info: { Title: `Letter of Acceptance - ${reference}`, Subject: "Letter of Acceptance" },
+        blocks: [
+            { type: "header", title: "Letter of Acceptance", subtitle: branding.eventName },
+            { type: "paragraph", text: `Date: ${formatDate(issuedAt)}`, size: 10, color: "muted", align: "right" },
+            { type: "paragraph", gap: 15, text: `Dear ${addressee(submission, userData)},` },
+            {
+                type: "paragraph",
+                gap: 10,
+                text: `We are pleased to inform you that your paper "${submission.title || reference}" ${decision} `
+                    + `${branding.eventName}, to be held at ${branding.eventVenue} on ${dates}.`,
+            },
+            {
+                type: "keyValue",
+                inset: 0,
+                rowHeight: 28,
+                rows: [
+                    { label: "Reference Number", value: reference },
+                    { label: "Paper Title", value: submission.title || "N/A" },
+                    { label: "Authors", value: formatAuthors(submission, userData) },
+                    { label: "Presentation Mode", value: formatPresentationMode(submission.presentationMode || userData.participantType) },
+                    { label: "Conference Dates", value: branding.eventDates || "To be announced" },
+                    { label: "Venue", value: branding.eventVenue },
+                ],
+            },
+            withRevision && {
+                type: "paragraph",
+                gap: 15,
+                text: "Please submit the revised paper addressing the reviewers' comments before the camera-ready deadline.",
+            },
+            {
+                type: "paragraph",
+                gap: withRevision ? 10 : 15,
+                text: `We look forward to your presentation at ${branding.eventName}.`,
+            },
+            { type: "paragraph", gap: 15, text: "Yours sincerely," },
+            { type: "signatures", signatories, gap: 10 },
+        ],
+        footer: { note: "This letter is issued for the paper's authors and may be used for funding and leave applications." },
+    };
+};
@@ -0,0 +1,52 @@
+/**
+ * Attendee receipt (also a group member's individual confirmation).
+ * data: { attendeeData, receiptNumber, refunds, verificationUrl? }
+ */
+
+const { describeFeeRule } = require("../../fees");
+const { formatAmount } = require("../../currency");
+const { describeRefunds } = require("../../refunds");
+const { formatDateTime, toFileNamePart } = require("../formatters");
+
+module.exports = function attendeeReceipt({ attendeeData, receiptNumber, refunds, verificationUrl }, branding) {
+    const rows = [
+        { label: "Receipt Number", value: receiptNumber },
+        { label: "Transaction ID", value: attendeeData.txnid || "N/A" },
+        { label: "Date & Time", value: formatDateTime(attendeeData.paymentDate) },
+        { label: "Full Name", value: attendeeData.name || "N/A" },
+        { label: "Email Address", value: attendeeData.email || "N/A" },
+        { label: "Organization", value: attendeeData.organization || "N/A" },
+        {
+            label: "Registration Type",
+            value: attendeeData.groupId ? "Attendee (group registration)" : "Attendee",
+        },
+        { label: "Fee Rule", value: describeFeeRule(attendeeData.feeRule) },
+        {
+            label: "Amount Paid",
+            value: formatAmount(attendeeData.amount || 100, attendeeData.currency),
+            highlight: true,
+        },
+    ];
+
+    const refundSummary = describeRefunds(refunds || []);
+    if (refundSummary) {
+        rows.push({ label: "Refunds", value: refundSummary });
+    }
+
+    return {
+        filename: `Attendee_Receipt_${toFileNamePart(receiptNumber)}.pdf`,
+        info: { Title: `Attendee Receipt - ${receiptNumber}`, Subject: "Attendee Registration Receipt" },
+        blocks: [
+            {
+                type: "header",
+                badge: "success",
+                title: "Payment Successful",
+                subtitle: `Thank you for registering as an attendee for ${branding.eventName}!`,
+                qr: verificationUrl && { value: verificationUrl, caption: "Scan to verify" },
+            },
+            { type: "keyValue", header: ["Field", "Details"], rows, gap: 30 },
+            { type: "note", label: "Note", text: "Attendee Registration Fee", gap: 30 },
+        ],
+        footer: { note: "This is a system-generated receipt and does not require a physical signature." },
+    };
+};
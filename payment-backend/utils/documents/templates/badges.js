@@ -0,0 +1,38 @@
+/**
+ * Conference badges: name, institution, QR code and a coloured category
+ * band, one per A6 page or N-up on A4 sheets (utils/badges.js).
+ * data: { badges: [{ name, institution, category, qr }], sheet: { perSheet, size, columns, rows } }
+ */
+
+const { toFileNamePart } = require("../formatters");
+
+const CATEGORY_BANDS = {
+    author: { text: "AUTHOR", color: "#1d4ed8" },
+    student: { text: "STUDENT", color: "#16a34a" },
+    scholar: { text: "SCHOLAR", color: "#7c3aed" },
+    attendee: { text: "ATTENDEE", color: "#ea580c" },
+};
+
+module.exports = function badges({ badges, sheet }) {
+    const single = sheet.perSheet === 1;
+
+    return {
+        filename: badges.length === 1
+            ? `Badge_${toFileNamePart(badges[0].name)}.pdf`
+            : `Badges_${sheet.perSheet}-up.pdf`,
+        info: { Title: "Conference Badges", Subject: "Badges" },
+        page: { size: sheet.size, margin: single ? 0 : 20 },
+        blocks: [{
+            type: "cards",
+            columns: sheet.columns,
+            rows: sheet.rows,
+            cutLines: !single,
+            cards: badges.map((badge) => ({
+                title: badge.name,
+                subtitle: badge.institution,
+                qr: badge.qr,
+                band: CATEGORY_BANDS[badge.category],
+            })),
+        }],
+    };
+};
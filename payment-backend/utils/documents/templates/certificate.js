@@ -0,0 +1,38 @@
+/**
+ * Certificate of participation or presentation (utils/certificates.js):
+ * one A4 landscape page with the configured wording and signatories, and
+ * a QR code verifying the certificate ID.
+ * data: { certificate, heading, body, coAuthorsLine?, signatories: [{ name, designation, image? }],
+ *         verificationUrl }
+ */
+
+const { toFileNamePart } = require("../formatters");
+
+module.exports = function certificate({ certificate, heading, body, coAuthorsLine, signatories, verificationUrl }, branding) {
+    return {
+        filename: `Certificate_${toFileNamePart(certificate.recipientName)}_${toFileNamePart(certificate.certificateId)}.pdf`,
+        info: { Title: heading, Subject: `Certificate ${certificate.certificateId}` },
+        page: { size: "A4", layout: "landscape", margin: 50 },
+        blocks: [
+            { type: "border" },
+            { type: "logo", size: 60, gap: 0 },
+            { type: "paragraph", gap: 6, text: branding.eventName, size: 14, font: "bold", color: "muted", align: "center" },
+            { type: "paragraph", gap: 12, text: heading, size: 28, font: "bold", align: "center" },
+            { type: "paragraph", gap: 18, text: "This is to certify that", size: 12, color: "muted", align: "center" },
+            { type: "paragraph", gap: 8, text: certificate.recipientName, size: 24, font: "bold", align: "center" },
+            certificate.institution && {
+                type: "paragraph", gap: 4, text: certificate.institution, size: 12, color: "muted", align: "center",
+            },
+            { type: "paragraph", gap: 14, text: body, size: 13, align: "center" },
+            coAuthorsLine && { type: "paragraph", gap: 6, text: coAuthorsLine, size: 11, font: "italic", color: "muted", align: "center" },
+            { type: "signatures", signatories, inset: 140, anchor: "bottom" },
+            {
+                type: "qr",
+                position: "bottom-left",
+                value: verificationUrl,
+                size: 64,
+                caption: `Certificate ID: ${certificate.certificateId}`,
+            },
+        ],
+    };
+};
@@ -0,0 +1,56 @@
+/**
+ * Consolidated receipt for a group registration: payment summary, then
+ * one line per attendee.
+ * data: { group, members, refunds, verificationUrl? }
+ */
+
+const { describeFeeRule } = require("../../fees");
+const { describeRefunds } = require("../../refunds");
+const { formatAmount } = require("../../currency");
+const { formatDateTime, toFileNamePart } = require("../formatters");
+
+module.exports = function groupReceipt({ group, members, refunds, verificationUrl }, branding) {
+    const summary = [
+        { label: "Receipt Number", value: group.receiptNumber },
+        { label: "Transaction ID", value: group.txnid || "N/A" },
+        { label: "Date & Time", value: formatDateTime(group.paymentDate) },
+        { label: "Paid By", value: `${group.contactName} (${group.contactEmail})` },
+        { label: "Organization", value: group.organization || "N/A" },
+        { label: "Fee Rule", value: describeFeeRule(group.feeRule) },
+        { label: "Fee per Attendee", value: formatAmount(group.unitAmount, group.currency) },
+    ];
+    if (group.coupon) {
+        summary.push({ label: "Coupon", value: `${group.coupon.code} (- ${formatAmount(group.coupon.discountAmount, group.currency)})` });
+    }
+    summary.push({ label: "Total Paid", value: formatAmount(group.paymentAmount ?? group.amount, group.currency), highlight: true });
+
+    const refundSummary = describeRefunds(refunds || []);
+    if (refundSummary) {
+        summary.push({ label: "Refunds", value: refundSummary });
+    }
+
+    return {
+        filename: `Group_Receipt_${toFileNamePart(group.receiptNumber)}.pdf`,
+        info: { Title: `Group Receipt - ${group.receiptNumber}`, Subject: "Group Attendee Registration Receipt" },
+        blocks: [
+            {
+                type: "header",
+                title: "Group Registration Receipt",
+                subtitle: `${branding.eventName} — ${members.length} attendees`,
+                qr: verificationUrl && { value: verificationUrl, caption: "Scan to verify" },
+            },
+            { type: "keyValue", rows: summary, inset: 0, labelWidth: 150, rowHeight: 26, bordered: false },
+            {
+                type: "table",
+                columns: [
+                    { title: "#", width: 30 },
+                    { title: "Name", width: 150 },
+                    { title: "Email", width: 190 },
+                    { title: "Receipt No." },
+                ],
+                rows: members.map((m, i) => [String(i + 1), m.name || "", m.email || "", m.receiptNumber || "—"]),
+            },
+        ],
+        footer: { note: "Each attendee can download an individual confirmation with their receipt number." },
+    };
+};
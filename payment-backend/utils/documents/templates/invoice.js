@@ -0,0 +1,78 @@
+/**
+ * GST tax invoice: organiser and buyer, one line item with its SAC code,
+ * then the CGST/SGST or IGST split and the total.
+ * data: { invoice } (an `invoices` record, see utils/invoices.js)
+ */
+
+const { formatAmount } = require("../../currency");
+const { formatDate, toFileNamePart } = require("../formatters");
+
+module.exports = function invoiceTemplate({ invoice }) {
+    const { supplier, buyer, currency } = invoice;
+    const money = (amount) => formatAmount(amount, currency);
+
+    const totals = [{ label: "Taxable Value", value: money(invoice.taxableAmount) }];
+    if (invoice.placeOfSupply !== supplier.stateCode) {
+        totals.push({ label: `IGST @ ${invoice.taxRate}%`, value: money(invoice.igst) });
+    } else {
+        totals.push({ label: `CGST @ ${invoice.taxRate / 2}%`, value: money(invoice.cgst) });
+        totals.push({ label: `SGST @ ${invoice.taxRate / 2}%`, value: money(invoice.sgst) });
+    }
+    totals.push({ label: "Total (incl. GST)", value: money(invoice.totalAmount), highlight: true });
+
+    return {
+        filename: `Invoice_${toFileNamePart(invoice.invoiceNumber)}.pdf`,
+        info: { Title: `Tax Invoice - ${invoice.invoiceNumber}`, Subject: "Tax Invoice" },
+        blocks: [
+            { type: "header", title: "Tax Invoice" },
+            {
+                type: "info",
+                columns: [
+                    {
+                        title: supplier.name,
+                        lines: [supplier.address, `GSTIN: ${supplier.gstin}`, `State Code: ${supplier.stateCode}`],
+                    },
+                    {
+                        align: "right",
+                        lines: [
+                            `Invoice No: ${invoice.invoiceNumber}`,
+                            `Invoice Date: ${formatDate(invoice.issuedAt)}`,
+                            `Payment Date: ${formatDate(invoice.paymentDate)}`,
+                            `Transaction ID: ${invoice.txnid || "N/A"}`,
+                            `Place of Supply: State Code ${invoice.placeOfSupply}`,
+                        ],
+                    },
+                ],
+            },
+            {
+                type: "info",
+                gap: 20,
+                columns: [{
+                    heading: "Bill To",
+                    title: buyer.name,
+                    lines: [
+                        buyer.address,
+                        buyer.email,
+                        buyer.gstin ? `GSTIN: ${buyer.gstin}` : "Unregistered buyer",
+                        buyer.stateCode ? `State Code: ${buyer.stateCode}` : null,
+                    ],
+                }],
+            },
+            {
+                type: "table",
+                wrap: true,
+                rowHeight: 28,
+                columns: [
+                    { title: "Description" },
+                    { title: "SAC", width: 110 },
+                    { title: "Taxable Value", width: 110, align: "right" },
+                ],
+                rows: [[invoice.description, invoice.sacCode, money(invoice.taxableAmount)]],
+            },
+            { type: "totals", rows: totals, gap: 10 },
+        ],
+        footer: {
+            note: "Amounts are inclusive of GST. This is a system-generated invoice and does not require a physical signature.",
+        },
+    };
+};
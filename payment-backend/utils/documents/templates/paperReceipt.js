@@ -0,0 +1,61 @@
+/**
+ * Paper fee receipt: checkmark → "Payment Successful" → details table.
+ * data: { userData, submission, receiptNumber, refunds, verificationUrl? }
+ */
+
+const { describeFeeRule } = require("../../fees");
+const { formatAmount } = require("../../currency");
+const { describeOfflinePayment } = require("../../offlinePayments");
+const { describeRefunds } = require("../../refunds");
+const { formatDateTime, toFileNamePart } = require("../formatters");
+
+function formatRole(role) {
+    if (!role) return "N/A";
+    const r = role.toLowerCase().trim();
+    if (r === "student") return "Student";
+    if (r === "scholar") return "Scholar";
+    return role;
+}
+
+function formatParticipantType(participantType) {
+    return participantType === "online" ? "Online" : "Offline";
+}
+
+module.exports = function paperReceipt({ userData, submission, receiptNumber, refunds, verificationUrl }, branding) {
+    const rows = [
+        { label: "Transaction ID", value: submission.paymentTxnId || "N/A" },
+        { label: "Date & Time", value: formatDateTime(submission.paymentDate) },
+        { label: "Paper", value: submission.title || submission.id },
+        { label: "Full Name", value: userData.name || "N/A" },
+        { label: "Email Address", value: userData.email || "N/A" },
+        { label: "Category", value: formatRole(userData.role) },
+        { label: "Participation Type", value: formatParticipantType(userData.participantType) },
+        { label: "Fee Rule", value: describeFeeRule(submission.paymentFeeRule) },
+        { label: "Amount Paid", value: formatAmount(submission.paymentAmount || 0, submission.paymentCurrency), highlight: true },
+    ];
+
+    if (submission.paymentMethod === "offline") {
+        rows.push({ label: "Payment Method", value: describeOfflinePayment(submission.offlinePayment) });
+    }
+
+    const refundSummary = describeRefunds(refunds || []);
+    if (refundSummary) {
+        rows.push({ label: "Refunds", value: refundSummary });
+    }
+
+    return {
+        filename: `Receipt_${toFileNamePart(receiptNumber)}.pdf`,
+        info: { Title: `Receipt - ${receiptNumber}`, Subject: "Payment Receipt" },
+        blocks: [
+            {
+                type: "header",
+                badge: "success",
+                title: "Payment Successful",
+                subtitle: `Thank you for registering for ${branding.eventName}!`,
+                qr: verificationUrl && { value: verificationUrl, caption: "Scan to verify" },
+            },
+            { type: "keyValue", header: ["Field", "Details"], rows, gap: 30 },
+        ],
+        footer: { note: "This is a system-generated receipt and does not require a physical signature." },
+    };
+};
@@ -0,0 +1,219 @@
+/**
+ * Easebuzz API Client
+ * -------------------
+ * Server-to-server calls to Easebuzz:
+ * - initiateLink (pay host): create a hosted checkout for an order.
+ * - Transaction API: a transaction's real status, used by the reconciler
+ *   when the browser never returned through surl/furl.
+ * - Refund API: start a refund and poll its status (admin refunds).
+ *
+ * The dashboard host can be overridden with EASEBUZZ_DASHBOARD_URL,
+ * e.g. to point at the local mock (mock-easebuzz.js).
+ */
+
+const axios = require("axios");
+const {
+    generatePaymentHash,
+    generateRetrieveHash,
+    generateRefundHash,
+    generateRefundStatusHash,
+} = require("./hashUtils");
+
+const EASEBUZZ_KEY = () => process.env.EASEBUZZ_MERCHANT_KEY;
+const EASEBUZZ_SALT = () => process.env.EASEBUZZ_MERCHANT_SALT;
+const EASEBUZZ_ENV = () => process.env.EASEBUZZ_ENV || "test";
+
+/**
+ * Get the Easebuzz pay (checkout) base URL based on environment.
+ */
+function getEasebuzzBaseUrl() {
+    return EASEBUZZ_ENV() === "live"
+        ? "https://pay.easebuzz.in"
+        : "https://testpay.easebuzz.in";
+}
+
+/**
+ * Get the Easebuzz dashboard (Transaction API) base URL.
+ */
+function getEasebuzzDashboardUrl() {
+    if (process.env.EASEBUZZ_DASHBOARD_URL) {
+        return process.env.EASEBUZZ_DASHBOARD_URL.replace(/\/+$/, "");
+    }
+    return EASEBUZZ_ENV() === "live"
+        ? "https://dashboard.easebuzz.in"
+        : "https://testdashboard.easebuzz.in";
+}
+
+/**
+ * POST form fields to an Easebuzz URL and return the parsed body.
+ */
+async function postForm(url, fields) {
+    const response = await axios.post(
+        url,
+        new URLSearchParams(fields).toString(),
+        {
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+            timeout: 15000,
+        }
+    );
+
+    // Safely parse response (may be string or object depending on Content-Type)
+    let data = response.data;
+    if (typeof data === "string") {
+        try { data = JSON.parse(data); } catch (e) { /* not JSON */ }
+    }
+    return data;
+}
+
+/**
+ * POST form fields to a dashboard API path and return the parsed body.
+ */
+function postDashboardForm(path, fields) {
+    return postForm(`${getEasebuzzDashboardUrl()}${path}`, fields);
+}
+
+/**
+ * Create a hosted checkout for an order (initiateLink).
+ * The hash is generated here, server-side; salt never leaves this module.
+ *
+ * Orders are charged in INR unless `currency` names another currency; it
+ * is sent to Easebuzz, so the account must be enabled for it (the
+ * provider only passes currencies listed in EASEBUZZ_CURRENCIES).
+ *
+ * @param {{ txnid: string, amount: string, currency?: string, productinfo: string,
+ *           firstname: string, email: string, phone: string, surl: string, furl: string }} order
+ * @returns {Promise<{ ok: boolean, paymentUrl: string|null, accessKey: string|null,
+ *                     error: string|null, raw: object }>}
+ */
+async function initiatePayment({ txnid, amount, currency, productinfo, firstname, email, phone, surl, furl }) {
+    const key = EASEBUZZ_KEY();
+    const salt = EASEBUZZ_SALT();
+    const code = String(currency || "INR").toUpperCase();
+
+    const data = await postForm(`${getEasebuzzBaseUrl()}/payment/initiateLink`, {
+        key,
+        txnid,
+        amount,
+        productinfo,
+        firstname,
+        email,
+        phone,
+        surl,
+        furl,
+        ...(code !== "INR" ? { currency: code } : {}),
+        hash: generatePaymentHash({ key, txnid, amount, productinfo, firstname, email, salt }),
+    });
+
+    if (data && data.status == 1) {
+        const accessKey = data.data;
+        return {
+            ok: true,
+            paymentUrl: `${getEasebuzzBaseUrl()}/pay/${accessKey}`,
+            accessKey,
+            error: null,
+            raw: data,
+        };
+    }
+    return {
+        ok: false,
+        paymentUrl: null,
+        accessKey: null,
+        error: (data && (data.message || data.error_desc)) || null,
+        raw: data,
+    };
+}
+
+/**
+ * Retrieve a transaction by txnid.
+ *
+ * Easebuzz may return several attempts for one txnid; a successful
+ * attempt wins, otherwise the latest one is used.
+ *
+ * @param {string} txnid
+ * @returns {Promise<{ found: boolean, transaction: object|null, raw: object }>}
+ *   `transaction` is shaped like a surl/furl callback body (includes `hash`).
+ */
+async function retrieveTransaction(txnid) {
+    const key = EASEBUZZ_KEY();
+    const salt = EASEBUZZ_SALT();
+
+    const data = await postDashboardForm("/transaction/v2.1/retrieve", {
+        txnid,
+        key,
+        hash: generateRetrieveHash({ key, txnid, salt }),
+    });
+
+    const ok = data && (data.status === true || data.status == 1);
+    const msg = ok ? data.msg : null;
+    const attempts = Array.isArray(msg) ? msg : (msg && typeof msg === "object" ? [msg] : []);
+
+    if (attempts.length === 0) {
+        return { found: false, transaction: null, raw: data };
+    }
+
+    const transaction =
+        attempts.find((t) => String(t.status).toLowerCase() === "success") ||
+        attempts[attempts.length - 1];
+
+    return { found: true, transaction, raw: data };
+}
+
+/**
+ * Start a (full or partial) refund of a successful transaction.
+ *
+ * Easebuzz accepts refunds asynchronously: `accepted: true` only means
+ * the request was queued. Poll retrieveRefundStatus for the outcome.
+ *
+ * @param {{ easebuzzId: string, merchantRefundId: string, refundAmount: string }} refund
+ * @returns {Promise<{ accepted: boolean, refundId: string|null, reason: string|null, raw: object }>}
+ */
+async function initiateRefund({ easebuzzId, merchantRefundId, refundAmount }) {
+    const key = EASEBUZZ_KEY();
+    const salt = EASEBUZZ_SALT();
+
+    const data = await postDashboardForm("/transaction/v2/refund", {
+        key,
+        merchant_refund_id: merchantRefundId,
+        easebuzz_id: easebuzzId,
+        refund_amount: refundAmount,
+        hash: generateRefundHash({ key, merchantRefundId, easebuzzId, refundAmount, salt }),
+    });
+
+    const accepted = Boolean(data && (data.status === true || data.status == 1));
+    return {
+        accepted,
+        refundId: (data && data.refund_id) || null,
+        reason: (data && (data.reason || data.error_desc || data.msg)) || null,
+        raw: data,
+    };
+}
+
+/**
+ * List the refunds Easebuzz holds for a transaction.
+ *
+ * @param {string} easebuzzId - Easebuzz transaction id (easepayid)
+ * @returns {Promise<{ refunds: object[], raw: object }>}
+ *   Each refund has at least refund_id, merchant_refund_id, refund_status.
+ */
+async function retrieveRefundStatus(easebuzzId) {
+    const key = EASEBUZZ_KEY();
+    const salt = EASEBUZZ_SALT();
+
+    const data = await postDashboardForm("/refund/v1/retrieve", {
+        key,
+        easebuzz_id: easebuzzId,
+        hash: generateRefundStatusHash({ key, easebuzzId, salt }),
+    });
+
+    const refunds = data && Array.isArray(data.refunds) ? data.refunds : [];
+    return { refunds, raw: data };
+}
+
+module.exports = {
+    getEasebuzzBaseUrl,
+    getEasebuzzDashboardUrl,
+    initiatePayment,
+    retrieveTransaction,
+    initiateRefund,
+    retrieveRefundStatus,
+};
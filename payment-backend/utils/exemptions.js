@@ -0,0 +1,213 @@
+/**
+ * Fee Exemptions
+ * --------------
+ * Single rule engine for "does this user pay the paper fee?", shared by
+ * the payment controller and the admin verification list.
+ *
+ * Two sources, checked in this order:
+ *   1. Per-user waivers — `feeWaivers/{uid}`:
+ *        { uid, reason, approvedBy, approvedAt, active, revokedBy, revokedAt }
+ *   2. Institution rules — `exemptionRules/{id}`:
+ *        { name, aliases: string[], reason, active }
+ *
+ * Institutions are normalized before matching ("U.C. College, Aluva" →
+ * "uc college aluva"), then an alias matches when it is
+ *   - equal to the institution, or
+ *   - contained in it as whole words ("uc college" in "uc college aluva").
+ * There is no fuzzy tier: names like "MC College" or "KC College" are one
+ * initial away from "UC College", so spelling variants go in as aliases.
+ *
+ * Without any configured rule the built-in DEFAULT_EXEMPTION_RULES apply
+ * (the UC College waiver that used to be hard-coded).
+ */
+
+const { getDb } = require("./firebase");
+
+const DEFAULT_EXEMPTION_RULES = [
+    {
+        id: null,
+        name: "Union Christian College",
+        aliases: ["uc college", "u c college", "uc college aluva", "union christian college"],
+        reason: "Institutional Fee Waiver",
+        active: true,
+    },
+];
+
+/**
+ * Normalize an institution name for matching:
+ * lower-case, punctuation removed, single letters joined ("u c" → "uc").
+ */
+function normalizeInstitution(value) {
+    const tokens = String(value || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, " ")
+        .split(/\s+/)
+        .filter(Boolean);
+
+    const joined = [];
+    let previousWasInitial = false;
+    for (const token of tokens) {
+        const isInitial = /^[a-z]$/.test(token);
+        if (isInitial && previousWasInitial) {
+            joined[joined.length - 1] += token;
+        } else {
+            joined.push(token);
+        }
+        previousWasInitial = isInitial;
+    }
+    return joined.join(" ");
+}
+
+function containsWords(haystack, needle) {
+    return ` ${haystack} `.includes(` ${needle} `);
+}
+
+/**
+ * Best institution rule for an institution name, or null.
+ * @returns {{ rule: object, alias: string, method: "exact"|"contains", score: number }|null}
+ */
+function matchInstitution(institution, rules) {
+    const normalized = normalizeInstitution(institution);
+    if (!normalized) return null;
+
+    let best = null;
+    for (const rule of rules) {
+        if (rule.active === false) continue;
+        for (const rawAlias of rule.aliases || []) {
+            const alias = normalizeInstitution(rawAlias);
+            if (!alias) continue;
+
+            let match = null;
+            if (alias === normalized) {
+                match = { method: "exact", score: 1 };
+            } else if (containsWords(normalized, alias)) {
+                match = { method: "contains", score: alias.length / normalized.length };
+            }
+
+            if (match && (!best || match.score > best.score)) {
+                best = { rule, alias: rawAlias, ...match };
+            }
+        }
+    }
+    return best;
+}
+
+/**
+ * Configured institution rules, or the built-in defaults if none exist.
+ */
+async function loadExemptionRules() {
+    const snap = await getDb().collection("exemptionRules").get();
+    const rules = snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    return rules.length > 0 ? rules : DEFAULT_EXEMPTION_RULES;
+}
+
+/**
+ * Decide whether a user is exempt.
+ *
+ * @param {object} userData - users/{uid} document
+ * @param {object[]} rules - institution rules
+ * @param {object|null} waiver - feeWaivers/{uid} document, if any
+ * @returns {{ exempt: boolean, source: "waiver"|"institution"|null, reason: string|null,
+ *   institution: string|null, ruleId: string|null, matchedAlias: string|null,
+ *   matchMethod: string|null, approvedBy: string|null }}
+ */
+function evaluateExemption(userData, rules, waiver) {
+    const none = {
+        exempt: false,
+        source: null,
+        reason: null,
+        institution: null,
+        ruleId: null,
+        matchedAlias: null,
+        matchMethod: null,
+        approvedBy: null,
+    };
+
+    if (waiver && waiver.active !== false) {
+        return {
+            ...none,
+            exempt: true,
+            source: "waiver",
+            reason: waiver.reason || "Manual Fee Waiver",
+            approvedBy: waiver.approvedBy || null,
+        };
+    }
+
+    const institution = (userData && userData.institution) || "";
+    const match = matchInstitution(institution, rules);
+    if (!match) return none;
+
+    return {
+        ...none,
+        exempt: true,
+        source: "institution",
+        reason: match.rule.reason || "Institutional Fee Waiver",
+        institution,
+        ruleId: match.rule.id || null,
+        matchedAlias: match.alias,
+        matchMethod: match.method,
+    };
+}
+
+/**
+ * Exemption for one user (payment endpoints).
+ */
+async function getExemptionForUser(uid, userData) {
+    const [rules, waiverDoc] = await Promise.all([
+        loadExemptionRules(),
+        getDb().collection("feeWaivers").doc(uid).get(),
+    ]);
+    return evaluateExemption(userData, rules, waiverDoc.exists ? waiverDoc.data() : null);
+}
+
+/**
+ * Load rules and waivers once and return a synchronous checker
+ * (uid, userData) → exemption, for listing many users.
+ */
+async function createExemptionChecker() {
+    const [rules, waiversSnap] = await Promise.all([
+        loadExemptionRules(),
+        getDb().collection("feeWaivers").get(),
+    ]);
+
+    const waivers = {};
+    waiversSnap.forEach((doc) => { waivers[doc.id] = doc.data(); });
+
+    return (uid, userData) => evaluateExemption(userData, rules, waivers[uid] || null);
+}
+
+/**
+ * Validate an admin institution-rule payload.
+ * @returns {{ errors: string[], rule: object }}
+ */
+function validateExemptionRule(body) {
+    const errors = [];
+
+    const name = String(body.name || "").trim();
+    if (!name) errors.push("name is required.");
+
+    const aliases = (Array.isArray(body.aliases) ? body.aliases : [])
+        .map((a) => String(a || "").trim())
+        .filter(Boolean);
+    if (aliases.length === 0) errors.push("aliases must list at least one institution name.");
+
+    return {
+        errors,
+        rule: {
+            name,
+            aliases: [...new Set([name, ...aliases])],
+            reason: String(body.reason || "").trim() || "Institutional Fee Waiver",
+            active: body.active === undefined ? true : Boolean(body.active),
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_EXEMPTION_RULES,
+    normalizeInstitution,
+    matchInstitution,
+    loadExemptionRules,
+    getExemptionForUser,
+    createExemptionChecker,
+    validateExemptionRule,
+};
@@ -0,0 +1,358 @@
+/**
+ * Fee Schedule
+ * ------------
+ * Server-side fee amounts. CRITICAL: Never trust a frontend amount.
+ *
+ * Fees are rules in the Firestore `feeSchedule` collection, managed
+ * through the admin fee-schedule endpoints:
+ *   { name, category, region, role, participantType, tier, amount,
+ *     currency, validFrom, validUntil, active, priority }
+ *
+ * - category:        "paper" | "attendee"
+ * - region:          "domestic" | "international" — the price list the rule
+ *                    belongs to (rules without one are domestic)
+ * - role:            user role (e.g. "student") or null for any role
+ * - participantType: "offline" | "online" or null for any
+ * - currency:        "INR" | "USD" (utils/currency.js)
+ * - tier:            "early_bird" | "regular" | "late" (label shown to users)
+ * - validFrom/Until: ISO dates or null for open-ended
+ *
+ * Pricing windows are rules with validity dates, e.g. an early-bird rule
+ * valid until the cutoff and a late rule valid from the surcharge date,
+ * on top of an open-ended regular rule. The amount is locked when a
+ * payment is initiated (stored with the payment and checked on callback).
+ *
+ * The participant's nationality (or country) picks the price list
+ * (getFeeRegion): Indian participants pay domestic rules, everyone else
+ * international ones. Within a price list the most specific active rule
+ * wins (role and participantType set beat wildcards), then the highest
+ * priority, then a dated rule over an open-ended one, then the latest
+ * validFrom.
+ * When no rule matches, the built-in DEFAULT_FEE_RULES apply so payments
+ * keep working before the schedule is configured.
+ *
+ * The paper fee policy (`settings/fees.paperFeePolicy`) decides whether an
+ * author with several accepted papers pays for each one ("per_paper") or
+ * once for all of them ("per_author").
+ */
+
+const { getDb } = require("./firebase");
+const { SUPPORTED_CURRENCIES } = require("./currency");
+
+const FEE_SCHEDULE_COLLECTION = "feeSchedule";
+
+const FEE_CATEGORIES = {
+    PAPER: "paper",
+    ATTENDEE: "attendee",
+};
+
+const FEE_REGIONS = {
+    DOMESTIC: "domestic",
+    INTERNATIONAL: "international",
+};
+
+// Nationality / country values that mean the domestic price list
+const DOMESTIC_COUNTRIES = ["in", "ind", "india", "indian"];
+
+const PARTICIPANT_TYPES = ["offline", "online"];
+const PRICING_TIERS = ["early_bird", "regular", "late"];
+
+const PAPER_FEE_POLICIES = {
+    PER_PAPER: "per_paper",
+    PER_AUTHOR: "per_author",
+};
+const DEFAULT_PAPER_FEE_POLICY = PAPER_FEE_POLICIES.PER_PAPER;
+
+// Built-in fallback (the amounts that used to be hard-coded, and USD
+// equivalents for international participants)
+const DEFAULT_FEE_RULES = [
+    { name: "Standard paper fee - Student", category: FEE_CATEGORIES.PAPER, role: "student", amount: 250 },
+    { name: "Standard paper fee", category: FEE_CATEGORIES.PAPER, role: null, amount: 500 },
+    { name: "Standard attendee fee", category: FEE_CATEGORIES.ATTENDEE, role: null, amount: 100 },
+    {
+        name: "International paper fee - Student", category: FEE_CATEGORIES.PAPER, role: "student",
+        region: FEE_REGIONS.INTERNATIONAL, amount: 50, currency: "USD",
+    },
+    {
+        name: "International paper fee", category: FEE_CATEGORIES.PAPER, role: null,
+        region: FEE_REGIONS.INTERNATIONAL, amount: 100, currency: "USD",
+    },
+    {
+        name: "International attendee fee", category: FEE_CATEGORIES.ATTENDEE, role: null,
+        region: FEE_REGIONS.INTERNATIONAL, amount: 25, currency: "USD",
+    },
+].map((rule) => ({
+    id: null,
+    region: FEE_REGIONS.DOMESTIC,
+    participantType: null,
+    tier: "regular",
+    currency: "INR",
+    validFrom: null,
+    validUntil: null,
+    active: true,
+    priority: 0,
+    ...rule,
+}));
+
+function normalize(value) {
+    return value === undefined || value === null || String(value).trim() === ""
+        ? null
+        : String(value).toLowerCase().trim();
+}
+
+/**
+ * The price list for a participant: domestic for Indian nationals (or,
+ * without a nationality, an Indian country of residence) and for
+ * participants who gave neither; international otherwise.
+ *
+ * @param {{ nationality?: string, country?: string }} participant - user profile or request body
+ * @returns {string} a FEE_REGIONS value
+ */
+function getFeeRegion(participant) {
+    const { nationality, country } = participant || {};
+    const value = normalize(nationality) || normalize(country);
+    return !value || DOMESTIC_COUNTRIES.includes(value) ? FEE_REGIONS.DOMESTIC : FEE_REGIONS.INTERNATIONAL;
+}
+
+function isRuleInWindow(rule, at) {
+    return (!rule.validFrom || rule.validFrom <= at) && (!rule.validUntil || rule.validUntil > at);
+}
+
+/**
+ * Active rules that apply to the criteria, ignoring their validity window.
+ */
+function matchingFeeRules(rules, { category, region, role, participantType }) {
+    const wantedRegion = normalize(region) || FEE_REGIONS.DOMESTIC;
+    const wantedRole = normalize(role);
+    const wantedType = normalize(participantType);
+
+    return rules.filter((rule) =>
+        rule.active !== false &&
+        rule.category === category &&
+        (normalize(rule.region) || FEE_REGIONS.DOMESTIC) === wantedRegion &&
+        (!rule.role || normalize(rule.role) === wantedRole) &&
+        (!rule.participantType || normalize(rule.participantType) === wantedType)
+    );
+}
+
+/**
+ * Pick the best matching rule for the criteria, or null.
+ */
+function pickFeeRule(rules, criteria) {
+    const candidates = matchingFeeRules(rules, criteria).filter((rule) => isRuleInWindow(rule, criteria.at));
+
+    const specificity = (rule) => (rule.role ? 2 : 0) + (rule.participantType ? 1 : 0);
+    const isDated = (rule) => (rule.validFrom || rule.validUntil ? 1 : 0);
+
+    candidates.sort((a, b) =>
+        specificity(b) - specificity(a) ||
+        (b.priority || 0) - (a.priority || 0) ||
+        isDated(b) - isDated(a) ||
+        String(b.validFrom || "").localeCompare(String(a.validFrom || ""))
+    );
+
+    return candidates[0] || null;
+}
+
+/**
+ * The parts of a rule stored with a payment and shown on its receipt.
+ */
+function toFeeRuleSnapshot(rule) {
+    return {
+        id: rule.id || null,
+        name: rule.name,
+        category: rule.category,
+        region: rule.region || FEE_REGIONS.DOMESTIC,
+        role: rule.role || null,
+        participantType: rule.participantType || null,
+        tier: rule.tier || "regular",
+        amount: rule.amount,
+        currency: rule.currency,
+        validFrom: rule.validFrom || null,
+        validUntil: rule.validUntil || null,
+    };
+}
+
+const TIER_LABELS = {
+    early_bird: "Early bird",
+    regular: "Regular",
+    late: "Late",
+};
+
+/**
+ * Receipt label for the rule a payment was charged under, e.g.
+ * "Student paper fee (Early bird)". Payments made before the fee
+ * schedule existed used the standard fee.
+ */
+function describeFeeRule(feeRule) {
+    if (!feeRule || !feeRule.name) return "Standard fee";
+    const tier = feeRule.tier || "regular";
+    return tier === "regular" ? feeRule.name : `${feeRule.name} (${TIER_LABELS[tier] || tier})`;
+}
+
+/**
+ * Configured rule if one matches, otherwise the built-in default.
+ */
+function pickFeeRuleOrDefault(configured, criteria) {
+    return pickFeeRule(configured, criteria) || pickFeeRule(DEFAULT_FEE_RULES, criteria);
+}
+
+/**
+ * The first date after `criteria.at` at which the resolved price changes,
+ * or null when the current price is open-ended.
+ */
+function findNextPriceChange(configured, criteria, currentRule) {
+    const boundaries = [...new Set(
+        matchingFeeRules(configured, criteria)
+            .flatMap((rule) => [rule.validFrom, rule.validUntil])
+            .filter((date) => date && date > criteria.at)
+    )].sort();
+
+    for (const at of boundaries) {
+        const rule = pickFeeRuleOrDefault(configured, { ...criteria, at });
+        if (!rule || rule.id !== currentRule.id || rule.amount !== currentRule.amount) {
+            return rule
+                ? { at, tier: rule.tier || "regular", amount: Number(rule.amount).toFixed(2), currency: rule.currency }
+                : { at, tier: null, amount: null, currency: null };
+        }
+    }
+    return null;
+}
+
+/**
+ * Resolve the fee for a payment.
+ * CRITICAL: Never trust frontend amount. Always derive from DB role.
+ *
+ * @param {{ category: string, region?: string, role?: string, participantType?: string, at?: string }} criteria
+ *   region is a FEE_REGIONS value (see getFeeRegion), domestic by default
+ * @returns {Promise<{ amount: string, currency: string, region: string, tier: string, rule: object,
+ *   nextChange: object|null }>}
+ *   amount is formatted for Easebuzz ("250.00"); rule is a snapshot;
+ *   nextChange is { at, tier, amount, currency } of the next price change.
+ */
+async function resolveFee({
+    category,
+    region = FEE_REGIONS.DOMESTIC,
+    role = null,
+    participantType = null,
+    at = new Date().toISOString(),
+}) {
+    const snap = await getDb()
+        .collection(FEE_SCHEDULE_COLLECTION)
+        .where("category", "==", category)
+        .get();
+
+    const configured = snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    const criteria = { category, region, role, participantType, at };
+    const rule = pickFeeRuleOrDefault(configured, criteria);
+
+    if (!rule) {
+        throw new Error(`No fee rule configured for category '${category}' (${region}).`);
+    }
+
+    return {
+        amount: Number(rule.amount).toFixed(2),
+        currency: rule.currency,
+        region: rule.region || FEE_REGIONS.DOMESTIC,
+        tier: rule.tier || "regular",
+        rule: toFeeRuleSnapshot(rule),
+        nextChange: findNextPriceChange(configured, criteria, rule),
+    };
+}
+
+/**
+ * Validate an admin fee-rule payload (for updates, the existing rule
+ * merged with the changes).
+ *
+ * @returns {{ errors: string[], rule: object }} the cleaned fields
+ */
+function validateFeeRule(body) {
+    const errors = [];
+    const rule = {};
+
+    const name = String(body.name || "").trim();
+    if (!name) errors.push("name is required.");
+    rule.name = name;
+
+    if (!Object.values(FEE_CATEGORIES).includes(body.category)) {
+        errors.push(`category must be one of: ${Object.values(FEE_CATEGORIES).join(", ")}.`);
+    }
+    rule.category = body.category;
+
+    rule.region = normalize(body.region) || FEE_REGIONS.DOMESTIC;
+    if (!Object.values(FEE_REGIONS).includes(rule.region)) {
+        errors.push(`region must be one of: ${Object.values(FEE_REGIONS).join(", ")}.`);
+    }
+
+    rule.role = normalize(body.role);
+
+    rule.participantType = normalize(body.participantType);
+    if (rule.participantType && !PARTICIPANT_TYPES.includes(rule.participantType)) {
+        errors.push(`participantType must be one of: ${PARTICIPANT_TYPES.join(", ")} (or empty for any).`);
+    }
+
+    rule.tier = normalize(body.tier) || "regular";
+    if (!PRICING_TIERS.includes(rule.tier)) {
+        errors.push(`tier must be one of: ${PRICING_TIERS.join(", ")}.`);
+    }
+
+    // Free registrations are exemptions or waivers, never a zero-priced rule
+    rule.amount = Math.round(parseFloat(body.amount) * 100) / 100;
+    if (!(rule.amount > 0)) {
+        errors.push("amount must be greater than zero; waive fees with an exemption instead.");
+    }
+
+    rule.currency = String(body.currency || "INR").toUpperCase().trim();
+    if (!SUPPORTED_CURRENCIES.includes(rule.currency)) {
+        errors.push(`currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}.`);
+    }
+
+    for (const field of ["validFrom", "validUntil"]) {
+        const value = body[field];
+        if (value === undefined || value === null || value === "") {
+            rule[field] = null;
+        } else if (Number.isNaN(Date.parse(value))) {
+            errors.push(`${field} must be an ISO date.`);
+        } else {
+            rule[field] = new Date(value).toISOString();
+        }
+    }
+
+    if (rule.validFrom && rule.validUntil && rule.validFrom >= rule.validUntil) {
+        errors.push("validFrom must be before validUntil.");
+    }
+
+    rule.active = body.active === undefined ? true : Boolean(body.active);
+
+    const priority = body.priority === undefined || body.priority === null ? 0 : parseInt(body.priority, 10);
+    if (!Number.isFinite(priority)) errors.push("priority must be an integer.");
+    rule.priority = priority;
+
+    return { errors, rule };
+}
+
+/**
+ * The organizers' paper fee policy ("per_paper" unless configured).
+ */
+async function getPaperFeePolicy() {
+    const doc = await getDb().collection("settings").doc("fees").get();
+    const policy = doc.exists ? doc.data().paperFeePolicy : null;
+    return Object.values(PAPER_FEE_POLICIES).includes(policy) ? policy : DEFAULT_PAPER_FEE_POLICY;
+}
+
+module.exports = {
+    FEE_SCHEDULE_COLLECTION,
+    FEE_CATEGORIES,
+    FEE_REGIONS,
+    PARTICIPANT_TYPES,
+    PRICING_TIERS,
+    DEFAULT_FEE_RULES,
+    PAPER_FEE_POLICIES,
+    DEFAULT_PAPER_FEE_POLICY,
+    getFeeRegion,
+    pickFeeRule,
+    resolveFee,
+    describeFeeRule,
+    validateFeeRule,
+    getPaperFeePolicy,
+};
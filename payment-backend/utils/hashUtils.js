@@ -7,9 +7,16 @@
 
 const crypto = require("crypto");
 
+const UDF_FIELDS = ["udf1", "udf2", "udf3", "udf4", "udf5", "udf6", "udf7", "udf8", "udf9", "udf10"];
+
+function sha512(value) {
+    return crypto.createHash("sha512").update(value).digest("hex");
+}
+
 /**
  * Generate SHA-512 hash for payment initiation.
- * Format: key|txnid|amount|productinfo|firstname|email|||||||||||salt
+ * Format: key|txnid|amount|productinfo|firstname|email|udf1|...|udf10|salt
+ * (udf fields default to empty strings)
  */
 function generatePaymentHash({
     key,
@@ -19,14 +26,20 @@ function generatePaymentHash({
     firstname,
     email,
     salt,
+    ...udf
 }) {
-    const hashString = `${key}|${txnid}|${amount}|${productinfo}|${firstname}|${email}|||||||||||${salt}`;
-    return crypto.createHash("sha512").update(hashString).digest("hex");
+    const udfValues = UDF_FIELDS.map((f) => udf[f] || "");
+    const hashString = [key, txnid, amount, productinfo, firstname, email, ...udfValues, salt].join("|");
+    return sha512(hashString);
 }
 
 /**
  * Generate reverse hash for payment verification (response callback).
- * Format: salt|status|||||||||||email|firstname|productinfo|amount|txnid|key
+ * Format: salt|status|udf10|udf9|...|udf1|email|firstname|productinfo|amount|txnid|key
+ *
+ * When Easebuzz adds convenience fees it sends `additionalCharges` and
+ * prefixes it to the hash string:
+ *   additionalCharges|salt|status|udf10|...|udf1|email|firstname|productinfo|amount|txnid|key
  */
 function generateReverseHash({
     salt,
@@ -37,9 +50,72 @@ function generateReverseHash({
     amount,
     txnid,
     key,
+    additionalCharges,
+    ...udf
 }) {
-    const hashString = `${salt}|${status}|||||||||||${email}|${firstname}|${productinfo}|${amount}|${txnid}|${key}`;
-    return crypto.createHash("sha512").update(hashString).digest("hex");
+    const udfValues = UDF_FIELDS.map((f) => udf[f] || "").reverse();
+    const parts = [salt, status, ...udfValues, email, firstname, productinfo, amount, txnid, key];
+    if (additionalCharges !== undefined && additionalCharges !== null && String(additionalCharges).trim() !== "") {
+        parts.unshift(additionalCharges);
+    }
+    return sha512(parts.join("|"));
+}
+
+/**
+ * Verify the hash on an Easebuzz callback body (surl/furl POST).
+ * Uses every udf field and additionalCharges exactly as received.
+ *
+ * @param {object} body - Raw callback body from Easebuzz
+ * @param {{ key: string, salt: string }} credentials
+ * @returns {{ valid: boolean, expected: string }}
+ */
+function verifyResponseHash(body, { key, salt }) {
+    const fields = {};
+    UDF_FIELDS.forEach((f) => { fields[f] = body[f]; });
+
+    const expected = generateReverseHash({
+        salt,
+        status: body.status || "",
+        email: body.email || "",
+        firstname: body.firstname || "",
+        productinfo: body.productinfo || "",
+        amount: body.amount || "",
+        txnid: body.txnid || "",
+        key,
+        additionalCharges: body.additionalCharges,
+        ...fields,
+    });
+
+    const received = String(body.hash || "").toLowerCase();
+    const valid =
+        received.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+
+    return { valid, expected };
+}
+
+/**
+ * Generate hash for the Easebuzz Transaction API (retrieve by txnid).
+ * Format: key|txnid|salt
+ */
+function generateRetrieveHash({ key, txnid, salt }) {
+    return sha512(`${key}|${txnid}|${salt}`);
+}
+
+/**
+ * Generate hash for the Easebuzz Refund API (v2).
+ * Format: key|merchant_refund_id|easebuzz_id|refund_amount|salt
+ */
+function generateRefundHash({ key, merchantRefundId, easebuzzId, refundAmount, salt }) {
+    return sha512(`${key}|${merchantRefundId}|${easebuzzId}|${refundAmount}|${salt}`);
+}
+
+/**
+ * Generate hash for the Easebuzz Refund Status API (retrieve by easebuzz_id).
+ * Format: key|easebuzz_id|salt
+ */
+function generateRefundStatusHash({ key, easebuzzId, salt }) {
+    return sha512(`${key}|${easebuzzId}|${salt}`);
 }
 
 /**
@@ -52,8 +128,23 @@ function generateTxnId() {
     return `TXN_${timestamp}_${random}`;
 }
 
+/**
+ * Generate a unique merchant refund ID.
+ * Format: RFD_<timestamp>_<random6chars>
+ */
+function generateRefundId() {
+    const timestamp = Date.now();
+    const random = crypto.randomBytes(3).toString("hex").toUpperCase();
+    return `RFD_${timestamp}_${random}`;
+}
+
 module.exports = {
     generatePaymentHash,
     generateReverseHash,
+    verifyResponseHash,
+    generateRetrieveHash,
+    generateRefundHash,
+    generateRefundStatusHash,
     generateTxnId,
+    generateRefundId,
 };
@@ -0,0 +1,346 @@
+/**
+ * GST Tax Invoices
+ * ----------------
+ * Tax invoices for paid paper fees, attendee fees and group registrations,
+ * kept in the `invoices` collection (one per payment record, document id
+ * `<collection>_<recordId>`):
+ *
+ *   { invoiceNumber, financialYear, sequence, collection, recordId, txnid,
+ *     uid, issuedAt, issuedBy, supplier, buyer, placeOfSupply, sacCode,
+ *     description, currency, taxRate, taxableAmount, cgst, sgst, igst,
+ *     totalAmount, paymentDate, replaces? }
+ *
+ * Fees are GST-inclusive: the amount paid is split into the taxable value
+ * and the tax. The tax is CGST + SGST when the place of supply (the
+ * buyer's state, from their GSTIN or stateCode; otherwise the organiser's
+ * state) is the organiser's state, IGST otherwise.
+ *
+ * Invoice numbers come from the invoice number series (utils/counters.js),
+ * by default per Indian financial year: UCC/2026-27/0001. An issued
+ * invoice never changes; asking again returns the same invoice. Finance
+ * corrects one by voiding it (the payer may then issue a new one) or
+ * reissuing it under a new number; the voided invoice is moved to
+ * `voidedInvoices` with { voidedAt, voidedBy, voidReason, replacedBy }.
+ *
+ * Organiser details come from GST_SUPPLIER_* (see .env.example). Only INR
+ * payments get a tax invoice.
+ */
+
+const { getDb } = require("./firebase");
+const { NUMBER_SERIES, getFinancialYear, reserveNumbers } = require("./counters");
+
+const DEFAULT_SAC_CODE = "998596"; // Events and conventions organisation services
+const DEFAULT_TAX_RATE = 18;
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const STATE_CODE_PATTERN = /^(0[1-9]|[1-3][0-9]|97)$/;
+const MAX_ADDRESS_LENGTH = 300;
+const MAX_NAME_LENGTH = 120;
+
+class InvoiceError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = "InvoiceError";
+        this.statusCode = statusCode;
+    }
+}
+
+function toAmount(value) {
+    return Math.round(parseFloat(value) * 100) / 100;
+}
+
+/**
+ * The organiser's GST registration, or null when GST_SUPPLIER_GSTIN is unset.
+ */
+function getSupplierConfig() {
+    const gstin = String(process.env.GST_SUPPLIER_GSTIN || "").trim().toUpperCase();
+    if (!gstin) return null;
+
+    const taxRate = parseFloat(process.env.GST_RATE_PERCENT);
+    return {
+        name: process.env.GST_SUPPLIER_NAME || "Union Christian College",
+        gstin,
+        address: process.env.GST_SUPPLIER_ADDRESS || "",
+        stateCode: process.env.GST_SUPPLIER_STATE_CODE || gstin.slice(0, 2),
+        sacCode: process.env.GST_SAC_CODE || DEFAULT_SAC_CODE,
+        taxRate: Number.isFinite(taxRate) && taxRate >= 0 ? taxRate : DEFAULT_TAX_RATE,
+    };
+}
+
+/**
+ * Split a GST-inclusive total into taxable value and CGST/SGST or IGST.
+ */
+function calculateTax(totalAmount, taxRate, intraState) {
+    const total = toAmount(totalAmount);
+    const taxableAmount = toAmount((total * 100) / (100 + taxRate));
+    const tax = toAmount(total - taxableAmount);
+
+    if (!intraState) {
+        return { taxableAmount, cgst: 0, sgst: 0, igst: tax, totalAmount: total };
+    }
+    const cgst = toAmount(tax / 2);
+    return { taxableAmount, cgst, sgst: toAmount(tax - cgst), igst: 0, totalAmount: total };
+}
+
+/**
+ * Validate and normalise the buyer's billing details.
+ * @param {{ billingName?, gstin?, billingAddress?, stateCode? }} input - from the request
+ * @param {{ name: string, email: string }} defaults - from the payment record
+ */
+function normalizeBuyer(input, defaults) {
+    const errors = [];
+    const name = String(input.billingName || defaults.name || "").trim();
+    const gstin = String(input.gstin || "").trim().toUpperCase();
+    const address = String(input.billingAddress || "").trim();
+    let stateCode = String(input.stateCode || "").trim().padStart(2, "0");
+    if (stateCode === "00") stateCode = "";
+
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        errors.push(`billingName is required (max ${MAX_NAME_LENGTH} characters).`);
+    }
+    if (gstin && !GSTIN_PATTERN.test(gstin)) {
+        errors.push("gstin must be a valid 15-character GSTIN.");
+    }
+    if (gstin && !address) {
+        errors.push("billingAddress is required with a GSTIN.");
+    }
+    if (address.length > MAX_ADDRESS_LENGTH) {
+        errors.push(`billingAddress must be at most ${MAX_ADDRESS_LENGTH} characters.`);
+    }
+    if (stateCode && !STATE_CODE_PATTERN.test(stateCode)) {
+        errors.push("stateCode must be a 2-digit GST state code (e.g. 32 for Kerala).");
+    }
+    if (gstin && stateCode && GSTIN_PATTERN.test(gstin) && gstin.slice(0, 2) !== stateCode) {
+        errors.push("stateCode does not match the GSTIN.");
+    }
+
+    if (errors.length > 0) {
+        throw new InvoiceError(errors.join(" "));
+    }
+
+    return {
+        name,
+        email: defaults.email || null,
+        gstin: gstin || null,
+        address: address || null,
+        stateCode: stateCode || (gstin ? gstin.slice(0, 2) : null),
+    };
+}
+
+function invoiceRef(collection, recordId) {
+    return getDb().collection("invoices").doc(`${collection}_${recordId}`);
+}
+
+/**
+ * The invoice issued for a payment record, or null.
+ */
+async function getInvoiceForRecord(collection, recordId) {
+    const doc = await invoiceRef(collection, recordId).get();
+    return doc.exists ? doc.data() : null;
+}
+
+/**
+ * Check a sale can be invoiced and work out its buyer and tax.
+ */
+function prepareInvoice(sale, buyerInput) {
+    const supplier = getSupplierConfig();
+    if (!supplier) {
+        throw new InvoiceError("Tax invoices are not available. Please contact the organizers.", 503);
+    }
+
+    const currency = sale.currency || "INR";
+    if (currency !== "INR") {
+        throw new InvoiceError("Tax invoices are issued for INR payments only.", 409);
+    }
+    if (!(toAmount(sale.amount) > 0)) {
+        throw new InvoiceError("No amount was paid for this registration.", 409);
+    }
+
+    const buyer = normalizeBuyer(buyerInput || {}, sale.buyerDefaults || {});
+    const placeOfSupply = buyer.stateCode || supplier.stateCode;
+    const tax = calculateTax(sale.amount, supplier.taxRate, placeOfSupply === supplier.stateCode);
+
+    return { supplier, buyer, placeOfSupply, currency, tax };
+}
+
+function buildInvoice(sale, { supplier, buyer, placeOfSupply, currency, tax }, { number, sequence }, now, issuedBy) {
+    return {
+        invoiceNumber: number,
+        financialYear: getFinancialYear(now),
+        sequence,
+        collection: sale.collection,
+        recordId: sale.recordId,
+        txnid: sale.txnid || null,
+        uid: sale.uid || null,
+        issuedAt: now,
+        issuedBy,
+        supplier: {
+            name: supplier.name,
+            gstin: supplier.gstin,
+            address: supplier.address,
+            stateCode: supplier.stateCode,
+        },
+        buyer,
+        placeOfSupply,
+        sacCode: supplier.sacCode,
+        description: sale.description,
+        currency,
+        taxRate: supplier.taxRate,
+        ...tax,
+        paymentDate: sale.paymentDate || null,
+    };
+}
+
+/**
+ * Move an issued invoice to `voidedInvoices` in a transaction.
+ */
+function archiveVoidedInvoice(t, invoice, { reason, voidedBy, replacedBy = null }, now) {
+    t.set(getDb().collection("voidedInvoices").doc(), {
+        ...invoice,
+        voidedAt: now,
+        voidedBy,
+        voidReason: reason,
+        replacedBy,
+    });
+}
+
+/**
+ * Issue the tax invoice for a paid record, or return the one already issued.
+ *
+ * @param {{ collection: string, recordId: string, txnid?: string, uid?: string,
+ *           amount: number, currency?: string, paymentDate?: string,
+ *           description: string, buyerDefaults: { name, email } }} sale
+ * @param {object} buyerInput - billingName?, gstin?, billingAddress?, stateCode?
+ * @param {string|null} issuedBy - uid of the caller (null for public attendee routes)
+ * @returns {Promise<{ invoice: object, created: boolean }>}
+ */
+async function issueInvoice(sale, buyerInput, issuedBy = null) {
+    if (!getSupplierConfig()) {
+        throw new InvoiceError("Tax invoices are not available. Please contact the organizers.", 503);
+    }
+
+    const existing = await getInvoiceForRecord(sale.collection, sale.recordId);
+    if (existing) return { invoice: existing, created: false };
+
+    const prepared = prepareInvoice(sale, buyerInput);
+    const db = getDb();
+    const ref = invoiceRef(sale.collection, sale.recordId);
+    const now = new Date().toISOString();
+
+    return db.runTransaction(async (t) => {
+        const current = await t.get(ref);
+        if (current.exists) return { invoice: current.data(), created: false };
+
+        const [reserved] = await reserveNumbers(t, NUMBER_SERIES.INVOICE, 1, now);
+        const invoice = buildInvoice(sale, prepared, reserved, now, issuedBy);
+
+        t.set(ref, invoice);
+        return { invoice, created: true };
+    });
+}
+
+function requireReason(reason) {
+    const text = String(reason || "").trim();
+    if (!text) throw new InvoiceError("reason is required.");
+    return text;
+}
+
+/**
+ * Void the invoice of a record (finance). The payer can then issue a new
+ * one, under a new number.
+ * @returns {Promise<object>} the voided invoice
+ */
+async function voidInvoice(collection, recordId, reason, voidedBy) {
+    const voidReason = requireReason(reason);
+    const db = getDb();
+    const ref = invoiceRef(collection, recordId);
+
+    return db.runTransaction(async (t) => {
+        const current = await t.get(ref);
+        if (!current.exists) {
+            throw new InvoiceError("No invoice has been issued for this payment.", 404);
+        }
+
+        const now = new Date().toISOString();
+        archiveVoidedInvoice(t, current.data(), { reason: voidReason, voidedBy }, now);
+        t.delete(ref);
+        return { ...current.data(), voidedAt: now, voidedBy, voidReason };
+    });
+}
+
+/**
+ * Replace the invoice of a record with a new one under a new number
+ * (finance), e.g. to correct the billing details. Billing details not
+ * given are copied from the voided invoice.
+ * @returns {Promise<{ invoice: object, voided: object }>}
+ */
+async function reissueInvoice(sale, buyerInput, reason, issuedBy) {
+    const voidReason = requireReason(reason);
+    const existing = await getInvoiceForRecord(sale.collection, sale.recordId);
+    if (!existing) {
+        throw new InvoiceError("No invoice has been issued for this payment.", 404);
+    }
+
+    const previous = existing.buyer || {};
+    const input = buyerInput || {};
+    const prepared = prepareInvoice(sale, {
+        billingName: input.billingName ?? previous.name,
+        gstin: input.gstin ?? previous.gstin,
+        billingAddress: input.billingAddress ?? previous.address,
+        stateCode: input.stateCode ?? previous.stateCode,
+    });
+
+    const db = getDb();
+    const ref = invoiceRef(sale.collection, sale.recordId);
+    const now = new Date().toISOString();
+
+    return db.runTransaction(async (t) => {
+        const current = await t.get(ref);
+        if (!current.exists) {
+            throw new InvoiceError("No invoice has been issued for this payment.", 404);
+        }
+
+        const [reserved] = await reserveNumbers(t, NUMBER_SERIES.INVOICE, 1, now);
+        const invoice = {
+            ...buildInvoice(sale, prepared, reserved, now, issuedBy),
+            replaces: current.data().invoiceNumber,
+        };
+        archiveVoidedInvoice(t, current.data(), {
+            reason: voidReason,
+            voidedBy: issuedBy,
+            replacedBy: invoice.invoiceNumber,
+        }, now);
+        t.set(ref, invoice);
+
+        return {
+            invoice,
+            voided: { ...current.data(), voidedAt: now, voidedBy: issuedBy, voidReason, replacedBy: invoice.invoiceNumber },
+        };
+    });
+}
+
+/**
+ * Invoices voided for a record, oldest first.
+ */
+async function getVoidedInvoices(collection, recordId) {
+    const snap = await getDb()
+        .collection("voidedInvoices")
+        .where("collection", "==", collection)
+        .where("recordId", "==", recordId)
+        .get();
+
+    return snap.docs
+        .map((doc) => doc.data())
+        .sort((a, b) => String(a.voidedAt).localeCompare(String(b.voidedAt)));
+}
+
+module.exports = {
+    InvoiceError,
+    getSupplierConfig,
+    calculateTax,
+    getInvoiceForRecord,
+    issueInvoice,
+    voidInvoice,
+    reissueInvoice,
+    getVoidedInvoices,
+};
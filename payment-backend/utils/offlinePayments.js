@@ -0,0 +1,130 @@
+/**
+ * Offline Payments
+ * ----------------
+ * Bank transfers and demand drafts paid outside the gateway. The author
+ * submits the transfer details with an image of the bank receipt; a
+ * finance admin confirms or rejects the entry.
+ *
+ * Every entry is a document in the `offlinePayments` collection:
+ *   { uid, paperId, method, utr, bankName, transferDate, amount, currency,
+ *     expectedAmount, feeRule, receiptImageUrl, status, submittedAt,
+ *     confirmedAmount, reviewedBy, reviewedAt, note, rejectionReason }
+ *
+ * The submission keeps a summary in `offlinePayment`
+ * ({ id, method, utr, bankName, transferDate, status }). Confirming sets
+ * paymentStatus "paid" with paymentMethod "offline", so the regular
+ * receipt endpoints serve it.
+ */
+
+const { getDb } = require("./firebase");
+
+const OFFLINE_METHODS = {
+    BANK_TRANSFER: "bank_transfer",
+    DEMAND_DRAFT: "demand_draft",
+};
+
+const OFFLINE_PAYMENT_STATUSES = {
+    SUBMITTED: "submitted",
+    CONFIRMED: "confirmed",
+    REJECTED: "rejected",
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// UTR (bank transfer) or DD number: letters and digits only
+const UTR_PATTERN = /^[A-Z0-9]{6,30}$/;
+
+function toAmount(value) {
+    return Math.round(parseFloat(value) * 100) / 100;
+}
+
+/**
+ * Validate the details an author submits for an offline payment.
+ * Body: { method?, utr, bankName, transferDate (YYYY-MM-DD), amount }
+ *
+ * @returns {{ errors: string[], details: object }}
+ */
+function validateOfflinePayment(body) {
+    const errors = [];
+    const input = body || {};
+
+    const method = String(input.method || OFFLINE_METHODS.BANK_TRANSFER).toLowerCase().trim();
+    if (!Object.values(OFFLINE_METHODS).includes(method)) {
+        errors.push(`method must be one of: ${Object.values(OFFLINE_METHODS).join(", ")}.`);
+    }
+
+    const utr = String(input.utr || "").replace(/\s+/g, "").toUpperCase();
+    if (!UTR_PATTERN.test(utr)) {
+        errors.push("utr must be the 6-30 character UTR / DD number (letters and digits).");
+    }
+
+    const bankName = String(input.bankName || "").trim();
+    if (!bankName) {
+        errors.push("bankName is required.");
+    }
+
+    const transferDate = String(input.transferDate || "").trim();
+    const parsedDate = Date.parse(`${transferDate}T00:00:00Z`);
+    if (!DATE_PATTERN.test(transferDate) || Number.isNaN(parsedDate)) {
+        errors.push("transferDate must be a date (YYYY-MM-DD).");
+    } else if (parsedDate > Date.now()) {
+        errors.push("transferDate cannot be in the future.");
+    }
+
+    const amount = toAmount(input.amount);
+    if (!(amount > 0)) {
+        errors.push("amount must be greater than zero.");
+    }
+
+    return {
+        errors,
+        details: { method, utr, bankName, transferDate, amount },
+    };
+}
+
+/**
+ * An entry that already uses this UTR / DD number and was not rejected.
+ * @returns {Promise<FirebaseFirestore.QueryDocumentSnapshot|null>}
+ */
+async function findEntryByUtr(utr) {
+    // Single-field query; filter by status in code
+    const snap = await getDb()
+        .collection("offlinePayments")
+        .where("utr", "==", utr)
+        .get();
+
+    return snap.docs.find((doc) => doc.data().status !== OFFLINE_PAYMENT_STATUSES.REJECTED) || null;
+}
+
+/**
+ * Summary of an entry, as stored on the submission.
+ */
+function summariseEntry(id, entry) {
+    return {
+        id,
+        method: entry.method,
+        utr: entry.utr,
+        bankName: entry.bankName,
+        transferDate: entry.transferDate,
+        status: entry.status,
+    };
+}
+
+/**
+ * One-line description for receipts, e.g. "Bank transfer (UTR N123456789)".
+ */
+function describeOfflinePayment(summary) {
+    if (!summary) return null;
+    return summary.method === OFFLINE_METHODS.DEMAND_DRAFT
+        ? `Demand draft (DD No. ${summary.utr})`
+        : `Bank transfer (UTR ${summary.utr})`;
+}
+
+module.exports = {
+    OFFLINE_METHODS,
+    OFFLINE_PAYMENT_STATUSES,
+    toAmount,
+    validateOfflinePayment,
+    findEntryByUtr,
+    summariseEntry,
+    describeOfflinePayment,
+};
@@ -0,0 +1,110 @@
+/**
+ * Paper Payments
+ * --------------
+ * Which full papers an author can pay for, and the payment state of each
+ * one under the paper fee policy (see getPaperFeePolicy in utils/fees.js):
+ *
+ * - per_paper:  every accepted full paper is paid for separately.
+ * - per_author: one payment covers all of the author's papers; once one
+ *               paper is paid or exempted the others are "covered".
+ *
+ * Papers are listed oldest first so the default choice is stable.
+ */
+
+const { getDb } = require("./firebase");
+const { PAPER_FEE_POLICIES } = require("./fees");
+
+// Papers in the revision workflow (pending_review) can still be paid for
+const PAYABLE_PAPER_STATUSES = ["accepted", "accepted_with_revision", "pending_review"];
+
+// Payment states that settle the fee for a paper
+const SETTLED_PAYMENT_STATUSES = ["paid", "exempted"];
+
+// Payment states that block another paper's payment under per_author
+const COVERING_PAYMENT_STATUSES = ["paid", "exempted", "pending", "suspicious"];
+
+function isPayableFullPaper(data) {
+    const type = String(data.submissionType || "").toLowerCase().trim();
+    const status = String(data.status || "").toLowerCase().trim();
+    return type === "fullpaper" && PAYABLE_PAPER_STATUSES.includes(status);
+}
+
+function toMillis(value) {
+    if (!value) return 0;
+    if (typeof value.toMillis === "function") return value.toMillis();
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? 0 : parsed;
+}
+
+/**
+ * The author's payable full papers, oldest first.
+ * @returns {Promise<{ submissionCount: number, papers: FirebaseFirestore.QueryDocumentSnapshot[] }>}
+ */
+async function getPayablePapers(uid) {
+    // Single-field query; filter in code to avoid composite indexes
+    const snap = await getDb()
+        .collection("submissions")
+        .where("uid", "==", uid)
+        .get();
+
+    const papers = snap.docs
+        .filter((doc) => isPayableFullPaper(doc.data()))
+        .sort((a, b) =>
+            toMillis(a.data().createdAt) - toMillis(b.data().createdAt) ||
+            a.id.localeCompare(b.id)
+        );
+
+    return { submissionCount: snap.size, papers };
+}
+
+/**
+ * Pick the paper a request is about.
+ *
+ * With a paperId, that paper (or null if it is not one of the author's
+ * payable papers). Without one, the only paper still to be paid for, or
+ * the first paper when all are settled; `ambiguous` is set when several
+ * papers are still open and the caller must choose.
+ *
+ * @returns {{ paper: object|null, ambiguous: boolean }}
+ */
+function selectPaper(papers, paperId) {
+    if (paperId) {
+        return { paper: papers.find((doc) => doc.id === paperId) || null, ambiguous: false };
+    }
+
+    const open = papers.filter((doc) => !SETTLED_PAYMENT_STATUSES.includes(doc.data().paymentStatus));
+    if (open.length === 0) return { paper: papers[0] || null, ambiguous: false };
+    return { paper: open[0], ambiguous: open.length > 1 };
+}
+
+/**
+ * Under per_author, the other paper whose payment covers (or, while
+ * pending, blocks) this one. Always null under per_paper.
+ */
+function findCoveringPaper(papers, paperId, policy) {
+    if (policy !== PAPER_FEE_POLICIES.PER_AUTHOR) return null;
+    return papers.find((doc) =>
+        doc.id !== paperId && COVERING_PAYMENT_STATUSES.includes(doc.data().paymentStatus)
+    ) || null;
+}
+
+/**
+ * Short summary of a paper for listings.
+ */
+function describePaper(doc) {
+    const data = doc.data();
+    return {
+        paperId: doc.id,
+        title: data.title || "",
+        status: data.status || null,
+    };
+}
+
+module.exports = {
+    SETTLED_PAYMENT_STATUSES,
+    isPayableFullPaper,
+    getPayablePapers,
+    selectPaper,
+    findCoveringPaper,
+    describePaper,
+};
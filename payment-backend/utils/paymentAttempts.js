@@ -0,0 +1,178 @@
+/**
+ * Payment Attempts
+ * ----------------
+ * Every gateway checkout started for a payment record (paper submission,
+ * attendee or attendee group) is kept in the `paymentAttempts`
+ * collection, keyed by txnid:
+ *
+ *   { txnid, collection, recordId, uid, provider, amount, currency,
+ *     email, productinfo, feeRule, coupon, frontendUrl, status,
+ *     gatewayStatus, gatewayId, gatewayResponse, initiatedAt, updatedAt,
+ *     settledAt, settledVia, events: [{ type, status, source, at, detail }] }
+ *
+ * A retry writes a new attempt instead of losing the previous one, so a
+ * late callback for an earlier txnid still finds its record and the
+ * order it was started with. Admins read the full timeline per record.
+ */
+
+const { getDb } = require("./firebase");
+
+const ATTEMPT_STATUSES = {
+    INITIATED: "initiated",
+    INITIATION_FAILED: "initiation_failed",
+    PAID: "paid",
+    FAILED: "failed",
+    SUSPICIOUS: "suspicious",
+    // No result before the pending TTL (utils/paymentExpiry.js)
+    EXPIRED: "expired",
+    // Succeeded at the gateway after another attempt had already paid the record
+    DUPLICATE: "duplicate",
+};
+
+// Outcomes a later event cannot undo (the money was taken)
+const FINAL_STATUSES = [ATTEMPT_STATUSES.PAID, ATTEMPT_STATUSES.DUPLICATE];
+
+function attemptRef(txnid) {
+    return getDb().collection("paymentAttempts").doc(String(txnid));
+}
+
+/**
+ * Record a checkout that was just started (or refused by the gateway).
+ *
+ * @param {{ txnid: string, collection: string, recordId: string, uid?: string,
+ *           provider: string, amount: string|number, currency?: string,
+ *           email: string, productinfo: string, feeRule?: object,
+ *           coupon?: object, frontendUrl?: string }} order
+ * @param {{ ok: boolean, raw?: object }} initiation - provider.initiate() result
+ */
+async function recordAttempt(order, initiation) {
+    const now = new Date().toISOString();
+    const status = initiation.ok ? ATTEMPT_STATUSES.INITIATED : ATTEMPT_STATUSES.INITIATION_FAILED;
+
+    await attemptRef(order.txnid).set({
+        txnid: order.txnid,
+        collection: order.collection,
+        recordId: order.recordId,
+        uid: order.uid || null,
+        provider: order.provider,
+        amount: parseFloat(order.amount),
+        currency: order.currency || "INR",
+        email: order.email,
+        productinfo: order.productinfo,
+        feeRule: order.feeRule || null,
+        coupon: order.coupon || null,
+        frontendUrl: order.frontendUrl || null,
+        status,
+        gatewayStatus: null,
+        gatewayId: null,
+        gatewayResponse: initiation.raw ?? null,
+        initiatedAt: now,
+        updatedAt: now,
+        settledAt: null,
+        settledVia: null,
+        events: [{ type: "initiated", status, source: "create", at: now, detail: null }],
+    });
+}
+
+/**
+ * The attempt for a txnid, or null.
+ * @returns {Promise<object|null>} attempt data
+ */
+async function getAttempt(txnid) {
+    if (!txnid) return null;
+    const doc = await attemptRef(txnid).get();
+    return doc.exists ? doc.data() : null;
+}
+
+/**
+ * Append an event to an attempt's timeline and update its status.
+ * A paid attempt keeps its status; the event is still logged.
+ * Unknown txnids (records started before attempts were kept) are ignored.
+ *
+ * @param {string} txnid
+ * @param {{ type: string, status?: string, source: string, detail?: object,
+ *           gatewayStatus?: string, gatewayId?: string }} event
+ */
+async function recordAttemptEvent(txnid, { type, status, source, detail, gatewayStatus, gatewayId }) {
+    if (!txnid) return;
+    const ref = attemptRef(txnid);
+    const doc = await ref.get();
+    if (!doc.exists) return;
+
+    const data = doc.data();
+    const now = new Date().toISOString();
+    const newStatus = status && !FINAL_STATUSES.includes(data.status) ? status : data.status;
+    const update = {
+        updatedAt: now,
+        events: [
+            ...(data.events || []),
+            { type, status: status || data.status, source, at: now, detail: detail || null },
+        ],
+    };
+    if (newStatus === data.status) {
+        await ref.update(update);
+        return;
+    }
+
+    update.status = newStatus;
+    if (gatewayStatus !== undefined) update.gatewayStatus = gatewayStatus || null;
+    if (gatewayId) update.gatewayId = gatewayId;
+    if (newStatus === ATTEMPT_STATUSES.PAID || newStatus === ATTEMPT_STATUSES.FAILED) {
+        update.settledAt = now;
+        update.settledVia = source;
+    }
+
+    await ref.update(update);
+}
+
+/**
+ * Resolve the record a txnid belongs to: through its attempt, or (for
+ * payments started before attempts were kept) by the record's txnid field.
+ *
+ * @param {string} txnid
+ * @param {string} collection - "submissions" | "attendees" | "attendeeGroups"
+ * @param {string} txnField - the record's txnid field, for the fallback
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot|null>}
+ */
+async function findAttemptRecord(txnid, collection, txnField) {
+    if (!txnid) return null;
+    const db = getDb();
+
+    const attempt = await getAttempt(txnid);
+    if (attempt && attempt.collection === collection) {
+        const doc = await db.collection(collection).doc(attempt.recordId).get();
+        return doc.exists ? doc : null;
+    }
+
+    const snap = await db
+        .collection(collection)
+        .where(txnField, "==", txnid)
+        .limit(1)
+        .get();
+    return snap.empty ? null : snap.docs[0];
+}
+
+/**
+ * All attempts for a record, oldest first.
+ */
+async function getAttemptsForRecord(collection, recordId) {
+    // Single-field query; filter by collection in code
+    const snap = await getDb()
+        .collection("paymentAttempts")
+        .where("recordId", "==", recordId)
+        .get();
+
+    return snap.docs
+        .map((doc) => doc.data())
+        .filter((a) => a.collection === collection)
+        .sort((a, b) => String(a.initiatedAt).localeCompare(String(b.initiatedAt)));
+}
+
+module.exports = {
+    ATTEMPT_STATUSES,
+    recordAttempt,
+    getAttempt,
+    recordAttemptEvent,
+    findAttemptRecord,
+    getAttemptsForRecord,
+};
@@ -0,0 +1,86 @@
+/**
+ * Pending Payment Expiry
+ * ----------------------
+ * A checkout that never reports back (no callback, webhook or reconciler
+ * result) would leave its record "pending" forever and look in flight to
+ * the status endpoints. After PENDING_PAYMENT_TTL_MINUTES (default 120)
+ * the record becomes "expired", so the user can start a fresh payment.
+ *
+ * Enforced in two places:
+ *   - the reconciler (jobs/reconcilePendingPayments.js) expires records the
+ *     provider reports neither paid nor failed once they pass the TTL;
+ *   - the status endpoints expire the records they read (expireIfStale).
+ *
+ * Expiring releases the reserved coupon, so a late success for the txnid
+ * does not pay the record: it is parked as suspicious for an admin to
+ * approve or reject (parkLateSuccess in utils/paymentSettlement.js).
+ */
+
+const { getDb } = require("./firebase");
+const { OUTCOMES, expirePendingPayment } = require("./paymentSettlement");
+
+const DEFAULT_TTL_MINUTES = 120;
+
+function getPendingTtlMinutes() {
+    const fromEnv = parseInt(process.env.PENDING_PAYMENT_TTL_MINUTES, 10);
+    return Number.isFinite(fromEnv) && fromEnv > 0 ? fromEnv : DEFAULT_TTL_MINUTES;
+}
+
+/**
+ * Whether a record is "pending" and was initiated longer than the TTL ago.
+ * Pending records without paymentInitiatedAt count as expired.
+ */
+function isPendingExpired(data, ttlMinutes = getPendingTtlMinutes()) {
+    if (!data || data.paymentStatus !== "pending") return false;
+
+    const initiatedAt = Date.parse(data.paymentInitiatedAt);
+    if (Number.isNaN(initiatedAt)) return true;
+    return initiatedAt <= Date.now() - ttlMinutes * 60 * 1000;
+}
+
+/**
+ * Expire a record read by a status endpoint if it is pending past the TTL.
+ * Group members are expired through their group.
+ *
+ * @param {FirebaseFirestore.DocumentSnapshot} doc
+ * @param {string} collection - "submissions" | "attendees" | "attendeeGroups"
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot>} the snapshot to use (re-read when expired)
+ */
+async function expireIfStale(doc, collection) {
+    const data = doc.data();
+    if (!isPendingExpired(data)) return doc;
+
+    let outcome;
+    if (collection === "attendees" && data.groupId) {
+        const groupDoc = await getDb().collection("attendeeGroups").doc(data.groupId).get();
+        outcome = groupDoc.exists
+            ? await expirePendingPayment(groupDoc, "attendeeGroups", "status_check")
+            : await expirePendingPayment(doc, collection, "status_check");
+    } else {
+        outcome = await expirePendingPayment(doc, collection, "status_check");
+    }
+
+    if (outcome === OUTCOMES.EXPIRED) {
+        console.log(`[PAYMENT EXPIRY] ${doc.ref.path} expired on status check`);
+    }
+    return doc.ref.get();
+}
+
+/**
+ * expireIfStale for a list of records.
+ * @returns {Promise<FirebaseFirestore.DocumentSnapshot[]>} in the same order
+ */
+async function expireStaleRecords(docs, collection) {
+    const result = [];
+    for (const doc of docs) {
+        result.push(await expireIfStale(doc, collection));
+    }
+    return result;
+}
+
+module.exports = {
+    getPendingTtlMinutes,
+    isPendingExpired,
+    expireIfStale,
+    expireStaleRecords,
+};
@@ -0,0 +1,64 @@
+/**
+ * Easebuzz Payment Provider
+ * -------------------------
+ * The live gateway: hosted checkout through initiateLink, SHA-512 signed
+ * callbacks, and the dashboard Transaction / Refund APIs
+ * (utils/easebuzzClient.js).
+ *
+ * Charges INR; a merchant account enabled for international currencies
+ * lists them in EASEBUZZ_CURRENCIES (e.g. "INR,USD"). The order's currency
+ * is sent to Easebuzz, and an order in any other currency is refused
+ * before it reaches the gateway, so it is never charged as rupees.
+ */
+
+const { verifyResponseHash } = require("../hashUtils");
+const {
+    initiatePayment,
+    retrieveTransaction,
+    initiateRefund,
+    retrieveRefundStatus,
+} = require("../easebuzzClient");
+
+const EASEBUZZ_KEY = () => process.env.EASEBUZZ_MERCHANT_KEY;
+const EASEBUZZ_SALT = () => process.env.EASEBUZZ_MERCHANT_SALT;
+const EASEBUZZ_CURRENCIES = () => String(process.env.EASEBUZZ_CURRENCIES || "INR")
+    .split(",")
+    .map((c) => c.trim().toUpperCase())
+    .filter(Boolean);
+
+module.exports = {
+    name: "easebuzz",
+
+    get currencies() {
+        return EASEBUZZ_CURRENCIES();
+    },
+
+    async initiate(order) {
+        const currency = String(order.currency || "INR").toUpperCase();
+        if (!EASEBUZZ_CURRENCIES().includes(currency)) {
+            return {
+                ok: false,
+                paymentUrl: null,
+                accessKey: null,
+                error: `Easebuzz is not enabled for ${currency} payments.`,
+                raw: null,
+            };
+        }
+        return initiatePayment({ ...order, currency });
+    },
+
+    verifyCallback(payload) {
+        return verifyResponseHash(payload, {
+            key: EASEBUZZ_KEY(),
+            salt: EASEBUZZ_SALT(),
+        });
+    },
+
+    fetchStatus: retrieveTransaction,
+
+    refund({ gatewayTxnId, merchantRefundId, refundAmount }) {
+        return initiateRefund({ easebuzzId: gatewayTxnId, merchantRefundId, refundAmount });
+    },
+
+    fetchRefunds: retrieveRefundStatus,
+};
@@ -0,0 +1,78 @@
+/**
+ * Payment Providers
+ * -----------------
+ * Every gateway the backend can take payments through implements:
+ *
+ *   name                                    → stored on each payment record
+ *   currencies                              → currencies it can charge (e.g. ["INR"])
+ *   initiate(order)                         → { ok, paymentUrl, accessKey, error, raw }
+ *       order: { txnid, amount, currency, productinfo, firstname, email, phone, surl, furl }
+ *   verifyCallback(payload)                 → { valid, expected }
+ *   fetchStatus(txnid)                      → { found, transaction, raw }
+ *   refund({ gatewayTxnId, merchantRefundId, refundAmount })
+ *                                           → { accepted, refundId, reason, raw }
+ *   fetchRefunds(gatewayTxnId)              → { refunds, raw }
+ *
+ * Callback payloads and transactions are Easebuzz-shaped (status, txnid,
+ * amount, email, productinfo, easepayid, hash) so utils/paymentSettlement.js
+ * settles them the same way whichever provider produced them.
+ *
+ * PAYMENT_PROVIDER selects the provider for new payments ("easebuzz" by
+ * default, or "mock"). Records remember the provider they were started
+ * with, so callbacks and refunds go back to the same one.
+ */
+
+const easebuzz = require("./easebuzz");
+const mock = require("./mock");
+
+const PROVIDERS = { easebuzz, mock };
+
+const DEFAULT_PROVIDER = "easebuzz";
+
+/**
+ * Name of the provider new payments are started with.
+ */
+function getActiveProviderName() {
+    return String(process.env.PAYMENT_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+}
+
+/**
+ * Look up a provider by name; without a name, the active provider.
+ * Throws on an unknown name, and refuses the mock provider in live mode.
+ */
+function getPaymentProvider(name) {
+    const providerName = name || getActiveProviderName();
+    const provider = PROVIDERS[providerName];
+    if (!provider) {
+        throw new Error(`Unknown payment provider '${providerName}'.`);
+    }
+    if (provider === mock && process.env.EASEBUZZ_ENV === "live") {
+        throw new Error("The mock payment provider cannot be used when EASEBUZZ_ENV=live.");
+    }
+    return provider;
+}
+
+/**
+ * Whether a provider can charge in a currency. Controllers check this
+ * before reserving anything, so an international fee the gateway cannot
+ * take is refused up front.
+ */
+function supportsCurrency(provider, currency) {
+    return provider.currencies.includes(String(currency || "INR").toUpperCase());
+}
+
+/**
+ * Provider for an existing payment record (falls back to the active one
+ * for records created before the provider was stored).
+ */
+function getProviderForRecord(data) {
+    return getPaymentProvider(data && data.paymentProvider);
+}
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    getActiveProviderName,
+    getPaymentProvider,
+    getProviderForRecord,
+    supportsCurrency,
+};
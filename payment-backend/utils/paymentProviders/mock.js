@@ -0,0 +1,169 @@
+/**
+ * Mock Payment Provider
+ * ---------------------
+ * An offline stand-in for Easebuzz so the whole payment flow (checkout,
+ * callbacks, reconciler, refunds) runs without network access or
+ * merchant credentials.
+ *
+ * - initiate() opens a checkout session and points the browser at the
+ *   built-in checkout page (routes/mockGatewayRoutes.js).
+ * - Completing the checkout produces an Easebuzz-shaped transaction,
+ *   signed with MOCK_PAYMENT_KEY / MOCK_PAYMENT_SALT, which the page then
+ *   posts to surl/furl exactly like the real gateway.
+ * - fetchStatus / refund / fetchRefunds answer from the same store.
+ *
+ * Everything is kept in memory: restarting the server forgets open
+ * checkouts and transactions. Never enabled when EASEBUZZ_ENV=live.
+ */
+
+const crypto = require("crypto");
+const { generateReverseHash, verifyResponseHash } = require("../hashUtils");
+
+const MOCK_KEY = () => process.env.MOCK_PAYMENT_KEY || "mock_key";
+const MOCK_SALT = () => process.env.MOCK_PAYMENT_SALT || "mock_salt";
+
+// Outcomes the checkout page can choose, and the callback URL each goes to
+const CHECKOUT_OUTCOMES = ["success", "failure", "usercancelled"];
+
+const checkouts = new Map(); // accessKey → order
+const transactions = new Map(); // txnid → signed transaction
+const refunds = new Map(); // easepayid → refund[]
+
+function randomId(bytes) {
+    return crypto.randomBytes(bytes).toString("hex").toUpperCase();
+}
+
+/**
+ * Sign a transaction the way Easebuzz signs surl/furl bodies.
+ */
+function signTransaction(transaction) {
+    const key = MOCK_KEY();
+    const signed = { ...transaction, key };
+    signed.hash = generateReverseHash({ salt: MOCK_SALT(), ...signed });
+    return signed;
+}
+
+/**
+ * Open a checkout session for an order.
+ * The checkout page is served by this backend, on the same host as surl.
+ */
+async function initiate(order) {
+    const accessKey = randomId(16);
+    checkouts.set(accessKey, { ...order, createdAt: new Date().toISOString() });
+
+    // Until the checkout is completed the gateway only knows it was started
+    transactions.set(order.txnid, signTransaction({
+        txnid: order.txnid,
+        status: "initiated",
+        amount: order.amount,
+        productinfo: order.productinfo,
+        firstname: order.firstname,
+        email: order.email,
+        phone: order.phone,
+        addedon: new Date().toISOString(),
+    }));
+
+    const origin = new URL(order.surl).origin;
+    return {
+        ok: true,
+        paymentUrl: `${origin}/api/mock-gateway/pay/${accessKey}`,
+        accessKey,
+        error: null,
+        raw: { status: 1, data: accessKey },
+    };
+}
+
+/**
+ * The open checkout for an access key, or null.
+ */
+function getCheckout(accessKey) {
+    return checkouts.get(accessKey) || null;
+}
+
+/**
+ * Complete a checkout with the chosen outcome. The session is closed, so
+ * each access key can be used once.
+ *
+ * @param {string} accessKey
+ * @param {string} outcome - one of CHECKOUT_OUTCOMES
+ * @returns {{ url: string, fields: object }|null} where the browser must
+ *   post the signed callback, or null if the checkout is unknown.
+ */
+function completeCheckout(accessKey, outcome) {
+    const order = checkouts.get(accessKey);
+    if (!order || !CHECKOUT_OUTCOMES.includes(outcome)) return null;
+    checkouts.delete(accessKey);
+
+    const transaction = signTransaction({
+        txnid: order.txnid,
+        status: outcome,
+        amount: order.amount,
+        productinfo: order.productinfo,
+        firstname: order.firstname,
+        email: order.email,
+        phone: order.phone,
+        easepayid: `MOCK${randomId(6)}`,
+        mode: "MOCK",
+        addedon: new Date().toISOString(),
+        error_Message: outcome === "success" ? "" : `Mock payment ${outcome}`,
+    });
+    transactions.set(order.txnid, transaction);
+
+    return {
+        url: outcome === "success" ? order.surl : order.furl,
+        fields: transaction,
+    };
+}
+
+function verifyCallback(payload) {
+    return verifyResponseHash(payload, { key: MOCK_KEY(), salt: MOCK_SALT() });
+}
+
+async function fetchStatus(txnid) {
+    const transaction = transactions.get(txnid) || null;
+    return {
+        found: Boolean(transaction),
+        transaction,
+        raw: { status: Boolean(transaction), msg: transaction },
+    };
+}
+
+/**
+ * Refunds of successful mock transactions complete immediately.
+ */
+async function refund({ gatewayTxnId, merchantRefundId, refundAmount }) {
+    const paid = [...transactions.values()].find(
+        (t) => t.easepayid === gatewayTxnId && t.status === "success"
+    );
+    if (!paid) {
+        return { accepted: false, refundId: null, reason: "Transaction not found.", raw: null };
+    }
+
+    const entry = {
+        refund_id: `MOCKRF${randomId(6)}`,
+        merchant_refund_id: merchantRefundId,
+        refund_amount: refundAmount,
+        refund_status: "refunded",
+    };
+    refunds.set(gatewayTxnId, [...(refunds.get(gatewayTxnId) || []), entry]);
+
+    return { accepted: true, refundId: entry.refund_id, reason: null, raw: entry };
+}
+
+async function fetchRefunds(gatewayTxnId) {
+    const list = refunds.get(gatewayTxnId) || [];
+    return { refunds: list, raw: { refunds: list } };
+}
+
+module.exports = {
+    name: "mock",
+    currencies: ["INR", "USD"],
+    CHECKOUT_OUTCOMES,
+    initiate,
+    getCheckout,
+    completeCheckout,
+    verifyCallback,
+    fetchStatus,
+    refund,
+    fetchRefunds,
+};
@@ -0,0 +1,139 @@
+/**
+ * Payment Review Utility
+ * ----------------------
+ * Parks payment records whose gateway callback cannot be trusted in a
+ * "suspicious" state, so an admin reviews them before they count as paid.
+ * Every parked callback is also logged to the `paymentIncidents`
+ * collection, which admins can list.
+ *
+ * Used by both paper (submissions) and attendee (attendees) callbacks.
+ */
+
+const { getDb } = require("./firebase");
+
+// Callback fields worth keeping for review. Card/bank details beyond
+// these are deliberately not stored.
+const CALLBACK_SNAPSHOT_FIELDS = [
+    "txnid",
+    "easepayid",
+    "status",
+    "amount",
+    "net_amount_debit",
+    "additionalCharges",
+    "productinfo",
+    "firstname",
+    "email",
+    "mode",
+    "bank_ref_num",
+    "addedon",
+    "error_Message",
+];
+
+/**
+ * Copy the reviewable subset of an Easebuzz callback body.
+ */
+function snapshotCallback(body) {
+    const snapshot = {};
+    CALLBACK_SNAPSHOT_FIELDS.forEach((field) => {
+        if (body && body[field] !== undefined) {
+            snapshot[field] = String(body[field]);
+        }
+    });
+    return snapshot;
+}
+
+/**
+ * Compare a callback body against the order stored at initiation.
+ * Only fields present in `expected` are checked, so older pending
+ * records without e.g. a stored email are still verified on amount.
+ *
+ * @param {object} callback - Easebuzz callback body
+ * @param {{ txnid?: string, amount?: number|string, email?: string, productinfo?: string }} expected
+ * @returns {Array<{ field: string, expected: string, received: string }>} mismatches
+ */
+function findOrderMismatches(callback, expected) {
+    const mismatches = [];
+    const received = callback || {};
+
+    const check = (field, equal) => {
+        const exp = expected[field];
+        if (exp === undefined || exp === null || exp === "") return;
+        const rec = received[field];
+        if (rec === undefined || !equal(exp, rec)) {
+            mismatches.push({
+                field,
+                expected: String(exp),
+                received: rec === undefined ? null : String(rec),
+            });
+        }
+    };
+
+    check("txnid", (a, b) => String(a) === String(b).trim());
+    check("amount", (a, b) => Number(parseFloat(a).toFixed(2)) === Number(parseFloat(b).toFixed(2)));
+    check("email", (a, b) => String(a).toLowerCase().trim() === String(b).toLowerCase().trim());
+    check("productinfo", (a, b) => String(a).trim() === String(b).trim());
+
+    return mismatches;
+}
+
+/**
+ * Log a payment incident for admin review.
+ *
+ * @param {{ type: string, collection: string, docId: string, txnid?: string,
+ *           reason: string, details?: object, callback?: object }} incident
+ * @returns {Promise<string>} incident document ID
+ */
+async function recordIncident({ type, collection, docId, txnid, reason, details, callback }) {
+    const db = getDb();
+    const ref = await db.collection("paymentIncidents").add({
+        type,
+        collection,
+        docId,
+        txnid: txnid || null,
+        reason,
+        details: details || null,
+        callback: snapshotCallback(callback),
+        status: "open",
+        detectedAt: new Date().toISOString(),
+    });
+    return ref.id;
+}
+
+/**
+ * Mark a payment record as suspicious and log an incident for it.
+ *
+ * @param {FirebaseFirestore.DocumentReference} docRef - submission or attendee doc
+ * @param {{ reason: string, callback: object, details?: object, type?: string }} info
+ *   type defaults to "invalid_hash"; use "tampering" for order mismatches.
+ */
+async function markSuspicious(docRef, { reason, callback, details, type }) {
+    const incidentId = await recordIncident({
+        type: type || "invalid_hash",
+        collection: docRef.parent.id,
+        docId: docRef.id,
+        txnid: callback && callback.txnid,
+        reason,
+        details,
+        callback,
+    });
+
+    await docRef.update({
+        paymentStatus: "suspicious",
+        paymentGatewayStatus: (callback && callback.status) || null,
+        paymentSuspicion: {
+            reason,
+            details: details || null,
+            callback: snapshotCallback(callback),
+            detectedAt: new Date().toISOString(),
+            incidentId,
+            resolution: null,
+        },
+    });
+}
+
+module.exports = {
+    snapshotCallback,
+    findOrderMismatches,
+    recordIncident,
+    markSuspicious,
+};
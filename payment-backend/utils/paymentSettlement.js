@@ -0,0 +1,662 @@
+/**
+ * Payment Settlement
+ * ------------------
+ * Applies a gateway transaction result (success or failure) to a
+ * stored payment record (paper submission, attendee or attendee group).
+ * Payloads are Easebuzz-shaped whichever provider produced them
+ * (utils/paymentProviders).
+ * Shared by the browser-redirect callbacks, the Easebuzz webhook and the
+ * background reconciler so every path updates Firestore the same way.
+ *
+ * SECURITY CONSTRAINTS:
+ * - The payload hash is verified (udf1–udf10, additionalCharges) before
+ *   anything is marked paid or failed.
+ * - Amount, email and productinfo are cross-checked against the stored
+ *   order; the stored amount is what gets recorded, never the payload's.
+ * - A record that is already "paid" is never downgraded, and one parked
+ *   as "suspicious" is left for the admin review (a failure neither marks
+ *   it failed nor releases its coupon).
+ * - A coupon reserved at initiation is redeemed on success and released
+ *   on failure. A success whose released coupon no longer fits the
+ *   coupon's limits is sent to review instead of being paid
+ *   (redeemPaidCoupon).
+ * - Every result is appended to the attempt's timeline
+ *   (utils/paymentAttempts.js). A paper's late success for an earlier
+ *   attempt is checked against that attempt's order; a failure of an
+ *   earlier attempt never resets the paper's current one.
+ * - A payment pending past its TTL is expired (expirePendingPayment). A
+ *   success that arrives after that is sent to review, since the fee and
+ *   coupon it was started with may no longer hold (parkLateSuccess).
+ * - Paid papers get the next paper receipt number, and paid attendees and
+ *   groups the next attendee receipt number (utils/counters.js), in the
+ *   same write that marks them paid.
+ */
+
+const { getDb } = require("./firebase");
+const { getProviderForRecord } = require("./paymentProviders");
+const { markSuspicious, findOrderMismatches } = require("./paymentReview");
+const { FEE_CATEGORIES, resolveFee, getFeeRegion } = require("./fees");
+const { markCouponRedeemed, releaseCoupon } = require("./coupons");
+const { NUMBER_SERIES, assignNumbers } = require("./counters");
+const {
+    ATTEMPT_STATUSES,
+    getAttempt,
+    recordAttemptEvent,
+} = require("./paymentAttempts");
+
+/**
+ * Settlement outcomes returned by the settle* functions.
+ */
+const OUTCOMES = {
+    PAID: "paid",
+    FAILED: "failed",
+    ALREADY_PAID: "already_paid",
+    INVALID_HASH: "invalid_hash",
+    ORDER_MISMATCH: "order_mismatch",
+    // Failure of an earlier attempt; the record has moved on to a newer one
+    SUPERSEDED: "superseded",
+    EXPIRED: "expired",
+    NOT_PENDING: "not_pending",
+    // Parked as suspicious for an admin to approve or reject
+    UNDER_REVIEW: "under_review",
+};
+
+// Easebuzz statuses that mean the payment definitely did not go through.
+const FAILED_GATEWAY_STATUSES = ["failure", "usercancelled", "dropped", "bounced"];
+
+/**
+ * `reason` shown on the payment-result page after a failure callback.
+ * @param {string|null} outcome - settle*Failure outcome (null when no record matched)
+ */
+function getFailureReason(outcome) {
+    if (outcome === OUTCOMES.INVALID_HASH) return "hash_mismatch";
+    if (outcome === OUTCOMES.UNDER_REVIEW) return "under_review";
+    return "payment_failed";
+}
+
+/**
+ * Amount a pending submission is expected to be paid for.
+ * Uses the amount stored at initiation; older records without one fall
+ * back to the fee schedule for the owner's role.
+ */
+async function getExpectedSubmissionAmount(submissionData) {
+    if (submissionData.paymentAmount !== undefined && submissionData.paymentAmount !== null) {
+        return submissionData.paymentAmount;
+    }
+    const userDoc = await getDb().collection("users").doc(submissionData.uid).get();
+    const userData = userDoc.exists ? userDoc.data() : {};
+    const fee = await resolveFee({
+        category: FEE_CATEGORIES.PAPER,
+        region: getFeeRegion(userData),
+        role: userData.role || "scholar",
+        participantType: userData.participantType || "offline",
+    });
+    return fee.amount;
+}
+
+/**
+ * Verify the payload hash with the provider the record was started with;
+ * park the record as suspicious if it fails.
+ * Returns true when the payload can be trusted.
+ */
+async function checkPayloadHash(doc, payload, logTag) {
+    const provider = getProviderForRecord(doc && doc.data());
+    const { valid, expected } = provider.verifyCallback(payload);
+    if (valid) return true;
+
+    console.warn(`[${logTag}] Hash mismatch — rejecting payload:`, {
+        received: payload.hash,
+        expected,
+        txnid: payload.txnid,
+    });
+
+    // Already paid or already parked: nothing to change (keeps re-deliveries idempotent)
+    if (doc && !["paid", "suspicious"].includes(doc.data().paymentStatus)) {
+        await markSuspicious(doc.ref, {
+            reason: payload.hash ? "hash_mismatch" : "hash_missing",
+            callback: payload,
+        });
+    }
+    return false;
+}
+
+/**
+ * Park the record as tampered if the payload disagrees with the stored order.
+ * Returns true when the payload matches.
+ */
+async function checkOrderMatches(doc, payload, expected, logTag) {
+    const mismatches = findOrderMismatches(payload, expected);
+    if (mismatches.length === 0) return true;
+
+    console.warn(`[${logTag}] Payload does not match stored order — flagging tampering:`, {
+        txnid: payload.txnid,
+        mismatches,
+    });
+    if (doc.data().paymentStatus === "suspicious") return false;
+    await markSuspicious(doc.ref, {
+        type: "tampering",
+        reason: "order_mismatch",
+        details: { mismatches },
+        callback: payload,
+    });
+    return false;
+}
+
+/**
+ * Add a settlement result to the timeline of the payload's attempt.
+ */
+function noteAttempt(payload, status, source, detail) {
+    return recordAttemptEvent(payload.txnid, {
+        type: payload.status ? String(payload.status).toLowerCase() : "callback",
+        status,
+        source,
+        detail,
+        gatewayStatus: payload.status,
+        gatewayId: payload.easepayid,
+    });
+}
+
+/**
+ * Redeem the coupon of a successful payment before the record is marked
+ * paid. A reservation released meanwhile (e.g. the payment expired) that
+ * no longer fits the coupon's limits is not redeemed; the record is parked
+ * for review instead.
+ *
+ * @param {object|null} coupon - the coupon stored with the paid order
+ * @param {object} [orderUpdate] - order fields to store on the record if it is parked
+ * @returns {Promise<boolean>} true when the record can be marked paid
+ */
+async function redeemPaidCoupon(doc, coupon, payload, source, orderUpdate = null) {
+    if (!coupon || (await markCouponRedeemed(coupon.redemptionId))) return true;
+
+    console.warn(`[PAYMENT] Coupon ${coupon.code} is used up; sending ${doc.ref.path} (txnid=${payload.txnid}) to review`);
+    if (orderUpdate) {
+        await doc.ref.update(orderUpdate);
+    }
+    await markSuspicious(doc.ref, {
+        type: "coupon_limit",
+        reason: "coupon_limit_reached",
+        details: { code: coupon.code, redemptionId: coupon.redemptionId },
+        callback: payload,
+    });
+    await noteAttempt(payload, ATTEMPT_STATUSES.SUSPICIOUS, source, { reason: "coupon_limit_reached" });
+    return false;
+}
+
+/**
+ * When the payment expired before this success arrived: the record was
+ * left "expired", or the payload's attempt expired before a newer one
+ * was started. Null if it did not expire.
+ *
+ * @param {object} recordData - the stored record
+ * @param {object|null} attempt - the payload's attempt, if it belongs to the record
+ * @returns {string|null} ISO date
+ */
+function getExpiredAt(recordData, attempt) {
+    if (recordData.paymentStatus === "expired") {
+        return recordData.paymentExpiredAt || null;
+    }
+    if (attempt && attempt.status === ATTEMPT_STATUSES.EXPIRED) {
+        const event = (attempt.events || []).find((e) => e.status === ATTEMPT_STATUSES.EXPIRED);
+        return event ? event.at : attempt.updatedAt;
+    }
+    return null;
+}
+
+/**
+ * Park a success for an expired payment for review instead of paying it:
+ * its coupon was released at expiry and the fee may have changed since.
+ *
+ * @param {object|null} attempt - the payload's attempt (utils/paymentAttempts.js)
+ * @param {object} [orderUpdate] - order fields to store on the record
+ * @returns {Promise<boolean>} true when the record was parked
+ */
+async function parkLateSuccess(doc, recordData, attempt, payload, source, orderUpdate = null) {
+    const ownAttempt = attempt && attempt.recordId === doc.id ? attempt : null;
+    const expired = recordData.paymentStatus === "expired"
+        || Boolean(ownAttempt && ownAttempt.status === ATTEMPT_STATUSES.EXPIRED);
+    if (!expired) return false;
+
+    const expiredAt = getExpiredAt(recordData, ownAttempt);
+    console.warn(`[PAYMENT] Success for ${doc.ref.path} (txnid=${payload.txnid}) after it expired at ${expiredAt}; sending to review`);
+    if (orderUpdate) {
+        await doc.ref.update(orderUpdate);
+    }
+    await markSuspicious(doc.ref, {
+        type: "late_success",
+        reason: "late_success_after_expiry",
+        details: { expiredAt },
+        callback: payload,
+    });
+    await noteAttempt(payload, ATTEMPT_STATUSES.SUSPICIOUS, source, { reason: "late_success_after_expiry" });
+    return true;
+}
+
+// ──────────────── Paper submissions ────────────────
+
+/**
+ * Apply a successful Easebuzz payload to a submission.
+ *
+ * @param {FirebaseFirestore.DocumentSnapshot} doc - submission snapshot
+ * @param {object} payload - Easebuzz callback / transaction body
+ * @param {string} source - "callback" | "reconciler" | "webhook" (stored for audit)
+ * @returns {Promise<string>} one of OUTCOMES
+ */
+async function settleSubmissionSuccess(doc, payload, source) {
+    if (!(await checkPayloadHash(doc, payload, "PAYMENT"))) {
+        await noteAttempt(payload, ATTEMPT_STATUSES.SUSPICIOUS, source, { reason: "invalid_hash" });
+        return OUTCOMES.INVALID_HASH;
+    }
+
+    const existingData = doc.data();
+
+    // Prevent duplicate updates; a success for another attempt is a double payment
+    if (existingData.paymentStatus === "paid") {
+        if (payload.txnid !== existingData.paymentTxnId) {
+            await noteAttempt(payload, ATTEMPT_STATUSES.DUPLICATE, source, { paidBy: existingData.paymentTxnId || null });
+        }
+        return OUTCOMES.ALREADY_PAID;
+    }
+
+    // Cross-check against the attempt's order, or the order stored on the
+    // submission for payments started before attempts were kept
+    // (NEVER trust payload amount)
+    const attempt = await getAttempt(payload.txnid);
+    const ownAttempt = attempt && attempt.collection === "submissions" && attempt.recordId === doc.id
+        ? attempt
+        : null;
+    const order = ownAttempt
+        ? {
+            txnid: ownAttempt.txnid,
+            amount: ownAttempt.amount,
+            email: ownAttempt.email,
+            productinfo: ownAttempt.productinfo,
+        }
+        : {
+            txnid: existingData.paymentTxnId,
+            amount: await getExpectedSubmissionAmount(existingData),
+            email: existingData.paymentEmail,
+            productinfo: existingData.paymentProductInfo,
+        };
+
+    const matches = await checkOrderMatches(doc, payload, order, "PAYMENT");
+    if (!matches) {
+        await noteAttempt(payload, ATTEMPT_STATUSES.SUSPICIOUS, source, { reason: "order_mismatch" });
+        return OUTCOMES.ORDER_MISMATCH;
+    }
+
+    const update = {
+        paymentStatus: "paid",
+        paymentAmount: parseFloat(order.amount),
+        paymentDate: new Date().toISOString(),
+        paymentGatewayStatus: payload.status,
+        paymentGatewayId: payload.easepayid || null,
+        paymentSettledVia: source,
+    };
+
+    // A late success for an earlier attempt: the paper takes that attempt's order
+    const paidCoupon = ownAttempt ? ownAttempt.coupon : existingData.paymentCoupon;
+    const orderUpdate = { paymentAmount: update.paymentAmount };
+    if (ownAttempt && ownAttempt.txnid !== existingData.paymentTxnId) {
+        Object.assign(orderUpdate, {
+            paymentTxnId: ownAttempt.txnid,
+            paymentCurrency: ownAttempt.currency,
+            paymentFeeRule: ownAttempt.feeRule,
+            paymentCoupon: ownAttempt.coupon,
+            paymentEmail: ownAttempt.email,
+            paymentProductInfo: ownAttempt.productinfo,
+        });
+        console.log(`[PAYMENT] Late success for earlier attempt ${ownAttempt.txnid} (current ${existingData.paymentTxnId})`);
+    }
+    Object.assign(update, orderUpdate);
+
+    const underReview = (await parkLateSuccess(doc, existingData, ownAttempt, payload, source, orderUpdate))
+        || !(await redeemPaidCoupon(doc, paidCoupon, payload, source, orderUpdate));
+    if (!underReview) {
+        const [receiptNumber] = await assignNumbers(NUMBER_SERIES.PAPER_RECEIPT, [{ ref: doc.ref, update }]);
+        console.log(`[PAYMENT] Paper ${doc.id} paid, receipt=${receiptNumber}`);
+    }
+
+    // The newer attempt's reservation is no longer needed
+    if (existingData.paymentCoupon && existingData.paymentCoupon.redemptionId !== paidCoupon?.redemptionId) {
+        await releaseCoupon(existingData.paymentCoupon.redemptionId, "superseded");
+    }
+    if (underReview) {
+        return OUTCOMES.UNDER_REVIEW;
+    }
+
+    await noteAttempt(payload, ATTEMPT_STATUSES.PAID, source);
+    return OUTCOMES.PAID;
+}
+
+/**
+ * Apply a failed/cancelled Easebuzz payload to a submission.
+ *
+ * @returns {Promise<string>} one of OUTCOMES
+ */
+async function settleSubmissionFailure(doc, payload, source) {
+    if (!(await checkPayloadHash(doc, payload, "PAYMENT"))) {
+        await noteAttempt(payload, ATTEMPT_STATUSES.SUSPICIOUS, source, { reason: "invalid_hash" });
+        return OUTCOMES.INVALID_HASH;
+    }
+
+    await noteAttempt(payload, ATTEMPT_STATUSES.FAILED, source);
+
+    // Only reset if not already paid (safety check)
+    const existingData = doc.data();
+    if (existingData.paymentStatus === "paid") {
+        return OUTCOMES.ALREADY_PAID;
+    }
+
+    // Parked for review: the admin decides, and the coupon stays reserved
+    if (existingData.paymentStatus === "suspicious") {
+        return OUTCOMES.UNDER_REVIEW;
+    }
+
+    // An earlier attempt failing must not reset the one in progress
+    if (payload.txnid && existingData.paymentTxnId && payload.txnid !== existingData.paymentTxnId) {
+        return OUTCOMES.SUPERSEDED;
+    }
+
+    await doc.ref.update({
+        paymentStatus: "failed",
+        paymentGatewayStatus: payload.status || "failed",
+        paymentFailedAt: new Date().toISOString(),
+        paymentSettledVia: source,
+    });
+
+    if (existingData.paymentCoupon) {
+        await releaseCoupon(existingData.paymentCoupon.redemptionId, "payment_failed");
+    }
+
+    return OUTCOMES.FAILED;
+}
+
+// ──────────────── Attendees ────────────────
+
+/**
+ * Apply a successful Easebuzz payload to an attendee record.
+ *
+ * @param {FirebaseFirestore.DocumentSnapshot} doc - attendee snapshot
+ * @param {object} payload - Easebuzz callback / transaction body
+ * @param {string} source - "callback" | "reconciler" | "webhook" (stored for audit)
+ * @returns {Promise<string>} one of OUTCOMES
+ */
+async function settleAttendeeSuccess(doc, payload, source) {
+    if (!(await checkPayloadHash(doc, payload, "ATTENDEE"))) {
+        await noteAttempt(payload, ATTEMPT_STATUSES.SUSPICIOUS, source, { reason: "invalid_hash" });
+        return OUTCOMES.INVALID_HASH;
+    }
+
+    const existingData = doc.data();
+
+    // Prevent duplicate updates
+    if (existingData.paymentStatus === "paid") {
+        return OUTCOMES.ALREADY_PAID;
+    }
+
+    // Cross-check against the stored record (NEVER trust payload amount)
+    const expectedAmount = existingData.amount ?? (await resolveFee({ category: FEE_CATEGORIES.ATTENDEE })).amount;
+    const matches = await checkOrderMatches(doc, payload, {
+        txnid: existingData.txnid,
+        amount: expectedAmount,
+        email: existingData.email,
+        productinfo: existingData.productinfo,
+    }, "ATTENDEE");
+    if (!matches) {
+        await noteAttempt(payload, ATTEMPT_STATUSES.SUSPICIOUS, source, { reason: "order_mismatch" });
+        return OUTCOMES.ORDER_MISMATCH;
+    }
+
+    const attempt = await getAttempt(payload.txnid);
+    if ((await parkLateSuccess(doc, existingData, attempt, payload, source))
+        || !(await redeemPaidCoupon(doc, existingData.coupon, payload, source))) {
+        return OUTCOMES.UNDER_REVIEW;
+    }
+
+    const [receiptNumber] = await assignNumbers(NUMBER_SERIES.ATTENDEE_RECEIPT, [{
+        ref: doc.ref,
+        update: {
+            paymentStatus: "paid",
+            paymentAmount: parseFloat(expectedAmount),
+            paymentDate: new Date().toISOString(),
+            paymentGatewayStatus: payload.status,
+            paymentGatewayId: payload.easepayid || null,
+            paymentSettledVia: source,
+        },
+    }]);
+
+    console.log(
+        `[ATTENDEE] Payment completed: ${existingData.email}, receipt=${receiptNumber}`
+    );
+
+    await noteAttempt(payload, ATTEMPT_STATUSES.PAID, source);
+    return OUTCOMES.PAID;
+}
+
+/**
+ * Apply a failed/cancelled Easebuzz payload to an attendee record.
+ *
+ * @returns {Promise<string>} one of OUTCOMES
+ */
+async function settleAttendeeFailure(doc, payload, source) {
+    if (!(await checkPayloadHash(doc, payload, "ATTENDEE"))) {
+        await noteAttempt(payload, ATTEMPT_STATUSES.SUSPICIOUS, source, { reason: "invalid_hash" });
+        return OUTCOMES.INVALID_HASH;
+    }
+
+    await noteAttempt(payload, ATTEMPT_STATUSES.FAILED, source);
+
+    // Only reset if not already paid (safety check)
+    const existingData = doc.data();
+    if (existingData.paymentStatus === "paid") {
+        return OUTCOMES.ALREADY_PAID;
+    }
+
+    // Parked for review: the admin decides, and the coupon stays reserved
+    if (existingData.paymentStatus === "suspicious") {
+        return OUTCOMES.UNDER_REVIEW;
+    }
+
+    await doc.ref.update({
+        paymentStatus: "failed",
+        paymentGatewayStatus: payload.status || "failed",
+        paymentFailedAt: new Date().toISOString(),
+        paymentSettledVia: source,
+    });
+
+    if (existingData.coupon) {
+        await releaseCoupon(existingData.coupon.redemptionId, "payment_failed");
+    }
+
+    return OUTCOMES.FAILED;
+}
+
+// ──────────────── Attendee groups ────────────────
+
+/**
+ * Copy a group's payment result onto its member attendee records.
+ * Paid members each get their own receipt number (their individual
+ * confirmation); the group keeps the consolidated one.
+ *
+ * @param {object} groupData - attendeeGroups document
+ * @param {object} update - fields to set on every member
+ */
+async function updateGroupMembers(groupData, update) {
+    const db = getDb();
+    const refs = (groupData.attendeeIds || []).map((id) => db.collection("attendees").doc(id));
+
+    if (update.paymentStatus === "paid") {
+        await assignNumbers(NUMBER_SERIES.ATTENDEE_RECEIPT, refs.map((ref) => ({ ref, update })));
+        return;
+    }
+
+    const batch = db.batch();
+    refs.forEach((ref) => batch.update(ref, update));
+    await batch.commit();
+}
+
+/**
+ * Apply a successful Easebuzz payload to an attendee group and its members.
+ *
+ * @param {FirebaseFirestore.DocumentSnapshot} doc - attendeeGroups snapshot
+ * @param {object} payload - Easebuzz callback / transaction body
+ * @param {string} source - "callback" | "reconciler" | "webhook" (stored for audit)
+ * @returns {Promise<string>} one of OUTCOMES
+ */
+async function settleAttendeeGroupSuccess(doc, payload, source) {
+    if (!(await checkPayloadHash(doc, payload, "ATTENDEE GROUP"))) {
+        await noteAttempt(payload, ATTEMPT_STATUSES.SUSPICIOUS, source, { reason: "invalid_hash" });
+        return OUTCOMES.INVALID_HASH;
+    }
+
+    const existingData = doc.data();
+
+    // Prevent duplicate updates
+    if (existingData.paymentStatus === "paid") {
+        return OUTCOMES.ALREADY_PAID;
+    }
+
+    // Cross-check against the stored group order (NEVER trust payload amount)
+    const matches = await checkOrderMatches(doc, payload, {
+        txnid: existingData.txnid,
+        amount: existingData.amount,
+        email: existingData.contactEmail,
+        productinfo: existingData.productinfo,
+    }, "ATTENDEE GROUP");
+    if (!matches) {
+        await noteAttempt(payload, ATTEMPT_STATUSES.SUSPICIOUS, source, { reason: "order_mismatch" });
+        return OUTCOMES.ORDER_MISMATCH;
+    }
+
+    const attempt = await getAttempt(payload.txnid);
+    if ((await parkLateSuccess(doc, existingData, attempt, payload, source))
+        || !(await redeemPaidCoupon(doc, existingData.coupon, payload, source))) {
+        return OUTCOMES.UNDER_REVIEW;
+    }
+
+    const now = new Date().toISOString();
+    const result = {
+        paymentStatus: "paid",
+        paymentDate: now,
+        paymentGatewayStatus: payload.status,
+        paymentGatewayId: payload.easepayid || null,
+        paymentSettledVia: source,
+    };
+
+    const [receiptNumber] = await assignNumbers(NUMBER_SERIES.ATTENDEE_RECEIPT, [{
+        ref: doc.ref,
+        update: { ...result, paymentAmount: parseFloat(existingData.amount) },
+    }]);
+    await updateGroupMembers(existingData, result);
+
+    console.log(
+        `[ATTENDEE GROUP] Payment completed: group ${doc.id} (${(existingData.attendeeIds || []).length} attendees), receipt=${receiptNumber}`
+    );
+
+    await noteAttempt(payload, ATTEMPT_STATUSES.PAID, source);
+    return OUTCOMES.PAID;
+}
+
+/**
+ * Apply a failed/cancelled Easebuzz payload to an attendee group and its members.
+ *
+ * @returns {Promise<string>} one of OUTCOMES
+ */
+async function settleAttendeeGroupFailure(doc, payload, source) {
+    if (!(await checkPayloadHash(doc, payload, "ATTENDEE GROUP"))) {
+        await noteAttempt(payload, ATTEMPT_STATUSES.SUSPICIOUS, source, { reason: "invalid_hash" });
+        return OUTCOMES.INVALID_HASH;
+    }
+
+    await noteAttempt(payload, ATTEMPT_STATUSES.FAILED, source);
+
+    // Only reset if not already paid (safety check)
+    const existingData = doc.data();
+    if (existingData.paymentStatus === "paid") {
+        return OUTCOMES.ALREADY_PAID;
+    }
+
+    // Parked for review: the admin decides, and the coupon stays reserved
+    if (existingData.paymentStatus === "suspicious") {
+        return OUTCOMES.UNDER_REVIEW;
+    }
+
+    const result = {
+        paymentStatus: "failed",
+        paymentGatewayStatus: payload.status || "failed",
+        paymentFailedAt: new Date().toISOString(),
+        paymentSettledVia: source,
+    };
+
+    await doc.ref.update(result);
+    await updateGroupMembers(existingData, result);
+
+    if (existingData.coupon) {
+        await releaseCoupon(existingData.coupon.redemptionId, "payment_failed");
+    }
+
+    return OUTCOMES.FAILED;
+}
+
+// ──────────────── Expiry ────────────────
+
+/**
+ * Expire a payment left "pending" past its TTL (utils/paymentExpiry.js):
+ * the record (and a group's members) becomes "expired", the reserved
+ * coupon is released and the attempt's timeline notes it. The record is
+ * re-read first so a result that arrived meanwhile is never overwritten.
+ * A success for the txnid that arrives later parks the record for review
+ * (parkLateSuccess) rather than paying it.
+ *
+ * @param {FirebaseFirestore.DocumentSnapshot} doc - submission, attendee or attendee group
+ * @param {string} collection - "submissions" | "attendees" | "attendeeGroups"
+ * @param {string} source - "reconciler" or "status_check"
+ * @returns {Promise<string>} OUTCOMES.EXPIRED or OUTCOMES.NOT_PENDING
+ */
+async function expirePendingPayment(doc, collection, source) {
+    const current = await doc.ref.get();
+    const data = current.exists ? current.data() : null;
+    if (!data || data.paymentStatus !== "pending") {
+        return OUTCOMES.NOT_PENDING;
+    }
+
+    const result = {
+        paymentStatus: "expired",
+        paymentExpiredAt: new Date().toISOString(),
+        paymentSettledVia: source,
+    };
+
+    await doc.ref.update(result);
+    if (collection === "attendeeGroups") {
+        await updateGroupMembers(data, result);
+    }
+
+    const coupon = collection === "submissions" ? data.paymentCoupon : data.coupon;
+    if (coupon) {
+        await releaseCoupon(coupon.redemptionId, "payment_expired");
+    }
+
+    await recordAttemptEvent(collection === "submissions" ? data.paymentTxnId : data.txnid, {
+        type: "expired",
+        status: ATTEMPT_STATUSES.EXPIRED,
+        source,
+    });
+
+    return OUTCOMES.EXPIRED;
+}
+
+module.exports = {
+    OUTCOMES,
+    FAILED_GATEWAY_STATUSES,
+    checkPayloadHash,
+    getFailureReason,
+    settleSubmissionSuccess,
+    settleSubmissionFailure,
+    settleAttendeeSuccess,
+    settleAttendeeFailure,
+    updateGroupMembers,
+    settleAttendeeGroupSuccess,
+    settleAttendeeGroupFailure,
+    expirePendingPayment,
+};
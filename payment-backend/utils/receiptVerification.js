@@ -0,0 +1,201 @@
+/**
+ * Receipt Verification
+ * --------------------
+ * Every receipt PDF carries a QR code linking to
+ * /api/receipt/verify/<token>, so anyone holding the receipt (an accounts
+ * office) can check it against our records.
+ *
+ * The token is "<kind>.<recordId>.<signature>": kind is p (paper),
+ * a (attendee) or g (group registration), and the signature is an
+ * HMAC-SHA256 (RECEIPT_SIGNING_SECRET) of the kind, record id and receipt
+ * number. Nothing personal is in the token; the verify endpoint reads the
+ * record and returns only the payer name, amount, date and status.
+ *
+ * A receipt is invalid when the token is forged, the record is not paid,
+ * or the payment has been fully refunded (for a group member, the group's
+ * payment). Verification is disabled (no QR
+ * code, verify returns 503) until RECEIPT_SIGNING_SECRET is set.
+ */
+
+const crypto = require("crypto");
+const { getDb } = require("./firebase");
+const { getRefundsForRecord, summariseRefunds } = require("./refunds");
+
+const SIGNATURE_LENGTH = 22; // base64url chars (132 bits)
+
+const RECEIPT_KINDS = {
+    p: {
+        collection: "submissions",
+        label: "Paper registration",
+        amount: (d) => d.paymentAmount,
+        currency: (d) => d.paymentCurrency,
+    },
+    a: {
+        collection: "attendees",
+        label: "Attendee registration",
+        amount: (d) => d.paymentAmount ?? d.amount,
+        currency: (d) => d.currency,
+    },
+    g: {
+        collection: "attendeeGroups",
+        label: "Group attendee registration",
+        amount: (d) => d.paymentAmount ?? d.amount,
+        currency: (d) => d.currency,
+    },
+};
+
+const KIND_BY_COLLECTION = Object.fromEntries(
+    Object.entries(RECEIPT_KINDS).map(([kind, { collection }]) => [collection, kind])
+);
+
+const VERIFY_STATUSES = {
+    VALID: "valid",
+    PARTIALLY_REFUNDED: "partially_refunded",
+    REFUNDED: "refunded",
+    INVALID: "invalid",
+};
+
+class ReceiptVerificationError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = "ReceiptVerificationError";
+        this.statusCode = statusCode;
+    }
+}
+
+function getSigningSecret() {
+    return process.env.RECEIPT_SIGNING_SECRET || null;
+}
+
+function sign(secret, kind, recordId, receiptNumber) {
+    return crypto
+        .createHmac("sha256", secret)
+        .update(`${kind}.${recordId}.${receiptNumber}`)
+        .digest("base64url")
+        .slice(0, SIGNATURE_LENGTH);
+}
+
+let warnedDisabled = false;
+
+/**
+ * Token for the receipt of one payment record, or null when verification
+ * is disabled.
+ */
+function createReceiptToken(collection, recordId, receiptNumber) {
+    const secret = getSigningSecret();
+    if (!secret) {
+        if (!warnedDisabled) {
+            console.warn("[RECEIPT VERIFY] RECEIPT_SIGNING_SECRET is not set; receipts are issued without a QR code");
+            warnedDisabled = true;
+        }
+        return null;
+    }
+
+    const kind = KIND_BY_COLLECTION[collection];
+    if (!kind) throw new Error(`Receipts are not issued for '${collection}'.`);
+
+    return `${kind}.${recordId}.${sign(secret, kind, recordId, receiptNumber)}`;
+}
+
+/**
+ * Public verification URL for a receipt (null when verification is disabled).
+ */
+function getReceiptVerificationUrl(req, collection, recordId, receiptNumber) {
+    const token = createReceiptToken(collection, recordId, receiptNumber);
+    if (!token) return null;
+
+    const backendBaseUrl = process.env.BACKEND_URL
+        || `${req.protocol}://${req.get("host")}`;
+    return `${backendBaseUrl}/api/receipt/verify/${token}`;
+}
+
+async function getPayerName(kind, data) {
+    if (kind === "g") return data.contactName || data.organization || null;
+    if (kind === "a") return data.name || null;
+
+    const userDoc = await getDb().collection("users").doc(data.uid).get();
+    return userDoc.exists ? userDoc.data().name || null : null;
+}
+
+/**
+ * Check a receipt token against the payment record.
+ * @returns {Promise<{ valid: boolean, status: string, reason?: string, receipt?: object }>}
+ */
+async function verifyReceiptToken(token) {
+    const secret = getSigningSecret();
+    if (!secret) {
+        throw new ReceiptVerificationError("Receipt verification is not enabled.", 503);
+    }
+
+    const invalid = {
+        valid: false,
+        status: VERIFY_STATUSES.INVALID,
+        reason: "This receipt could not be verified. It may have been altered or not issued by us.",
+    };
+
+    const parts = String(token || "").split(".");
+    if (parts.length < 3) return invalid;
+    const kind = parts[0];
+    const signature = parts[parts.length - 1];
+    const recordId = parts.slice(1, -1).join(".");
+    const receiptKind = RECEIPT_KINDS[kind];
+    if (!receiptKind || !recordId || signature.length !== SIGNATURE_LENGTH) return invalid;
+
+    const doc = await getDb().collection(receiptKind.collection).doc(recordId).get();
+    if (!doc.exists) return invalid;
+    const data = doc.data();
+    if (data.paymentStatus !== "paid" || !data.receiptNumber) return invalid;
+
+    const expected = sign(secret, kind, recordId, data.receiptNumber);
+    if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return invalid;
+
+    const amount = receiptKind.amount(data);
+    const { refundedAmount } = summariseRefunds(
+        await getRefundsForRecord(receiptKind.collection, recordId)
+    );
+
+    let status = VERIFY_STATUSES.VALID;
+    if (refundedAmount > 0) {
+        status = refundedAmount >= amount ? VERIFY_STATUSES.REFUNDED : VERIFY_STATUSES.PARTIALLY_REFUNDED;
+    }
+
+    // Group members are refunded through their group's payment
+    if (kind === "a" && data.groupId) {
+        const groupDoc = await getDb().collection("attendeeGroups").doc(data.groupId).get();
+        const group = groupDoc.exists ? groupDoc.data() : {};
+        const groupRefunded = summariseRefunds(
+            await getRefundsForRecord("attendeeGroups", data.groupId)
+        ).refundedAmount;
+        if (groupRefunded > 0) {
+            status = groupRefunded >= RECEIPT_KINDS.g.amount(group)
+                ? VERIFY_STATUSES.REFUNDED
+                : VERIFY_STATUSES.PARTIALLY_REFUNDED;
+        }
+    }
+
+    const result = {
+        valid: status !== VERIFY_STATUSES.REFUNDED,
+        status,
+        receipt: {
+            receiptNumber: data.receiptNumber,
+            type: receiptKind.label,
+            payerName: await getPayerName(kind, data),
+            amount,
+            currency: receiptKind.currency(data) || "INR",
+            paymentDate: data.paymentDate || null,
+            refundedAmount,
+        },
+    };
+    if (status === VERIFY_STATUSES.REFUNDED) {
+        result.reason = "This payment has been refunded; the receipt is no longer valid.";
+    }
+    return result;
+}
+
+module.exports = {
+    VERIFY_STATUSES,
+    ReceiptVerificationError,
+    createReceiptToken,
+    getReceiptVerificationUrl,
+    verifyReceiptToken,
+};
@@ -0,0 +1,365 @@
+/**
+ * Refunds
+ * -------
+ * Admin-initiated full or partial refunds of paid submissions, attendees
+ * and attendee groups through the payment provider's refund API (Easebuzz
+ * Refund API by default).
+ *
+ * Every refund is a document in the `refunds` collection:
+ *   { collection, recordId, txnid, easebuzzId, paymentProvider,
+ *     merchantRefundId, amount, currency, reason, status, requestedBy, requestedAt,
+ *     gatewayRefundId, gatewayStatus, failureReason, completedAt, updatedAt }
+ *
+ * The payment record keeps its paymentStatus ("paid") and gets a summary:
+ *   refundStatus, refundedAmount, refundPendingAmount
+ * so receipts stay available and show what was given back.
+ *
+ * A group registration is one gateway payment, so it is refunded through
+ * the group; its members cannot be refunded on their own. The group's
+ * refundStatus is copied onto its member records.
+ *
+ * SECURITY CONSTRAINTS:
+ * - Only "paid" records with a gateway txnid can be refunded.
+ * - Pending + completed refunds can never exceed the amount paid; the
+ *   refund is reserved in a Firestore transaction before Easebuzz is called.
+ */
+
+const { getDb } = require("./firebase");
+const { generateRefundId } = require("./hashUtils");
+const { getProviderForRecord } = require("./paymentProviders");
+const { formatAmount } = require("./currency");
+
+const REFUND_STATUSES = {
+    PENDING: "refund_pending",
+    REFUNDED: "refunded",
+    FAILED: "refund_failed",
+};
+
+// Where each collection keeps its txnid, the amount actually paid and its currency.
+const REFUNDABLE_COLLECTIONS = {
+    submissions: {
+        txnField: "paymentTxnId",
+        paidAmount: (d) => d.paymentAmount,
+        currency: (d) => d.paymentCurrency,
+    },
+    attendees: {
+        txnField: "txnid",
+        paidAmount: (d) => d.paymentAmount ?? d.amount,
+        currency: (d) => d.currency,
+    },
+    attendeeGroups: {
+        txnField: "txnid",
+        paidAmount: (d) => d.paymentAmount ?? d.amount,
+        currency: (d) => d.currency,
+    },
+};
+
+// Easebuzz refund_status values, mapped to ours (anything else stays pending).
+const GATEWAY_REFUNDED = ["refunded", "success", "completed", "refund_done"];
+const GATEWAY_FAILED = ["failed", "failure", "rejected", "cancelled", "reversed"];
+
+/**
+ * Error with an HTTP status, thrown for requests that cannot be refunded.
+ */
+class RefundError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = "RefundError";
+        this.statusCode = statusCode;
+    }
+}
+
+function toAmount(value) {
+    return Math.round(parseFloat(value) * 100) / 100;
+}
+
+/**
+ * Refund documents for one payment record, oldest first.
+ */
+async function getRefundsForRecord(collection, recordId) {
+    const snap = await getDb()
+        .collection("refunds")
+        .where("recordId", "==", recordId)
+        .get();
+
+    return snap.docs
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+        .filter((r) => r.collection === collection)
+        .sort((a, b) => String(a.requestedAt || "").localeCompare(String(b.requestedAt || "")));
+}
+
+/**
+ * Totals for a list of refunds.
+ * refundStatus is the status of the most recent refund (null if none).
+ */
+function summariseRefunds(refunds) {
+    const sum = (status) =>
+        toAmount(refunds.filter((r) => r.status === status).reduce((acc, r) => acc + r.amount, 0));
+
+    return {
+        refundStatus: refunds.length ? refunds[refunds.length - 1].status : null,
+        refundedAmount: sum(REFUND_STATUSES.REFUNDED),
+        refundPendingAmount: sum(REFUND_STATUSES.PENDING),
+    };
+}
+
+/**
+ * Recompute the refund summary stored on the payment record (and the
+ * refundStatus of a group's members).
+ */
+async function updateRecordRefundSummary(collection, recordId) {
+    const db = getDb();
+    const summary = summariseRefunds(await getRefundsForRecord(collection, recordId));
+    const recordRef = db.collection(collection).doc(recordId);
+    await recordRef.update(summary);
+
+    if (collection === "attendeeGroups") {
+        const group = (await recordRef.get()).data();
+        const batch = db.batch();
+        (group.attendeeIds || []).forEach((id) => {
+            batch.update(db.collection("attendees").doc(id), { refundStatus: summary.refundStatus });
+        });
+        await batch.commit();
+    }
+    return summary;
+}
+
+/**
+ * Easebuzz id (easepayid) of the paid transaction. Records settled before
+ * it was stored are looked up through the Transaction API and backfilled.
+ */
+async function resolveEasebuzzId(docRef, data, txnid) {
+    if (data.paymentGatewayId) return data.paymentGatewayId;
+
+    const { found, transaction } = await getProviderForRecord(data).fetchStatus(txnid);
+    const easebuzzId = found && String(transaction.status).toLowerCase() === "success"
+        ? transaction.easepayid
+        : null;
+
+    if (!easebuzzId) {
+        throw new RefundError("No successful Easebuzz transaction found for this payment.", 409);
+    }
+
+    await docRef.update({ paymentGatewayId: easebuzzId });
+    return easebuzzId;
+}
+
+/**
+ * Reserve a refund: validates the record and the amount, then creates the
+ * refund document (status refund_pending) in one Firestore transaction.
+ */
+async function reserveRefund({ collection, recordId, amount, reason, requestedBy }) {
+    const db = getDb();
+    const config = REFUNDABLE_COLLECTIONS[collection];
+    const docRef = db.collection(collection).doc(recordId);
+
+    const doc = await docRef.get();
+    if (!doc.exists) {
+        throw new RefundError("Payment record not found.", 404);
+    }
+
+    const data = doc.data();
+    const txnid = data[config.txnField];
+    if (data.paymentStatus !== "paid" || !txnid) {
+        throw new RefundError("Only payments completed through Easebuzz can be refunded.", 409);
+    }
+    if (data.paymentMethod === "offline") {
+        throw new RefundError("Offline payments (bank transfer / DD) are refunded outside the gateway.", 409);
+    }
+    if (collection === "attendees" && data.groupId) {
+        throw new RefundError(
+            `This attendee was paid for by group ${data.groupId}. Refund the group (collection "attendeeGroups") instead.`,
+            409
+        );
+    }
+
+    const easebuzzId = await resolveEasebuzzId(docRef, data, txnid);
+    const refundRef = db.collection("refunds").doc();
+
+    const refund = await db.runTransaction(async (t) => {
+        const existingSnap = await t.get(
+            db.collection("refunds").where("recordId", "==", recordId)
+        );
+        const existing = existingSnap.docs
+            .map((d) => d.data())
+            .filter((r) => r.collection === collection && r.status !== REFUND_STATUSES.FAILED);
+
+        const paid = toAmount(config.paidAmount(data));
+        const committed = existing.reduce((acc, r) => acc + r.amount, 0);
+        const refundable = toAmount(paid - committed);
+
+        const refundAmount = amount === undefined || amount === null || amount === ""
+            ? refundable
+            : toAmount(amount);
+
+        if (!(refundAmount > 0)) {
+            throw new RefundError(
+                refundable > 0 ? "Refund amount must be greater than zero." : "This payment has already been fully refunded.",
+                refundable > 0 ? 400 : 409
+            );
+        }
+        if (refundAmount > refundable) {
+            throw new RefundError(
+                `Refund amount exceeds the refundable balance (${formatAmount(refundable, config.currency(data))}).`
+            );
+        }
+
+        const now = new Date().toISOString();
+        const record = {
+            collection,
+            recordId,
+            txnid,
+            easebuzzId,
+            paymentProvider: getProviderForRecord(data).name,
+            merchantRefundId: generateRefundId(),
+            amount: refundAmount,
+            currency: config.currency(data) || "INR",
+            reason,
+            status: REFUND_STATUSES.PENDING,
+            requestedBy,
+            requestedAt: now,
+            updatedAt: now,
+            gatewayRefundId: null,
+            gatewayStatus: null,
+            failureReason: null,
+            completedAt: null,
+        };
+        t.set(refundRef, record);
+        return record;
+    });
+
+    return { id: refundRef.id, ...refund };
+}
+
+/**
+ * Start a refund: reserve it, then submit it to Easebuzz.
+ *
+ * A refund Easebuzz rejects becomes refund_failed. If the call itself
+ * fails (timeout, network) it stays refund_pending so a later sync can
+ * find out whether Easebuzz received it.
+ *
+ * @returns {Promise<object>} the refund document
+ */
+async function startRefund({ collection, recordId, amount, reason, requestedBy }) {
+    const refund = await reserveRefund({ collection, recordId, amount, reason, requestedBy });
+    const refundRef = getDb().collection("refunds").doc(refund.id);
+
+    let update;
+    try {
+        const result = await getProviderForRecord(refund).refund({
+            gatewayTxnId: refund.easebuzzId,
+            merchantRefundId: refund.merchantRefundId,
+            refundAmount: refund.amount.toFixed(2),
+        });
+
+        update = result.accepted
+            ? { gatewayRefundId: result.refundId, gatewayStatus: "accepted" }
+            : {
+                status: REFUND_STATUSES.FAILED,
+                gatewayStatus: "rejected",
+                failureReason: result.reason || "Refund rejected by Easebuzz.",
+                completedAt: new Date().toISOString(),
+            };
+    } catch (error) {
+        console.error(`[REFUND] Easebuzz refund call failed for ${refund.merchantRefundId}:`, error.message);
+        update = { lastError: error.message };
+    }
+
+    update.updatedAt = new Date().toISOString();
+    await refundRef.update(update);
+    await updateRecordRefundSummary(collection, recordId);
+
+    console.log(
+        `[REFUND] ${requestedBy} requested ${formatAmount(refund.amount, refund.currency)} for ${collection}/${recordId} → ${update.status || refund.status}`
+    );
+
+    return { ...refund, ...update };
+}
+
+/**
+ * Ask Easebuzz for the current state of a pending refund and apply it.
+ *
+ * @returns {Promise<object>} the refund document
+ */
+async function syncRefund(refundId) {
+    const refundRef = getDb().collection("refunds").doc(refundId);
+    const doc = await refundRef.get();
+    if (!doc.exists) {
+        throw new RefundError("Refund not found.", 404);
+    }
+
+    const refund = { id: doc.id, ...doc.data() };
+    if (refund.status !== REFUND_STATUSES.PENDING) {
+        return refund;
+    }
+
+    const { refunds } = await getProviderForRecord(refund).fetchRefunds(refund.easebuzzId);
+    const match = refunds.find(
+        (r) =>
+            r.merchant_refund_id === refund.merchantRefundId ||
+            (refund.gatewayRefundId && r.refund_id === refund.gatewayRefundId)
+    );
+    if (!match) {
+        return refund;
+    }
+
+    const gatewayStatus = String(match.refund_status || "").toLowerCase();
+    const now = new Date().toISOString();
+    const update = {
+        gatewayRefundId: match.refund_id || refund.gatewayRefundId,
+        gatewayStatus,
+        updatedAt: now,
+    };
+
+    if (GATEWAY_REFUNDED.includes(gatewayStatus)) {
+        update.status = REFUND_STATUSES.REFUNDED;
+        update.completedAt = now;
+    } else if (GATEWAY_FAILED.includes(gatewayStatus)) {
+        update.status = REFUND_STATUSES.FAILED;
+        update.failureReason = match.reason || `Easebuzz refund status '${gatewayStatus}'.`;
+        update.completedAt = now;
+    }
+
+    await refundRef.update(update);
+    await updateRecordRefundSummary(refund.collection, refund.recordId);
+
+    return { ...refund, ...update };
+}
+
+/**
+ * One-line refund summary for receipt PDFs, e.g.
+ * "Rs. 100.00 refunded, Rs. 50.00 pending". Null when nothing applies.
+ * Refunds are in the currency of the payment.
+ */
+function describeRefunds(refunds) {
+    const { refundedAmount, refundPendingAmount } = summariseRefunds(refunds);
+    const currency = refunds.length ? refunds[0].currency : null;
+    const parts = [];
+    if (refundedAmount > 0) parts.push(`${formatAmount(refundedAmount, currency)} refunded`);
+    if (refundPendingAmount > 0) parts.push(`${formatAmount(refundPendingAmount, currency)} pending`);
+    return parts.length ? parts.join(", ") : null;
+}
+
+/**
+ * Refund fields safe to show on receipts (no internal reason / admin ids).
+ */
+function toReceiptRefund(refund) {
+    return {
+        amount: refund.amount,
+        status: refund.status,
+        requestedAt: refund.requestedAt,
+        completedAt: refund.completedAt || null,
+    };
+}
+
+module.exports = {
+    REFUND_STATUSES,
+    REFUNDABLE_COLLECTIONS,
+    RefundError,
+    getRefundsForRecord,
+    summariseRefunds,
+    startRefund,
+    syncRefund,
+    describeRefunds,
+    toReceiptRefund,
+};